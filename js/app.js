@@ -15,6 +15,9 @@ import AdminManager from './managers/AdminManager.js';
 import ClubService from './managers/ClubService.js';
 import SuperAdminManager from './managers/SuperAdminManager.js';
 import FixtureManagementManager from './managers/FixtureManagementManager.js';
+import TeamRegistryService from './managers/TeamRegistryService.js';
+import MiniLeagueService from './managers/MiniLeagueService.js';
+import InsightsService from './managers/InsightsService.js';
 
 // Import Config
 import EnvironmentLoader from './config/env-loader.js';
@@ -101,6 +104,7 @@ class LOSApp {
             const managerConfigs = [
                 { key: 'auth', class: AuthManager },
                 { key: 'edition', class: EditionService },
+                { key: 'teamRegistry', class: TeamRegistryService },
                 { key: 'fixtures', class: FixturesManager },
                 { key: 'scores', class: ScoresManager },
                 { key: 'gameLogic', class: GameLogicManager },
@@ -109,7 +113,9 @@ class LOSApp {
                 { key: 'admin', class: AdminManager },
                 { key: 'club', class: ClubService },
                 { key: 'superAdmin', class: SuperAdminManager },
-                { key: 'fixtureManagement', class: FixtureManagementManager }
+                { key: 'fixtureManagement', class: FixtureManagementManager },
+                { key: 'miniLeague', class: MiniLeagueService },
+                { key: 'insights', class: InsightsService }
             ];
 
             // Initialize each manager with error handling
@@ -128,9 +134,13 @@ class LOSApp {
             window.authManager = this.managers.auth;
             window.editionService = this.managers.edition;
             window.gameLogicManager = this.managers.gameLogic;
+            window.teamRegistry = this.managers.teamRegistry;
             window.adminManager = this.managers.admin; // For HTML attributes
             window.superAdminManager = this.managers.superAdmin; // For HTML attributes
             window.fixtureManagementManager = this.managers.fixtureManagement; // For HTML attributes
+            window.miniLeagueService = this.managers.miniLeague; // For HTML attributes
+            window.insightsService = this.managers.insights; // For HTML attributes
+            window.pickStatusService = this.managers.pickStatus; // For HTML attributes
 
             // Wait for all managers to be ready
             await this.waitForManagersReady();
@@ -318,7 +328,7 @@ class LOSApp {
 
             // Initialize data loading for all managers
             // Order matters somewhat for dependencies, though we try to avoid direct dependency during init
-            const loadOrder = ['edition', 'auth', 'club', 'fixtures', 'scores', 'gameLogic', 'pickStatus', 'deadline', 'admin'];
+            const loadOrder = ['edition', 'auth', 'club', 'teamRegistry', 'fixtures', 'scores', 'gameLogic', 'pickStatus', 'deadline', 'admin'];
 
             for (const key of loadOrder) {
                 const manager = this.managers[key];
@@ -18,13 +18,15 @@ class EnvironmentLoader {
             this.envVars = {
                 FWP_API_KEY: import.meta.env.VITE_FWP_API_KEY,
                 RAPID_API_KEY: import.meta.env.VITE_RAPID_API_KEY,
+                SERPAPI_KEY: import.meta.env.VITE_SERPAPI_KEY,
                 FIREBASE_API_KEY: import.meta.env.VITE_FIREBASE_API_KEY,
                 FIREBASE_AUTH_DOMAIN: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
                 FIREBASE_PROJECT_ID: import.meta.env.VITE_FIREBASE_PROJECT_ID,
                 FIREBASE_STORAGE_BUCKET: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
                 FIREBASE_MESSAGING_SENDER_ID: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
                 FIREBASE_APP_ID: import.meta.env.VITE_FIREBASE_APP_ID,
-                FIREBASE_MEASUREMENT_ID: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
+                FIREBASE_MEASUREMENT_ID: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID,
+                FIREBASE_VAPID_KEY: import.meta.env.VITE_FIREBASE_VAPID_KEY
             };
 
             // Set up Firebase configuration
@@ -89,6 +91,8 @@ class EnvironmentLoader {
                     return this.envVars.FWP_API_KEY;
                 case 'rapid-api':
                     return this.envVars.RAPID_API_KEY;
+                case 'serpapi':
+                    return this.envVars.SERPAPI_KEY;
                 case 'firebase':
                     return this.envVars.FIREBASE_API_KEY;
                 case 'football-data':
@@ -114,6 +118,9 @@ class EnvironmentLoader {
                 key: this.envVars.FWP_API_KEY,
                 baseUrl: 'https://api.footballwebpages.co.uk/v2'
             },
+            serpApi: {
+                key: this.envVars.SERPAPI_KEY
+            },
             competitions: {
                 'national-league': {
                     id: '5',
@@ -1,3 +1,15 @@
+import { TIEBREAK_RULES, DEFAULT_TIEBREAK_RULES } from './GameLogicManager.js';
+import { AUTO_PICK_STRATEGIES, DEFAULT_AUTO_PICK_STRATEGY } from '../services/AutoPickStrategies.js';
+import EditionAuditService from './EditionAuditService.js';
+import { isClubAdmin, isEditionModerator } from '../services/RoleClaims.js';
+import { DRAW_POLICIES, resolveResultRules } from '../services/ResultRules.js';
+import { EDITION_FORMATS, resolveEditionFormat } from '../services/EditionFormats.js';
+import { VOID_MATCH_POLICIES, isFixtureFinal, summariseScoreCorrection } from '../services/ResultSettlementService.js';
+import { DEADLINE_MODES, formatDeadline, resolveDeadlineSettings } from '../services/DeadlineTimes.js';
+import PaymentService from '../services/PaymentService.js';
+import { PAYMENT_METHODS, PAYMENT_PURPOSES, PAYMENT_STATUSES, calculatePrizePot, formatMoney, parseMoney, resolvePaymentSettings } from '../services/PaymentLedger.js';
+import { checkBuyBackEligibility, getReentryCount, resolveBuyBackSettings } from '../services/BuyBack.js';
+
 export default class AdminManager {
     constructor() {
         this.isInitialized = false;
@@ -5,6 +17,8 @@ export default class AdminManager {
         this.isAdmin = false;
         this.adminPanel = null;
         this.db = null;
+        this.lastAudit = null;
+        this.roles = null;
 
         // Don't auto-initialize - wait for main app to control initialization
         // this.init();
@@ -52,18 +66,13 @@ export default class AdminManager {
         }, 30000); // Check every 30 seconds
     }
 
-    quickSuperAdminCheck() {
+    async quickSuperAdminCheck() {
         try {
-            // Quick check for super admin email
-            if (window.authManager?.getCurrentUser) {
-                const currentUser = window.authManager.getCurrentUser();
-                if (currentUser && currentUser.email) {
-                    const superAdminEmails = ['adfirth@gmail.com'];
-                    if (superAdminEmails.includes(currentUser.email)) {
-                        this.showAdminButton();
-                        this.currentUserIsSuperAdmin = true;
-                    }
-                }
+            // Quick check of the role claims on the ID token
+            const roles = await window.authManager?.getRoleClaims?.();
+            if (roles?.superAdmin) {
+                this.showAdminButton();
+                this.currentUserIsSuperAdmin = true;
             }
         } catch (error) {
             // Quick check failed, continue with normal flow
@@ -112,69 +121,18 @@ export default class AdminManager {
             const userId = window.authManager.getCurrentUserId();
             if (!userId) return;
 
-            // Strategy 1: Check SuperAdminManager if available (Prioritize this)
-            let isSuperAdmin = false;
-            if (window.losApp?.managers?.superAdmin) {
-                isSuperAdmin = window.losApp.managers.superAdmin.isSuperAdmin;
-            }
-
-            // Strategy 2: Check if SuperAdminManager exists but isn't ready yet
-            if (!isSuperAdmin && window.losApp?.managers?.superAdmin) {
-                // Wait a bit for SuperAdminManager to initialize
-                await new Promise(resolve => setTimeout(resolve, 500));
-                isSuperAdmin = window.losApp.managers.superAdmin.isSuperAdmin;
-            }
-
-            // Strategy 3: Email-based super admin fallback
-            if (!isSuperAdmin && window.authManager?.getCurrentUser) {
-                const currentUser = window.authManager.getCurrentUser();
-                if (currentUser && currentUser.email) {
-                    const superAdminEmails = ['adfirth@gmail.com']; // Same list as in SuperAdminManager
-                    if (superAdminEmails.includes(currentUser.email)) {
-                        isSuperAdmin = true;
-                    }
-                }
-            }
-
-            // Strategy 4: Check localStorage for super admin status
-            if (!isSuperAdmin && typeof localStorage !== 'undefined') {
-                const storedSuperAdmin = localStorage.getItem('isSuperAdmin');
-                if (storedSuperAdmin === 'true') {
-                    isSuperAdmin = true;
-                }
-            }
+            // Roles come from custom claims set by the manage-roles function
+            const roles = await window.authManager.getRoleClaims();
+            const isSuperAdmin = roles.superAdmin;
 
-            // Check if user is a regular admin using the NEW multi-club structure
-            // We need to look up the user in the current club/edition context
-            let isAdmin = false;
+            // Club admins and edition moderators get the panel for the club/edition they're viewing
             const currentClub = window.losApp?.managers?.club?.getCurrentClub();
             const currentEdition = window.losApp?.managers?.club?.getCurrentEdition();
+            const isAdmin = !!currentClub && (currentEdition
+                ? isEditionModerator(roles, currentClub, currentEdition)
+                : isClubAdmin(roles, currentClub));
 
-            if (currentClub && currentEdition) {
-                try {
-                    const userDoc = await this.db.collection('clubs')
-                        .doc(currentClub)
-                        .collection('editions')
-                        .doc(currentEdition)
-                        .collection('users')
-                        .doc(userId)
-                        .get();
-
-                    if (userDoc.exists) {
-                        const userData = userDoc.data();
-                        isAdmin = userData.isAdmin || false;
-
-                        // Strategy 5: Check if user has super admin role in THEIR user document
-                        if (!isSuperAdmin) {
-                            isSuperAdmin = userData.isSuperAdmin || userData.role === 'super_admin' || false;
-                        }
-                    }
-                } catch (nestedError) {
-                    // Silently fail if we can't check the nested structure yet (e.g. not loaded)
-                    // console.log('AdminManager: Could not check nested user permissions yet');
-                }
-            }
-
+            this.roles = roles;
             this.isAdmin = isAdmin;
 
             // Show admin button if user is either admin or super admin
@@ -592,9 +550,18 @@ export default class AdminManager {
                 case 'scores':
                     await this.loadScoresContent();
                     break;
+                case 'payments':
+                    await this.loadPaymentsContent();
+                    break;
+                case 'insights':
+                    await this.loadInsightsContent();
+                    break;
                 case 'settings':
                     await this.loadSettingsContent();
                     break;
+                case 'audit':
+                    await this.loadAuditContent();
+                    break;
                 default:
                     adminContent.innerHTML = '<p>Invalid admin tab</p>';
             }
@@ -672,6 +639,10 @@ export default class AdminManager {
 
             console.log('🔧 AdminManager: Total users loaded:', users.length);
 
+            // The service checks the cut-off against the next open gameweek; here it only decides who gets the button
+            const buyBackSettings = resolveBuyBackSettings(window.editionService?.getSettings?.() || {});
+            const canBuyBack = (user) => checkBuyBackEligibility(user, window.editionService?.getCurrentGameweek?.() || 1, buyBackSettings).eligible;
+
             adminContent.innerHTML = `
                 <div class="admin-section">
                     <div class="admin-section-header">
@@ -717,8 +688,14 @@ export default class AdminManager {
                                             <span class="badge ${user.lives > 0 ? 'success' : 'danger'}">
                                                 ${user.lives > 0 ? 'Active' : 'Eliminated'}
                                             </span>
+                                            ${getReentryCount(user) > 0 ? `<span class="badge warning">Re-entered${getReentryCount(user) > 1 ? ` ×${getReentryCount(user)}` : ''}</span>` : ''}
                                         </td>
                                         <td>
+                                            ${canBuyBack(user) ? `
+                                                <button class="btn btn-sm btn-primary" onclick="window.adminManager.buyBackUser('${user.id}')">
+                                                    Buy Back${buyBackSettings.pricePence > 0 ? ` (${formatMoney(buyBackSettings.pricePence)})` : ''}
+                                                </button>
+                                            ` : ''}
                                             <button class="btn btn-sm btn-secondary" onclick="window.adminManager.resetUserLives('${user.id}')">
                                                 Reset Lives
                                             </button>
@@ -978,6 +955,16 @@ export default class AdminManager {
 
         try {
             const settings = window.editionService.getSettings();
+            const tiebreakEnabled = settings.tiebreakEnabled ?? settings.tiebreak_enabled ?? true;
+            const tiebreakRules = settings.tiebreakRules || DEFAULT_TIEBREAK_RULES;
+            const voidMatchPolicy = settings.voidMatchPolicy || 'win';
+            const voidMatchFallback = settings.voidMatchFallback || 'win';
+            const autoPickAlgorithm = settings.autoPickAlgorithm || DEFAULT_AUTO_PICK_STRATEGY;
+            const teamRankings = settings.teamRankings || [];
+            const resultRules = resolveResultRules(settings, window.editionService.getCurrentEditionData());
+            const editionFormat = resolveEditionFormat(settings, window.editionService.getCurrentEditionData());
+            const timeZone = window.losApp?.managers?.club?.getClubTimeZone() || 'Europe/London';
+            const deadlineSettings = resolveDeadlineSettings(settings, { timeZone });
 
             adminContent.innerHTML = `
                 <div class="admin-section">
@@ -991,7 +978,44 @@ export default class AdminManager {
                     <div class="settings-form">
                         <div class="form-group">
                             <label>Current Gameweek</label>
-                            <input type="number" id="currentGameweek" value="${settings.active_gameweek || 1}" min="1" max="10">
+                            <input type="number" id="currentGameweek" value="${settings.active_gameweek || 1}" min="1" max="${editionFormat.totalGameweeks}">
+                        </div>
+
+                        <div class="form-group">
+                            <label>Pick Deadline (minutes before first kick-off)</label>
+                            <input type="number" id="deadlineOffsetMinutes" value="${deadlineSettings.lockOffsetMinutes}" min="0" step="5">
+                            <small style="color: #666;">Kick-off times are read in the club's time zone (${timeZone})</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Deadline Mode</label>
+                            <select id="deadlineMode">
+                                ${Object.entries(DEADLINE_MODES).map(([key, mode]) => `
+                                    <option value="${key}" ${deadlineSettings.deadlineMode === key ? 'selected' : ''}>${mode.label}</option>
+                                `).join('')}
+                            </select>
+                            <small style="color: #666;">With rolling deadlines, picks on later fixtures stay open and auto-picks are assigned once the last fixture locks</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Edition Format</label>
+                            <select id="editionFormat">
+                                ${Object.entries(EDITION_FORMATS).map(([key, format]) => `
+                                    <option value="${key}" ${editionFormat.format === key ? 'selected' : ''}>${format.label}</option>
+                                `).join('')}
+                            </select>
+                            <small style="color: #666;">Knockout editions always start players on one life</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Total Gameweeks</label>
+                            <input type="number" id="totalGameweeks" value="${editionFormat.totalGameweeks}" min="1">
+                        </div>
+
+                        <div class="form-group">
+                            <label>Reset Used Teams Every</label>
+                            <input type="number" id="resetEvery" value="${editionFormat.resetEvery || ''}" min="1" placeholder="Once every team is used">
+                            <small style="color: #666;">Team reuse reset only. Leave blank to reset once a player has used every team in the league table below</small>
                         </div>
                         
                         <div class="form-group">
@@ -1002,15 +1026,122 @@ export default class AdminManager {
                             </select>
                         </div>
                         
+                        <div class="form-group">
+                            <label>Lives per Player</label>
+                            <input type="number" id="livesPerPlayer" value="${resultRules.livesPerPlayer}" min="1">
+                        </div>
+
+                        <div class="form-group">
+                            <label>Draws</label>
+                            <select id="drawPolicy">
+                                ${Object.entries(DRAW_POLICIES).map(([key, policy]) => `
+                                    <option value="${key}" ${resultRules.drawPolicy === key ? 'selected' : ''}>${policy.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Bonus Lives for an Away Win</label>
+                            <input type="number" id="awayWinBonusLives" value="${resultRules.awayWinBonusLives}" min="0">
+                        </div>
+
+                        <div class="form-group">
+                            <label>Bonus Lives for an Upset</label>
+                            <input type="number" id="upsetBonusLives" value="${resultRules.upsetBonusLives}" min="0">
+                            <small style="color: #666;">A win over a team at least this many places higher in the league table:</small>
+                            <input type="number" id="upsetRankGap" value="${resultRules.upsetRankGap}" min="1">
+                        </div>
+
+                        <div class="form-group">
+                            <label>Maximum Lives</label>
+                            <input type="number" id="livesCap" value="${resultRules.livesCap ?? ''}" min="1" placeholder="No cap">
+                            <small style="color: #666;">Bonus lives never take a player above this</small>
+                        </div>
+
                         <div class="form-group">
                             <label>Tiebreak Enabled</label>
                             <select id="tiebreakEnabled">
-                                <option value="true" ${settings.tiebreak_enabled ? 'selected' : ''}>Yes</option>
-                                <option value="false" ${!settings.tiebreak_enabled ? 'selected' : ''}>No</option>
+                                <option value="true" ${tiebreakEnabled ? 'selected' : ''}>Yes</option>
+                                <option value="false" ${!tiebreakEnabled ? 'selected' : ''}>No</option>
+                            </select>
+                            <small style="color: #666;">Used when all remaining players are eliminated in the same gameweek</small>
+                        </div>
+
+                        ${[0, 1, 2].map(index => `
+                            <div class="form-group">
+                                <label>Tiebreak Rule ${index + 1}</label>
+                                <select id="tiebreakRule${index}">
+                                    <option value="">None</option>
+                                    ${Object.entries(TIEBREAK_RULES).map(([key, rule]) => `
+                                        <option value="${key}" ${tiebreakRules[index] === key ? 'selected' : ''}>${rule.label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        `).join('')}
+
+                        <div class="form-group">
+                            <label>Postponed / Abandoned Matches</label>
+                            <select id="voidMatchPolicy">
+                                ${Object.entries(VOID_MATCH_POLICIES).map(([key, label]) => `
+                                    <option value="${key}" ${voidMatchPolicy === key ? 'selected' : ''}>${label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <label>If No Re-pick / Not Rearranged</label>
+                            <select id="voidMatchFallback">
+                                <option value="win" ${voidMatchFallback === 'win' ? 'selected' : ''}>Count as a win</option>
+                                <option value="loss" ${voidMatchFallback === 'loss' ? 'selected' : ''}>Count as a loss</option>
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Auto-pick Strategy</label>
+                            <select id="autoPickAlgorithm">
+                                ${Object.entries(AUTO_PICK_STRATEGIES).map(([key, strategy]) => `
+                                    <option value="${key}" ${autoPickAlgorithm === key ? 'selected' : ''}>${strategy.label}</option>
+                                `).join('')}
                             </select>
+                            <small style="color: #666;">Used for players who miss the pick deadline</small>
+                        </div>
+
+                        <div class="form-group">
+                            <label>League Table (one team per line, top first)</label>
+                            <textarea id="teamRankings" rows="6">${teamRankings.join('\n')}</textarea>
+                            <small style="color: #666;">Used by the lowest-ranked home team strategy and upset bonus lives</small>
                         </div>
                     </div>
                     
+                    <div class="settings-form">
+                        <h4>Deadline Overrides</h4>
+                        ${Object.keys(deadlineSettings.overrides).length === 0 ? '<p style="color: #666;">No gameweek has an overridden deadline.</p>' : `
+                            <ul>
+                                ${Object.entries(deadlineSettings.overrides).map(([key, deadline]) => `
+                                    <li>Game Week ${key.replace('gw', '')}: ${formatDeadline(deadline)}</li>
+                                `).join('')}
+                            </ul>
+                        `}
+                        <div class="form-group">
+                            <label>Game Week</label>
+                            <input type="number" id="deadlineOverrideGameweek" value="${settings.active_gameweek || 1}" min="1">
+                        </div>
+                        <div class="form-group">
+                            <label>New Deadline (${timeZone} time)</label>
+                            <input type="datetime-local" id="deadlineOverrideTime">
+                        </div>
+                        <div class="form-group">
+                            <label>Reason</label>
+                            <input type="text" id="deadlineOverrideReason" placeholder="e.g. Fixtures moved for TV">
+                        </div>
+                        <button class="btn btn-secondary" onclick="window.adminManager.overrideDeadline()">
+                            <i class="fas fa-clock"></i> Override Deadline
+                        </button>
+                        <button class="btn btn-secondary" onclick="window.adminManager.overrideDeadline(true)">
+                            <i class="fas fa-undo"></i> Use Calculated Deadline
+                        </button>
+                    </div>
+
                     <div class="admin-actions">
                         <button class="btn btn-warning" onclick="window.adminManager.processGameweek()">
                             Process Gameweek Results
@@ -1028,10 +1159,528 @@ export default class AdminManager {
         }
     }
 
+    async loadAuditContent() {
+        const adminContent = document.getElementById('adminContent');
+        if (!adminContent) return;
+
+        const differences = this.lastAudit?.differences || [];
+        const warnings = this.lastAudit?.warnings || [];
+        const formatValue = value => (value === null || value === undefined ? '—' : value);
+
+        adminContent.innerHTML = `
+            <div class="admin-section">
+                <div class="admin-section-header">
+                    <h3>Edition Replay &amp; Audit</h3>
+                    <div class="admin-actions">
+                        <button class="btn btn-primary" onclick="window.adminManager.runEditionAudit()">
+                            <i class="fas fa-redo"></i> Replay Edition
+                        </button>
+                        <button class="btn btn-warning" onclick="window.adminManager.applyEditionAuditFixes()" ${differences.length === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-check"></i> Apply ${differences.length} Fixes
+                        </button>
+                        <button class="btn btn-secondary" onclick="window.adminManager.backfillUsedTeamClaims()">
+                            <i class="fas fa-lock"></i> Backfill Team Claims
+                        </button>
+                    </div>
+                </div>
+
+                <p style="color: #666;">Rebuilds every pick result, lives count, elimination gameweek and final position from the fixtures and picks, and shows where the stored data disagrees.</p>
+                <p style="color: #666;">Backfill Team Claims records the teams used by picks made before team reuse was enforced, so they can't be picked again.</p>
+
+                ${!this.lastAudit ? '<p>Run a replay to check this edition.</p>' : ''}
+                ${this.lastAudit && differences.length === 0 ? '<p>✅ Stored data matches the replay.</p>' : ''}
+
+                ${warnings.length > 0 ? `
+                    <div class="audit-warnings">
+                        ${warnings.map(warning => `<p>⚠️ ${warning}</p>`).join('')}
+                    </div>
+                ` : ''}
+
+                ${differences.length > 0 ? `
+                    <div class="users-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Type</th>
+                                    <th>Player</th>
+                                    <th>Field</th>
+                                    <th>Stored</th>
+                                    <th>Replayed</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${differences.flatMap(difference => Object.entries(difference.changes).map(([field, change]) => `
+                                    <tr>
+                                        <td>${difference.collection === 'picks' ? `Pick GW${difference.gameweek}` : 'Player'}</td>
+                                        <td>${this.lastAudit.playerNames[difference.userId] || difference.userId}</td>
+                                        <td>${field}</td>
+                                        <td>${formatValue(change.stored)}</td>
+                                        <td>${formatValue(change.expected)}</td>
+                                    </tr>
+                                `)).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    async runEditionAudit() {
+        try {
+            const currentClub = window.clubService?.getCurrentClub();
+            const currentEdition = window.clubService?.getCurrentEdition();
+
+            if (!currentClub || !currentEdition) {
+                window.authManager.showError('Select a club and edition first');
+                return;
+            }
+
+            const auditService = new EditionAuditService(this.db, window.gameLogicManager);
+            const audit = await auditService.audit(currentClub, currentEdition);
+
+            const usersSnapshot = await this.db.collection('clubs').doc(currentClub)
+                .collection('editions').doc(currentEdition)
+                .collection('users')
+                .get();
+            const playerNames = {};
+            usersSnapshot.forEach(doc => {
+                playerNames[doc.id] = doc.data().displayName;
+            });
+
+            this.lastAudit = { ...audit, clubId: currentClub, editionId: currentEdition, playerNames };
+            await this.loadAuditContent();
+        } catch (error) {
+            console.error('Error running edition audit:', error);
+            window.authManager.showError('Failed to replay edition');
+        }
+    }
+
+    async applyEditionAuditFixes() {
+        if (!this.lastAudit || this.lastAudit.differences.length === 0) return;
+
+        if (!confirm(`Apply ${this.lastAudit.differences.length} fixes from the replay? This overwrites the stored results and lives.`)) {
+            return;
+        }
+
+        try {
+            const { clubId, editionId, differences } = this.lastAudit;
+            const auditService = new EditionAuditService(this.db, window.gameLogicManager);
+            await auditService.applyFixes(clubId, editionId, differences);
+
+            window.authManager.showSuccess(`Applied ${differences.length} fixes`);
+
+            // Replay again so the panel shows what is stored now
+            await this.runEditionAudit();
+            window.gameLogicManager?.loadStandings();
+        } catch (error) {
+            console.error('Error applying edition audit fixes:', error);
+            window.authManager.showError('Failed to apply fixes');
+        }
+    }
+
+    async backfillUsedTeamClaims() {
+        const currentClub = window.clubService?.getCurrentClub();
+        const currentEdition = window.clubService?.getCurrentEdition();
+
+        if (!currentClub || !currentEdition) {
+            window.authManager.showError('Select a club and edition first');
+            return;
+        }
+
+        try {
+            const auditService = new EditionAuditService(this.db, window.gameLogicManager);
+            const { created, deleted, conflicts } = await auditService.backfillUsedTeamClaims(currentClub, currentEdition);
+
+            if (conflicts.length > 0) {
+                console.warn('⚠️ AdminManager: Teams picked twice in one round:', conflicts);
+                window.authManager.showError(`Claimed ${created} teams; ${conflicts.length} picks reuse a team already used - check them in the console`);
+            } else {
+                window.authManager.showSuccess(`Claimed ${created} teams${deleted > 0 ? `, replacing ${deleted} claims keyed by name` : ''}`);
+            }
+        } catch (error) {
+            console.error('Error backfilling used-teams claims:', error);
+            window.authManager.showError('Failed to backfill team claims');
+        }
+    }
+
+    createPaymentService() {
+        return new PaymentService(this.db, {
+            runnerId: window.authManager?.currentUser?.uid || 'unknown'
+        });
+    }
+
+    async loadInsightsContent() {
+        const adminContent = document.getElementById('adminContent');
+        if (!adminContent) return;
+
+        const insightsService = window.insightsService;
+        if (!window.clubService?.getCurrentClub() || !window.clubService?.getCurrentEdition() || !insightsService) {
+            adminContent.innerHTML = '<p>Select a club and edition first.</p>';
+            return;
+        }
+
+        try {
+            // Admins see gameweeks that are still open too, so the players' Stats tab can lag behind this
+            const insights = await insightsService.loadInsights(false);
+            const percent = (value) => `${Math.round(value * 100)}%`;
+
+            adminContent.innerHTML = `
+                <div class="admin-section">
+                    <div class="admin-section-header">
+                        <h3>Edition Insights</h3>
+                        <div>
+                            <button class="btn btn-secondary" onclick="window.insightsService.exportCsv()">
+                                <i class="fas fa-download"></i> Export CSV
+                            </button>
+                            <button class="btn btn-secondary" onclick="window.insightsService.exportJson()">
+                                <i class="fas fa-download"></i> Export JSON
+                            </button>
+                        </div>
+                    </div>
+
+                    ${insightsService.renderInsights(insights)}
+
+                    ${insights && insights.autopicks.byGameweek.length > 0 ? `
+                        <h4>Auto-picks by Gameweek</h4>
+                        <div class="users-table">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Gameweek</th>
+                                        <th>Auto-picks</th>
+                                        <th>Share</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${insights.autopicks.byGameweek.map(row => `
+                                        <tr>
+                                            <td>GW${row.gameweek}</td>
+                                            <td>${row.count} of ${row.total}</td>
+                                            <td>${percent(row.share)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        } catch (error) {
+            console.error('Error loading insights content:', error);
+            adminContent.innerHTML = '<p>Error loading insights</p>';
+        }
+    }
+
+    // Entry fees, who has paid, and the prize pot (see PaymentLedger)
+    async loadPaymentsContent() {
+        const adminContent = document.getElementById('adminContent');
+        if (!adminContent) return;
+
+        const currentClub = window.clubService?.getCurrentClub();
+        const currentEdition = window.clubService?.getCurrentEdition();
+        if (!currentClub || !currentEdition) {
+            adminContent.innerHTML = '<p>Select a club and edition first.</p>';
+            return;
+        }
+
+        try {
+            const paymentSettings = resolvePaymentSettings(window.editionService.getSettings());
+            const buyBackSettings = resolveBuyBackSettings(window.editionService.getSettings());
+            const { currency } = paymentSettings;
+            const [usersSnapshot, payments] = await Promise.all([
+                this.db.collection('clubs').doc(currentClub)
+                    .collection('editions').doc(currentEdition)
+                    .collection('users')
+                    .get(),
+                this.createPaymentService().getLedger(currentClub, currentEdition)
+            ]);
+            const users = usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const playerNames = Object.fromEntries(users.map(user => [user.id, user.displayName || user.id]));
+
+            // Once the edition is decided the prize goes to everyone in first place
+            const winners = users.filter(user => user.finalPosition === 1).length || 1;
+            const pot = calculatePrizePot(payments, paymentSettings, { winners });
+            const statusBadge = { paid: 'success', pending: 'warning', refunded: 'secondary', failed: 'danger', unpaid: 'danger' };
+
+            adminContent.innerHTML = `
+                <div class="admin-section">
+                    <div class="admin-section-header">
+                        <h3>Entry Fees &amp; Prize Pot</h3>
+                        <button class="btn btn-primary" onclick="window.adminManager.savePaymentSettings()">
+                            <i class="fas fa-save"></i> Save Fee Settings
+                        </button>
+                    </div>
+
+                    <div class="admin-stats">
+                        <div class="stat-card">
+                            <div class="stat-number">${formatMoney(pot.collectedPence, currency)}</div>
+                            <div class="stat-label">Collected (${pot.paidPlayers} of ${users.length} paid)</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number">${formatMoney(pot.clubSharePence, currency)}</div>
+                            <div class="stat-label">Club (${paymentSettings.prizeClubPercent}%)</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number">${formatMoney(pot.winnerSharePence, currency)}</div>
+                            <div class="stat-label">Prize${winners > 1 ? ` (${formatMoney(pot.perWinnerPence, currency)} each)` : ''}</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number">${formatMoney(pot.pendingPence, currency)}</div>
+                            <div class="stat-label">Pending</div>
+                        </div>
+                    </div>
+
+                    <div class="settings-form">
+                        <div class="form-group">
+                            <label>Entry Fee</label>
+                            <input type="text" id="entryFee" value="${(paymentSettings.entryFeePence / 100).toFixed(2)}" inputmode="decimal">
+                            <small style="color: #666;">0 for a free edition</small>
+                        </div>
+                        <div class="form-group">
+                            <label>Club Share of the Pot (%)</label>
+                            <input type="number" id="prizeClubPercent" value="${paymentSettings.prizeClubPercent}" min="0" max="100">
+                            <small style="color: #666;">The winner, or winners sharing the prize, get the rest</small>
+                        </div>
+                        <div class="form-group">
+                            <label>Unpaid Players Can't Pick From Game Week</label>
+                            <input type="number" id="paymentRequiredFromGameweek" value="${paymentSettings.paymentRequiredFromGameweek ?? ''}" min="1" placeholder="Never">
+                            <small style="color: #666;">From this game week, players who haven't paid miss the gameweek and lose a life</small>
+                        </div>
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" id="buyBackEnabled" ${buyBackSettings.enabled ? 'checked' : ''}>
+                                Let eliminated players buy back in
+                            </label>
+                        </div>
+                        <div class="form-group">
+                            <label>Buy-back Price</label>
+                            <input type="text" id="buyBackPrice" value="${(buyBackSettings.pricePence / 100).toFixed(2)}" inputmode="decimal">
+                            <small style="color: #666;">Goes into the prize pot</small>
+                        </div>
+                        <div class="form-group">
+                            <label>Lives per Buy-back</label>
+                            <input type="number" id="buyBackLives" value="${buyBackSettings.lives}" min="1">
+                        </div>
+                        <div class="form-group">
+                            <label>Last Game Week to Buy Back In For</label>
+                            <input type="number" id="buyBackCutoff" value="${buyBackSettings.cutoffGameweek ?? ''}" min="1" placeholder="No cut-off">
+                        </div>
+                        <div class="form-group">
+                            <label>Buy-backs per Player</label>
+                            <input type="number" id="buyBackMaxReentries" value="${buyBackSettings.maxReentries}" min="0">
+                        </div>
+                    </div>
+
+                    <div class="users-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Player</th>
+                                    <th>Status</th>
+                                    <th>Paid</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${users.map(user => {
+                                    const status = user.paymentStatus || 'unpaid';
+                                    return `
+                                        <tr>
+                                            <td>${user.displayName || user.id}</td>
+                                            <td><span class="badge ${statusBadge[status] || 'secondary'}">${PAYMENT_STATUSES[status]?.label || 'Unpaid'}</span></td>
+                                            <td>${formatMoney(user.amountPaidPence || 0, currency)}</td>
+                                            <td>
+                                                ${status !== 'paid' ? `
+                                                    <button class="btn btn-sm btn-secondary" onclick="window.adminManager.markCashPayment('${user.id}')">
+                                                        Mark Cash Paid
+                                                    </button>
+                                                ` : ''}
+                                            </td>
+                                        </tr>
+                                    `;
+                                }).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <h4>Payments Ledger</h4>
+                    ${payments.length === 0 ? '<p style="color: #666;">No payments recorded yet.</p>' : `
+                        <div class="users-table">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Date</th>
+                                        <th>Player</th>
+                                        <th>Amount</th>
+                                        <th>For</th>
+                                        <th>Method</th>
+                                        <th>Status</th>
+                                        <th>Reference</th>
+                                        <th>Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${payments.map(payment => `
+                                        <tr>
+                                            <td>${formatDeadline(payment.created_at)}</td>
+                                            <td>${playerNames[payment.userId] || payment.userId}</td>
+                                            <td>${formatMoney(payment.amountPence, payment.currency || currency)}</td>
+                                            <td>${PAYMENT_PURPOSES[payment.purpose || 'entry']?.label || payment.purpose}</td>
+                                            <td>${PAYMENT_METHODS[payment.method]?.label || payment.method}</td>
+                                            <td>${PAYMENT_STATUSES[payment.status]?.label || payment.status}</td>
+                                            <td>${payment.reference || payment.note || ''}</td>
+                                            <td>
+                                                ${payment.status === 'paid' ? `
+                                                    <button class="btn btn-sm btn-danger" onclick="window.adminManager.refundPayment('${payment.id}')">
+                                                        Refund
+                                                    </button>
+                                                ` : ''}
+                                                ${payment.status === 'pending' && payment.method !== 'card' ? `
+                                                    <button class="btn btn-sm btn-secondary" onclick="window.adminManager.confirmPayment('${payment.id}')">
+                                                        Mark Paid
+                                                    </button>
+                                                ` : ''}
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+            `;
+        } catch (error) {
+            console.error('Error loading payments content:', error);
+            adminContent.innerHTML = '<p>Error loading payments</p>';
+        }
+    }
+
+    async savePaymentSettings() {
+        try {
+            const entryFeePence = parseMoney(document.getElementById('entryFee').value);
+            if (entryFeePence === null) {
+                window.authManager.showError('Enter the entry fee as an amount, e.g. 10 or 10.50');
+                return;
+            }
+            const prizeClubPercent = Math.min(100, Math.max(0, parseInt(document.getElementById('prizeClubPercent').value) || 0));
+            const paymentRequiredFromGameweek = parseInt(document.getElementById('paymentRequiredFromGameweek').value) || null;
+            const buyBackPricePence = parseMoney(document.getElementById('buyBackPrice').value);
+            if (buyBackPricePence === null) {
+                window.authManager.showError('Enter the buy-back price as an amount, e.g. 5 or 5.50');
+                return;
+            }
+
+            const settingsRef = window.editionService.getSettingsRef();
+            if (!settingsRef) throw new Error('Edition settings not available');
+
+            await settingsRef.set({
+                entryFeePence: entryFeePence,
+                prizeClubPercent: prizeClubPercent,
+                paymentRequiredFromGameweek: paymentRequiredFromGameweek,
+                buyBack: {
+                    enabled: document.getElementById('buyBackEnabled').checked,
+                    pricePence: buyBackPricePence,
+                    lives: Math.max(1, parseInt(document.getElementById('buyBackLives').value) || 1),
+                    cutoffGameweek: parseInt(document.getElementById('buyBackCutoff').value) || null,
+                    maxReentries: Math.max(0, parseInt(document.getElementById('buyBackMaxReentries').value) || 0)
+                },
+                updated_at: new Date()
+            }, { merge: true });
+            await window.editionService.loadSettings?.();
+
+            // A new fee can change who counts as paid
+            await this.createPaymentService().syncAllPlayers(window.clubService.getCurrentClub(), window.clubService.getCurrentEdition());
+
+            window.authManager.showSuccess('Fee settings saved');
+            await this.loadPaymentsContent();
+        } catch (error) {
+            console.error('Error saving payment settings:', error);
+            window.authManager.showError('Failed to save fee settings');
+        }
+    }
+
+    async markCashPayment(userId) {
+        const { entryFeePence, currency } = resolvePaymentSettings(window.editionService.getSettings());
+        const amount = prompt(`Cash received (${currency}):`, (entryFeePence / 100).toFixed(2));
+        if (amount === null) return;
+
+        const amountPence = parseMoney(amount);
+        if (!amountPence) {
+            window.authManager.showError('Enter the amount received, e.g. 10 or 10.50');
+            return;
+        }
+
+        try {
+            const clubId = window.clubService.getCurrentClub();
+            const editionId = window.clubService.getCurrentEdition();
+            const paymentId = await this.createPaymentService().recordPayment(clubId, editionId, {
+                userId,
+                amountPence,
+                method: 'cash',
+                status: 'paid'
+            });
+            await window.gameLogicManager?.logAuditEvent('PAYMENT_RECORDED', { clubId, editionId, userId, paymentId, amountPence, method: 'cash' });
+
+            window.authManager.showSuccess(`${formatMoney(amountPence, currency)} cash payment recorded`);
+            await this.loadPaymentsContent();
+        } catch (error) {
+            console.error('Error recording cash payment:', error);
+            window.authManager.showError('Failed to record payment');
+        }
+    }
+
+    // Re-enter an eliminated player, recording what they paid (see PaymentService.buyBack)
+    async buyBackUser(userId) {
+        const { pricePence } = resolveBuyBackSettings(window.editionService.getSettings());
+        const priceText = pricePence > 0 ? ` for ${formatMoney(pricePence)} (cash)` : '';
+        if (!confirm(`Buy this player back in${priceText}? They re-enter from the next game week still open.`)) {
+            return;
+        }
+
+        try {
+            const clubId = window.clubService.getCurrentClub();
+            const editionId = window.clubService.getCurrentEdition();
+            const result = await this.createPaymentService().buyBack(clubId, editionId, userId, { method: 'cash' });
+            await window.gameLogicManager?.logAuditEvent('LIFE_GRANTED', { clubId, editionId, userId, type: 'buyBack', ...result });
+
+            window.authManager.showSuccess(`Player bought back in from Game Week ${result.gameweek} with ${result.lives} ${result.lives === 1 ? 'life' : 'lives'}`);
+            await this.loadUsersContent();
+        } catch (error) {
+            console.error('Error buying player back in:', error);
+            window.authManager.showError(error.code === 'invalid-payment' ? error.message : 'Failed to buy player back in');
+        }
+    }
+
+    async confirmPayment(paymentId) {
+        await this.changePaymentStatus(paymentId, 'paid', 'PAYMENT_CONFIRMED', 'Payment marked as paid');
+    }
+
+    async refundPayment(paymentId) {
+        const reason = prompt('Reason for the refund (optional):');
+        if (reason === null) return;
+        await this.changePaymentStatus(paymentId, 'refunded', 'PAYMENT_REFUNDED', 'Payment refunded', reason.trim() || null);
+    }
+
+    async changePaymentStatus(paymentId, status, auditAction, successMessage, note = null) {
+        try {
+            const clubId = window.clubService.getCurrentClub();
+            const editionId = window.clubService.getCurrentEdition();
+            const summary = await this.createPaymentService().setPaymentStatus(clubId, editionId, paymentId, status, note);
+            await window.gameLogicManager?.logAuditEvent(auditAction, { clubId, editionId, paymentId, note, playerStatus: summary.status });
+
+            window.authManager.showSuccess(successMessage);
+            await this.loadPaymentsContent();
+        } catch (error) {
+            console.error('Error updating payment:', error);
+            window.authManager.showError('Failed to update payment');
+        }
+    }
+
     // Admin action methods
     async resetUserLives(userId) {
         try {
-            await window.gameLogicManager.resetUserLives(userId, 2);
+            await window.gameLogicManager.resetUserLives(userId, window.editionService.getLivesPerPlayer());
             window.authManager.showSuccess('User lives reset successfully');
             this.loadUsersContent(); // Refresh the users list
         } catch (error) {
@@ -1368,9 +2017,18 @@ export default class AdminManager {
         }
 
         try {
+            const currentClub = window.losApp?.managers?.club?.getCurrentClub();
+            const currentEdition = window.losApp?.managers?.club?.getCurrentEdition();
             const currentGameweek = window.editionService.getCurrentGameweek();
-            await window.gameLogicManager.processGameweekResults(currentGameweek);
-            window.authManager.showSuccess('Gameweek results processed successfully');
+
+            const summary = await window.gameLogicManager.processGameweekResults(currentClub, currentEdition, currentGameweek);
+            if (!summary) {
+                throw new Error('Settlement failed');
+            }
+
+            window.authManager.showSuccess(summary.status === 'settled'
+                ? `Gameweek ${currentGameweek} settled`
+                : `Gameweek ${currentGameweek} results processed - still waiting on some fixtures`);
         } catch (error) {
             console.error('Error processing gameweek:', error);
             window.authManager.showError('Failed to process gameweek results');
@@ -1383,7 +2041,7 @@ export default class AdminManager {
         }
 
         try {
-            await window.gameLogicManager.resetAllLives(2);
+            await window.gameLogicManager.resetAllLives(window.editionService.getLivesPerPlayer());
             window.authManager.showSuccess('All player lives reset successfully');
         } catch (error) {
             console.error('Error resetting all lives:', error);
@@ -1396,6 +2054,32 @@ export default class AdminManager {
             const currentGameweek = parseInt(document.getElementById('currentGameweek').value);
             const registrationOpen = document.getElementById('registrationOpen').value === 'true';
             const tiebreakEnabled = document.getElementById('tiebreakEnabled').value === 'true';
+            const tiebreakRules = [0, 1, 2]
+                .map(index => document.getElementById(`tiebreakRule${index}`)?.value)
+                .filter(Boolean);
+            const voidMatchPolicy = document.getElementById('voidMatchPolicy').value;
+            const voidMatchFallback = document.getElementById('voidMatchFallback').value;
+            const autoPickAlgorithm = document.getElementById('autoPickAlgorithm').value;
+            const teamRankings = document.getElementById('teamRankings').value
+                .split('\n')
+                .map(team => team.trim())
+                .filter(Boolean);
+            const livesPerPlayer = parseInt(document.getElementById('livesPerPlayer').value) || 2;
+            const format = document.getElementById('editionFormat').value;
+            const totalGameweeks = parseInt(document.getElementById('totalGameweeks').value) || 10;
+            const formatOptions = {
+                resetEvery: parseInt(document.getElementById('resetEvery').value) || 0
+            };
+            const livesCap = parseInt(document.getElementById('livesCap').value);
+            const deadlineOffsetMinutes = Math.max(0, parseInt(document.getElementById('deadlineOffsetMinutes').value) || 0);
+            const deadlineMode = document.getElementById('deadlineMode').value;
+            const resultRules = {
+                drawPolicy: document.getElementById('drawPolicy').value,
+                awayWinBonusLives: parseInt(document.getElementById('awayWinBonusLives').value) || 0,
+                upsetBonusLives: parseInt(document.getElementById('upsetBonusLives').value) || 0,
+                upsetRankGap: parseInt(document.getElementById('upsetRankGap').value) || 10,
+                livesCap: isNaN(livesCap) ? null : livesCap
+            };
 
             await window.editionService.setActiveGameweek(currentGameweek.toString());
 
@@ -1406,6 +2090,32 @@ export default class AdminManager {
                 last_updated: firebase.firestore.FieldValue.serverTimestamp()
             });
 
+            // Game rules are read by GameLogicManager from the edition settings
+            const settingsRef = window.editionService.getSettingsRef();
+            if (settingsRef) {
+                await settingsRef.set({
+                    tiebreakEnabled: tiebreakEnabled,
+                    tiebreakRules: tiebreakRules,
+                    voidMatchPolicy: voidMatchPolicy,
+                    voidMatchFallback: voidMatchFallback,
+                    autoPickAlgorithm: autoPickAlgorithm,
+                    teamRankings: teamRankings,
+                    maxLives: livesPerPlayer,
+                    resultRules: resultRules,
+                    format: format,
+                    formatOptions: formatOptions,
+                    totalGameweeks: totalGameweeks,
+                    deadlineOffsetMinutes: deadlineOffsetMinutes,
+                    deadlineMode: deadlineMode,
+                    updated_at: new Date()
+                }, { merge: true });
+            }
+
+            // Deadlines are re-read with the new lock offset on the next check
+            if (window.losApp?.managers?.deadline) {
+                window.losApp.managers.deadline.deadlineSettingsCache = null;
+            }
+
             window.authManager.showSuccess('Settings saved successfully');
         } catch (error) {
             console.error('Error saving settings:', error);
@@ -1413,6 +2123,38 @@ export default class AdminManager {
         }
     }
 
+    // Moves one gameweek's deadline, or puts it back to the one worked out from the fixtures
+    async overrideDeadline(clear = false) {
+        try {
+            const gameweek = parseInt(document.getElementById('deadlineOverrideGameweek').value);
+            const newDeadline = clear ? null : document.getElementById('deadlineOverrideTime').value;
+            const reason = document.getElementById('deadlineOverrideReason').value.trim();
+
+            if (!gameweek) {
+                window.authManager.showError('Choose a game week');
+                return;
+            }
+            if (!clear && !newDeadline) {
+                window.authManager.showError('Choose the new deadline');
+                return;
+            }
+
+            const deadlineService = window.losApp?.managers?.deadline;
+            if (!deadlineService) throw new Error('Deadline service not available');
+
+            const { deadline } = await deadlineService.extendDeadline(gameweek, newDeadline, reason);
+            await window.editionService.loadSettings?.();
+
+            window.authManager.showSuccess(`Game Week ${gameweek} deadline is now ${deadline ? formatDeadline(deadline) : 'not set'}`);
+            await this.loadSettingsContent();
+        } catch (error) {
+            console.error('Error overriding deadline:', error);
+            window.authManager.showError(error.code === 'deadline-enforced'
+                ? 'This game week has already locked - its deadline can no longer be changed'
+                : 'Failed to override deadline');
+        }
+    }
+
     async exportUsers() {
         try {
             const currentEdition = window.editionService.getCurrentEdition();
@@ -1898,7 +2640,7 @@ export default class AdminManager {
             }
 
             // Get total gameweeks for the selected edition (default to 10 if not available)
-            const totalGameweeks = 10; // Default value, can be enhanced later
+            const totalGameweeks = window.editionService?.getTotalGameweeks() || 10;
 
             // Clear existing options
             gameweekSelect.innerHTML = '<option value="">All Gameweeks</option>';
@@ -2171,6 +2913,7 @@ export default class AdminManager {
                                         <option value="half-time" ${fixture.status === 'half-time' ? 'selected' : ''}>Half-time</option>
                                         <option value="completed" ${fixture.status === 'completed' ? 'selected' : ''}>Completed</option>
                                         <option value="postponed" ${fixture.status === 'postponed' ? 'selected' : ''}>Postponed</option>
+                                        <option value="abandoned" ${fixture.status === 'abandoned' ? 'selected' : ''}>Abandoned</option>
                                         <option value="cancelled" ${fixture.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
                                     </select>
                                 </div>
@@ -2275,6 +3018,20 @@ export default class AdminManager {
                 return;
             }
 
+            // Fixtures stored one per document can be corrected after settlement; older gameweek documents hold an array
+            const clubId = this.currentEditingClub || 'altrincham-fc-juniors';
+            const fixtureDoc = fixture.id
+                ? await this.db.collection('clubs').doc(clubId)
+                    .collection('editions').doc(this.currentEditingEdition)
+                    .collection('fixtures').doc(fixture.id)
+                    .get()
+                : null;
+
+            if (fixtureDoc?.exists && !Array.isArray(fixtureDoc.data().fixtures)) {
+                await this.saveFixtureScore(clubId, fixture, { homeScore: homeScoreNum, awayScore: awayScoreNum, status: status });
+                return;
+            }
+
             // Update fixture data
             fixture.homeScore = homeScoreNum;
             fixture.awayScore = awayScoreNum;
@@ -2284,7 +3041,7 @@ export default class AdminManager {
             // Save to database
             const gameweek = fixture.gameweek || this.currentEditingGameweek;
             const fixturesRef = this.db.collection('clubs')
-                .doc(this.currentEditingClub || 'altrincham-fc-juniors')
+                .doc(clubId)
                 .collection('editions')
                 .doc(this.currentEditingEdition)
                 .collection('fixtures')
@@ -2329,6 +3086,39 @@ export default class AdminManager {
         }
     }
 
+    // Save a score on a fixture document. If the fixture has already been settled, the admin sees
+    // who the correction affects first, then the gameweek is re-settled.
+    async saveFixtureScore(clubId, fixture, correction) {
+        const editionId = this.currentEditingEdition;
+        const correctionPlan = await window.gameLogicManager.previewScoreCorrection(clubId, editionId, fixture.id, correction);
+
+        if (correctionPlan.wasSettled) {
+            if (!confirm(`This fixture has already been settled.\n\n${summariseScoreCorrection(correctionPlan)}\n\nSave the correction and re-settle the gameweek?`)) {
+                return;
+            }
+
+            await window.gameLogicManager.applyScoreCorrection(clubId, editionId, fixture.id, correction);
+            window.authManager.showSuccess(`Score corrected - ${correctionPlan.players.length} players affected`);
+        } else {
+            await this.db.collection('clubs').doc(clubId)
+                .collection('editions').doc(editionId)
+                .collection('fixtures').doc(fixture.id)
+                .update({
+                    ...correction,
+                    lastUpdated: new Date().toISOString(),
+                    updated_at: firebase.firestore.FieldValue.serverTimestamp()
+                });
+
+            if (isFixtureFinal(correction)) {
+                await window.gameLogicManager.settleGameweek(clubId, editionId, correctionPlan.gameweek);
+            }
+            window.authManager.showSuccess('Score updated successfully');
+        }
+
+        Object.assign(fixture, correction, { lastUpdated: new Date().toISOString() });
+        console.log('✅ AdminManager: Single score updated successfully');
+    }
+
     async bulkUpdateScores() {
         try {
             if (!this.currentEditingFixtures || !this.currentEditingEdition) {
@@ -2665,7 +3455,7 @@ export default class AdminManager {
         console.log('- window.losApp.managers exists:', !!(window.losApp?.managers));
         console.log('- window.losApp.managers.superAdmin exists:', !!(window.losApp?.managers?.superAdmin));
         console.log('- window.losApp.managers.superAdmin.isSuperAdmin:', window.losApp?.managers?.superAdmin?.isSuperAdmin);
-        console.log('- localStorage isSuperAdmin:', localStorage.getItem('isSuperAdmin'));
+        console.log('- Role claims:', window.adminManager?.roles);
 
         // Check current user
         if (window.authManager?.getCurrentUser) {
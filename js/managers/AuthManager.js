@@ -1,3 +1,7 @@
+import { hasAnyRole, normalizeRoleClaims } from '../services/RoleClaims.js';
+import { resolveResultRules } from '../services/ResultRules.js';
+import { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES, resolveNotificationPreferences } from '../services/NotificationTemplates.js';
+
 export default class AuthManager {
     constructor() {
         this.auth = window.firebaseAuth;
@@ -108,6 +112,27 @@ export default class AuthManager {
                 this.logout();
             });
         }
+
+        // Notification preferences
+        const notificationSettingsBtn = document.getElementById('notificationSettingsBtn');
+        if (notificationSettingsBtn) {
+            notificationSettingsBtn.addEventListener('click', () => {
+                this.showNotificationSettings();
+            });
+        }
+
+        const saveNotificationSettings = document.getElementById('saveNotificationSettings');
+        if (saveNotificationSettings) {
+            saveNotificationSettings.addEventListener('click', () => {
+                this.saveNotificationSettings();
+            });
+        }
+
+        document.querySelectorAll('#notificationModal .modal-close, #cancelNotificationSettings').forEach(button => {
+            button.addEventListener('click', () => {
+                this.hideNotificationSettings();
+            });
+        });
     }
 
     async login() {
@@ -143,42 +168,34 @@ export default class AuthManager {
             const userCredential = await this.auth.createUserWithEmailAndPassword(email, password);
             const user = userCredential.user;
 
+            // Players start with the edition's lives per player
+            const editionRef = this.db.collection('clubs').doc(club)
+                .collection('editions').doc(edition);
+            const [settingsDoc, editionDoc] = await Promise.all([
+                editionRef.collection('settings').doc('current').get(),
+                editionRef.get()
+            ]);
+            const startingLives = resolveResultRules(settingsDoc.exists ? settingsDoc.data() : {}, editionDoc.exists ? editionDoc.data() : {}).livesPerPlayer;
+
             // Create user profile in Firestore using new club-based structure
-            await this.db.collection('clubs').doc(club)
-                .collection('editions').doc(edition)
-                .collection('users').doc(user.uid).set({
-                    uid: user.uid,
-                    displayName: name,
-                    email: email,
-                    lives: 2,
-                    picks: {},
-                    registeredAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    lastPickAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    isActive: true,
-                    isEliminated: false,
-                    eliminationGameweek: null,
-                    finalPosition: null,
-                    isAdmin: false,
-                    created_at: firebase.firestore.FieldValue.serverTimestamp(),
-                    updated_at: firebase.firestore.FieldValue.serverTimestamp()
-                });
-
-            // Create initial pick record for first gameweek (will be auto-assigned later)
-            await this.db.collection('clubs').doc(club)
-                .collection('editions').doc(edition)
-                .collection('picks').add({
-                    userId: user.uid,
-                    teamPicked: null,
-                    gameweek: 1,
-                    fixtureId: null,
-                    isAutopick: true,
-                    result: null,
-                    livesAfterPick: 2,
-                    savedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    processedAt: null,
-                    created_at: firebase.firestore.FieldValue.serverTimestamp(),
-                    updated_at: firebase.firestore.FieldValue.serverTimestamp()
-                });
+            await editionRef.collection('users').doc(user.uid).set({
+                uid: user.uid,
+                displayName: name,
+                email: email,
+                lives: startingLives,
+                picks: {},
+                registeredAt: firebase.firestore.FieldValue.serverTimestamp(),
+                lastPickAt: firebase.firestore.FieldValue.serverTimestamp(),
+                isActive: true,
+                isEliminated: false,
+                eliminationGameweek: null,
+                finalPosition: null,
+                // Kept up to date from the payments ledger by PaymentService
+                paymentStatus: 'unpaid',
+                amountPaidPence: 0,
+                created_at: firebase.firestore.FieldValue.serverTimestamp(),
+                updated_at: firebase.firestore.FieldValue.serverTimestamp()
+            });
 
             // Set current club and edition
             if (window.losApp && window.losApp.managers.club &&
@@ -392,11 +409,10 @@ export default class AuthManager {
                 // Show main app (hide loading screen)
                 this.showMainApp();
 
-                // Check if user is admin - don't show panel automatically, let AdminManager handle it
-                if (userData.isAdmin) {
-                    console.log('🔍 AuthManager: User is admin, but not auto-showing admin panel');
-                    // The AdminManager will handle showing the admin panel when the admin button is clicked
-                }
+                this.showUnreadNotifications();
+
+                // Admin access comes from role claims - don't show panel automatically, let AdminManager handle it
+                this.isAdmin = hasAnyRole(await this.getRoleClaims());
 
                 // Notify SuperAdminManager about the current user
                 console.log('🔍 AuthManager: Attempting to notify SuperAdminManager...');
@@ -432,6 +448,150 @@ export default class AuthManager {
         }
     }
 
+    // Show notifications left for the player since they were last here, such as score corrections
+    async showUnreadNotifications() {
+        try {
+            const clubId = window.losApp?.managers?.club?.getCurrentClub();
+            const editionId = window.losApp?.managers?.club?.getCurrentEdition();
+            if (!clubId || !editionId || !this.currentUser?.uid) return;
+
+            const snapshot = await this.db.collection('clubs').doc(clubId)
+                .collection('editions').doc(editionId)
+                .collection('notifications')
+                .where('userId', '==', this.currentUser.uid)
+                .where('readAt', '==', null)
+                .get();
+
+            for (const doc of snapshot.docs) {
+                this.showInfo(doc.data().message);
+                await doc.ref.update({ readAt: new Date() });
+            }
+        } catch (error) {
+            console.error('AuthManager: Error loading notifications:', error);
+        }
+    }
+
+    // The player's document in the current edition, where notification preferences are kept
+    getEditionUserRef() {
+        const clubId = window.losApp?.managers?.club?.getCurrentClub();
+        const editionId = window.losApp?.managers?.club?.getCurrentEdition();
+        if (!clubId || !editionId || !this.currentUser?.uid) return null;
+
+        return this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId)
+            .collection('users').doc(this.currentUser.uid);
+    }
+
+    async showNotificationSettings() {
+        const modal = document.getElementById('notificationModal');
+        const form = document.getElementById('notificationPreferencesForm');
+        const userRef = this.getEditionUserRef();
+        if (!modal || !form) return;
+        if (!userRef) {
+            this.showWarning('Choose a club and edition to set up notifications');
+            return;
+        }
+
+        try {
+            const userDoc = await userRef.get();
+            const preferences = resolveNotificationPreferences(userDoc.exists ? userDoc.data() : {});
+            const checkbox = (key, label) => `
+                <label class="flex items-center gap-2">
+                    <input type="checkbox" name="${key}" ${preferences[key] ? 'checked' : ''}>
+                    <span>${label}</span>
+                </label>`;
+
+            form.innerHTML = `
+                <h4>Tell me</h4>
+                ${Object.entries(NOTIFICATION_TYPES).map(([key, type]) => checkbox(key, type.label)).join('')}
+                <label>
+                    <span>Remind me this many hours before a deadline</span>
+                    <input type="number" name="reminderHours" min="1" max="168" value="${preferences.reminderHours}">
+                </label>
+                <h4>By</h4>
+                ${Object.entries(NOTIFICATION_CHANNELS).map(([key, channel]) => checkbox(key, channel.label)).join('')}
+                <p class="text-sm">You'll always see them here in the app too.</p>
+            `;
+            modal.classList.remove('hidden');
+        } catch (error) {
+            console.error('AuthManager: Error loading notification preferences:', error);
+            this.showError('Failed to load notification settings');
+        }
+    }
+
+    hideNotificationSettings() {
+        const modal = document.getElementById('notificationModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    async saveNotificationSettings() {
+        const form = document.getElementById('notificationPreferencesForm');
+        const userRef = this.getEditionUserRef();
+        if (!form || !userRef) return;
+
+        const notificationPreferences = {};
+        [...Object.keys(NOTIFICATION_TYPES), ...Object.keys(NOTIFICATION_CHANNELS)].forEach(key => {
+            notificationPreferences[key] = form.querySelector(`[name="${key}"]`).checked;
+        });
+        notificationPreferences.reminderHours = Number(form.querySelector('[name="reminderHours"]').value) || 24;
+
+        try {
+            // Push needs this browser's permission and a token the server can send to
+            if (notificationPreferences.push && !await this.enablePushNotifications(userRef)) {
+                notificationPreferences.push = false;
+                this.showWarning('Push notifications could not be turned on in this browser');
+            }
+
+            await userRef.update({
+                notificationPreferences,
+                updated_at: new Date()
+            });
+
+            this.hideNotificationSettings();
+            this.showSuccess('Notification settings saved');
+        } catch (error) {
+            console.error('AuthManager: Error saving notification preferences:', error);
+            this.showError('Failed to save notification settings');
+        }
+    }
+
+    /**
+     * Register this browser for web push and store its token on the player.
+     * @returns {Promise<boolean>} false when the browser can't, or the player said no
+     */
+    async enablePushNotifications(userRef) {
+        const vapidKey = window.getEnvVar?.('FIREBASE_VAPID_KEY');
+        if (!vapidKey || !window.firebase?.messaging || !('serviceWorker' in navigator) || !('Notification' in window)) {
+            return false;
+        }
+
+        try {
+            if (await Notification.requestPermission() !== 'granted') return false;
+
+            // The service worker has no access to the app's environment, so it is given the Firebase config
+            const config = window.firebaseConfig || {};
+            const params = new URLSearchParams({
+                apiKey: config.apiKey,
+                projectId: config.projectId,
+                messagingSenderId: config.messagingSenderId,
+                appId: config.appId
+            });
+            const serviceWorkerRegistration = await navigator.serviceWorker.register(`/firebase-messaging-sw.js?${params}`);
+            const token = await window.firebase.messaging().getToken({ vapidKey, serviceWorkerRegistration });
+            if (!token) return false;
+
+            await userRef.update({
+                pushTokens: window.firebase.firestore.FieldValue.arrayUnion(token)
+            });
+            return true;
+        } catch (error) {
+            console.error('AuthManager: Error enabling push notifications:', error);
+            return false;
+        }
+    }
+
     updateUserDisplay() {
         const userNameElement = document.getElementById('userName');
         const livesCountElement = document.getElementById('livesCount');
@@ -452,10 +612,10 @@ export default class AuthManager {
             // Try to get user data with a one-time listener instead of get()
             return new Promise((resolve) => {
                 const unsubscribe = this.db.collection('users').doc(this.currentUser.uid)
-                    .onSnapshot((doc) => {
+                    .onSnapshot(async (doc) => {
                         if (doc.exists) {
                             const userData = doc.data();
-                            this.isAdmin = userData.isAdmin || false;
+                            this.isAdmin = hasAnyRole(await this.getRoleClaims());
 
                             // Update UI with user data
                             this.updateUserUI(userData);
@@ -746,4 +906,19 @@ export default class AuthManager {
     isUserAdmin() {
         return this.isAdmin;
     }
+
+    // Roles set as custom claims by the manage-roles function. Pass forceRefresh after a role
+    // change, otherwise new claims only arrive when the ID token next refreshes (up to an hour).
+    async getRoleClaims(forceRefresh = false) {
+        const user = this.auth?.currentUser;
+        if (!user) return normalizeRoleClaims();
+
+        try {
+            const tokenResult = await user.getIdTokenResult(forceRefresh);
+            return normalizeRoleClaims(tokenResult.claims);
+        } catch (error) {
+            console.error('❌ AuthManager: Error reading role claims:', error);
+            return normalizeRoleClaims();
+        }
+    }
 }
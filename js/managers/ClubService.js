@@ -1,3 +1,6 @@
+import { isClubAdmin as hasClubAdminRole } from '../services/RoleClaims.js';
+import { getFixtureKickoff, resolveTimeZone } from '../services/DeadlineTimes.js';
+
 export default class ClubService {
     constructor() {
         this.isInitialized = false;
@@ -577,6 +580,11 @@ export default class ClubService {
         return this.clubData[clubId] || null;
     }
 
+    // The IANA time zone the club's fixture dates and kick-off times are in
+    getClubTimeZone(clubId = this.currentClub) {
+        return resolveTimeZone(this.clubData[clubId]?.timeZone);
+    }
+
     getClubPath(clubId, editionId = null) {
         if (editionId) {
             return `clubs/${clubId}/editions/${editionId}`;
@@ -811,19 +819,11 @@ export default class ClubService {
         return userClubs && userClubs[clubId] && userClubs[clubId].includes(editionId);
     }
 
-    // Check if user is admin for a specific club
-    async isClubAdmin(clubId, userId) {
+    // Check if the current user is admin for a specific club (from their role claims)
+    async isClubAdmin(clubId) {
         try {
-            const userDoc = await this.db.collection('clubs').doc(clubId)
-                .collection('editions').doc(this.currentEdition)
-                .collection('users').doc(userId).get();
-
-            if (userDoc.exists) {
-                const userData = userDoc.data();
-                return userData.isAdmin === true;
-            }
-
-            return false;
+            const roles = await window.authManager.getRoleClaims();
+            return hasClubAdminRole(roles, clubId);
         } catch (error) {
             console.error('ClubService: Error checking admin status:', error);
             return false;
@@ -936,6 +936,9 @@ export default class ClubService {
             currentGameweek: 1,
             gameweekDeadline: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(), // 1 week from now
             tiebreakEnabled: true,
+            tiebreakRules: ['goalDifference', 'mostWins', 'fewestAutopicks'],
+            voidMatchPolicy: 'win',
+            voidMatchFallback: 'win',
             autoPickEnabled: true,
             autoPickAlgorithm: 'alphabetical',
             registrationOpen: true,
@@ -1295,9 +1298,8 @@ To set up sample clubs, run:
         }
 
         if (nextButton) {
-            // We'll need to get total gameweeks from somewhere
-            // For now, assume 10 gameweeks
-            const totalGameweeks = 10;
+            // Length comes from the edition format, defaulting to 10 gameweeks
+            const totalGameweeks = window.editionService?.getTotalGameweeks() || 10;
             nextButton.disabled = currentGameweek >= totalGameweeks;
             nextButton.style.opacity = currentGameweek >= totalGameweeks ? '0.5' : '1';
         }
@@ -1352,6 +1354,9 @@ To set up sample clubs, run:
     // Optimized gameweek calculation from cached fixtures
     async calculateGameweekFromCachedFixtures() {
         const now = new Date();
+        const timeZone = this.getClubTimeZone();
+        // Under rolling deadlines a gameweek stays current until its last fixture locks
+        const rollingDeadlines = window.editionService?.getSettings?.()?.deadlineMode === 'fixture';
         let currentGameweek = 1;
 
         // Group fixtures by gameweek (optimized)
@@ -1378,29 +1383,17 @@ To set up sample clubs, run:
 
             console.log(`🎯 ClubService: Checking gameweek ${gameweek} with ${fixtures.length} fixtures`);
 
-            // Find the earliest kick-off time for this gameweek (optimized)
-            let earliestFixture = fixtures[0];
-            for (let j = 1; j < fixtures.length; j++) {
-                const fixture = fixtures[j];
-                try {
-                    const fixtureTime = new Date(`${fixture.date}T${fixture.kickOffTime || fixture.time}`);
-                    const earliestTime = new Date(`${earliestFixture.date}T${earliestFixture.kickOffTime || earliestFixture.time}`);
-
-                    if (!isNaN(fixtureTime.getTime()) && !isNaN(earliestTime.getTime()) && fixtureTime < earliestTime) {
-                        earliestFixture = fixture;
-                    }
-                } catch (error) {
-                    // Skip invalid dates
-                }
-            }
-
-            const deadlineTime = new Date(`${earliestFixture.date}T${earliestFixture.kickOffTime || earliestFixture.time}`);
-            if (isNaN(deadlineTime.getTime())) {
+            // Find the earliest (or for rolling deadlines the latest) kick-off time for this gameweek, in the club's time zone
+            const kickoffs = fixtures
+                .map(fixture => getFixtureKickoff(fixture, timeZone))
+                .filter(Boolean);
+            if (kickoffs.length === 0) {
                 console.log(`🎯 ClubService: Invalid deadline time for gameweek ${gameweek}, skipping`);
                 continue;
             }
 
             // Check if deadline has passed (with 1 day buffer for same-day deadlines)
+            const deadlineTime = new Date((rollingDeadlines ? Math.max : Math.min)(...kickoffs.map(kickoff => kickoff.getTime())));
             const deadlineBuffer = new Date(deadlineTime);
             deadlineBuffer.setDate(deadlineBuffer.getDate() - 1);
 
@@ -1,3 +1,7 @@
+import DeadlineEnforcementService from '../services/DeadlineEnforcementService.js';
+import NotificationService from '../services/NotificationService.js';
+import { calculateGameweekDeadline, formatDeadline, formatTimeUntilDeadline, getNextTeamLock, zonedTimeToInstant } from '../services/DeadlineTimes.js';
+
 export default class DeadlineService {
     constructor() {
         this.isInitialized = false;
@@ -5,6 +9,10 @@ export default class DeadlineService {
         this.deadlinePassed = false;
         this.deadlineCheckInterval = null;
         this.db = null;
+        this.currentDeadline = null;
+        this.teamLocks = null; // rolling deadlines: when each team in the current gameweek locks
+        this.lockedTeams = [];
+        this.deadlineSettingsCache = null;
 
         // Don't auto-initialize - wait for main app to control initialization
         // this.init();
@@ -77,6 +85,22 @@ export default class DeadlineService {
         }
     }
 
+    /**
+     * The club's time zone, the edition's lock offset and any per-gameweek overrides (see DeadlineTimes).
+     * Kept for a few minutes so the minute-by-minute checks don't re-read them every time.
+     */
+    async getDeadlineSettings(clubId, editionId, { refresh = false } = {}) {
+        const key = `${clubId}/${editionId}`;
+        const cached = this.deadlineSettingsCache;
+        if (!refresh && cached && cached.key === key && Date.now() - cached.loadedAt < 5 * 60 * 1000) {
+            return cached.settings;
+        }
+
+        const settings = await new DeadlineEnforcementService(this.db).loadDeadlineSettings(clubId, editionId);
+        this.deadlineSettingsCache = { key, settings, loadedAt: Date.now() };
+        return settings;
+    }
+
     async checkAllDeadlines() {
         try {
             // Ensure database connection is available
@@ -141,64 +165,14 @@ export default class DeadlineService {
 
             // Checking deadlines for gameweeks
 
-            // Check each gameweek for deadlines
+            // Check each gameweek for deadlines, in the club's time zone
+            const deadlineSettings = await this.getDeadlineSettings(currentClubId, currentEdition);
             for (const [gameweek, fixtures] of Object.entries(fixturesByGameweek)) {
                 if (fixtures.length === 0) continue;
 
-                // Find the earliest kick-off time for this gameweek
-                const earliestFixture = fixtures.reduce((earliest, fixture) => {
-                    try {
-                        let dateStr = fixture.date;
-                        if (dateStr && typeof dateStr === 'object') {
-                            // Handle Firestore Timestamp or Date object
-                            if (dateStr.toDate) {
-                                dateStr = dateStr.toDate().toISOString().split('T')[0];
-                            } else if (dateStr instanceof Date) {
-                                dateStr = dateStr.toISOString().split('T')[0];
-                            }
-                        }
-
-                        const kickOffTime = fixture.kickOffTime || '15:00';
-                        const fixtureTime = new Date(`${dateStr}T${kickOffTime}`);
-                        const earliestKickoff = earliest.kickOffTime || '15:00';
-                        const earliestTime = new Date(`${earliest.date}T${earliestKickoff}`);
-
-                        // Validate dates
-                        if (isNaN(fixtureTime.getTime())) {
-                            console.warn(`⚠️ DeadlineService: Invalid fixture date/time for ${fixture.homeTeam} vs ${fixture.awayTeam}:`, {
-                                date: fixture.date,
-                                kickOffTime: fixture.kickOffTime,
-                                dateType: typeof fixture.date
-                            });
-                            return earliest;
-                        }
-
-                        if (isNaN(earliestTime.getTime())) {
-                            console.warn(`⚠️ DeadlineService: Invalid earliest fixture date/time:`, {
-                                date: earliest.date,
-                                kickOffTime: earliest.kickOffTime,
-                                combined: `${earliest.date}T${earliest.kickOffTime}`
-                            });
-                            return fixture;
-                        }
-
-                        return fixtureTime < earliestTime ? fixture : earliest;
-                    } catch (dateError) {
-                        console.warn(`⚠️ DeadlineService: Error parsing fixture date/time:`, dateError);
-                        return earliest;
-                    }
-                });
-
-                // Validate the earliest fixture date/time
-                const earliestKickoff = earliestFixture.kickOffTime || '15:00';
-                const deadlineTime = new Date(`${earliestFixture.date}T${earliestKickoff}`);
-                if (isNaN(deadlineTime.getTime())) {
-                    console.warn(`⚠️ DeadlineService: Skipping Gameweek ${gameweek} - invalid date/time for earliest fixture:`, {
-                        fixture: `${earliestFixture.homeTeam} vs ${earliestFixture.awayTeam}`,
-                        date: earliestFixture.date,
-                        kickOffTime: earliestFixture.kickOffTime,
-                        combined: `${earliestFixture.date}T${earliestFixture.kickOffTime}`
-                    });
+                const deadlineTime = calculateGameweekDeadline(fixtures, deadlineSettings, gameweek)?.deadline;
+                if (!deadlineTime) {
+                    console.warn(`⚠️ DeadlineService: Skipping Gameweek ${gameweek} - no fixture has a valid date`);
                     continue;
                 }
 
@@ -271,44 +245,31 @@ export default class DeadlineService {
                 return; // No fixtures to check
             }
 
-            // Find the earliest kick-off time
-            const earliestFixture = fixtures.reduce((earliest, fixture) => {
-                let dateStr = fixture.date;
-                if (dateStr && typeof dateStr === 'object') {
-                    if (dateStr.toDate) dateStr = dateStr.toDate().toISOString().split('T')[0];
-                    else if (dateStr instanceof Date) dateStr = dateStr.toISOString().split('T')[0];
-                }
-
-                let earliestDateStr = earliest.date;
-                if (earliestDateStr && typeof earliestDateStr === 'object') {
-                    if (earliestDateStr.toDate) earliestDateStr = earliestDateStr.toDate().toISOString().split('T')[0];
-                    else if (earliestDateStr instanceof Date) earliestDateStr = earliestDateStr.toISOString().split('T')[0];
-                }
+            const details = calculateGameweekDeadline(fixtures, await this.getDeadlineSettings(currentClubId, currentEdition), currentGameweek);
+            if (!details) return;
+            const deadlineTime = details.deadline;
+            const now = new Date();
 
-                const kickOffTime = fixture.kickOffTime || '15:00';
-                const fixtureTime = new Date(`${dateStr}T${kickOffTime}`);
-                const earliestKickoff = earliest.kickOffTime || '15:00';
-                const earliestTime = new Date(`${earliestDateStr}T${earliestKickoff}`);
-                return fixtureTime < earliestTime ? fixture : earliest;
-            });
+            // With rolling deadlines the gameweek's deadline is its last team lock; the countdown is to the next one
+            this.teamLocks = details.teamLocks;
+            const nextLock = getNextTeamLock(this.teamLocks, now) || deadlineTime;
+            this.currentDeadline = nextLock;
+            this.renderDeadline(nextLock, this.teamLocks && nextLock < deadlineTime ? 'Next lock' : 'Deadline');
 
-            let deadlineDateStr = earliestFixture.date;
-            if (deadlineDateStr && typeof deadlineDateStr === 'object') {
-                if (deadlineDateStr.toDate) deadlineDateStr = deadlineDateStr.toDate().toISOString().split('T')[0];
-                else if (deadlineDateStr instanceof Date) deadlineDateStr = deadlineDateStr.toISOString().split('T')[0];
+            // Let FixturesManager lock the buttons of teams that have just kicked off
+            const lockedTeams = this.getLockedTeams(now);
+            if (lockedTeams.length !== this.lockedTeams.length) {
+                window.dispatchEvent(new CustomEvent('teamsLocked', { detail: { gameweek: currentGameweek, teams: lockedTeams } }));
             }
-
-            const deadlineKickoff = earliestFixture.kickOffTime || '15:00';
-            const deadlineTime = new Date(`${deadlineDateStr}T${deadlineKickoff}`);
-            const now = new Date();
+            this.lockedTeams = lockedTeams;
 
             // Check if deadline has passed
             if (now >= deadlineTime && !this.deadlinePassed) {
                 this.deadlinePassed = true;
                 await this.handleDeadlinePassed(currentGameweek);
             } else if (now < deadlineTime) {
-                // Schedule exact check for when deadline passes
-                const timeToWait = deadlineTime.getTime() - now.getTime();
+                // Schedule exact check for when deadline (or the next team lock) passes
+                const timeToWait = nextLock.getTime() - now.getTime();
                 // Only schedule if it's within a reasonable timeframe (e.g. 24h) and not already scheduled
                 if (timeToWait < 86400000) {
                     // clear any existing timeout to avoid duplicates if we re-check
@@ -385,121 +346,30 @@ export default class DeadlineService {
 
             console.log(`🔧 DeadlineService: Assigning autopicks for club: ${currentClubId}, edition: ${currentEdition}, gameweek: ${gameweek}`);
 
-            // Get all users for current edition from new multi-club structure
-            const usersSnapshot = await this.db.collection('clubs').doc(currentClubId)
-                .collection('editions').doc(currentEdition)
-                .collection('users')
-                .get();
-
-            console.log(`🔧 DeadlineService: Found ${usersSnapshot.size} users for autopick assignment`);
-
-            // Get available teams for this gameweek from new multi-club structure
-            // Query for individual fixtures where gameWeek matches
-            const fixturesSnapshot = await this.db.collection('clubs').doc(currentClubId)
-                .collection('editions').doc(currentEdition)
-                .collection('fixtures')
-                .where('gameWeek', '==', gameweek)
-                .get();
-
-            if (fixturesSnapshot.empty) {
-                throw new Error(`No fixtures found for gameweek ${gameweek}`);
-            }
-
-            console.log(`🔧 DeadlineService: Found ${fixturesSnapshot.size} fixtures for gameweek ${gameweek}`);
-
-            // Get all available teams from individual fixture documents
-            const availableTeams = [];
-            fixturesSnapshot.forEach(doc => {
-                const fixtureData = doc.data();
-                if (fixtureData.homeTeam && fixtureData.awayTeam) {
-                    availableTeams.push(fixtureData.homeTeam, fixtureData.awayTeam);
-                    console.log(`🔧 DeadlineService: Fixture ${doc.id}: ${fixtureData.homeTeam} vs ${fixtureData.awayTeam}`);
-                }
+            // Shares the per-gameweek lock with the scheduled enforce-deadlines function,
+            // so whichever runner gets there first assigns the auto-picks exactly once
+            // Auto-picked players are told by the scheduled send-notifications job
+            const runnerId = `browser:${window.authManager?.currentUser?.uid || 'anonymous'}`;
+            const enforcementService = new DeadlineEnforcementService(this.db, {
+                runnerId,
+                notifier: new NotificationService(this.db, { runnerId })
             });
-
-            console.log(`🔧 DeadlineService: Available teams for autopick:`, availableTeams);
-
-            const batch = this.db.batch();
-            let autoPicksAssigned = 0;
-
-            for (const doc of usersSnapshot.docs) {
-                const userData = doc.data();
-                console.log(`🔧 DeadlineService: Processing user ${doc.id} (${userData.displayName || 'Unknown'}) for autopick`);
-
-                // Check if user has already made a pick for this gameweek from multi-club structure
-                let hasPick = false;
-                try {
-                    const picksSnapshot = await this.db.collection('clubs').doc(currentClubId)
-                        .collection('editions').doc(currentEdition)
-                        .collection('picks')
-                        .where('userId', '==', doc.id)
-                        .where('gameweek', '==', gameweek)
-                        .get();
-
-                    hasPick = !picksSnapshot.empty;
-                } catch (error) {
-                    console.error('Error checking user picks:', error);
-                }
-
-                if (!hasPick && userData.lives > 0) {
-                    console.log(`🔧 DeadlineService: User ${doc.id} needs autopick - lives: ${userData.lives}, hasPick: ${hasPick}`);
-
-                    // Get existing picks for auto-pick logic from multi-club structure
-                    let existingPicks = {};
-                    try {
-                        const allPicksSnapshot = await this.db.collection('clubs').doc(currentClubId)
-                            .collection('editions').doc(currentEdition)
-                            .collection('picks')
-                            .where('userId', '==', doc.id)
-                            .get();
-
-                        allPicksSnapshot.forEach(pickDoc => {
-                            const pickData = pickDoc.data();
-                            existingPicks[`gw${pickData.gameweek}`] = pickData.teamPicked;
-                        });
-
-                        console.log(`🔧 DeadlineService: User ${doc.id} existing picks:`, existingPicks);
-                    } catch (error) {
-                        console.error('Error loading existing picks for auto-pick:', error);
-                    }
-
-                    // Assign auto-pick
-                    const autoPick = this.getAutoPick(existingPicks, availableTeams, gameweek);
-                    console.log(`🔧 DeadlineService: Auto-pick algorithm result for user ${doc.id}: ${autoPick}`);
-
-                    if (autoPick) {
-                        // Create pick record in multi-club structure
-                        const pickRef = this.db.collection('clubs').doc(currentClubId)
-                            .collection('editions').doc(currentEdition)
-                            .collection('picks').doc();
-                        batch.set(pickRef, {
-                            userId: doc.id,
-                            teamPicked: autoPick,
-                            gameweek: gameweek,
-                            fixtureId: null,
-                            isAutopick: true,
-                            result: null,
-                            livesAfterPick: null,
-                            savedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                            processedAt: null,
-                            created_at: firebase.firestore.FieldValue.serverTimestamp(),
-                            updated_at: firebase.firestore.FieldValue.serverTimestamp()
-                        });
-
-                        autoPicksAssigned++;
-                        console.log(`✅ Auto-pick assigned: ${autoPick} for user ${doc.id} in gameweek ${gameweek}`);
-                    } else {
-                        console.log(`⚠️ DeadlineService: No auto-pick available for user ${doc.id} in gameweek ${gameweek}`);
-                    }
-                } else {
-                    console.log(`🔧 DeadlineService: User ${doc.id} skipped - hasPick: ${hasPick}, lives: ${userData.lives}`);
+            let result;
+            try {
+                result = await enforcementService.enforceGameweekDeadline(currentClubId, currentEdition, gameweek);
+            } catch (error) {
+                // Only admins can take the lock - for everyone else the scheduled job does it
+                if (error.code === 'permission-denied') {
+                    console.log(`🔧 DeadlineService: Gameweek ${gameweek} deadline left to the scheduled enforce-deadlines job`);
+                    return;
                 }
+                throw error;
             }
 
-            // Commit the batch update
-            if (autoPicksAssigned > 0) {
-                await batch.commit();
-                console.log(`${autoPicksAssigned} auto-picks assigned for Gameweek ${gameweek}`);
+            if (result.status === 'processed') {
+                console.log(`${result.autoPicksAssigned} auto-picks assigned for Gameweek ${gameweek}`);
+            } else {
+                console.log(`🔧 DeadlineService: Gameweek ${gameweek} deadline ${result.status}, nothing to assign`);
             }
 
         } catch (error) {
@@ -508,35 +378,6 @@ export default class DeadlineService {
         }
     }
 
-    getAutoPick(userPicks, availableTeams, gameweek) {
-        if (gameweek === '1') {
-            // For first gameweek, pick randomly from available teams
-            const randomIndex = Math.floor(Math.random() * availableTeams.length);
-            return availableTeams[randomIndex];
-        } else {
-            // For subsequent gameweeks, pick next team alphabetically after previous pick
-            const previousGameweek = parseInt(gameweek) - 1;
-            const previousPick = userPicks[`gw${previousGameweek}`];
-
-            if (!previousPick) {
-                // If no previous pick, pick first team alphabetically
-                return availableTeams.sort()[0];
-            }
-
-            // Find teams that come after the previous pick alphabetically
-            const sortedTeams = availableTeams.sort();
-            const previousPickIndex = sortedTeams.indexOf(previousPick);
-
-            if (previousPickIndex === -1 || previousPickIndex === sortedTeams.length - 1) {
-                // If previous pick not found or was last, pick first team
-                return sortedTeams[0];
-            } else {
-                // Pick next team after previous pick
-                return sortedTeams[previousPickIndex + 1];
-            }
-        }
-    }
-
     updateDeadlineDisplay() {
         const deadlineText = document.getElementById('deadlineText');
         if (deadlineText) {
@@ -545,6 +386,32 @@ export default class DeadlineService {
         }
     }
 
+    // Rolling deadlines: a team can't be picked, or swapped out of a pick, once its fixture has locked
+    isTeamLocked(teamName, now = new Date()) {
+        if (this.deadlinePassed) return true;
+        const lock = this.teamLocks?.[teamName];
+        return Boolean(lock) && now >= lock;
+    }
+
+    getLockedTeams(now = new Date()) {
+        return Object.keys(this.teamLocks || {}).filter(team => now >= this.teamLocks[team]);
+    }
+
+    // The deadline and countdown in the header, in the viewer's own time zone
+    renderDeadline(deadlineTime, label = 'Deadline') {
+        const deadlineText = document.getElementById('deadlineText');
+        if (!deadlineText) return;
+
+        const timeUntilDeadline = deadlineTime - new Date();
+        if (timeUntilDeadline <= 0) {
+            this.updateDeadlineDisplay();
+            return;
+        }
+
+        deadlineText.textContent = `${label}: ${formatDeadline(deadlineTime)} (${formatTimeUntilDeadline(timeUntilDeadline)})`;
+        deadlineText.style.color = timeUntilDeadline < 60 * 60 * 1000 ? '#ffc107' : '#28a745';
+    }
+
     // Manual method to trigger autopick assignment for testing
     async manualAssignAutoPicks(gameweek = null) {
         try {
@@ -613,42 +480,18 @@ export default class DeadlineService {
                 return null;
             }
 
-            // Find the earliest kick-off time
-            const earliestFixture = fixtures.reduce((earliest, fixture) => {
-                let dateStr = fixture.date;
-                if (dateStr && typeof dateStr === 'object') {
-                    if (dateStr.toDate) dateStr = dateStr.toDate().toISOString().split('T')[0];
-                    else if (dateStr instanceof Date) dateStr = dateStr.toISOString().split('T')[0];
-                }
-
-                let earliestDateStr = earliest.date;
-                if (earliestDateStr && typeof earliestDateStr === 'object') {
-                    if (earliestDateStr.toDate) earliestDateStr = earliestDateStr.toDate().toISOString().split('T')[0];
-                    else if (earliestDateStr instanceof Date) earliestDateStr = earliestDateStr.toISOString().split('T')[0];
-                }
+            const deadline = calculateGameweekDeadline(fixtures, await this.getDeadlineSettings(currentClubId, currentEdition), gameweek);
+            if (!deadline) return null;
 
-                const kickOffTime = fixture.kickOffTime || '15:00';
-                const fixtureTime = new Date(`${dateStr}T${kickOffTime}`);
-                const earliestKickoff = earliest.kickOffTime || '15:00';
-                const earliestTime = new Date(`${earliestDateStr}T${earliestKickoff}`);
-                return fixtureTime < earliestTime ? fixture : earliest;
-            });
-
-            let deadlineDateStr = earliestFixture.date;
-            if (deadlineDateStr && typeof deadlineDateStr === 'object') {
-                if (deadlineDateStr.toDate) deadlineDateStr = deadlineDateStr.toDate().toISOString().split('T')[0];
-                else if (deadlineDateStr instanceof Date) deadlineDateStr = deadlineDateStr.toISOString().split('T')[0];
-            }
-
-            const deadlineKickoff = earliestFixture.kickOffTime || '15:00';
-            const deadlineTime = new Date(`${deadlineDateStr}T${deadlineKickoff}`);
+            const deadlineTime = deadline.deadline;
             const now = new Date();
 
             return {
                 deadlineTime: deadlineTime,
                 isPassed: now >= deadlineTime,
                 timeUntilDeadline: deadlineTime - now,
-                earliestFixture: earliestFixture
+                firstKickoff: deadline.firstKickoff,
+                isOverride: deadline.isOverride
             };
 
         } catch (error) {
@@ -658,24 +501,7 @@ export default class DeadlineService {
     }
 
     formatTimeUntilDeadline(milliseconds) {
-        if (milliseconds <= 0) {
-            return 'Deadline passed';
-        }
-
-        const hours = Math.floor(milliseconds / (1000 * 60 * 60));
-        const minutes = Math.floor((milliseconds % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((milliseconds % (1000 * 60)) / 1000);
-
-        if (hours > 24) {
-            const days = Math.floor(hours / 24);
-            return `${days} days remaining`;
-        } else if (hours > 0) {
-            return `${hours}h ${minutes}m remaining`;
-        } else if (minutes > 0) {
-            return `${minutes}m ${seconds}s remaining`;
-        } else {
-            return `${seconds}s remaining`;
-        }
+        return formatTimeUntilDeadline(milliseconds);
     }
 
     async checkUserDeadlineStatus(userId, gameweek) {
@@ -790,7 +616,7 @@ export default class DeadlineService {
             const fixturesSnapshot = await this.db.collection('clubs').doc(currentClubId)
                 .collection('editions').doc(currentEdition)
                 .collection('fixtures')
-                .where('gameWeek', '==', gameweek)
+                .where('gameWeek', '==', Number(gameweek))
                 .get();
 
             if (fixturesSnapshot.empty) {
@@ -800,94 +626,31 @@ export default class DeadlineService {
 
             const fixtures = [];
             fixturesSnapshot.forEach(doc => {
-                fixtures.push(doc.data());
+                fixtures.push({ id: doc.id, ...doc.data() });
             });
 
-            // Get all available teams
-            const availableTeams = [];
-            fixtures.forEach(fixture => {
-                availableTeams.push(fixture.homeTeam, fixture.awayTeam);
+            // Takes the same per-gameweek lock as the deadline job, so a manual run can't assign
+            // auto-picks twice, and reveals the gameweek's picks once they are in
+            const runnerId = `admin:${window.authManager?.currentUser?.uid || 'anonymous'}`;
+            const enforcementService = new DeadlineEnforcementService(this.db, {
+                runnerId,
+                notifier: new NotificationService(this.db, { runnerId })
             });
+            const deadlineSettings = await enforcementService.loadDeadlineSettings(currentClubId, currentEdition);
+            const deadline = enforcementService.getGameweekDeadline(fixtures, deadlineSettings, gameweek) || new Date();
+            const result = await enforcementService.processGameweekDeadline(currentClubId, currentEdition, Number(gameweek), fixtures, deadline);
 
-            console.log(`🔍 Available teams for auto-pick:`, availableTeams);
-
-            const batch = this.db.batch();
-            let autoPicksAssigned = 0;
-
-            // Process users sequentially to avoid async issues
-            for (const doc of usersSnapshot.docs) {
-                const userData = doc.data();
-
-                // Check if user has already made a pick for this gameweek
-                let hasPick = false;
-                try {
-                    const picksSnapshot = await this.db.collection('clubs').doc(currentClubId)
-                        .collection('editions').doc(currentEdition)
-                        .collection('picks')
-                        .where('userId', '==', doc.id)
-                        .where('gameweek', '==', gameweek)
-                        .get();
-
-                    hasPick = !picksSnapshot.empty;
-                } catch (error) {
-                    console.error('Error checking user picks:', error);
-                }
-
-                if (!hasPick && userData.lives > 0) {
-                    // Get existing picks for auto-pick logic
-                    let existingPicks = {};
-                    try {
-                        const allPicksSnapshot = await this.db.collection('clubs').doc(currentClubId)
-                            .collection('editions').doc(currentEdition)
-                            .collection('picks')
-                            .where('userId', '==', doc.id)
-                            .get();
-
-                        allPicksSnapshot.forEach(pickDoc => {
-                            const pickData = pickDoc.data();
-                            existingPicks[`gw${pickData.gameweek}`] = pickData.teamPicked;
-                        });
-                    } catch (error) {
-                        console.error('Error loading existing picks for auto-pick:', error);
-                    }
-
-                    // Assign auto-pick
-                    const autoPick = this.getAutoPick(existingPicks, availableTeams, gameweek);
-
-                    if (autoPick) {
-                        // Create pick record in multi-club structure
-                        const pickRef = this.db.collection('clubs').doc(currentClubId)
-                            .collection('editions').doc(currentEdition)
-                            .collection('picks').doc();
-                        batch.set(pickRef, {
-                            userId: doc.id,
-                            teamPicked: autoPick,
-                            gameweek: gameweek,
-                            fixtureId: null,
-                            isAutopick: true,
-                            result: null,
-                            livesAfterPick: null,
-                            savedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                            processedAt: null,
-                            created_at: firebase.firestore.FieldValue.serverTimestamp(),
-                            updated_at: firebase.firestore.FieldValue.serverTimestamp()
-                        });
-
-                        autoPicksAssigned++;
-                        console.log(`✅ Auto-pick assigned: ${autoPick} for user ${doc.id} in gameweek ${gameweek}`);
-                    }
-                }
+            if (result.status === 'skipped') {
+                console.log(`ℹ️ Gameweek ${gameweek} deadline is already enforced or being enforced - no auto-picks assigned`);
+                return false;
             }
 
-            // Commit the batch update
-            if (autoPicksAssigned > 0) {
-                await batch.commit();
-                console.log(`✅ ${autoPicksAssigned} auto-picks assigned for Gameweek ${gameweek}`);
-                return true;
+            if (result.autoPicksAssigned > 0) {
+                console.log(`✅ ${result.autoPicksAssigned} auto-picks assigned for Gameweek ${gameweek}`);
             } else {
                 console.log('ℹ️ No auto-picks needed - all users already have picks');
-                return true;
             }
+            return true;
 
         } catch (error) {
             console.error('Error manually assigning auto-picks:', error);
@@ -895,58 +658,85 @@ export default class DeadlineService {
         }
     }
 
-    async extendDeadline(gameweek, newDeadlineTime) {
+    /**
+     * Override one gameweek's deadline for the current club and edition, recorded in the audit log.
+     * @param {number} gameweek
+     * @param {Date|string|null} newDeadlineTime - An instant, or 'YYYY-MM-DDTHH:MM' read in the club's
+     *   time zone. null goes back to the deadline worked out from the fixtures.
+     * @param {string} reason - Kept with the audit record
+     */
+    async extendDeadline(gameweek, newDeadlineTime, reason = '') {
         try {
-            const currentEdition = window.editionService.getCurrentEdition();
-
-            // Update the earliest fixture's kick-off time
-            const fixturesDoc = await this.db.collection('fixtures')
-                .doc(`${currentEdition}_gw${gameweek}`)
-                .get();
+            const currentClubId = window.losApp?.managers?.club?.getCurrentClub();
+            const currentEdition = window.losApp?.managers?.club?.getCurrentEdition();
 
-            if (!fixturesDoc.exists) {
-                throw new Error('No fixtures found for this gameweek');
+            if (!currentClubId || !currentEdition) {
+                throw new Error('No club or edition available to extend the deadline');
             }
 
-            const fixturesData = fixturesDoc.data();
-            const fixtures = fixturesData.fixtures || [];
-
-            if (fixtures.length === 0) {
-                throw new Error('No fixtures found for this gameweek');
+            const deadlineSettings = await this.getDeadlineSettings(currentClubId, currentEdition, { refresh: true });
+            const newDeadline = this.parseDeadlineInput(newDeadlineTime, deadlineSettings.timeZone);
+            if (newDeadlineTime && !newDeadline) {
+                throw new Error(`"${newDeadlineTime}" is not a valid deadline`);
             }
 
-            // Find the earliest fixture and update its time
-            const earliestFixtureIndex = fixtures.reduce((earliestIndex, fixture, index) => {
-                const fixtureTime = new Date(`${fixture.date}T${fixture.kickOffTime}`);
-                const earliestTime = new Date(`${fixtures[earliestIndex].date}T${fixtures[earliestIndex].kickOffTime}`);
-                return fixtureTime < earliestTime ? index : earliestIndex;
-            }, 0);
-
-            // Update the deadline time
-            const newDate = new Date(newDeadlineTime);
-            fixtures[earliestFixtureIndex].date = newDate.toISOString().split('T')[0];
-            fixtures[earliestFixtureIndex].kickOffTime = newDate.toTimeString().split(' ')[0];
-
-            // Update the fixture in the database
-            await this.db.collection('fixtures')
-                .doc(`${currentEdition}_gw${gameweek}`)
-                .update({
-                    fixtures: fixtures,
-                    updated_at: firebase.firestore.FieldValue.serverTimestamp()
+            const fixturesSnapshot = await this.db.collection('clubs').doc(currentClubId)
+                .collection('editions').doc(currentEdition)
+                .collection('fixtures')
+                .where('gameWeek', '==', Number(gameweek))
+                .get();
+            const fixtures = fixturesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const previous = calculateGameweekDeadline(fixtures, deadlineSettings, gameweek);
+            const calculated = calculateGameweekDeadline(fixtures, { ...deadlineSettings, overrides: {} }, gameweek);
+
+            const enforcementService = new DeadlineEnforcementService(this.db, {
+                runnerId: `admin:${window.authManager?.currentUser?.uid || 'anonymous'}`
+            });
+            await enforcementService.overrideDeadline(currentClubId, currentEdition, Number(gameweek), newDeadline, calculated);
+
+            const deadline = newDeadline || calculated?.deadline || null;
+            if (window.gameLogicManager) {
+                await window.gameLogicManager.logAuditEvent('DEADLINE_OVERRIDDEN', {
+                    clubId: currentClubId,
+                    editionId: currentEdition,
+                    gameweek: Number(gameweek),
+                    previousDeadline: previous?.deadline?.toISOString() || null,
+                    newDeadline: deadline?.toISOString() || null,
+                    calculatedDeadline: calculated?.deadline?.toISOString() || null,
+                    isOverride: Boolean(newDeadline),
+                    timeZone: deadlineSettings.timeZone,
+                    reason: reason
                 });
+            }
 
-            // Reset deadline passed flag
-            this.deadlinePassed = false;
+            // Picks reopen if the deadline moved later
+            this.deadlineSettingsCache = null;
+            if (deadline && new Date() < deadline) {
+                this.deadlinePassed = false;
+                if (this.processedDeadlines) delete this.processedDeadlines[`deadline_${gameweek}`];
+            }
 
-            console.log(`Deadline extended for Gameweek ${gameweek} to ${newDeadlineTime}`);
+            console.log(`Deadline for Gameweek ${gameweek} ${newDeadline ? 'overridden' : 'reset'} to ${deadline?.toISOString()}`);
 
-            return true;
+            return { deadline, isOverride: Boolean(newDeadline) };
         } catch (error) {
             console.error('Error extending deadline:', error);
             throw error;
         }
     }
 
+    // Instants pass straight through; a wall-clock time without a zone is read in the club's time zone
+    parseDeadlineInput(value, timeZone) {
+        if (!value) return null;
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+        const wallClock = value.toString().match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2})(:\d{2})?$/);
+        if (wallClock) return zonedTimeToInstant(wallClock[1], wallClock[2], timeZone);
+
+        const instant = new Date(value);
+        return isNaN(instant.getTime()) ? null : instant;
+    }
+
     // Getter methods
     isDeadlinePassed() {
         return this.deadlinePassed;
@@ -0,0 +1,263 @@
+import GameLogicManager from './GameLogicManager.js';
+import { calculateEditionLives, getLifeGrantsByUser, resolveResultRules } from '../services/ResultRules.js';
+import { planUsedTeamClaims, resolveEditionFormat } from '../services/EditionFormats.js';
+import { commitInChunks } from '../services/FirestoreBatches.js';
+
+/**
+ * EditionAuditService - Replays an edition from its raw fixtures and picks
+ * Rebuilds every pick result, lives count, elimination gameweek and final position
+ * from scratch, diffs that against what is stored and can apply the fix in one batch.
+ */
+export default class EditionAuditService {
+    constructor(db = null, gameLogic = null) {
+        this.db = db;
+        // Reuse the live game rules so the replay can never disagree with normal processing
+        this.gameLogic = gameLogic || new GameLogicManager();
+        if (!this.gameLogic.db) this.gameLogic.db = db;
+    }
+
+    // Result of a pick from its fixture alone, ignoring whatever is stored on the pick
+    getReplayedPickResult(pick, fixture, gameweekFixtures, settings, now) {
+        if (pick.missedDeadline) return 'loss';
+        if (!fixture) return undefined;
+
+        if (this.gameLogic.isVoidFixture(fixture)) {
+            const outcome = this.gameLogic.getVoidPickOutcome(pick, fixture, gameweekFixtures, settings, now);
+            return outcome ? outcome.result : null;
+        }
+
+        const hasScores = fixture.homeScore !== null && fixture.homeScore !== undefined &&
+            fixture.awayScore !== null && fixture.awayScore !== undefined;
+        if (!this.gameLogic.isFixtureFinal(fixture) || !hasScores) return null;
+
+        const homeScore = Number(fixture.homeScore);
+        const awayScore = Number(fixture.awayScore);
+
+        if (pick.teamPicked === fixture.homeTeam) {
+            return homeScore > awayScore ? 'win' : (homeScore < awayScore ? 'loss' : 'draw');
+        }
+        return awayScore > homeScore ? 'win' : (awayScore < homeScore ? 'loss' : 'draw');
+    }
+
+    /**
+     * Deterministically rebuild an edition. Nothing stored on picks or users is trusted
+     * except which team was picked and the lives granted to a player (e.g. buy-backs).
+     * @param {{fixtures: Array, picks: Array, users: Array, settings: Object, now: Date}} edition
+     * @returns {{picks: Object, users: Object, warnings: Array<string>}}
+     */
+    replay({ fixtures = [], picks = [], users = [], settings = {}, now = new Date() }) {
+        const warnings = [];
+        const replayedPicks = {};
+        const picksByUser = {};
+
+        // Manual picks before auto-picks, then by id, so duplicates always resolve the same way
+        const orderedPicks = [...picks].sort((a, b) =>
+            Number(a.gameweek) - Number(b.gameweek) ||
+            Number(!!a.isAutopick) - Number(!!b.isAutopick) ||
+            a.id.localeCompare(b.id)
+        );
+
+        orderedPicks.forEach(pick => {
+            const gameweek = Number(pick.gameweek || pick.gameWeek);
+            const gameweekFixtures = fixtures.filter(fixture => Number(fixture.gameWeek || fixture.gameweek) === gameweek);
+            const fixture = pick.teamPicked ? this.gameLogic.findPickFixture(pick, gameweek, fixtures) : null;
+
+            let result = this.getReplayedPickResult(pick, fixture, gameweekFixtures, settings, now);
+            if (result === undefined) {
+                warnings.push(`Pick ${pick.id}: ${pick.teamPicked} has no fixture in GW${gameweek}, keeping stored result`);
+                result = this.gameLogic.normalizePickResult(pick.result);
+            }
+
+            if (!picksByUser[pick.userId]) picksByUser[pick.userId] = {};
+            if (picksByUser[pick.userId][gameweek]) {
+                warnings.push(`Pick ${pick.id}: duplicate pick for ${pick.userId} in GW${gameweek}, ignored`);
+                return;
+            }
+
+            replayedPicks[pick.id] = { result };
+            picksByUser[pick.userId][gameweek] = { ...pick, result };
+        });
+
+        const rules = resolveResultRules(settings);
+        const editionPicks = {};
+        users.forEach(user => { editionPicks[user.id] = picksByUser[user.id] || {}; });
+        const livesByUser = calculateEditionLives(editionPicks, rules, fixtures, resolveEditionFormat(settings), getLifeGrantsByUser(users)).players;
+
+        const players = users.map(user => {
+            const userPicks = editionPicks[user.id];
+            const { lives, eliminationGameweek } = livesByUser[user.id];
+            return {
+                uid: user.id,
+                lives: lives,
+                eliminatedGameweek: eliminationGameweek,
+                stats: this.gameLogic.calculateTiebreakStats(userPicks, fixtures)
+            };
+        });
+
+        const positions = this.gameLogic.rankFinalPositions(players, settings);
+        const replayedUsers = {};
+
+        players.forEach(player => {
+            replayedUsers[player.uid] = {
+                lives: player.lives,
+                isEliminated: player.lives <= 0,
+                eliminationGameweek: player.eliminatedGameweek,
+                finalPosition: positions ? positions[player.uid].finalPosition : null,
+                finalPositionReason: positions ? positions[player.uid].finalPositionReason : null
+            };
+        });
+
+        return { picks: replayedPicks, users: replayedUsers, warnings };
+    }
+
+    /**
+     * Compare a replay against the stored documents.
+     * @returns {Array<{collection: string, id: string, userId: string, changes: Object}>}
+     */
+    diff(edition, replayed) {
+        const differences = [];
+        const normalize = value => (value === undefined ? null : value);
+
+        edition.picks.forEach(pick => {
+            const expected = replayed.picks[pick.id];
+            if (!expected) return;
+
+            const stored = this.gameLogic.normalizePickResult(pick.result);
+            if (stored !== expected.result) {
+                differences.push({
+                    collection: 'picks',
+                    id: pick.id,
+                    userId: pick.userId,
+                    gameweek: Number(pick.gameweek),
+                    changes: { result: { stored: normalize(pick.result), expected: expected.result } }
+                });
+            }
+        });
+
+        edition.users.forEach(user => {
+            const expected = replayed.users[user.id];
+            if (!expected) return;
+
+            const changes = {};
+            Object.entries(expected).forEach(([field, value]) => {
+                if (normalize(user[field]) !== value) {
+                    changes[field] = { stored: normalize(user[field]), expected: value };
+                }
+            });
+
+            if (Object.keys(changes).length > 0) {
+                differences.push({ collection: 'users', id: user.id, userId: user.id, changes });
+            }
+        });
+
+        return differences;
+    }
+
+    async loadEdition(clubId, editionId) {
+        const editionRef = this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId);
+
+        const [fixturesSnapshot, picksSnapshot, usersSnapshot, settingsDoc] = await Promise.all([
+            editionRef.collection('fixtures').get(),
+            editionRef.collection('picks').get(),
+            editionRef.collection('users').get(),
+            editionRef.collection('settings').doc('current').get()
+        ]);
+
+        const toDocs = snapshot => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        return {
+            fixtures: toDocs(fixturesSnapshot),
+            picks: toDocs(picksSnapshot),
+            users: toDocs(usersSnapshot),
+            settings: settingsDoc.exists ? settingsDoc.data() : {}
+        };
+    }
+
+    async audit(clubId, editionId) {
+        const edition = await this.loadEdition(clubId, editionId);
+        const replayed = this.replay({ ...edition, now: new Date() });
+        const differences = this.diff(edition, replayed);
+
+        console.log(`🔍 EditionAuditService: Replayed ${clubId}/${editionId} - ${differences.length} differences, ${replayed.warnings.length} warnings`);
+        return { differences, warnings: replayed.warnings };
+    }
+
+    // Write every expected value back in a single batch
+    async applyFixes(clubId, editionId, differences) {
+        if (differences.length === 0) return 0;
+
+        if (differences.length > 500) {
+            throw new Error(`Too many differences (${differences.length}) for a single batched write`);
+        }
+
+        const editionRef = this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId);
+        const batch = this.db.batch();
+
+        differences.forEach(difference => {
+            const update = { updated_at: new Date() };
+            Object.entries(difference.changes).forEach(([field, change]) => {
+                update[field] = change.expected;
+            });
+
+            if (difference.collection === 'picks') {
+                update.processedAt = update.result ? new Date() : null;
+            }
+
+            batch.update(editionRef.collection(difference.collection).doc(difference.id), update);
+        });
+
+        await batch.commit();
+
+        await this.gameLogic.logAuditEvent('EDITION_REPLAY_APPLIED', {
+            clubId: clubId,
+            editionId: editionId,
+            pickUpdates: differences.filter(difference => difference.collection === 'picks').length,
+            userUpdates: differences.filter(difference => difference.collection === 'users').length
+        });
+
+        console.log(`✅ EditionAuditService: Applied ${differences.length} fixes to ${clubId}/${editionId}`);
+        return differences.length;
+    }
+
+    /**
+     * Migration: write the used-teams claims firestore.rules checks for picks made before claims
+     * were saved alongside them, so those teams can't be picked again, and move claims keyed by
+     * team name to the team ID once the pick has one. Safe to run again.
+     * @returns {Promise<{created: number, deleted: number, conflicts: Array<Object>}>}
+     */
+    async backfillUsedTeamClaims(clubId, editionId) {
+        const editionRef = this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId);
+
+        const [edition, claimsSnapshot, editionDoc] = await Promise.all([
+            this.loadEdition(clubId, editionId),
+            editionRef.collection('used-teams').get(),
+            editionRef.get()
+        ]);
+        const claims = claimsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const format = resolveEditionFormat(edition.settings, editionDoc.exists ? editionDoc.data() : {});
+        const { creates, deletes, conflicts } = planUsedTeamClaims(format, edition.picks, claims);
+
+        const now = new Date();
+        await commitInChunks(this.db, [
+            ...deletes.map(id => ({ type: 'delete', ref: editionRef.collection('used-teams').doc(id) })),
+            ...creates.map(create => ({
+                ref: editionRef.collection('used-teams').doc(create.id),
+                data: { ...create.data, created_at: now, backfilled: true }
+            }))
+        ]);
+
+        await this.gameLogic.logAuditEvent('USED_TEAMS_BACKFILLED', {
+            clubId: clubId,
+            editionId: editionId,
+            created: creates.length,
+            deleted: deletes.length,
+            conflicts: conflicts.length
+        });
+
+        console.log(`✅ EditionAuditService: Backfilled ${creates.length} used-teams claims for ${clubId}/${editionId}, moved ${deletes.length}, ${conflicts.length} conflicts`);
+        return { created: creates.length, deleted: deletes.length, conflicts };
+    }
+}
@@ -1,3 +1,7 @@
+import { resolveResultRules } from '../services/ResultRules.js';
+import { resolveEditionFormat } from '../services/EditionFormats.js';
+import { formatDeadline, formatTimeUntilDeadline } from '../services/DeadlineTimes.js';
+
 export default class EditionService {
     constructor() {
         this.isInitialized = false;
@@ -104,6 +108,7 @@ export default class EditionService {
             this.settingsListener = settingsRef.onSnapshot((doc) => {
                 if (doc.exists) {
                     const settings = doc.data();
+                    this.settings = settings;
                     this.currentEdition = settings.currentEdition || '2024-25';
                     this.currentGameweek = settings.currentGameweek || 1;
                     this.gameweekDeadline = settings.gameweekDeadline || '2024-08-10T11:00:00Z';
@@ -152,6 +157,7 @@ export default class EditionService {
 
             if (settingsDoc.exists) {
                 const settings = settingsDoc.data();
+                this.settings = settings;
                 this.currentEdition = settings.currentEdition || '2024-25';
                 this.currentGameweek = settings.currentGameweek || 1;
                 this.gameweekDeadline = settings.gameweekDeadline || '2024-08-10T11:00:00Z';
@@ -185,6 +191,7 @@ export default class EditionService {
             currentGameweek: 1,
             gameweekDeadline: '2024-08-10T11:00:00Z',
             tiebreakEnabled: true,
+            tiebreakRules: ['goalDifference', 'mostWins', 'fewestAutopicks'],
             registrationOpen: true,
             lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
         };
@@ -216,29 +223,19 @@ export default class EditionService {
             currentGameweekElement.textContent = this.currentGameweek || '1';
         }
 
+        // DeadlineService's deadline takes in the club's time zone, lock offset and overrides
         const deadlineTextElement = document.getElementById('deadlineText');
-        if (deadlineTextElement && this.gameweekDeadline) {
-            const deadline = new Date(this.gameweekDeadline);
-            const now = new Date();
-            const timeUntilDeadline = deadline - now;
+        const currentDeadline = window.losApp?.managers?.deadline?.currentDeadline || this.gameweekDeadline;
+        if (deadlineTextElement && currentDeadline) {
+            const deadline = new Date(currentDeadline);
+            const timeUntilDeadline = deadline - new Date();
 
             if (timeUntilDeadline <= 0) {
                 deadlineTextElement.textContent = 'Deadline: PASSED';
                 deadlineTextElement.style.color = '#dc3545';
             } else {
-                const hours = Math.floor(timeUntilDeadline / (1000 * 60 * 60));
-                const minutes = Math.floor((timeUntilDeadline % (1000 * 60 * 60)) / (1000 * 60));
-
-                if (hours > 24) {
-                    const days = Math.floor(hours / 24);
-                    deadlineTextElement.textContent = `Deadline: ${days} days remaining`;
-                } else if (hours > 0) {
-                    deadlineTextElement.textContent = `Deadline: ${hours}h ${minutes}m remaining`;
-                } else {
-                    deadlineTextElement.textContent = `Deadline: ${minutes}m remaining`;
-                }
-
-                deadlineTextElement.style.color = hours < 1 ? '#ffc107' : '#28a745';
+                deadlineTextElement.textContent = `Deadline: ${formatDeadline(deadline)} (${formatTimeUntilDeadline(timeUntilDeadline)})`;
+                deadlineTextElement.style.color = timeUntilDeadline < 60 * 60 * 1000 ? '#ffc107' : '#28a745';
             }
         }
     }
@@ -464,6 +461,9 @@ export default class EditionService {
                     window.scoresManager.loadScores();
                 }
                 break;
+            case 'insights':
+                window.losApp?.managers?.insights?.loadPublicInsights();
+                break;
         }
     }
 
@@ -498,11 +498,21 @@ export default class EditionService {
     }
 
     getLivesPerPlayer() {
-        return this.currentEditionData?.lives_per_player || 2;
+        return this.getResultRules().livesPerPlayer;
+    }
+
+    // Draw handling, bonus lives and lives cap for the current edition
+    getResultRules() {
+        return resolveResultRules(this.settings, this.currentEditionData);
+    }
+
+    // Classic, team reuse reset or knockout, with the edition's length
+    getEditionFormat() {
+        return resolveEditionFormat(this.settings, this.currentEditionData);
     }
 
     getTotalGameweeks() {
-        return this.currentEditionData?.total_gameweeks || 10;
+        return this.getEditionFormat().totalGameweeks;
     }
 
     // Admin methods for managing editions
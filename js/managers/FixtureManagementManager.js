@@ -1,3 +1,7 @@
+import DeadlineEnforcementService from '../services/DeadlineEnforcementService.js';
+import { planGameweekChanges, summariseGameweeks } from '../services/GameweekBuilder.js';
+import { commitInChunks } from '../services/FirestoreBatches.js';
+
 export default class FixtureManagementManager {
     constructor() {
         this.isInitialized = false;
@@ -668,7 +672,6 @@ export default class FixtureManagementManager {
                 throw new Error(`Too many fixtures (${fixtures.length}). Firestore batch limit is 500 operations.`);
             }
 
-            const batch = this.db.batch();
             const importedFixtures = [];
 
             // Transform API fixtures to our Firebase format
@@ -870,25 +873,12 @@ export default class FixtureManagementManager {
                     apiData: fixture
                 };
 
-                // Add to batch
-                const fixtureRef = this.db.collection('clubs').doc(clubId)
-                    .collection('editions').doc(editionId)
-                    .collection('fixtures').doc(fixtureId);
-
-                batch.set(fixtureRef, transformedFixture);
                 importedFixtures.push(transformedFixture);
 
                 console.log(`📝 Prepared fixture: ${homeTeam} vs ${awayTeam} (${status})`);
             });
 
-            // Commit the batch
-            try {
-                await batch.commit();
-                console.log(`✅ Successfully imported ${importedFixtures.length} fixtures to Firebase`);
-            } catch (batchError) {
-                console.error('❌ Batch commit failed:', batchError);
-                throw new Error(`Failed to commit batch to Firestore: ${batchError.message}`);
-            }
+            await this.saveImportedFixtures(clubId, editionId, importedFixtures, { provider: 'footballWebPages', competitionId: competitionId });
 
             // Log audit event
             if (window.losApp && window.losApp.managers.superAdmin) {
@@ -912,6 +902,172 @@ export default class FixtureManagementManager {
         }
     }
 
+    // Write imported fixture documents, with team IDs from the registry - registering any team seen for the first time
+    async saveImportedFixtures(clubId, editionId, importedFixtures, registryOptions) {
+        for (const importedFixture of importedFixtures) {
+            if (window.teamRegistry) {
+                importedFixture.homeTeamId = await window.teamRegistry.ensureTeamId(importedFixture.homeTeam, registryOptions);
+                importedFixture.awayTeamId = await window.teamRegistry.ensureTeamId(importedFixture.awayTeam, registryOptions);
+            }
+        }
+
+        const fixturesRef = this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId)
+            .collection('fixtures');
+
+        try {
+            await commitInChunks(this.db, importedFixtures.map(importedFixture => ({
+                ref: fixturesRef.doc(importedFixture.fixtureId),
+                data: importedFixture
+            })));
+            console.log(`✅ Successfully imported ${importedFixtures.length} fixtures to Firebase`);
+        } catch (batchError) {
+            console.error('❌ Batch commit failed:', batchError);
+            throw new Error(`Failed to commit batch to Firestore: ${batchError.message}`);
+        }
+    }
+
+    /**
+     * Import a planned file import (see FixtureFileImport.planFixtureImport): new fixtures are written
+     * like API imports, rearranged fixtures get their new date and time, and results for stored
+     * fixtures are saved and settled. A changed final score goes through GameLogicManager's score
+     * correction, so players are told and it is audited.
+     * @returns {Promise<{imported: number, resultsUpdated: number, rescheduled: number}>}
+     */
+    async importFixturesFromFile(clubId, editionId, importPlan, fileName = '') {
+        if (!this.db) {
+            throw new Error('Firebase database not initialized');
+        }
+        if (!clubId || !editionId) {
+            throw new Error('Missing required parameters: clubId and editionId are required');
+        }
+
+        console.log(`📥 Importing ${importPlan.fixtures.length} fixtures and ${importPlan.resultUpdates.length} results from ${fileName || 'file'}`);
+
+        await this.saveImportedFixtures(clubId, editionId, importPlan.fixtures, {
+            provider: 'manual',
+            competitionId: importPlan.fixtures[0]?.competitionId ?? null
+        });
+
+        const fixturesRef = this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId)
+            .collection('fixtures');
+        const gameweeksToSettle = new Set();
+        const fixtureUpdates = importPlan.fixtureUpdates || [];
+
+        for (const update of fixtureUpdates) {
+            await fixturesRef.doc(update.id).update({
+                ...update.changes,
+                lastUpdated: new Date().toISOString(),
+                updated_at: new Date()
+            });
+        }
+
+        for (const update of importPlan.resultUpdates) {
+            if (update.isCorrection && window.gameLogicManager) {
+                await window.gameLogicManager.applyScoreCorrection(clubId, editionId, update.id, update.changes);
+            } else {
+                await fixturesRef.doc(update.id).update({
+                    ...update.changes,
+                    lastUpdated: new Date().toISOString(),
+                    updated_at: new Date()
+                });
+                gameweeksToSettle.add(update.gameweek);
+            }
+        }
+
+        // Results settle as they would from the score feed
+        if (window.gameLogicManager) {
+            for (const gameweek of [...gameweeksToSettle].filter(Number.isFinite)) {
+                await window.gameLogicManager.settleGameweek(clubId, editionId, gameweek);
+            }
+        }
+
+        if (window.losApp && window.losApp.managers.superAdmin) {
+            await window.losApp.managers.superAdmin.logAuditEvent(
+                'super_admin',
+                'import_fixtures_file',
+                {
+                    clubId: clubId,
+                    editionId: editionId,
+                    fileName: fileName,
+                    fixtureCount: importPlan.fixtures.length,
+                    resultCount: importPlan.resultUpdates.length,
+                    rescheduledCount: fixtureUpdates.length,
+                    skipped: importPlan.summary.duplicate + importPlan.summary.invalid,
+                    importedAt: new Date().toISOString()
+                }
+            );
+        }
+
+        return { imported: importPlan.fixtures.length, resultsUpdated: importPlan.resultUpdates.length, rescheduled: fixtureUpdates.length };
+    }
+
+    // The club's time zone and the edition's lock offset, for showing deadlines as they will be locked
+    async getDeadlineSettings(clubId, editionId) {
+        return new DeadlineEnforcementService(this.db).loadDeadlineSettings(clubId, editionId);
+    }
+
+    /**
+     * Store a gameweek builder assignment (see GameweekBuilder.buildGameweekAssignment) on the edition's
+     * fixtures, then publish each upcoming gameweek's deadline so picks lock on time.
+     * @returns {Promise<{updated: number, deadlinesPublished: number}>}
+     */
+    async saveGameweekAssignment(clubId, editionId, fixtures, assignment) {
+        if (!this.db) {
+            throw new Error('Firebase database not initialized');
+        }
+        if (!clubId || !editionId) {
+            throw new Error('Missing required parameters: clubId and editionId are required');
+        }
+
+        const fixturesRef = this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId)
+            .collection('fixtures');
+        const updates = planGameweekChanges(fixtures, assignment);
+
+        await commitInChunks(this.db, updates.map(update => ({
+            type: 'update',
+            ref: fixturesRef.doc(update.id),
+            data: {
+                ...update.changes,
+                lastUpdated: new Date().toISOString(),
+                updated_at: new Date()
+            }
+        })));
+        console.log(`✅ Gameweeks saved: ${updates.length} fixtures updated`);
+
+        const enforcementService = new DeadlineEnforcementService(this.db, {
+            runnerId: `browser:${window.authManager?.currentUser?.uid || 'anonymous'}`
+        });
+        const deadlineSettings = await enforcementService.loadDeadlineSettings(clubId, editionId);
+        let deadlinesPublished = 0;
+        for (const { gameweek, fixtureIds } of summariseGameweeks(fixtures, assignment)) {
+            const gameweekFixtures = fixtures.filter(fixture => fixtureIds.includes(fixture.id));
+            const details = enforcementService.getDeadlineDetails(gameweekFixtures, deadlineSettings, gameweek);
+            if (!details || details.deadline <= new Date()) continue;
+            if (await enforcementService.publishGameweekDeadline(clubId, editionId, gameweek, details, deadlineSettings)) {
+                deadlinesPublished++;
+            }
+        }
+
+        if (window.losApp && window.losApp.managers.superAdmin) {
+            await window.losApp.managers.superAdmin.logAuditEvent(
+                'super_admin',
+                'build_gameweeks',
+                {
+                    clubId: clubId,
+                    editionId: editionId,
+                    fixturesMoved: updates.filter(update => update.changes.gameWeek).length,
+                    gameweeks: [...new Set(Object.values(assignment))].length,
+                    savedAt: new Date().toISOString()
+                }
+            );
+        }
+
+        return { updated: updates.length, deadlinesPublished };
+    }
+
     // Update fixture scores
     async updateFixtureScore(fixtureId, clubId, editionId, homeScore, awayScore, status = 'finished') {
         if (!this.db) {
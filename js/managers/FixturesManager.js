@@ -1,7 +1,14 @@
+import { getTeamRound, getUnavailableTeams, usedTeamId } from '../services/EditionFormats.js';
+import { getFixtureKickoff } from '../services/DeadlineTimes.js';
+import { formatMoney, isPaymentBlocked, resolvePaymentSettings } from '../services/PaymentLedger.js';
+
 export default class FixturesManager {
     constructor() {
         this.currentFixtures = [];
         this.userPicks = {};
+        this.backupPicks = [];
+        this.editionTeams = [];
+        this.paymentStatus = 'unpaid';
         this.deadlinePassed = false;
         this.isInitialized = false;
         this.dataLoaded = false;
@@ -33,6 +40,13 @@ export default class FixturesManager {
             }
         });
 
+        // Rolling deadlines lock teams one fixture at a time
+        window.addEventListener('teamsLocked', (event) => {
+            if (window.editionService && window.editionService.getCurrentGameweek() == event.detail.gameweek) {
+                this.displayFixtures();
+            }
+        });
+
         // Basic initialization complete
     }
 
@@ -126,9 +140,12 @@ export default class FixturesManager {
 
             // Also load user picks to show status
             await this.loadUserPicks();
+            await this.loadBackupPicks();
+            await this.loadEditionTeams();
 
             // Now display everything once
             this.displayFixtures();
+            this.displayBackupPicks();
 
 
         } catch (error) {
@@ -217,7 +234,7 @@ export default class FixturesManager {
                         const pick = doc.data();
                         // Support both old string format and new object format
                         const gameweekKey = `gw${pick.gameweek}`;
-                        this.userPicks[gameweekKey] = pick;
+                        this.userPicks[gameweekKey] = { id: doc.id, ...pick };
                     });
                     console.log('Loaded user picks:', Object.keys(this.userPicks).length);
                 }
@@ -233,6 +250,157 @@ export default class FixturesManager {
         }
     }
 
+    getUserDocRef() {
+        const userId = window.authManager?.getCurrentUserId();
+        const clubId = window.losApp?.managers?.club?.getCurrentClub();
+        const editionId = window.editionService?.getCurrentEdition();
+
+        if (!userId || !clubId || !editionId) return null;
+
+        return this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId)
+            .collection('users').doc(userId);
+    }
+
+    // Ordered fallback teams, used ahead of the edition's auto-pick strategy when a deadline is missed
+    async loadBackupPicks() {
+        try {
+            const userDocRef = this.getUserDocRef();
+            if (!userDocRef) return;
+
+            const userDoc = await userDocRef.get();
+            this.backupPicks = userDoc.exists ? (userDoc.data().backupPicks || []) : [];
+            // The same document says whether the player has paid their entry fee
+            this.paymentStatus = userDoc.exists ? (userDoc.data().paymentStatus || 'unpaid') : 'unpaid';
+        } catch (error) {
+            console.error('Error loading backup picks:', error);
+        }
+    }
+
+    // Every team with a fixture in the edition, so players can queue teams for later gameweeks
+    async loadEditionTeams() {
+        try {
+            const clubId = window.losApp?.managers?.club?.getCurrentClub();
+            const editionId = window.editionService?.getCurrentEdition();
+            if (!clubId || !editionId) return;
+
+            const fixturesSnapshot = await this.db.collection('clubs').doc(clubId)
+                .collection('editions').doc(editionId)
+                .collection('fixtures')
+                .get();
+            const teams = fixturesSnapshot.docs.flatMap(doc => [doc.data().homeTeam, doc.data().awayTeam]);
+            this.editionTeams = [...new Set(teams.filter(Boolean))].sort();
+        } catch (error) {
+            console.error('Error loading edition teams:', error);
+        }
+    }
+
+    async saveBackupPicks(backupPicks) {
+        const userDocRef = this.getUserDocRef();
+        if (!userDocRef) return;
+
+        const previousBackupPicks = this.backupPicks;
+        this.backupPicks = backupPicks;
+        this.displayBackupPicks();
+
+        try {
+            await userDocRef.update({
+                backupPicks: backupPicks,
+                updated_at: firebase.firestore.FieldValue.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error saving backup picks:', error);
+            this.backupPicks = previousBackupPicks;
+            this.displayBackupPicks();
+            window.authManager.showError('Failed to save backup picks. Please try again.');
+        }
+    }
+
+    addBackupPick(teamName) {
+        if (!teamName || this.backupPicks.includes(teamName)) return;
+        this.saveBackupPicks([...this.backupPicks, teamName]);
+    }
+
+    moveBackupPick(index, offset) {
+        const newIndex = index + offset;
+        if (newIndex < 0 || newIndex >= this.backupPicks.length) return;
+
+        const backupPicks = [...this.backupPicks];
+        [backupPicks[index], backupPicks[newIndex]] = [backupPicks[newIndex], backupPicks[index]];
+        this.saveBackupPicks(backupPicks);
+    }
+
+    removeBackupPick(index) {
+        this.saveBackupPicks(this.backupPicks.filter((team, i) => i !== index));
+    }
+
+    displayBackupPicks() {
+        const panel = document.getElementById('backupPicksPanel');
+        if (!panel) return;
+
+        if (!window.authManager?.getCurrentUser()) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const teamOptions = this.editionTeams
+            .filter(team => !this.backupPicks.includes(team) && !this.isTeamPicked(team));
+
+        const queueHtml = this.backupPicks.length > 0
+            ? this.backupPicks.map((team, index) => `
+                <li class="backup-pick-item ${this.isTeamPicked(team) ? 'used' : ''}">
+                    <span class="team-name">${team}</span>
+                    ${this.isTeamPicked(team) ? '<span class="backup-pick-status">Used</span>' : ''}
+                    <div class="backup-pick-actions">
+                        <button class="btn btn-secondary btn-sm" data-backup-action="up" data-index="${index}" ${index === 0 ? 'disabled' : ''} aria-label="Move ${team} up">
+                            <i class="fas fa-arrow-up" aria-hidden="true"></i>
+                        </button>
+                        <button class="btn btn-secondary btn-sm" data-backup-action="down" data-index="${index}" ${index === this.backupPicks.length - 1 ? 'disabled' : ''} aria-label="Move ${team} down">
+                            <i class="fas fa-arrow-down" aria-hidden="true"></i>
+                        </button>
+                        <button class="btn btn-danger btn-sm" data-backup-action="remove" data-index="${index}" aria-label="Remove ${team}">
+                            <i class="fas fa-times" aria-hidden="true"></i>
+                        </button>
+                    </div>
+                </li>
+            `).join('')
+            : '<li class="backup-pick-empty">No backup picks yet</li>';
+
+        panel.innerHTML = `
+            <div class="backup-picks-header">
+                <h3>Backup Picks</h3>
+                <p>If you miss a deadline, the first team on this list that is playing and that you haven't used yet is picked for you.</p>
+            </div>
+            <ol class="backup-picks-list">${queueHtml}</ol>
+            <div class="backup-picks-add">
+                <select id="backupPickTeam" aria-label="Team to add">
+                    <option value="">Add a team...</option>
+                    ${teamOptions.map(team => `<option value="${team}">${team}</option>`).join('')}
+                </select>
+                <button id="addBackupPick" class="btn btn-primary btn-sm">Add</button>
+            </div>
+        `;
+        panel.classList.remove('hidden');
+
+        panel.querySelectorAll('[data-backup-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const index = parseInt(btn.getAttribute('data-index'));
+                const action = btn.getAttribute('data-backup-action');
+
+                if (action === 'up') this.moveBackupPick(index, -1);
+                else if (action === 'down') this.moveBackupPick(index, 1);
+                else if (action === 'remove') this.removeBackupPick(index);
+            });
+        });
+
+        const addBtn = document.getElementById('addBackupPick');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                this.addBackupPick(document.getElementById('backupPickTeam').value);
+            });
+        }
+    }
+
     displayFixtures() {
         const fixturesList = document.getElementById('fixturesList');
         if (!fixturesList) return;
@@ -354,12 +522,37 @@ export default class FixturesManager {
 
     getButtonState(teamName, isPickedCurrently, isUsed, isAnyPicked) {
         if (isPickedCurrently) return 'picked'; // Always show if picked, even if deadline passed
-        if (this.deadlinePassed) return 'locked';
+        if (this.deadlinePassed) {
+            // A pick on a postponed/abandoned match can be swapped for a team yet to kick off
+            if (this.getRepickWindow() && !isUsed && this.isTeamOpenForRepick(teamName)) return 'available';
+            return 'locked';
+        }
+        // Rolling deadlines: teams lock at their own kick-off, and so does a pick on them
+        if (this.isTeamLocked(teamName)) return 'locked';
+        if (this.isPickBlockedByPayment()) return 'disabled';
         if (isUsed) return 'unavailable'; // Picked in previous week
-        if (isAnyPicked) return 'disabled'; // Another team is picked this week
+        if (isAnyPicked) return this.isCurrentPickLocked() ? 'locked' : 'disabled'; // Another team is picked this week
         return 'available';
     }
 
+    // The gameweek deadline, or under rolling deadlines the team's own fixture lock (see DeadlineService)
+    isTeamLocked(teamName) {
+        const deadlineService = window.losApp?.managers?.deadline;
+        return deadlineService?.isTeamLocked ? deadlineService.isTeamLocked(teamName) : this.deadlinePassed;
+    }
+
+    // Unpaid players can't pick once the edition requires the entry fee (see PaymentLedger)
+    isPickBlockedByPayment() {
+        const settings = resolvePaymentSettings(window.editionService.getSettings() || {});
+        return isPaymentBlocked({ paymentStatus: this.paymentStatus }, window.editionService.getCurrentGameweek(), settings);
+    }
+
+    isCurrentPickLocked() {
+        const currentPick = this.userPicks?.[`gw${window.editionService.getCurrentGameweek()}`];
+        const pickedTeam = typeof currentPick === 'string' ? currentPick : currentPick?.teamPicked;
+        return Boolean(pickedTeam) && this.isTeamLocked(pickedTeam);
+    }
+
     renderPickButton(teamName, state, index, type) {
         let btnClass = '';
         let btnText = '';
@@ -369,7 +562,7 @@ export default class FixturesManager {
             case 'picked':
                 btnClass = 'btn-picked';
                 btnText = '<i class="fas fa-check"></i> Picked';
-                if (this.deadlinePassed) disabled = 'disabled';
+                if (this.deadlinePassed || this.isTeamLocked(teamName)) disabled = 'disabled';
                 break;
             case 'unavailable':
                 btnClass = 'btn-unavailable';
@@ -462,6 +655,7 @@ export default class FixturesManager {
         return !!currentPick;
     }
 
+    // Used in another gameweek of the same team round - the edition format decides when teams come back
     isTeamPickedInOtherGameweek(teamName) {
         // Ensure userPicks is initialized
         if (!this.userPicks) {
@@ -469,36 +663,64 @@ export default class FixturesManager {
         }
 
         const currentGameweek = window.editionService.getCurrentGameweek();
+        return getUnavailableTeams(this.getEditionFormat(), this.userPicks, currentGameweek).has(teamName);
+    }
 
-        // Check all gameweeks except current to see if this team was picked
-        for (const [gameweekKey, pick] of Object.entries(this.userPicks)) {
-            // Skip current gameweek
-            if (gameweekKey === `gw${currentGameweek}`) {
-                continue;
-            }
+    getEditionFormat() {
+        return window.editionService.getEditionFormat();
+    }
 
-            if (typeof pick === 'string') {
-                // Old format: direct string
-                if (pick === teamName) {
-                    return true;
-                }
-            } else if (pick && pick.teamPicked) {
-                // New format: object with teamPicked property
-                if (pick.teamPicked === teamName) {
-                    return true;
-                }
-            }
-        }
+    getCurrentTeamRound() {
+        const currentGameweek = window.editionService.getCurrentGameweek();
+        return getTeamRound(this.getEditionFormat(), this.userPicks || {}, currentGameweek);
+    }
 
-        return false;
+    /**
+     * Re-pick window for the current gameweek, open when the player's pick was on a void
+     * match and the edition's void match policy is 're-pick before the cut-off'.
+     * @returns {{pick: Object, deadline: Date}|null}
+     */
+    getRepickWindow() {
+        const currentGameweek = window.editionService.getCurrentGameweek();
+        const pick = this.userPicks?.[`gw${currentGameweek}`];
+
+        if (!pick || pick.voidOutcome !== 'repick' || !pick.repickDeadline) return null;
+
+        const deadline = pick.repickDeadline.toDate ? pick.repickDeadline.toDate() : new Date(pick.repickDeadline);
+        return new Date() < deadline ? { pick, deadline } : null;
+    }
+
+    isTeamOpenForRepick(teamName) {
+        const fixture = this.currentFixtures.find(f => f.homeTeam === teamName || f.awayTeam === teamName);
+        if (!fixture) return false;
+
+        const status = (fixture.status || '').toString().toLowerCase();
+        if (['postponed', 'abandoned', 'cancelled', 'finished', 'completed'].includes(status)) return false;
+
+        const kickoff = getFixtureKickoff(fixture, window.losApp?.managers?.club?.getClubTimeZone());
+        return Boolean(kickoff) && new Date() < kickoff;
     }
 
     handlePickSelection(teamName, fixtureIndex) {
-        if (this.deadlinePassed) {
+        if (this.deadlinePassed && !(this.getRepickWindow() && this.isTeamOpenForRepick(teamName))) {
             window.authManager.showWarning('Deadline has passed. Picks are locked.');
             return;
         }
 
+        if (!this.deadlinePassed && this.isTeamLocked(teamName)) {
+            window.authManager.showWarning(`${teamName}'s fixture has locked. Pick a team playing later.`);
+            return;
+        }
+        if (!this.deadlinePassed && this.isCurrentPickLocked()) {
+            window.authManager.showWarning('Your pick\'s fixture has locked, so it can no longer be changed.');
+            return;
+        }
+        if (this.isPickBlockedByPayment()) {
+            const { entryFeePence, currency } = resolvePaymentSettings(window.editionService.getSettings() || {});
+            window.authManager.showWarning(`Your ${formatMoney(entryFeePence, currency)} entry fee hasn't been paid yet. Please pay the club to keep picking.`);
+            return;
+        }
+
         // Ensure userPicks is initialized
         if (!this.userPicks) {
             this.userPicks = {};
@@ -576,26 +798,66 @@ export default class FixturesManager {
         }
 
         try {
-            // Create pick record in the new multi-club structure
-            await this.db.collection('clubs').doc(currentClubId)
-                .collection('editions').doc(currentEdition)
-                .collection('picks').add({
-                    userId: userId,
-                    teamPicked: teamName,
-                    gameweek: currentGameweek,
-                    fixtureId: null, // Will be updated when fixtures are processed
-                    isAutopick: false,
-                    result: null,
-                    livesAfterPick: null, // Will be updated when processed
-                    savedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    processedAt: null,
-                    created_at: firebase.firestore.FieldValue.serverTimestamp(),
-                    updated_at: firebase.firestore.FieldValue.serverTimestamp()
-                });
+            const repickWindow = this.deadlinePassed ? this.getRepickWindow() : null;
+            if (repickWindow) {
+                await this.confirmRepick(currentClubId, currentEdition, repickWindow.pick, teamName);
+                return;
+            }
+
+            const editionRef = this.db.collection('clubs').doc(currentClubId)
+                .collection('editions').doc(currentEdition);
+            const gameweek = Number(currentGameweek);
+            const pickId = `${userId}_gw${gameweek}`;
+            const previousPick = this.userPicks[`gw${currentGameweek}`];
+            const teamRound = this.getCurrentTeamRound();
+            const teamId = this.getTeamId(teamName);
+            const claimId = usedTeamId(userId, teamName, teamRound, teamId);
+
+            // One pick per player per gameweek, written together with the used-teams claim
+            // that firestore.rules checks so a team can't be used twice
+            const batch = this.db.batch();
+            batch.set(editionRef.collection('picks').doc(pickId), {
+                userId: userId,
+                teamPicked: teamName,
+                teamId: teamId,
+                gameweek: gameweek,
+                fixtureId: null, // Will be updated when fixtures are processed
+                isAutopick: false,
+                teamRound: teamRound,
+                result: null,
+                livesAfterPick: null, // Will be updated when processed
+                savedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                processedAt: null,
+                created_at: firebase.firestore.FieldValue.serverTimestamp(),
+                updated_at: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            batch.set(editionRef.collection('used-teams').doc(claimId), {
+                userId: userId,
+                team: teamName,
+                teamId: teamId,
+                gameweek: gameweek,
+                teamRound: teamRound,
+                pickId: pickId,
+                created_at: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            // Switching pick before the deadline releases the previous team
+            const previousClaimId = previousPick?.teamPicked ? usedTeamId(userId, previousPick.teamPicked, teamRound, previousPick.teamId) : null;
+            if (previousClaimId && previousClaimId !== claimId) {
+                batch.delete(editionRef.collection('used-teams').doc(previousClaimId));
+            }
+            if (previousPick?.id && previousPick.id !== pickId) {
+                batch.delete(editionRef.collection('picks').doc(previousPick.id));
+            }
+
+            await batch.commit();
 
             // Update local state to match picks collection format
             this.userPicks[`gw${currentGameweek}`] = {
+                id: pickId,
                 teamPicked: teamName,
+                teamId: teamId,
+                teamRound: teamRound,
                 savedAt: new Date(),
                 isAutopick: false
             };
@@ -623,6 +885,56 @@ export default class FixturesManager {
         }
     }
 
+    // Swap a pick on a void match for a new team, keeping the original on the pick record
+    async confirmRepick(clubId, editionId, pick, teamName) {
+        const fixture = this.currentFixtures.find(f => f.homeTeam === teamName || f.awayTeam === teamName);
+        const editionRef = this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId);
+
+        const teamId = this.getTeamId(teamName);
+        const batch = this.db.batch();
+        batch.update(editionRef.collection('picks').doc(pick.id), {
+            teamPicked: teamName,
+            teamId: teamId,
+            fixtureId: fixture?.id || null,
+            repickedFrom: pick.teamPicked,
+            voidOutcome: 'repicked',
+            savedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            updated_at: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        const teamRound = pick.teamRound || 1;
+        batch.set(editionRef.collection('used-teams').doc(usedTeamId(pick.userId, teamName, teamRound, teamId)), {
+            userId: pick.userId,
+            team: teamName,
+            teamId: teamId,
+            gameweek: Number(pick.gameweek),
+            teamRound: teamRound,
+            pickId: pick.id,
+            created_at: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        await batch.commit();
+
+        const currentGameweek = window.editionService.getCurrentGameweek();
+        this.userPicks[`gw${currentGameweek}`] = {
+            ...pick,
+            teamPicked: teamName,
+            teamId: teamId,
+            repickedFrom: pick.teamPicked,
+            voidOutcome: 'repicked'
+        };
+
+        this.hidePickModal();
+        this.displayFixtures();
+        window.authManager.showSuccess(`Re-pick saved: ${teamName} replaces ${pick.teamPicked}`);
+    }
+
+    // Registry ID for a team in this gameweek's fixtures, or null before the team is registered
+    getTeamId(teamName) {
+        const fixture = this.currentFixtures.find(f => f.homeTeam === teamName || f.awayTeam === teamName);
+        const fixtureTeamId = fixture?.homeTeam === teamName ? fixture.homeTeamId : fixture?.awayTeamId;
+        return fixtureTeamId || window.teamRegistry?.resolveTeamId(teamName) || null;
+    }
+
     hidePickModal() {
         const modal = document.getElementById('pickModal');
         if (modal) {
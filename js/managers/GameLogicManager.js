@@ -1,9 +1,64 @@
+import {
+    calculateEditionLives,
+    calculateLives,
+    describeResultRules,
+    findPickFixture,
+    getLifeGrantsByUser,
+    normalizePickResult,
+    resolveResultRules
+} from '../services/ResultRules.js';
+import { describeEditionFormat, resolveEditionFormat } from '../services/EditionFormats.js';
+import ResultSettlementService, { describeScoreCorrection, getVoidPickOutcome } from '../services/ResultSettlementService.js';
+import NotificationService from '../services/NotificationService.js';
+import { buildPickHistory, filterToLeague, rankWithinLeague } from '../services/MiniLeagues.js';
+import { loadVisiblePicks } from '../services/PickReveal.js';
+import { isEditionModerator } from '../services/RoleClaims.js';
+
+/**
+ * Tiebreak rules applied, in the order configured on the edition settings,
+ * when the last players standing are all eliminated in the same gameweek.
+ * 'sharedPrize' stops the tiebreak and splits the prize between everyone still tied.
+ */
+export const TIEBREAK_RULES = {
+    goalDifference: {
+        label: 'Goal difference',
+        value: (stats) => stats.goalDifference,
+        higherIsBetter: true,
+        format: (value) => (value > 0 ? `+${value}` : `${value}`)
+    },
+    mostWins: {
+        label: 'Most wins',
+        value: (stats) => stats.wins,
+        higherIsBetter: true,
+        format: (value) => `${value}`
+    },
+    fewestAutopicks: {
+        label: 'Fewest autopicks',
+        value: (stats) => stats.autopicks,
+        higherIsBetter: false,
+        format: (value) => `${value}`
+    },
+    sharedPrize: {
+        label: 'Shared prize'
+    }
+};
+
+export const DEFAULT_TIEBREAK_RULES = ['goalDifference', 'mostWins', 'fewestAutopicks'];
+
+/**
+ * Fixture statuses that mean a match will not produce a result as scheduled.
+ */
+export const VOID_FIXTURE_STATUSES = ['postponed', 'abandoned', 'cancelled'];
+
 /**
  * GameLogicManager - Handles game logic, standings, and player management
  */
 export default class GameLogicManager {
     constructor() {
         this.standings = [];
+        this.resultRules = null;
+        this.editionFormat = null;
+        this.revealedThrough = null; // Last gameweek whose picks everyone can see, null when the viewer sees all
         this.db = null;
         this.isInitialized = false;
     }
@@ -87,15 +142,23 @@ export default class GameLogicManager {
             console.log('🔍 GameLogicManager: Using multi-club structure...');
 
             try {
-                const usersSnapshot = await this.db.collection('clubs')
+                const editionRef = this.db.collection('clubs')
                     .doc(currentClub)
                     .collection('editions')
-                    .doc(currentEdition)
-                    .collection('users')
-                    .get();
+                    .doc(currentEdition);
+
+                const [usersSnapshot, settings, fixturesSnapshot] = await Promise.all([
+                    editionRef.collection('users').get(),
+                    this.getEditionSettings(currentClub, currentEdition),
+                    editionRef.collection('fixtures').get()
+                ]);
+
+                this.resultRules = resolveResultRules(settings, window.editionService?.getCurrentEditionData());
+                this.editionFormat = resolveEditionFormat(settings, window.editionService?.getCurrentEditionData());
+                const fixtures = fixturesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
                 console.log('🔍 GameLogicManager: Found users:', usersSnapshot.size);
-                await this.processUsers(usersSnapshot, currentClub, currentEdition);
+                await this.processUsers(usersSnapshot, currentClub, currentEdition, fixtures);
 
             } catch (error) {
                 console.error('❌ GameLogicManager: Error loading users:', error);
@@ -110,6 +173,11 @@ export default class GameLogicManager {
                 if (a.isCurrentUser && !b.isCurrentUser) return -1;
                 if (!a.isCurrentUser && b.isCurrentUser) return 1;
 
+                // Settled final positions (including tiebreaks) take priority over lives
+                if (a.finalPosition && b.finalPosition && a.finalPosition !== b.finalPosition) {
+                    return a.finalPosition - b.finalPosition;
+                }
+
                 // Then sort by card status (lives descending)
                 if (a.lives !== b.lives) {
                     return b.lives - a.lives; // More lives first
@@ -122,6 +190,8 @@ export default class GameLogicManager {
                 return 0;
             });
 
+            // The player's mini-leagues decide which rows the table shows
+            await window.miniLeagueService?.loadLeagues();
             this.displayStandings();
 
         } catch (error) {
@@ -160,7 +230,7 @@ export default class GameLogicManager {
     getCardStatusText(lives) {
         if (lives === 0) return 'Red Card (Eliminated)';
         if (lives === 1) return 'Yellow Card (1 Life)';
-        return 'No Cards (2 Lives)';
+        return `No Cards (${lives} Lives)`;
     }
 
     getCardStatusIcon(lives) {
@@ -169,42 +239,24 @@ export default class GameLogicManager {
         return '🟢';
     }
 
-    calculateLivesFromPicks(userPicks, startingLives = 2) {
-        if (!userPicks || Object.keys(userPicks).length === 0) {
-            console.log('🔍 GameLogicManager: No picks to calculate lives from, returning starting lives:', startingLives);
+    /**
+     * Lives left after a player's picks, under the edition's result rules (draws, bonus lives, cap).
+     * @param {Object} userPicks - Picks keyed by gameweek
+     * @param {number} startingLives - Lives each player starts with
+     * @param {Object} settings - Edition settings holding resultRules
+     * @param {Array} fixtures - Needed for away-win and upset bonuses
+     * @param {Array} lifeGrants - Lives granted to the player, e.g. buy-backs
+     */
+    calculateLivesFromPicks(userPicks, startingLives = 2, settings = {}, fixtures = [], lifeGrants = []) {
+        if ((!userPicks || Object.keys(userPicks).length === 0) && lifeGrants.length === 0) {
             return startingLives;
         }
 
-        let lives = startingLives;
-        console.log('🔍 GameLogicManager: Calculating lives from picks. Starting lives:', startingLives);
-        console.log('🔍 GameLogicManager: User picks data:', userPicks);
-
-        // Count losing picks (cards received)
-        Object.entries(userPicks).forEach(([gameweek, pick]) => {
-            console.log(`🔍 GameLogicManager: Checking GW${gameweek} pick:`, pick);
-
-            if (pick && pick.result) {
-                console.log(`🔍 GameLogicManager: GW${gameweek} result: "${pick.result}" (type: ${typeof pick.result})`);
-
-                // Check for various possible loss values
-                if (pick.result === 'loss' || pick.result === 'L' || pick.result === 'Loss' || pick.result === 'LOSS') {
-                    lives--;
-                    console.log(`🔍 GameLogicManager: GW${gameweek} is a LOSS, lives reduced to: ${lives}`);
-                } else if (pick.result === 'win' || pick.result === 'W' || pick.result === 'Win' || pick.result === 'WIN') {
-                    console.log(`🔍 GameLogicManager: GW${gameweek} is a WIN, lives remain: ${lives}`);
-                } else if (pick.result === 'draw' || pick.result === 'D' || pick.result === 'Draw' || pick.result === 'DRAW') {
-                    console.log(`🔍 GameLogicManager: GW${gameweek} is a DRAW, lives remain: ${lives}`);
-                } else {
-                    console.log(`🔍 GameLogicManager: GW${gameweek} has unknown result: "${pick.result}", treating as neutral`);
-                }
-            } else {
-                console.log(`🔍 GameLogicManager: GW${gameweek} has no result field or result is falsy:`, pick);
-            }
-        });
+        const rules = { ...resolveResultRules(settings), livesPerPlayer: startingLives };
+        const { lives } = calculateLives(userPicks, rules, fixtures, lifeGrants);
 
-        console.log('🔍 GameLogicManager: Final calculated lives:', lives);
-        // Ensure lives don't go below 0
-        return Math.max(0, lives);
+        console.log('🔍 GameLogicManager: Calculated lives from picks:', { startingLives, drawPolicy: rules.drawPolicy, lives });
+        return lives;
     }
 
     displayStandings() {
@@ -227,8 +279,29 @@ export default class GameLogicManager {
             return;
         }
 
+        const rulesSummary = this.resultRules
+            ? [
+                ...(this.editionFormat ? [describeEditionFormat(this.editionFormat)] : []),
+                ...describeResultRules(this.resultRules)
+            ].join(' · ')
+            : '';
+
+        // Other players' picks for the current gameweek stay hidden until it is revealed
+        const currentGameweek = window.losApp?.managers?.edition?.getCurrentGameweek() || 1;
+        const picksHidden = this.revealedThrough !== null && currentGameweek > this.revealedThrough;
+
+        // A mini-league shows its members only, placed among themselves
+        const league = window.miniLeagueService?.getSelectedLeague() || null;
+        const standings = filterToLeague(this.standings, league);
+        const positions = league
+            ? rankWithinLeague(standings, player => player.finalPosition || this.standings.indexOf(player) + 1)
+            : standings.map((player, index) => player.finalPosition || index + 1);
+        const leagueName = league ? window.miniLeagueService.escape(league.name) : '';
+
         // Create enhanced standings table
         let standingsHTML = `
+            ${league ? `<div class="standings-rules mini-league-banner"><i class="fas fa-users"></i> ${leagueName} · ${standings.length} of ${this.standings.length} players</div>` : ''}
+            ${rulesSummary ? `<div class="standings-rules">${rulesSummary}</div>` : ''}
             <div class="standings-table">
                 <div class="standings-header-row">
                     <div class="standings-header-cell position-header">Pos</div>
@@ -240,13 +313,14 @@ export default class GameLogicManager {
                 </div>
         `;
 
-        this.standings.forEach((player, index) => {
-            const position = index + 1;
+        standings.forEach((player, index) => {
+            const position = positions[index];
             const eliminatedClass = player.eliminated ? 'eliminated' : '';
             const currentUserClass = player.isCurrentUser ? 'current-user' : '';
             const cardStatusIcon = this.getCardStatusIcon(player.lives);
             const cardStatusText = this.getCardStatusText(player.lives);
-            const currentPick = player.currentGameweekPick || 'No pick made';
+            const currentPick = player.currentGameweekPick ||
+                (!player.isCurrentUser && picksHidden ? '🔒 Hidden until the deadline' : 'No pick made');
             const lastPick = player.lastPick ? `GW${Object.keys(player.picks).sort((a, b) => Number(b) - Number(a))[0]}` : 'No picks yet';
 
             // Add debug logging for current user
@@ -260,12 +334,16 @@ export default class GameLogicManager {
                 });
             }
 
+            const reentryClass = player.reentries > 0 ? 'reentered' : '';
+
             standingsHTML += `
-                <div class="standings-row ${eliminatedClass} ${currentUserClass}" data-uid="${player.uid}">
+                <div class="standings-row ${eliminatedClass} ${currentUserClass} ${reentryClass}" data-uid="${player.uid}">
                     <div class="standings-cell position-cell">${position}</div>
                     <div class="standings-cell player-cell">
                         <span class="player-name">${player.displayName}</span>
                         ${player.isCurrentUser ? '<span class="current-user-badge">YOU</span>' : ''}
+                        ${player.reentries > 0 ? `<span class="reentry-badge" title="Bought back in from GW${player.reentryGameweek}">↩️ Re-entered${player.reentries > 1 ? ` ×${player.reentries}` : ''}</span>` : ''}
+                        ${player.finalPositionReason ? `<span class="final-position-reason">${player.finalPositionReason}</span>` : ''}
                     </div>
                     <div class="standings-cell card-cell ${player.cardStatus}">
                         <span class="card-icon">${cardStatusIcon}</span>
@@ -284,53 +362,103 @@ export default class GameLogicManager {
         });
 
         standingsHTML += '</div>';
+        if (league) {
+            standingsHTML += standings.length > 0
+                ? this.renderLeaguePickHistory(standings)
+                : '<div class="empty-state"><p>None of this league\'s members are playing yet.</p></div>';
+        }
         standingsList.innerHTML = standingsHTML;
     }
 
+    // Every member's pick, gameweek by gameweek, under a mini-league's standings
+    renderLeaguePickHistory(players) {
+        const currentGameweek = window.losApp?.managers?.edition?.getCurrentGameweek() || 1;
+        const { gameweeks, rows } = buildPickHistory(players, currentGameweek);
+        if (gameweeks.length === 0) return '';
+
+        const resultClass = (pick) => normalizePickResult(pick.result) || 'pending';
+
+        return `
+            <div class="league-pick-history">
+                <h4>Pick History</h4>
+                <div class="league-pick-history-scroll">
+                    <table class="league-pick-history-table">
+                        <thead>
+                            <tr>
+                                <th>Player</th>
+                                ${gameweeks.map(gameweek => `<th>GW${gameweek}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr>
+                                    <td>${row.displayName}</td>
+                                    ${gameweeks.map(gameweek => {
+                                        const pick = row.picks[gameweek];
+                                        return pick
+                                            ? `<td class="pick-${resultClass(pick)}">${pick.teamPicked}${pick.isAutopick ? ' <span title="Auto-pick">🤖</span>' : ''}</td>`
+                                            : '<td class="pick-none">-</td>';
+                                    }).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
     getStandings() {
         return [...this.standings];
     }
 
     // Process users from multi-club structure
-    async processUsers(usersSnapshot, currentClub, currentEdition) {
+    async processUsers(usersSnapshot, currentClub, currentEdition, fixtures = []) {
         console.log('🔍 GameLogicManager: Processing users from new multi-club structure...');
         this.standings = [];
+        const rules = this.resultRules || resolveResultRules();
+        const picksByUser = {};
 
-        for (const doc of usersSnapshot.docs) {
-            const userData = doc.data();
-            console.log('🔍 GameLogicManager: Processing user (new):', doc.id, userData);
-
-            // Load picks from new multi-club structure
-            let userPicks = {};
-            try {
-                const picksSnapshot = await this.db.collection('clubs')
-                    .doc(currentClub)
-                    .collection('editions')
-                    .doc(currentEdition)
-                    .collection('picks')
-                    .where('userId', '==', doc.id)
-                    .get();
-
-                console.log('🔍 GameLogicManager: Found picks for user (new):', doc.id, picksSnapshot.size);
+        // Players only get their own picks and those from revealed gameweeks (see PickReveal)
+        try {
+            const currentUserId = window.losApp?.managers?.auth?.currentUser?.uid;
+            const roles = await window.authManager?.getRoleClaims?.();
+            const editionRef = this.db.collection('clubs').doc(currentClub).collection('editions').doc(currentEdition);
+            const { picks, revealedThrough } = await loadVisiblePicks(editionRef, {
+                userId: currentUserId,
+                canReadAll: isEditionModerator(roles, currentClub, currentEdition)
+            });
+            this.revealedThrough = revealedThrough;
 
-                picksSnapshot.forEach(pickDoc => {
-                    const pickData = pickDoc.data();
-                    console.log(`🔍 GameLogicManager: Raw pick data for GW${pickData.gameweek}:`, pickData);
+            console.log('🔍 GameLogicManager: Found visible picks:', picks.length, 'revealed through GW', revealedThrough ?? 'all');
 
-                    userPicks[pickData.gameweek] = {
-                        teamPicked: pickData.teamPicked,
-                        result: pickData.result,
-                        fixtureId: pickData.fixtureId,
-                        isAutopick: pickData.isAutopick || false
-                    };
+            usersSnapshot.docs.forEach(doc => { picksByUser[doc.id] = {}; });
+            picks.forEach(pickData => {
+                if (!picksByUser[pickData.userId]) return;
+                picksByUser[pickData.userId][pickData.gameweek] = {
+                    teamPicked: pickData.teamPicked,
+                    result: pickData.result,
+                    fixtureId: pickData.fixtureId,
+                    isAutopick: pickData.isAutopick || false
+                };
+            });
+        } catch (error) {
+            console.error('Error loading picks (new):', error);
+            usersSnapshot.docs.forEach(doc => { picksByUser[doc.id] = {}; });
+        }
 
-                    console.log(`🔍 GameLogicManager: Processed pick for GW${pickData.gameweek}:`, userPicks[pickData.gameweek]);
-                });
-            } catch (error) {
-                console.error('Error loading picks for user (new):', doc.id, error);
-            }
+        // Lives are worked out for everyone at once so knockout rollovers apply
+        const lifeGrantsByUser = getLifeGrantsByUser(usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        const { players, rolloverGameweeks } = calculateEditionLives(picksByUser, rules, fixtures, this.editionFormat || {}, lifeGrantsByUser);
+        if (rolloverGameweeks.length > 0) {
+            console.log('🔄 GameLogicManager: Rollover gameweeks:', rolloverGameweeks);
+        }
 
-            const calculatedLives = this.calculateLivesFromPicks(userPicks);
+        for (const doc of usersSnapshot.docs) {
+            const userData = doc.data();
+            const userPicks = picksByUser[doc.id];
+            const calculatedLives = players[doc.id].lives;
+            const reentries = lifeGrantsByUser[doc.id].filter(grant => grant.type === 'buyBack');
             const playerData = {
                 uid: doc.id,
                 displayName: userData.displayName,
@@ -339,7 +467,11 @@ export default class GameLogicManager {
                 eliminated: calculatedLives <= 0,
                 lastPick: this.getLastPick(userPicks),
                 currentGameweekPick: this.getCurrentGameweekPick(userPicks),
+                finalPosition: userData.finalPosition || null,
+                finalPositionReason: userData.finalPositionReason || null,
                 cardStatus: this.getCardStatus(calculatedLives),
+                reentries: reentries.length,
+                reentryGameweek: reentries.length > 0 ? reentries[reentries.length - 1].gameweek : null,
                 isCurrentUser: doc.id === window.losApp?.managers?.auth?.currentUser?.uid
             };
 
@@ -554,55 +686,394 @@ export default class GameLogicManager {
         }
     }
 
-    // Process all finished fixtures for a gameweek
+    // Process all finished fixtures for a gameweek - the manual "process gameweek" button runs the same settlement
     async processGameweekResults(clubId, editionId, gameweek) {
+        return this.settleGameweek(clubId, editionId, gameweek);
+    }
+
+    /**
+     * Settle a gameweek through ResultSettlementService: picks on void matches follow the edition's
+     * void match policy, then results come from final scores, livesAfterPick and players' lives.
+     * Idempotent - safe to call on every score update and again after a score correction.
+     * @returns {Promise<Object|null>} Settlement summary, or null on error
+     */
+    async settleGameweek(clubId, editionId, gameweek) {
         try {
-            console.log('🔍 GameLogicManager: Processing results for gameweek:', gameweek);
+            const summary = await this.createSettlementService().settleGameweek(clubId, editionId, Number(gameweek));
+
+            for (const outcome of summary.voidOutcomes) {
+                await this.logAuditEvent('VOID_MATCH_PICK_SETTLED', {
+                    clubId: clubId,
+                    editionId: editionId,
+                    gameweek: summary.gameweek,
+                    ...outcome
+                });
+            }
 
-            // Get all fixtures for this gameweek
-            const fixturesSnapshot = await this.db.collection('clubs')
-                .doc(clubId)
-                .collection('editions')
-                .doc(editionId)
-                .collection('fixtures')
-                .where('gameWeek', '==', gameweek)
+            if (summary.newlySettled) {
+                await this.logAuditEvent('GAMEWEEK_SETTLED', {
+                    clubId: clubId,
+                    editionId: editionId,
+                    gameweek: summary.gameweek,
+                    picksUpdated: summary.picksUpdated,
+                    usersUpdated: summary.usersUpdated
+                });
+            }
+
+            // Settle final positions (and any tiebreak) now that results are in
+            if (summary.picksUpdated > 0 || summary.usersUpdated > 0 || summary.newlySettled) {
+                await this.resolveFinalPositions(clubId, editionId);
+                await this.loadStandings();
+            }
+
+            return summary;
+
+        } catch (error) {
+            console.error('❌ GameLogicManager: Error settling gameweek:', error);
+            return null;
+        }
+    }
+
+    createSettlementService() {
+        const runnerId = window.authManager?.currentUser?.uid || 'unknown';
+        return new ResultSettlementService(this.db, {
+            runnerId,
+            notifier: new NotificationService(this.db, { runnerId })
+        });
+    }
+
+    /**
+     * Who changing a fixture's score would affect - shown to the admin before a correction is saved.
+     * @param {Object} correction - The new homeScore, awayScore and/or status
+     * @returns {Promise<Object>} See planScoreCorrection
+     */
+    async previewScoreCorrection(clubId, editionId, fixtureId, correction) {
+        return this.createSettlementService().previewScoreCorrection(clubId, editionId, fixtureId, correction);
+    }
+
+    /**
+     * Save a corrected score on a fixture and re-settle its gameweek, so pick results, lives and
+     * eliminations follow the new score. The before/after values go to the audit log and each
+     * affected player gets a notification.
+     * @returns {Promise<{correction: Object, settlement: Object|null}>}
+     */
+    async applyScoreCorrection(clubId, editionId, fixtureId, correction) {
+        const correctionPlan = await this.previewScoreCorrection(clubId, editionId, fixtureId, correction);
+        const currentUser = window.authManager?.currentUser;
+
+        await this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId)
+            .collection('fixtures').doc(fixtureId)
+            .update({
+                ...correction,
+                scoreCorrectedAt: new Date(),
+                scoreCorrectedBy: currentUser?.uid || 'unknown',
+                scoreCorrectionVersion: correctionPlan.version,
+                updated_at: new Date()
+            });
+
+        const settlement = await this.settleGameweek(clubId, editionId, correctionPlan.gameweek);
+
+        await this.logAuditEvent('SCORE_CORRECTED', {
+            clubId: clubId,
+            editionId: editionId,
+            fixtureId: fixtureId,
+            gameweek: correctionPlan.gameweek,
+            fixture: `${correctionPlan.homeTeam} vs ${correctionPlan.awayTeam}`,
+            before: correctionPlan.before,
+            after: correctionPlan.after,
+            players: correctionPlan.players
+        });
+
+        await this.notifyScoreCorrection(clubId, editionId, correctionPlan);
+
+        console.log(`✅ GameLogicManager: Score corrected for ${correctionPlan.homeTeam} vs ${correctionPlan.awayTeam} - ${correctionPlan.players.length} players affected`);
+        return { correction: correctionPlan, settlement };
+    }
+
+    // Tell each player a correction changed, keyed by the correction so a retry queues nothing twice
+    async notifyScoreCorrection(clubId, editionId, correctionPlan) {
+        try {
+            const runnerId = window.authManager?.currentUser?.uid || 'unknown';
+            await new NotificationService(this.db, { runnerId }).queueNotices(clubId, editionId, correctionPlan.players.map(player => ({
+                userId: player.userId,
+                type: 'scoreCorrection',
+                key: `${correctionPlan.fixtureId}_v${correctionPlan.version}`,
+                data: {
+                    gameweek: correctionPlan.gameweek,
+                    fixtureId: correctionPlan.fixtureId,
+                    summary: describeScoreCorrection(player, correctionPlan)
+                }
+            })));
+        } catch (error) {
+            console.error('❌ GameLogicManager: Error notifying players of score correction:', error);
+        }
+    }
+
+    getFixtureStatus(fixture) {
+        const status = fixture.status && typeof fixture.status === 'object' ? fixture.status.full : fixture.status;
+        return (status || '').toString().toLowerCase();
+    }
+
+    isVoidFixture(fixture) {
+        return VOID_FIXTURE_STATUSES.includes(this.getFixtureStatus(fixture));
+    }
+
+    isFixtureFinal(fixture) {
+        const status = this.getFixtureStatus(fixture);
+        return status === 'finished' || status === 'completed' || status === 'full time' ||
+            fixture.status?.short === 'FT' || this.isVoidFixture(fixture);
+    }
+
+    // Void match outcome under the edition's policy, with kick-offs read in the club's time zone
+    getVoidPickOutcome(pick, fixture, gameweekFixtures, settings = {}, now = new Date()) {
+        return getVoidPickOutcome(pick, fixture, gameweekFixtures, settings, now, window.losApp?.managers?.club?.getClubTimeZone?.());
+    }
+
+    async logAuditEvent(action, details = {}) {
+        try {
+            const currentUser = window.authManager?.currentUser;
+            await this.db.collection('audit-logs').add({
+                userType: 'ADMIN',
+                action: action,
+                details: details,
+                timestamp: new Date(),
+                userId: currentUser?.uid || 'unknown',
+                userEmail: currentUser?.email || 'unknown'
+            });
+        } catch (error) {
+            console.error('❌ GameLogicManager: Error creating audit log:', error);
+        }
+    }
+
+    async getEditionSettings(clubId, editionId) {
+        try {
+            const settingsDoc = await this.db.collection('clubs').doc(clubId)
+                .collection('editions').doc(editionId)
+                .collection('settings').doc('current')
                 .get();
 
-            console.log('🔍 GameLogicManager: Found fixtures for gameweek:', fixturesSnapshot.size);
+            return settingsDoc.exists ? settingsDoc.data() : {};
+        } catch (error) {
+            console.error('❌ GameLogicManager: Error loading edition settings:', error);
+            return {};
+        }
+    }
+
+    normalizePickResult(result) {
+        return normalizePickResult(result);
+    }
+
+    // Gameweek in which a player's lives ran out, or null if still alive
+    getEliminationGameweek(userPicks, startingLives = 2, settings = {}, fixtures = [], lifeGrants = []) {
+        const rules = { ...resolveResultRules(settings), livesPerPlayer: startingLives };
+        return calculateLives(userPicks, rules, fixtures, lifeGrants).eliminationGameweek;
+    }
+
+    // Find the fixture a pick was played in, by fixtureId or by gameweek and team name
+    findPickFixture(pick, gameweek, fixtures) {
+        return findPickFixture(pick, gameweek, fixtures);
+    }
+
+    calculateTiebreakStats(userPicks, fixtures = []) {
+        const stats = { goalDifference: 0, wins: 0, autopicks: 0 };
+
+        Object.entries(userPicks || {}).forEach(([gameweek, pick]) => {
+            if (!pick) return;
+
+            if (this.normalizePickResult(pick.result) === 'win') stats.wins++;
+            if (pick.isAutopick) stats.autopicks++;
+
+            const fixture = this.findPickFixture(pick, gameweek, fixtures);
+            if (!fixture) return;
+
+            const homeScore = Number(fixture.homeScore);
+            const awayScore = Number(fixture.awayScore);
+            if (fixture.homeScore === null || fixture.homeScore === undefined ||
+                fixture.awayScore === null || fixture.awayScore === undefined ||
+                isNaN(homeScore) || isNaN(awayScore)) {
+                return;
+            }
+
+            if (fixture.homeTeam === pick.teamPicked) {
+                stats.goalDifference += homeScore - awayScore;
+            } else if (fixture.awayTeam === pick.teamPicked) {
+                stats.goalDifference += awayScore - homeScore;
+            }
+        });
+
+        return stats;
+    }
+
+    /**
+     * Split a group of tied players into ordered tiers using the tiebreak rules.
+     * Each player gets the reason of the last rule that separated them.
+     */
+    breakTie(group, rules, reasons) {
+        if (group.length <= 1 || rules.length === 0) return [group];
+
+        const [ruleKey, ...remainingRules] = rules;
+        const rule = TIEBREAK_RULES[ruleKey];
+
+        if (ruleKey === 'sharedPrize') return [group];
+        if (!rule) {
+            console.warn(`⚠️ GameLogicManager: Unknown tiebreak rule "${ruleKey}", skipping`);
+            return this.breakTie(group, remainingRules, reasons);
+        }
+
+        const buckets = new Map();
+        group.forEach(player => {
+            const value = rule.value(player.stats);
+            if (!buckets.has(value)) buckets.set(value, []);
+            buckets.get(value).push(player);
+        });
+
+        const orderedValues = [...buckets.keys()].sort((a, b) => (rule.higherIsBetter ? b - a : a - b));
+
+        if (orderedValues.length > 1) {
+            orderedValues.forEach(value => {
+                buckets.get(value).forEach(player => {
+                    reasons[player.uid] = `Tiebreak: ${rule.label.toLowerCase()} (${rule.format(value)})`;
+                });
+            });
+        }
 
-            // Process each finished/completed fixture
-            for (const fixtureDoc of fixturesSnapshot.docs) {
-                const fixtureData = fixtureDoc.data();
+        return orderedValues.flatMap(value => this.breakTie(buckets.get(value), remainingRules, reasons));
+    }
 
-                // Check if fixture is finished/completed with scores, OR if it already has results
-                const hasScores = fixtureData.homeScore !== null && fixtureData.awayScore !== null;
-                const isFinished = fixtureData.status === 'finished' || fixtureData.status === 'completed';
-                const hasResults = fixtureData.result !== null && fixtureData.result !== undefined;
+    /**
+     * Rank an edition's players once it has been decided. Returns null while more
+     * than one player is still alive.
+     * @param {Array<{uid: string, lives: number, eliminatedGameweek: number|null, stats: Object}>} players
+     * @param {Object} settings - Edition settings (tiebreakEnabled, tiebreakRules)
+     * @returns {Object|null} Map of uid to { finalPosition, finalPositionReason }
+     */
+    rankFinalPositions(players, settings = {}) {
+        const alive = players.filter(player => player.lives > 0);
+        if (players.length === 0 || alive.length > 1) return null;
+
+        const eliminated = players.filter(player => player.lives <= 0);
+        const eliminationGameweeks = [...new Set(eliminated.map(player => player.eliminatedGameweek || 0))]
+            .sort((a, b) => b - a);
+
+        const tiebreakEnabled = settings.tiebreakEnabled !== false;
+        const tiebreakRules = Array.isArray(settings.tiebreakRules) ? settings.tiebreakRules : DEFAULT_TIEBREAK_RULES;
+        const reasons = {};
+        const tiers = [];
+
+        if (alive.length === 1) {
+            reasons[alive[0].uid] = 'Last one standing';
+            tiers.push(alive);
+        }
 
-                if ((isFinished && hasScores) || hasResults) {
-                    console.log('🔍 GameLogicManager: Processing fixture:', fixtureDoc.id, {
-                        status: fixtureData.status,
-                        hasScores: hasScores,
-                        hasResults: hasResults,
-                        homeScore: fixtureData.homeScore,
-                        awayScore: fixtureData.awayScore,
-                        result: fixtureData.result
-                    });
+        eliminationGameweeks.forEach((gameweek, index) => {
+            const group = eliminated.filter(player => (player.eliminatedGameweek || 0) === gameweek);
+            group.forEach(player => {
+                reasons[player.uid] = `Eliminated in GW${gameweek}`;
+            });
 
-                    await this.processFixtureResults(clubId, editionId, fixtureDoc.id);
+            // Only the winners' group is tiebroken: everyone left went out together
+            const isFinalGroup = alive.length === 0 && index === 0;
+            if (isFinalGroup && group.length > 1) {
+                if (tiebreakEnabled) {
+                    tiers.push(...this.breakTie(group, tiebreakRules, reasons));
                 } else {
-                    console.log('🔍 GameLogicManager: Skipping fixture:', fixtureDoc.id, {
-                        status: fixtureData.status,
-                        hasScores: hasScores,
-                        hasResults: hasResults
-                    });
+                    tiers.push(group);
                 }
+            } else {
+                tiers.push(group);
             }
+        });
+
+        const positions = {};
+        let position = 1;
+        tiers.forEach(tier => {
+            tier.forEach(player => {
+                const isSharedWin = position === 1 && tier.length > 1;
+                positions[player.uid] = {
+                    finalPosition: position,
+                    finalPositionReason: isSharedWin
+                        ? `Shared prize (eliminated together in GW${player.eliminatedGameweek})`
+                        : reasons[player.uid]
+                };
+            });
+            position += tier.length;
+        });
+
+        return positions;
+    }
 
-            console.log('✅ GameLogicManager: Finished processing gameweek results');
+    // Work out and store finalPosition on every edition user once the edition is decided
+    async resolveFinalPositions(clubId, editionId) {
+        try {
+            console.log('🔍 GameLogicManager: Resolving final positions for:', { clubId, editionId });
+
+            const editionRef = this.db.collection('clubs').doc(clubId)
+                .collection('editions').doc(editionId);
+
+            const [settings, usersSnapshot, picksSnapshot, fixturesSnapshot] = await Promise.all([
+                this.getEditionSettings(clubId, editionId),
+                editionRef.collection('users').get(),
+                editionRef.collection('picks').get(),
+                editionRef.collection('fixtures').get()
+            ]);
+
+            const fixtures = fixturesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const picksByUser = {};
+            picksSnapshot.forEach(pickDoc => {
+                const pickData = pickDoc.data();
+                if (!picksByUser[pickData.userId]) picksByUser[pickData.userId] = {};
+                picksByUser[pickData.userId][pickData.gameweek] = pickData;
+            });
+
+            const rules = resolveResultRules(settings);
+            const editionPicks = {};
+            usersSnapshot.docs.forEach(doc => { editionPicks[doc.id] = picksByUser[doc.id] || {}; });
+            const lifeGrantsByUser = getLifeGrantsByUser(usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            const livesByUser = calculateEditionLives(editionPicks, rules, fixtures, resolveEditionFormat(settings), lifeGrantsByUser).players;
+
+            const players = usersSnapshot.docs.map(doc => {
+                const userPicks = editionPicks[doc.id];
+                const { lives, eliminationGameweek } = livesByUser[doc.id];
+                return {
+                    uid: doc.id,
+                    lives: lives,
+                    eliminatedGameweek: eliminationGameweek,
+                    stats: this.calculateTiebreakStats(userPicks, fixtures)
+                };
+            });
+
+            const positions = this.rankFinalPositions(players, settings);
+            const batch = this.db.batch();
+            let updates = 0;
+
+            usersSnapshot.docs.forEach(doc => {
+                const userData = doc.data();
+                const result = positions ? positions[doc.id] : { finalPosition: null, finalPositionReason: null };
+
+                if (userData.finalPosition === result.finalPosition &&
+                    userData.finalPositionReason === result.finalPositionReason) {
+                    return;
+                }
+
+                batch.update(doc.ref, {
+                    finalPosition: result.finalPosition,
+                    finalPositionReason: result.finalPositionReason,
+                    updated_at: new Date()
+                });
+                updates++;
+            });
+
+            if (updates > 0) {
+                await batch.commit();
+                console.log(`✅ GameLogicManager: Updated final positions for ${updates} players`);
+            }
+
+            return positions;
 
         } catch (error) {
-            console.error('❌ GameLogicManager: Error processing gameweek results:', error);
+            console.error('❌ GameLogicManager: Error resolving final positions:', error);
+            return null;
         }
     }
 }
@@ -1077,6 +1548,24 @@ window.processExistingFixtures = async () => {
 
 // Additional function available: window.processExistingFixtures()
 
+window.resolveFinalPositions = async () => {
+    console.log('🏆 Resolving final positions and tiebreaks...');
+    if (window.gameLogicManager) {
+        const currentClub = window.clubService?.getCurrentClub();
+        const currentEdition = window.clubService?.getCurrentEdition();
+
+        if (currentClub && currentEdition) {
+            const positions = await window.gameLogicManager.resolveFinalPositions(currentClub, currentEdition);
+            console.log('🏆 Final positions:', positions);
+            await window.gameLogicManager.loadStandings();
+        } else {
+            console.error('❌ No club or edition available');
+        }
+    } else {
+        console.error('❌ GameLogicManager not available');
+    }
+};
+
 // Add function to inspect fixtures collection
 window.inspectFixtures = async () => {
     console.log('🔍 Inspecting fixtures collection...');
@@ -0,0 +1,203 @@
+import { calculateEditionInsights, insightsToCsv } from '../services/EditionInsights.js';
+import { resolveResultRules } from '../services/ResultRules.js';
+import { resolveEditionFormat } from '../services/EditionFormats.js';
+import { loadPlayerRoster, loadVisiblePicks } from '../services/PickReveal.js';
+
+/**
+ * InsightsService - Edition statistics for the players' Stats tab and the admin Insights tab
+ * Players see revealed gameweeks only; admins see everything picked so far and can export it.
+ */
+export default class InsightsService {
+    constructor() {
+        this.db = window.firebaseDB;
+        this.insights = null;
+        this.isInitialized = false;
+    }
+
+    initBasic() {
+        this.isInitialized = true;
+    }
+
+    init() {
+        this.db = window.firebaseDB;
+    }
+
+    setFirebaseDB(db) {
+        this.db = db;
+    }
+
+    /**
+     * Load the edition's players, picks, fixtures and settings and work out the insights.
+     * @param {boolean} publicView - Only gameweeks whose picks have been revealed (see PickReveal)
+     */
+    async loadInsights(publicView = false) {
+        if (!this.db) this.db = window.firebaseDB;
+
+        const currentClub = window.clubService?.getCurrentClub();
+        const currentEdition = window.clubService?.getCurrentEdition();
+        if (!currentClub || !currentEdition) return null;
+
+        const editionRef = this.db.collection('clubs').doc(currentClub).collection('editions').doc(currentEdition);
+        const [players, { picks, revealedThrough }, fixturesSnapshot, settingsDoc] = await Promise.all([
+            loadPlayerRoster(editionRef, { canReadAll: !publicView }),
+            loadVisiblePicks(editionRef, { userId: window.authManager?.currentUser?.uid, canReadAll: !publicView }),
+            editionRef.collection('fixtures').get(),
+            editionRef.collection('settings').doc('current').get()
+        ]);
+
+        const picksByUser = {};
+        picks.forEach(pick => {
+            if (!picksByUser[pick.userId]) picksByUser[pick.userId] = {};
+            picksByUser[pick.userId][pick.gameweek] = pick;
+        });
+
+        const settings = settingsDoc.exists ? settingsDoc.data() : {};
+        const editionData = window.editionService?.getCurrentEditionData?.();
+        const fixtures = fixturesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        this.insights = calculateEditionInsights({
+            players,
+            picksByUser,
+            fixtures,
+            rules: resolveResultRules(settings, editionData),
+            format: resolveEditionFormat(settings, editionData),
+            gameweeks: publicView ? Array.from({ length: revealedThrough }, (_, index) => index + 1) : null
+        });
+        this.insightsKey = `${currentClub}/${currentEdition}`;
+
+        console.log(`✅ InsightsService: Worked out insights for ${this.insightsKey} (${publicView ? 'players' : 'admin'} view)`);
+        return this.insights;
+    }
+
+    // The players' Stats tab
+    async loadPublicInsights() {
+        const content = document.getElementById('insightsContent');
+        if (!content) return;
+
+        try {
+            const insights = await this.loadInsights(true);
+            content.innerHTML = this.renderInsights(insights);
+        } catch (error) {
+            console.error('❌ InsightsService: Error loading insights:', error);
+            content.innerHTML = '<div class="empty-state"><p>Stats are not available right now.</p></div>';
+        }
+    }
+
+    renderInsights(insights) {
+        if (!insights || insights.gameweeks.length === 0) {
+            return `
+                <div class="empty-state">
+                    <p>No stats yet.</p>
+                    <p>They appear once the first gameweek's deadline has passed.</p>
+                </div>
+            `;
+        }
+
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const { popularTeams, survivalByTeam, survivalCurve, autopicks, biggestUpsets, mostDangerousTeam } = insights;
+
+        return `
+            <div class="insights">
+                <div class="insights-summary">
+                    <div class="insights-stat">
+                        <div class="insights-stat-number">${survivalCurve.length > 0 ? `${survivalCurve[survivalCurve.length - 1].alive}/${survivalCurve[survivalCurve.length - 1].total}` : '-'}</div>
+                        <div class="insights-stat-label">Still in</div>
+                    </div>
+                    <div class="insights-stat">
+                        <div class="insights-stat-number">${percent(autopicks.share)}</div>
+                        <div class="insights-stat-label">Auto-picks (${autopicks.count} of ${autopicks.total})</div>
+                    </div>
+                    <div class="insights-stat">
+                        <div class="insights-stat-number">${mostDangerousTeam ? mostDangerousTeam.team : '-'}</div>
+                        <div class="insights-stat-label">Most dangerous team${mostDangerousTeam ? ` (${mostDangerousTeam.livesTaken} ${mostDangerousTeam.livesTaken === 1 ? 'life' : 'lives'} taken)` : ''}</div>
+                    </div>
+                </div>
+
+                <div class="insights-section">
+                    <h4>Survival Curve</h4>
+                    ${survivalCurve.length === 0 ? '<p class="text-muted">No results yet.</p>' : `
+                        <div class="survival-curve">
+                            ${survivalCurve.map(point => `
+                                <div class="survival-curve-bar" title="GW${point.gameweek}: ${point.alive} of ${point.total} still in">
+                                    <div class="survival-curve-fill" style="height: ${Math.round(point.rate * 100)}%"></div>
+                                    <span>GW${point.gameweek}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    `}
+                </div>
+
+                <div class="insights-section">
+                    <h4>Most Popular Teams</h4>
+                    <table class="insights-table">
+                        <thead><tr><th>Gameweek</th><th>Teams</th></tr></thead>
+                        <tbody>
+                            ${popularTeams.map(({ gameweek, teams }) => `
+                                <tr>
+                                    <td>GW${gameweek}</td>
+                                    <td>${teams.map(row => `${row.team} <small>${percent(row.share)}</small>`).join(' · ')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="insights-section">
+                    <h4>Survival by Team Picked</h4>
+                    ${survivalByTeam.length === 0 ? '<p class="text-muted">No results yet.</p>' : `
+                        <table class="insights-table">
+                            <thead><tr><th>Team</th><th>Picks</th><th>Survived</th></tr></thead>
+                            <tbody>
+                                ${survivalByTeam.map(row => `
+                                    <tr>
+                                        <td>${row.team}</td>
+                                        <td>${row.picks}</td>
+                                        <td>${percent(row.survivalRate)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+
+                <div class="insights-section">
+                    <h4>Biggest Upsets</h4>
+                    ${biggestUpsets.length === 0 ? '<p class="text-muted">No upsets yet.</p>' : `
+                        <table class="insights-table">
+                            <thead><tr><th>Gameweek</th><th>Result</th><th>Caught out</th></tr></thead>
+                            <tbody>
+                                ${biggestUpsets.map(row => `
+                                    <tr>
+                                        <td>GW${row.gameweek}</td>
+                                        <td>${row.score}</td>
+                                        <td>${row.pickedBy} on ${row.team}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    exportCsv() {
+        if (!this.insights) return;
+        this.download(insightsToCsv(this.insights), 'text/csv', 'csv');
+    }
+
+    exportJson() {
+        if (!this.insights) return;
+        this.download(JSON.stringify(this.insights, null, 2), 'application/json', 'json');
+    }
+
+    download(content, type, extension) {
+        const blob = new Blob([content], { type });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `insights_${(this.insightsKey || 'edition').replace('/', '_')}_${new Date().toISOString().split('T')[0]}.${extension}`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    }
+}
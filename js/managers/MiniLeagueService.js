@@ -0,0 +1,294 @@
+import {
+    MAX_LEAGUE_MEMBERS,
+    filterToLeague,
+    generateInviteCode,
+    normaliseInviteCode,
+    validateLeagueName
+} from '../services/MiniLeagues.js';
+
+/**
+ * MiniLeagueService - The current player's mini-leagues, and which one the tables are showing
+ * The standings (GameLogicManager) and the "as it stands" projection (ScoresManager) pass their
+ * rows through filterRows() and are redrawn when the player picks another league.
+ */
+export default class MiniLeagueService {
+    constructor() {
+        this.db = window.firebaseDB;
+        this.leagues = [];
+        this.selectedLeagueId = null;
+        this.loadedFor = null;
+        this.isInitialized = false;
+    }
+
+    initBasic() {
+        this.isInitialized = true;
+    }
+
+    init() {
+        this.db = window.firebaseDB;
+    }
+
+    setFirebaseDB(db) {
+        this.db = db;
+    }
+
+    getContext() {
+        const clubId = window.losApp?.managers?.club?.getCurrentClub() || window.clubService?.getCurrentClub();
+        const editionId = window.losApp?.managers?.club?.getCurrentEdition() || window.clubService?.getCurrentEdition();
+        const userId = window.authManager?.currentUser?.uid;
+        if (!clubId || !editionId || !userId) return null;
+        return { clubId, editionId, userId, key: `${clubId}/${editionId}` };
+    }
+
+    leaguesRef(context) {
+        if (!this.db) this.db = window.firebaseDB;
+        return this.db.collection('clubs').doc(context.clubId)
+            .collection('editions').doc(context.editionId)
+            .collection('mini-leagues');
+    }
+
+    // Load the leagues the player belongs to in the current edition
+    async loadLeagues() {
+        const context = this.getContext();
+        if (!context) {
+            this.leagues = [];
+            this.selectedLeagueId = null;
+            this.renderLeagueSelect();
+            return [];
+        }
+
+        try {
+            const snapshot = await this.leaguesRef(context)
+                .where('memberIds', 'array-contains', context.userId)
+                .get();
+
+            this.leagues = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            this.loadedFor = context.key;
+
+            // Keep the league the player last looked at in this edition, if they're still in it
+            const stored = localStorage.getItem(`losMiniLeague:${context.key}`);
+            this.selectedLeagueId = this.leagues.some(league => league.id === stored) ? stored : null;
+
+            console.log(`✅ MiniLeagueService: Loaded ${this.leagues.length} mini-leagues for ${context.key}`);
+        } catch (error) {
+            console.error('❌ MiniLeagueService: Error loading mini-leagues:', error);
+            this.leagues = [];
+            this.selectedLeagueId = null;
+        }
+
+        this.renderLeagueSelect();
+        return this.leagues;
+    }
+
+    getSelectedLeague() {
+        const context = this.getContext();
+        if (!context || this.loadedFor !== context.key) return null;
+        return this.leagues.find(league => league.id === this.selectedLeagueId) || null;
+    }
+
+    // Rows for the chosen league only, or every row when the player is looking at the whole edition
+    filterRows(rows, idKey = 'uid') {
+        return filterToLeague(rows, this.getSelectedLeague(), idKey);
+    }
+
+    selectLeague(leagueId) {
+        const context = this.getContext();
+        this.selectedLeagueId = this.leagues.some(league => league.id === leagueId) ? leagueId : null;
+
+        if (context) {
+            if (this.selectedLeagueId) {
+                localStorage.setItem(`losMiniLeague:${context.key}`, this.selectedLeagueId);
+            } else {
+                localStorage.removeItem(`losMiniLeague:${context.key}`);
+            }
+        }
+
+        this.renderLeagueSelect();
+        window.gameLogicManager?.displayStandings();
+        window.losApp?.managers?.scores?.renderLiveProjection();
+    }
+
+    async createLeague(name) {
+        const context = this.getContext();
+        if (!context) throw new Error('Choose a club and edition first');
+
+        const nameError = validateLeagueName(name);
+        if (nameError) throw new Error(nameError);
+
+        // A clash with an existing code is unlikely, but never join someone else's league by accident
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const inviteCode = generateInviteCode();
+            const leagueRef = this.leaguesRef(context).doc(inviteCode);
+
+            const created = await this.db.runTransaction(async (transaction) => {
+                const existing = await transaction.get(leagueRef);
+                if (existing.exists) return false;
+
+                transaction.set(leagueRef, {
+                    name: name.trim(),
+                    inviteCode,
+                    createdBy: context.userId,
+                    memberIds: [context.userId],
+                    created_at: new Date(),
+                    updated_at: new Date()
+                });
+                return true;
+            });
+
+            if (created) {
+                console.log(`✅ MiniLeagueService: Created mini-league ${inviteCode}`);
+                await this.loadLeagues();
+                this.selectLeague(inviteCode);
+                return inviteCode;
+            }
+        }
+
+        throw new Error('Could not create the league, please try again');
+    }
+
+    async joinLeague(code) {
+        const context = this.getContext();
+        if (!context) throw new Error('Choose a club and edition first');
+
+        const inviteCode = normaliseInviteCode(code);
+        if (!inviteCode) throw new Error('Invite codes are 6 letters and numbers');
+
+        const leagueRef = this.leaguesRef(context).doc(inviteCode);
+        const leagueDoc = await leagueRef.get();
+        if (!leagueDoc.exists) throw new Error('No league has that invite code in this edition');
+
+        const league = leagueDoc.data();
+        if (!league.memberIds.includes(context.userId)) {
+            if (league.memberIds.length >= MAX_LEAGUE_MEMBERS) throw new Error('That league is full');
+
+            await leagueRef.update({
+                memberIds: firebase.firestore.FieldValue.arrayUnion(context.userId),
+                updated_at: new Date()
+            });
+            console.log(`✅ MiniLeagueService: Joined mini-league ${inviteCode}`);
+        }
+
+        await this.loadLeagues();
+        this.selectLeague(inviteCode);
+        return league.name;
+    }
+
+    // Members leave; the league's creator closes it for everyone instead
+    async leaveLeague(leagueId) {
+        const context = this.getContext();
+        const league = this.leagues.find(candidate => candidate.id === leagueId);
+        if (!context || !league) return;
+
+        const leagueRef = this.leaguesRef(context).doc(leagueId);
+        if (league.createdBy === context.userId) {
+            await leagueRef.delete();
+        } else {
+            await leagueRef.update({
+                memberIds: firebase.firestore.FieldValue.arrayRemove(context.userId),
+                updated_at: new Date()
+            });
+        }
+
+        await this.loadLeagues();
+        this.selectLeague(null);
+    }
+
+    renderLeagueSelect() {
+        const select = document.getElementById('miniLeagueSelect');
+        if (!select) return;
+
+        select.innerHTML = `
+            <option value="">Everyone</option>
+            ${this.leagues.map(league => `
+                <option value="${league.id}" ${league.id === this.selectedLeagueId ? 'selected' : ''}>${this.escape(league.name)}</option>
+            `).join('')}
+        `;
+    }
+
+    showLeaguesModal() {
+        const modal = document.getElementById('miniLeagueModal');
+        if (!modal) return;
+        if (!this.getContext()) {
+            window.authManager?.showWarning?.('Choose a club and edition to use mini-leagues');
+            return;
+        }
+
+        this.renderLeaguesModal();
+        modal.classList.remove('hidden');
+    }
+
+    hideLeaguesModal() {
+        document.getElementById('miniLeagueModal')?.classList.add('hidden');
+    }
+
+    renderLeaguesModal() {
+        const list = document.getElementById('miniLeagueList');
+        if (!list) return;
+
+        const userId = this.getContext()?.userId;
+        list.innerHTML = this.leagues.length === 0
+            ? '<p class="text-muted">You\'re not in any mini-leagues yet.</p>'
+            : this.leagues.map(league => `
+                <div class="mini-league-item">
+                    <div>
+                        <strong>${this.escape(league.name)}</strong>
+                        <small>${league.memberIds.length} ${league.memberIds.length === 1 ? 'member' : 'members'} · Invite code <code>${league.inviteCode}</code></small>
+                    </div>
+                    <button class="btn btn-sm btn-secondary" onclick="window.miniLeagueService.handleLeaveLeague('${league.id}')">
+                        ${league.createdBy === userId ? 'Close' : 'Leave'}
+                    </button>
+                </div>
+            `).join('');
+    }
+
+    async handleCreateLeague() {
+        const input = document.getElementById('miniLeagueName');
+        try {
+            const inviteCode = await this.createLeague(input?.value);
+            if (input) input.value = '';
+            this.renderLeaguesModal();
+            window.authManager?.showSuccess(`League created - share invite code ${inviteCode} with its members`);
+        } catch (error) {
+            console.error('❌ MiniLeagueService: Error creating mini-league:', error);
+            window.authManager?.showError(error.message);
+        }
+    }
+
+    async handleJoinLeague() {
+        const input = document.getElementById('miniLeagueCode');
+        try {
+            const name = await this.joinLeague(input?.value);
+            if (input) input.value = '';
+            this.renderLeaguesModal();
+            window.authManager?.showSuccess(`You're in ${name}`);
+        } catch (error) {
+            console.error('❌ MiniLeagueService: Error joining mini-league:', error);
+            window.authManager?.showError(error.message);
+        }
+    }
+
+    async handleLeaveLeague(leagueId) {
+        const league = this.leagues.find(candidate => candidate.id === leagueId);
+        if (!league) return;
+
+        const isCreator = league.createdBy === this.getContext()?.userId;
+        if (!confirm(isCreator ? `Close ${league.name} for all its members?` : `Leave ${league.name}?`)) return;
+
+        try {
+            await this.leaveLeague(leagueId);
+            this.renderLeaguesModal();
+        } catch (error) {
+            console.error('❌ MiniLeagueService: Error leaving mini-league:', error);
+            window.authManager?.showError('Failed to leave the league');
+        }
+    }
+
+    // League names are typed by players
+    escape(text) {
+        return String(text ?? '').replace(/[&<>"']/g, character => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+        })[character]);
+    }
+}
@@ -1,3 +1,7 @@
+import { selectAutoPick } from '../services/AutoPickStrategies.js';
+import { describePickResult, findPickFixture, resolveResultRules } from '../services/ResultRules.js';
+import { getRoundPicks, getTeamRound, usedTeamId } from '../services/EditionFormats.js';
+
 export default class PickStatusService {
     constructor() {
         this.isInitialized = false;
@@ -130,6 +134,7 @@ export default class PickStatusService {
             console.log('🔍 PickStatusService: Processed user picks:', this.userPicks);
             console.log('🔍 PickStatusService: Calling displayPicks()...');
             this.displayPicks();
+            this.loadPickReveal();
 
             // Run migration to clean up old users.picks data
             this.migrateFromUsersPicks();
@@ -195,6 +200,78 @@ export default class PickStatusService {
         }
     }
 
+    /**
+     * What everyone picked in a revealed gameweek (see PickReveal), the latest one by default.
+     * The summary is written when the deadline is enforced, so players never need other players' picks.
+     */
+    async loadPickReveal(gameweek = null) {
+        const panel = document.getElementById('pickRevealPanel');
+        const currentClubId = window.losApp?.managers?.club?.getCurrentClub();
+        const currentEdition = window.losApp?.managers?.club?.getCurrentEdition();
+        if (!panel || !this.db || !currentClubId || !currentEdition) return;
+
+        try {
+            const revealsRef = this.db.collection('clubs').doc(currentClubId)
+                .collection('editions').doc(currentEdition)
+                .collection('pick-reveals');
+
+            const latestDoc = await revealsRef.doc('latest').get();
+            const revealedThrough = latestDoc.exists ? Number(latestDoc.data().gameweek) || 0 : 0;
+            if (revealedThrough === 0) {
+                panel.classList.add('hidden');
+                return;
+            }
+
+            const selected = Math.min(Number(gameweek) || revealedThrough, revealedThrough);
+            const revealDoc = await revealsRef.doc(`gw${selected}`).get();
+            panel.innerHTML = this.renderPickReveal(revealDoc.exists ? revealDoc.data() : null, selected, revealedThrough);
+            panel.classList.remove('hidden');
+        } catch (error) {
+            console.error('❌ PickStatusService: Error loading pick reveal:', error);
+            panel.classList.add('hidden');
+        }
+    }
+
+    renderPickReveal(reveal, gameweek, revealedThrough) {
+        const gameweekOptions = Array.from({ length: revealedThrough }, (_, index) => revealedThrough - index)
+            .map(option => `<option value="${option}" ${option === gameweek ? 'selected' : ''}>Gameweek ${option}</option>`)
+            .join('');
+
+        const header = `
+            <div class="pick-reveal-header">
+                <h3>What Everyone Picked</h3>
+                <select class="gameweek-select" aria-label="Reveal gameweek"
+                        onchange="window.pickStatusService.loadPickReveal(this.value)">
+                    ${gameweekOptions}
+                </select>
+            </div>
+        `;
+
+        if (!reveal || reveal.totalPicks === 0) {
+            return `${header}<p class="text-muted">No picks were made in Gameweek ${gameweek}.</p>`;
+        }
+
+        return `
+            ${header}
+            <div class="pick-reveal-summary">
+                ${reveal.totalPicks} ${reveal.totalPicks === 1 ? 'pick' : 'picks'} on ${reveal.teams.length} ${reveal.teams.length === 1 ? 'team' : 'teams'}${reveal.autoPicks > 0 ? ` · ${reveal.autoPicks} auto-picked` : ''}
+            </div>
+            <div class="pick-reveal-teams">
+                ${reveal.teams.map(row => `
+                    <div class="pick-reveal-team">
+                        <div class="pick-reveal-team-header">
+                            ${this.createTeamWithBadgeHTML(row.team, 'small', 'team-picked')}
+                            <span class="pick-reveal-count">${row.count}</span>
+                        </div>
+                        <div class="pick-reveal-bar"><div style="width: ${Math.round(row.count / reveal.totalPicks * 100)}%"></div></div>
+                        <div class="pick-reveal-players">${row.players.join(', ')}</div>
+                    </div>
+                `).join('')}
+            </div>
+            ${reveal.missed?.length > 0 ? `<p class="pick-reveal-missed">Missed the deadline: ${reveal.missed.join(', ')}</p>` : ''}
+        `;
+    }
+
     displayUserPicks() {
         const picksList = document.getElementById('picksList');
         if (!picksList) return;
@@ -237,12 +314,14 @@ export default class PickStatusService {
         card.className = 'pick-card';
 
         const pick = picks[0]; // Get the first pick for this gameweek
-        const result = this.getPickResult(pick);
         const isCurrentGameweek = gameweek === window.editionService.getCurrentGameweek();
 
         // Clean up gameweek display - remove 'gw' prefix if present
         const cleanGameweek = gameweek.toString().replace(/^gw/i, '');
 
+        const fixture = findPickFixture(pick, cleanGameweek, window.fixturesManager?.currentFixtures || []);
+        const result = this.getPickResult(pick, fixture);
+
         card.innerHTML = `
             <div class="pick-header">
                 <div class="pick-gameweek">Gameweek ${cleanGameweek}</div>
@@ -265,12 +344,15 @@ export default class PickStatusService {
         return card;
     }
 
-    getPickResult(pick) {
+    // Result label under the edition's result rules; pass the fixture to show bonus lives
+    getPickResult(pick, fixture = null) {
+        const rules = window.editionService?.getResultRules?.() || resolveResultRules();
+
         if (!pick.teamPicked) {
-            return {
-                status: 'pending',
-                score: 'No pick made'
-            };
+            // A missed deadline is already a loss; otherwise the gameweek is still open
+            return pick.missedDeadline || pick.result
+                ? describePickResult(pick, fixture, rules)
+                : { status: 'pending', score: 'No pick made' };
         }
 
         // Check if this is an auto-pick
@@ -281,40 +363,7 @@ export default class PickStatusService {
             };
         }
 
-        // Check if the pick has a result
-        if (pick.result) {
-            switch (pick.result.toLowerCase()) {
-                case 'win':
-                case 'w':
-                    return {
-                        status: 'win',
-                        score: '✅ Win'
-                    };
-                case 'loss':
-                case 'l':
-                    return {
-                        status: 'loss',
-                        score: '❌ Loss'
-                    };
-                case 'draw':
-                case 'd':
-                    return {
-                        status: 'draw',
-                        score: '⚖️ Draw'
-                    };
-                default:
-                    return {
-                        status: 'pending',
-                        score: 'Result pending'
-                    };
-            }
-        }
-
-        // No result yet
-        return {
-            status: 'pending',
-            score: 'Result pending'
-        };
+        return describePickResult(pick, fixture, rules);
     }
 
     showLoadingState() {
@@ -674,22 +723,59 @@ export default class PickStatusService {
                 throw new Error('No club or edition available for updating pick');
             }
 
-            // Create pick record in the new multi-club structure
-            await this.db.collection('clubs').doc(currentClubId)
-                .collection('editions').doc(currentEdition)
-                .collection('picks').add({
-                    userId: userId,
-                    teamPicked: teamName,
-                    gameweek: gameweek,
-                    fixtureId: null,
-                    isAutopick: false,
-                    result: null,
-                    livesAfterPick: null,
-                    savedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    processedAt: null,
-                    created_at: firebase.firestore.FieldValue.serverTimestamp(),
-                    updated_at: firebase.firestore.FieldValue.serverTimestamp()
-                });
+            const editionRef = this.db.collection('clubs').doc(currentClubId)
+                .collection('editions').doc(currentEdition);
+            gameweek = Number(gameweek);
+            const pickId = `${userId}_gw${gameweek}`;
+
+            // The player's other picks decide their team round and the pick being replaced
+            const picksSnapshot = await editionRef.collection('picks').where('userId', '==', userId).get();
+            const userPicks = {};
+            picksSnapshot.docs.forEach(doc => { userPicks[`gw${doc.data().gameweek}`] = { id: doc.id, ...doc.data() }; });
+            const previousPick = userPicks[`gw${gameweek}`];
+            const teamRound = getTeamRound(window.editionService.getEditionFormat(), userPicks, gameweek);
+            const teamId = window.teamRegistry?.resolveTeamId(teamName) || null;
+            const claimId = usedTeamId(userId, teamName, teamRound, teamId);
+
+            // Same shape as FixturesManager.confirmPick: one pick per player per gameweek,
+            // written together with its used-teams claim
+            const batch = this.db.batch();
+            batch.set(editionRef.collection('picks').doc(pickId), {
+                userId: userId,
+                teamPicked: teamName,
+                teamId: teamId,
+                gameweek: gameweek,
+                fixtureId: null,
+                isAutopick: false,
+                teamRound: teamRound,
+                result: null,
+                livesAfterPick: null,
+                savedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                processedAt: null,
+                created_at: firebase.firestore.FieldValue.serverTimestamp(),
+                updated_at: firebase.firestore.FieldValue.serverTimestamp()
+            });
+            batch.set(editionRef.collection('used-teams').doc(claimId), {
+                userId: userId,
+                team: teamName,
+                teamId: teamId,
+                gameweek: gameweek,
+                teamRound: teamRound,
+                pickId: pickId,
+                created_at: firebase.firestore.FieldValue.serverTimestamp()
+            });
+
+            const previousClaimId = previousPick?.teamPicked
+                ? usedTeamId(userId, previousPick.teamPicked, previousPick.teamRound || teamRound, previousPick.teamId)
+                : null;
+            if (previousClaimId && previousClaimId !== claimId) {
+                batch.delete(editionRef.collection('used-teams').doc(previousClaimId));
+            }
+            if (previousPick?.id && previousPick.id !== pickId) {
+                batch.delete(editionRef.collection('picks').doc(previousPick.id));
+            }
+
+            await batch.commit();
 
             return true;
         } catch (error) {
@@ -753,8 +839,16 @@ export default class PickStatusService {
             const userData = userDoc.data();
             const userPicks = userData.picks || {};
 
-            // Assign auto-pick
-            const autoPick = this.getAutoPick(userPicks, availableTeams, gameweek);
+            // Assign auto-pick using the edition's configured strategy
+            const settings = window.editionService.getSettings() || {};
+            const autoPick = selectAutoPick(settings.autoPickAlgorithm, {
+                userPicks: getRoundPicks(window.editionService.getEditionFormat(), userPicks, gameweek),
+                availableTeams,
+                fixtures,
+                gameweek,
+                backupPicks: userData.backupPicks || [],
+                teamRankings: settings.teamRankings || []
+            }).team;
 
             if (autoPick) {
                 await this.updateUserPick(userId, gameweek, autoPick);
@@ -780,35 +874,6 @@ export default class PickStatusService {
             throw error;
         }
     }
-
-    getAutoPick(userPicks, availableTeams, gameweek) {
-        if (gameweek === '1') {
-            // For first gameweek, pick randomly from available teams
-            const randomIndex = Math.floor(Math.random() * availableTeams.length);
-            return availableTeams[randomIndex];
-        } else {
-            // For subsequent gameweeks, pick next team alphabetically after previous pick
-            const previousGameweek = parseInt(gameweek) - 1;
-            const previousPick = userPicks[`gw${previousGameweek}`];
-
-            if (!previousPick) {
-                // If no previous pick, pick first team alphabetically
-                return availableTeams.sort()[0];
-            }
-
-            // Find teams that come after the previous pick alphabetically
-            const sortedTeams = availableTeams.sort();
-            const previousPickIndex = sortedTeams.indexOf(previousPick);
-
-            if (previousPickIndex === -1 || previousPickIndex === sortedTeams.length - 1) {
-                // If previous pick not found or was last, pick first team
-                return sortedTeams[0];
-            } else {
-                // Pick next team after previous pick
-                return sortedTeams[previousPickIndex + 1];
-            }
-        }
-    }
 }
 
 // PickStatusService will be initialized by the main app
@@ -1,3 +1,13 @@
+import { createScoreFeed, SCORE_FEED_ADAPTERS } from '../services/ScoreFeedAdapters.js';
+import TeamRegistry, { findMatchingFixture } from '../services/TeamRegistry.js';
+import { projectGameweek, PROJECTED_OUTCOMES } from '../services/LiveProjection.js';
+import { resolveResultRules } from '../services/ResultRules.js';
+import { resolveEditionFormat } from '../services/EditionFormats.js';
+import { isFixtureFinal } from '../services/ResultSettlementService.js';
+import { isEditionModerator } from '../services/RoleClaims.js';
+import { rankWithinLeague } from '../services/MiniLeagues.js';
+import { loadPlayerRoster, loadVisiblePicks } from '../services/PickReveal.js';
+
 export default class ScoresManager {
     constructor() {
         this.isInitialized = false;
@@ -12,9 +22,18 @@ export default class ScoresManager {
         this.lastVidiprinterUpdate = null;
         this.vidiprinterUpdateFrequency = 30000; // 30 seconds
 
+        // Live "as it stands" projection - kept in memory only, never saved as results
+        this.liveProjection = null;
+        this.projectionData = null;
+        this.projectionDataKey = null;
+        this.projectionDataLoadedAt = 0;
+        this.projectionDataTtl = 5 * 60 * 1000; // picks can still change until the deadline
+
         // API configuration
         this.apiConfig = null;
         this.footballWebPagesAPI = null;
+        this.scoreFeed = null;
+        this.scoreFeedPriorityKey = null;
 
         // Team badge service
         this.teamBadgeService = null;
@@ -203,6 +222,8 @@ export default class ScoresManager {
 
         // Stop vidiprinter updates
         this.stopVidiprinterUpdates();
+        this.projectionData = null;
+        this.projectionDataKey = null;
 
         // Unregister from the main app's listener tracking
         if (window.losApp) {
@@ -257,6 +278,7 @@ export default class ScoresManager {
                     });
                     this.currentFixtures = fixtures;
                     this.displayScores();
+                    this.updateLiveProjection();
                 }, (error) => {
                     console.error('ScoresManager: Fixtures listener error:', error);
                     // Handle specific Firebase errors
@@ -438,6 +460,16 @@ export default class ScoresManager {
                         </div>
                     </div>
                 </div>
+
+                <div class="live-projection-section">
+                    <h3 class="section-title">As It Stands</h3>
+                    <p class="live-projection-note">Projection only - what would happen if every game ended now. Lives and eliminations only change when the gameweek's results are processed.</p>
+                    <div id="liveProjectionContent">
+                        <div class="vidiprinter-loading">
+                            <p>Working out the projection...</p>
+                        </div>
+                    </div>
+                </div>
             </div>
         `;
 
@@ -473,6 +505,7 @@ export default class ScoresManager {
 
         // Initialize vidiprinter display
         this.initializeVidiprinterDisplay();
+        this.renderLiveProjection();
     }
 
     createFixtureScore(fixture) {
@@ -579,6 +612,7 @@ export default class ScoresManager {
 
                 // Sync scores from vidiprinter data
                 await this.syncScoresFromVidiprinter();
+                await this.updateLiveProjection();
 
                 // Update timestamp display
                 this.updateLastUpdatedTimestamp();
@@ -1165,26 +1199,12 @@ export default class ScoresManager {
 
             let hasUpdates = false;
 
-            // Process vidiprinter events to update scores
-            for (const event of this.vidiprinterData) {
-                // Debug: Log all event types to see what we're getting
-                if (event.type === 'Half-time' || event.type === 'Kick-off') {
-                    console.log('🔍 ScoresManager: Processing event:', {
-                        type: event.type,
-                        match: event.match,
-                        hasMatch: !!event.match,
-                        hasHomeTeam: !!(event.match && event.match['home-team']),
-                        hasAwayTeam: !!(event.match && event.match['away-team'])
-                    });
-                }
-
-                if (event.match && (event.type === 'Full-time' || event.type === 'Goals' || event.type === 'Kick-off' || event.type === 'Half-time')) {
-                    // Update scores and status for all relevant event types
-                    const updatedFixture = this.updateFixtureFromVidiprinterEvent(fixtures, event);
-                    if (updatedFixture) {
-                        hasUpdates = true;
-                        console.log(`✅ ScoresManager: Updated fixture from ${event.type} event`);
-                    }
+            // Replay the events into each match's latest score and status
+            const feedFixtures = SCORE_FEED_ADAPTERS.vidiprinter.parse({ events: this.vidiprinterData });
+            for (const feedFixture of feedFixtures) {
+                if (this.applyFeedFixture(fixtures, feedFixture)) {
+                    hasUpdates = true;
+                    console.log(`✅ ScoresManager: Updated ${feedFixture.homeTeam} vs ${feedFixture.awayTeam} from the vidiprinter`);
                 }
             }
 
@@ -1211,6 +1231,11 @@ export default class ScoresManager {
                 this.currentFixtures = fixtures;
                 this.displayScores();
 
+                // A fixture reaching full time settles its picks straight away
+                if (fixtures.some(fixture => isFixtureFinal(fixture))) {
+                    await this.settleGameweekResults(currentGameweek);
+                }
+
                 // Save scores to database for persistence
                 console.log('💾 Saving synced scores to database...');
                 await this.saveScoresToDatabase();
@@ -1221,52 +1246,16 @@ export default class ScoresManager {
         }
     }
 
-    updateFixtureFromVidiprinterEvent(fixtures, event) {
-        if (!event.match || !event.match['home-team'] || !event.match['away-team']) {
-            console.log('🔍 ScoresManager: Event missing match data:', {
-                type: event.type,
-                hasMatch: !!event.match,
-                hasHomeTeam: !!(event.match && event.match['home-team']),
-                hasAwayTeam: !!(event.match && event.match['away-team'])
-            });
-            return false;
-        }
-
-        const homeTeamName = event.match['home-team'].name;
-        const awayTeamName = event.match['away-team'].name;
-        const homeScore = event.match['home-team'].score;
-        const awayScore = event.match['away-team'].score;
-
-        // Find matching fixture with flexible team name matching
-        const fixtureIndex = fixtures.findIndex(fixture => {
-            // Try exact match first
-            if (fixture.homeTeam === homeTeamName && fixture.awayTeam === awayTeamName) {
-                return true;
-            }
-
-            // Try case-insensitive match
-            if (fixture.homeTeam.toLowerCase() === homeTeamName.toLowerCase() &&
-                fixture.awayTeam.toLowerCase() === awayTeamName.toLowerCase()) {
-                return true;
-            }
-
-            // Try partial match (in case of slight naming differences)
-            const homeMatch = fixture.homeTeam.toLowerCase().includes(homeTeamName.toLowerCase()) ||
-                homeTeamName.toLowerCase().includes(fixture.homeTeam.toLowerCase());
-            const awayMatch = fixture.awayTeam.toLowerCase().includes(awayTeamName.toLowerCase()) ||
-                awayTeamName.toLowerCase().includes(fixture.awayTeam.toLowerCase());
-
-            if (homeMatch && awayMatch) {
-                console.log(`🔍 ScoresManager: Found partial match: "${fixture.homeTeam}" vs "${fixture.awayTeam}" for event "${homeTeamName}" vs "${awayTeamName}"`);
-                return true;
-            }
+    // Copy a normalised score feed fixture onto the matching stored fixture, if anything changed
+    applyFeedFixture(fixtures, feedFixture) {
+        const { homeTeam: homeTeamName, awayTeam: awayTeamName, homeScore, awayScore, status } = feedFixture;
 
-            return false;
-        });
+        // Match on registry team IDs - never by substring, so "Boston United" can't match "Boston Town"
+        const fixtureIndex = findMatchingFixture(this.getTeamRegistry(), fixtures, homeTeamName, awayTeamName, feedFixture.provider);
 
         if (fixtureIndex === -1) {
-            console.log('🔍 ScoresManager: No matching fixture found for event:', {
-                type: event.type,
+            console.log('🔍 ScoresManager: No matching fixture found for:', {
+                provider: feedFixture.provider,
                 homeTeam: homeTeamName,
                 awayTeam: awayTeamName,
                 availableFixtures: fixtures.map(f => `${f.homeTeam} vs ${f.awayTeam}`)
@@ -1278,54 +1267,178 @@ export default class ScoresManager {
         let hasChanges = false;
 
         // Update scores if they've changed
-        if (fixture.homeScore !== homeScore) {
+        if (homeScore !== null && fixture.homeScore !== homeScore) {
             fixture.homeScore = homeScore;
             hasChanges = true;
         }
 
-        if (fixture.awayScore !== awayScore) {
+        if (awayScore !== null && fixture.awayScore !== awayScore) {
             fixture.awayScore = awayScore;
             hasChanges = true;
         }
 
-        // Update status based on event type
-        if (event.type === 'Full-time') {
-            if (fixture.status !== 'completed') {
-                console.log(`🔄 ScoresManager: Updating ${homeTeamName} vs ${awayTeamName} status from ${fixture.status} to completed`);
-                fixture.status = 'completed';
-                hasChanges = true;
-            }
-        } else if (event.type === 'Goals') {
-            if (fixture.status !== 'live' && fixture.status !== 'completed') {
-                console.log(`🔄 ScoresManager: Updating ${homeTeamName} vs ${awayTeamName} status from ${fixture.status} to live`);
-                fixture.status = 'live';
-                hasChanges = true;
-            }
-        } else if (event.type === 'Half-time') {
-            if (fixture.status !== 'half-time') {
-                console.log(`🔄 ScoresManager: Updating ${homeTeamName} vs ${awayTeamName} status from ${fixture.status} to half-time`);
-                fixture.status = 'half-time';
-                hasChanges = true;
-            } else {
-                console.log(`ℹ️ ScoresManager: ${homeTeamName} vs ${awayTeamName} already has half-time status`);
-            }
-        } else if (event.type === 'Kick-off') {
-            if (fixture.status !== 'live') {
-                console.log(`🔄 ScoresManager: Updating ${homeTeamName} vs ${awayTeamName} status from ${fixture.status} to live`);
-                fixture.status = 'live';
-                hasChanges = true;
-            }
+        if (fixture.status !== status) {
+            console.log(`🔄 ScoresManager: Updating ${homeTeamName} vs ${awayTeamName} status from ${fixture.status} to ${status}`);
+            fixture.status = status;
+            hasChanges = true;
         }
 
         // Update timestamp
         if (hasChanges) {
             fixture.lastUpdated = new Date().toISOString();
-            fixture.vidiprinterEventId = event.id || `event_${Date.now()}`;
+            fixture.scoreProvider = feedFixture.provider;
         }
 
         return hasChanges;
     }
 
+    // Current fixtures with the vidiprinter's latest scores laid over them, without saving anything
+    getLiveFixtures() {
+        const fixtures = this.currentFixtures.map(fixture => ({ ...fixture }));
+        if (!this.vidiprinterData || this.vidiprinterData.length === 0) return fixtures;
+
+        const registry = this.getTeamRegistry();
+        SCORE_FEED_ADAPTERS.vidiprinter.parse({ events: this.vidiprinterData }).forEach(feedFixture => {
+            const index = findMatchingFixture(registry, fixtures, feedFixture.homeTeam, feedFixture.awayTeam, feedFixture.provider);
+            if (index === -1) return;
+
+            const fixture = fixtures[index];
+            if (feedFixture.homeScore !== null) fixture.homeScore = feedFixture.homeScore;
+            if (feedFixture.awayScore !== null) fixture.awayScore = feedFixture.awayScore;
+            fixture.status = feedFixture.status;
+            fixture.minute = feedFixture.minute;
+        });
+
+        return fixtures;
+    }
+
+    // Players, their picks and the edition's rules, cached for a few minutes between vidiprinter updates
+    async loadProjectionData() {
+        const currentClub = window.losApp?.managers?.club?.currentClub || 'altrincham-fc-juniors';
+        const currentEdition = window.editionService.getCurrentEdition();
+        const key = `${currentClub}/${currentEdition}`;
+
+        if (this.projectionData && this.projectionDataKey === key && Date.now() - this.projectionDataLoadedAt < this.projectionDataTtl) {
+            return this.projectionData;
+        }
+
+        const editionRef = this.db.collection('clubs').doc(currentClub).collection('editions').doc(currentEdition);
+        const roles = await window.authManager?.getRoleClaims?.();
+        const canReadAll = isEditionModerator(roles, currentClub, currentEdition);
+        const [players, { picks }, settingsDoc] = await Promise.all([
+            loadPlayerRoster(editionRef, { canReadAll }),
+            // Before the reveal, players only have their own pick for the gameweek
+            loadVisiblePicks(editionRef, {
+                userId: window.losApp?.managers?.auth?.currentUser?.uid,
+                canReadAll
+            }),
+            editionRef.collection('settings').doc('current').get()
+        ]);
+
+        const picksByUser = {};
+        picks.forEach(pick => {
+            if (!picksByUser[pick.userId]) picksByUser[pick.userId] = {};
+            picksByUser[pick.userId][pick.gameweek] = {
+                teamPicked: pick.teamPicked,
+                result: pick.result,
+                fixtureId: pick.fixtureId,
+                isAutopick: pick.isAutopick || false
+            };
+        });
+
+        const settings = settingsDoc.exists ? settingsDoc.data() : {};
+        const editionData = window.editionService?.getCurrentEditionData?.();
+
+        this.projectionData = {
+            players,
+            picksByUser,
+            rules: resolveResultRules(settings, editionData),
+            format: resolveEditionFormat(settings, editionData)
+        };
+        this.projectionDataKey = key;
+        this.projectionDataLoadedAt = Date.now();
+        return this.projectionData;
+    }
+
+    // Recalculate the "as it stands" projection from the latest in-play scores
+    async updateLiveProjection() {
+        if (!this.db || typeof this.db.collection !== 'function' || !window.editionService) return;
+
+        try {
+            const { players, picksByUser, rules, format } = await this.loadProjectionData();
+            const gameweek = window.editionService.getCurrentGameweek();
+            const fixtures = this.getLiveFixtures();
+
+            this.liveProjection = projectGameweek({ players, picksByUser, fixtures, gameweek, rules, format });
+        } catch (error) {
+            console.error('❌ ScoresManager: Error updating live projection:', error);
+            this.liveProjection = null;
+        }
+
+        this.renderLiveProjection();
+    }
+
+    renderLiveProjection() {
+        const content = document.getElementById('liveProjectionContent');
+        if (!content) return;
+
+        if (!this.liveProjection || this.liveProjection.rows.length === 0) {
+            content.innerHTML = `
+                <div class="vidiprinter-empty">
+                    <i class="fas fa-info-circle"></i>
+                    <p>No projection available yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        // In a mini-league, only its members are shown, placed among themselves
+        const league = window.miniLeagueService?.getSelectedLeague() || null;
+        const rows = league ? window.miniLeagueService.filterRows(this.liveProjection.rows) : this.liveProjection.rows;
+        const positions = league
+            ? rankWithinLeague(rows, row => row.projectedPosition)
+            : rows.map(row => row.projectedPosition);
+        const summary = {};
+        Object.keys(PROJECTED_OUTCOMES).forEach(outcome => { summary[outcome] = 0; });
+        rows.forEach(row => { summary[row.outcome]++; });
+
+        const currentUserId = window.losApp?.managers?.auth?.currentUser?.uid;
+        const scoreText = (fixture) => {
+            if (!fixture) return '';
+            if (fixture.homeScore === null || fixture.homeScore === undefined) return `${fixture.homeTeam} v ${fixture.awayTeam}`;
+            const minute = fixture.status === 'live' && fixture.minute ? ` (${fixture.minute}')` : '';
+            return `${fixture.homeTeam} ${fixture.homeScore}-${fixture.awayScore} ${fixture.awayTeam}${minute}`;
+        };
+
+        const summaryParts = [];
+        if (summary.loseLife > 0) summaryParts.push(`${summary.loseLife} would lose a life`);
+        if (summary.eliminated > 0) summaryParts.push(`${summary.eliminated} would be eliminated`);
+        if (summary.bonus > 0) summaryParts.push(`${summary.bonus} would gain a life`);
+
+        content.innerHTML = `
+            ${league ? `<div class="live-projection-summary mini-league-banner"><i class="fas fa-users"></i> ${window.miniLeagueService.escape(league.name)}</div>` : ''}
+            <div class="live-projection-summary">${summaryParts.length > 0 ? summaryParts.join(' · ') : 'Nobody would lose a life as it stands'}</div>
+            <div class="projection-table">
+                <div class="projection-row projection-header">
+                    <span>Pos</span>
+                    <span>Player</span>
+                    <span>Pick</span>
+                    <span>Lives</span>
+                    <span>As it stands</span>
+                </div>
+                ${rows.map((row, index) => `
+                    <div class="projection-row ${row.outcome} ${row.uid === currentUserId ? 'current-user' : ''}">
+                        <span>${positions[index]}</span>
+                        <span>${row.displayName}${row.uid === currentUserId ? ' <span class="current-user-badge">YOU</span>' : ''}</span>
+                        <span>${row.teamPicked || '-'}<small>${scoreText(row.fixture)}</small></span>
+                        <span>${row.livesBefore === row.livesAfter ? row.livesAfter : `${row.livesBefore} → ${row.livesAfter}`}</span>
+                        <span>${PROJECTED_OUTCOMES[row.outcome].icon} ${PROJECTED_OUTCOMES[row.outcome].label}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     showError(message) {
         if (window.authManager && window.authManager.showError) {
             window.authManager.showError(message);
@@ -1535,9 +1648,9 @@ export default class ScoresManager {
                         updated_at: firebase.firestore.FieldValue.serverTimestamp()
                     });
 
-                    // Process results if status is completed
-                    if (status === 'completed') {
-                        await this.processFixtureResult(fixture, currentGameweek);
+                    // Settle results once the fixture is final
+                    if (isFixtureFinal(fixture)) {
+                        await this.settleGameweekResults(currentGameweek);
                     }
 
                     return true;
@@ -1551,20 +1664,31 @@ export default class ScoresManager {
         }
     }
 
-    async processFixtureResult(fixture, gameweek) {
+    /**
+     * Settle the gameweek as soon as a fixture reaches full time, rather than waiting for the
+     * scheduled enforce-deadlines function to settle it. Safe to call on every update -
+     * settlement only writes what has changed. Only staff can write results, so players'
+     * browsers leave it to the function.
+     */
+    async settleGameweekResults(gameweek) {
         try {
-            // This would integrate with GameLogicManager to process results
-            if (window.gameLogicManager) {
-                await window.gameLogicManager.processFixtureResult(fixture, gameweek);
-            }
+            const currentClub = window.losApp?.managers?.club?.currentClub || 'altrincham-fc-juniors';
+            const currentEdition = window.editionService.getCurrentEdition();
+            if (!window.gameLogicManager || !window.authManager?.getRoleClaims) return null;
+
+            const roles = await window.authManager.getRoleClaims();
+            if (!isEditionModerator(roles, currentClub, currentEdition)) return null;
+
+            return await window.gameLogicManager.settleGameweek(currentClub, currentEdition, gameweek);
         } catch (error) {
-            console.error('Error processing fixture result:', error);
+            console.error('❌ ScoresManager: Error settling gameweek results:', error);
+            return null;
         }
     }
 
     async importScoresFromAPI(gameweek) {
         try {
-            console.log(`🏆 ScoresManager: Importing scores for Gameweek ${gameweek} from Football Web Pages API`);
+            console.log(`🏆 ScoresManager: Importing scores for Gameweek ${gameweek} from the score feed`);
 
             // Check if API requests are enabled globally
             if (!(await this.isAPIEnabled())) {
@@ -1583,119 +1707,83 @@ export default class ScoresManager {
                 console.log(`📅 ScoresManager: Using precise date range from database: ${dateRange.from} to ${dateRange.to}`);
             }
 
-            console.log(`📅 ScoresManager: Date range for gameweek ${gameweek}: ${dateRange.from} to ${dateRange.to}`);
-
-            let url;
-            let headers;
-
-            // Check if we're in development (Netlify functions not available)
-            if (this.isDevelopmentMode()) {
-                console.log('🔧 ScoresManager: Development mode detected, using direct API call (may have CORS issues)');
-                url = `https://football-web-pages1.p.rapidapi.com/fixtures-results.json?from=${dateRange.from}&to=${dateRange.to}&comp=5&season=2024-25`;
-                headers = {
-                    'X-RapidAPI-Key': this.apiConfig.RAPIDAPI_KEY,
-                    'X-RapidAPI-Host': 'football-web-pages1.p.rapidapi.com'
-                };
-            } else {
-                // Use Netlify function to avoid CORS issues in production
-                console.log('🚀 ScoresManager: Production mode, using Netlify function');
-                url = `/.netlify/functions/fetch-scores?from=${dateRange.from}&to=${dateRange.to}&comp=5&season=2024-25`;
-                headers = {
-                    'Content-Type': 'application/json'
-                };
-            }
-
-            console.log(`🔍 ScoresManager: Fetching fixtures-results from: ${url}`);
-            console.log(`💰 ScoresManager: This should fetch significantly fewer fixtures (targeted date range)`);
-
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: headers
+            // Providers are tried in priority order until one has results
+            const feed = await this.getScoreFeed();
+            const { provider, fixtures, errors } = await feed.fetchFixtures({
+                from: dateRange.from,
+                to: dateRange.to,
+                competition: 5,
+                season: this.getCurrentSeason(),
+                search: 'National League results'
             });
 
-            console.log(`🔍 ScoresManager: Response status:`, response.status, response.statusText);
-
-            if (!response.ok) {
-                // If Netlify function fails, try direct API call as fallback
-                if (!this.isDevelopmentMode() && (response.status === 404 || response.status === 500 || response.status === 429)) {
-                    console.log(`⚠️ ScoresManager: Netlify function failed (${response.status}), trying direct API call as fallback...`);
-                    return await this.importScoresDirectAPI(dateRange);
-                }
-
-                const errorText = await response.text();
-                console.error(`❌ ScoresManager: API response error:`, errorText);
-                throw new Error(`API request failed: ${response.status} ${response.statusText}: ${errorText}`);
+            if (errors.length > 0) {
+                console.log(`⚠️ ScoresManager: Fell back to ${provider} after:`, errors.map(error => `${error.provider} (${error.code})`).join(', '));
             }
 
-            const data = await response.json();
-            console.log(`✅ ScoresManager: Fixtures-results fetched successfully:`, data);
-
-            // Process the API data and update fixtures
-            if (data.fixtures && data.fixtures.length > 0) {
-                await this.processFixturesResults(data.fixtures, gameweek);
+            if (fixtures.length > 0) {
+                await this.processFixturesResults(fixtures, gameweek);
                 return true;
             } else {
-                console.log('ℹ️ ScoresManager: No fixtures found in API response');
+                console.log('ℹ️ ScoresManager: No fixtures found in any score feed');
                 return false;
             }
 
         } catch (error) {
             console.error('❌ ScoresManager: Error importing scores from API:', error);
-
-            // If Netlify function fails, try direct API call as fallback
-            if (!this.isDevelopmentMode() && (error.message.includes('404') || error.message.includes('500') || error.message.includes('429'))) {
-                console.log('⚠️ ScoresManager: Netlify function failed, trying direct API call as fallback...');
-                try {
-                    const dateRange = this.getDateRangeForGameweek(gameweek);
-                    return await this.importScoresDirectAPI(dateRange);
-                } catch (fallbackError) {
-                    console.error('❌ ScoresManager: Direct API fallback also failed:', fallbackError);
-                }
-            }
-
             throw error;
         }
     }
 
-    async importScoresDirectAPI(dateRange) {
-        console.log('🔧 ScoresManager: Making direct API call to fixtures-results...');
-
-        // Get current season from edition service or use default
-        let currentSeason = '2025-26';
-        if (window.editionService && window.editionService.getCurrentEdition) {
-            const currentEdition = window.editionService.getCurrentEdition();
-            if (currentEdition && currentEdition.includes('2025-26')) {
-                currentSeason = '2025-26';
-            } else if (currentEdition && currentEdition.includes('2024-25')) {
-                currentSeason = '2024-25';
+    /**
+     * The score feed, built once and kept so rate-limited providers stay benched between imports.
+     * Rebuilt when a super admin changes global-settings/system.scoreFeedPriority.
+     */
+    async getScoreFeed() {
+        let priority = null;
+        try {
+            if (this.db && typeof this.db.collection === 'function') {
+                const globalSettings = await this.db.collection('global-settings').doc('system').get();
+                priority = globalSettings.exists ? globalSettings.data().scoreFeedPriority || null : null;
             }
+        } catch (error) {
+            console.warn('⚠️ ScoresManager: Could not read score feed priority, using the default order:', error);
         }
 
-        const url = `https://football-web-pages1.p.rapidapi.com/fixtures-results.json?from=${dateRange.from}&to=${dateRange.to}&comp=5&season=${currentSeason}`;
-        const headers = {
-            'X-RapidAPI_Key': this.apiConfig.RAPIDAPI_KEY,
-            'X-RapidAPI-Host': 'football-web-pages1.p.rapidapi.com'
-        };
+        const priorityKey = JSON.stringify(priority);
+        if (this.scoreFeed && this.scoreFeedPriorityKey === priorityKey) {
+            return this.scoreFeed;
+        }
 
-        const response = await fetch(url, {
-            method: 'GET',
-            headers: headers
+        if (!this.apiConfig) {
+            this.apiConfig = this.loadAPIConfiguration();
+        }
+
+        this.scoreFeed = createScoreFeed(priority, {
+            context: {
+                // Netlify functions aren't available in local development
+                useNetlifyFunctions: !this.isDevelopmentMode(),
+                keys: {
+                    rapidApi: window.APIConfig?.rapidAPI?.key || this.apiConfig?.key,
+                    footballWebPages: window.APIConfig?.footballWebPages?.key || this.apiConfig?.key,
+                    serpApi: window.APIConfig?.serpApi?.key
+                },
+                googleSearchService: window.googleSearchService
+            }
         });
+        this.scoreFeedPriorityKey = priorityKey;
 
-        if (!response.ok) {
-            throw new Error(`Direct API request failed: ${response.status} ${response.statusText}`);
-        }
+        return this.scoreFeed;
+    }
 
-        const data = await response.json();
-        console.log(`✅ ScoresManager: Direct API call successful:`, data);
+    getTeamRegistry() {
+        return window.teamRegistry?.registry || new TeamRegistry();
+    }
 
-        if (data.fixtures && data.fixtures.length > 0) {
-            await this.processFixturesResults(data.fixtures, 1); // Default to gameweek 1 for now
-            return true;
-        } else {
-            console.log('ℹ️ ScoresManager: No fixtures found in direct API response');
-            return false;
-        }
+    getCurrentSeason() {
+        const currentEdition = window.editionService?.getCurrentEdition?.() || '';
+        const season = currentEdition.match(/\d{4}-\d{2}/);
+        return season ? season[0] : '2025-26';
     }
 
     getDateRangeForGameweek(gameweek) {
@@ -1735,7 +1823,7 @@ export default class ScoresManager {
 
     async processFixturesResults(fixtures, gameweek) {
         try {
-            console.log(`🔧 ScoresManager: Processing ${fixtures.length} fixtures from fixtures-results for gameweek ${gameweek}`);
+            console.log(`🔧 ScoresManager: Processing ${fixtures.length} score feed fixtures for gameweek ${gameweek}`);
 
             // Ensure database reference is available
             if (!this.db) {
@@ -1795,38 +1883,23 @@ export default class ScoresManager {
             const batch = this.db.batch();
             let updateCount = 0;
 
-            // Process each fixture from the API
+            // Process each fixture from the API, matched to stored fixtures by team ID
+            const registry = this.getTeamRegistry();
             fixtures.forEach((apiFixture, index) => {
-                // Find matching fixture in database by team names
-                const matchingFixture = existingFixtures.find(dbFixture => {
-                    const dbHomeTeam = dbFixture.homeTeam?.toLowerCase() || '';
-                    const dbAwayTeam = dbFixture.awayTeam?.toLowerCase() || '';
-                    const apiHomeTeam = apiFixture.homeTeam?.toLowerCase() || '';
-                    const apiAwayTeam = apiFixture.awayTeam?.toLowerCase() || '';
-
-                    return (dbHomeTeam.includes(apiHomeTeam) || apiHomeTeam.includes(dbHomeTeam)) &&
-                        (dbAwayTeam.includes(apiAwayTeam) || apiAwayTeam.includes(dbAwayTeam));
-                });
+                const matchIndex = findMatchingFixture(registry, existingFixtures, apiFixture.homeTeam, apiFixture.awayTeam, apiFixture.provider);
+                const matchingFixture = matchIndex === -1 ? null : existingFixtures[matchIndex];
 
                 if (matchingFixture) {
-                    // Extract scores from the correct location in API response
-                    const homeScore = apiFixture['home-team']?.score || apiFixture.homeScore;
-                    const awayScore = apiFixture['away-team']?.score || apiFixture.awayScore;
-                    const fixtureStatus = apiFixture.status?.short || apiFixture.status || 'FT';
-
-                    // Update the fixture with the score data
+                    // Score feed fixtures are already normalised (see js/services/ScoreFeed.js)
                     const updateData = {
-                        homeScore: homeScore,
-                        awayScore: awayScore,
-                        status: fixtureStatus,
+                        homeScore: apiFixture.homeScore,
+                        awayScore: apiFixture.awayScore,
+                        status: apiFixture.status,
+                        scoreProvider: apiFixture.provider,
                         lastScoreUpdate: new Date()
                     };
 
-                    console.log(`🔧 ScoresManager: Updating fixture ${matchingFixture.id}: ${apiFixture.homeTeam} ${apiFixture.homeScore} - ${apiFixture.awayScore} ${apiFixture.awayTeam} (${apiFixture.status})`);
-                    console.log(`🔧 ScoresManager: API fixture structure:`, apiFixture);
-                    console.log(`�� ScoresManager: Extracted homeScore:`, homeScore, `(type: ${typeof homeScore})`);
-                    console.log(`🔧 ScoresManager: Extracted awayScore:`, awayScore, `(type: ${typeof awayScore})`);
-                    console.log(`🔧 ScoresManager: New score data:`, updateData);
+                    console.log(`🔧 ScoresManager: Updating fixture ${matchingFixture.id}: ${apiFixture.homeTeam} ${apiFixture.homeScore} - ${apiFixture.awayScore} ${apiFixture.awayTeam} (${apiFixture.status}, ${apiFixture.provider})`);
 
                     batch.update(matchingFixture.docRef, updateData);
 
@@ -1841,6 +1914,10 @@ export default class ScoresManager {
                 console.log(`🔧 ScoresManager: Committing ${updateCount} score updates to database...`);
                 await batch.commit();
                 console.log(`✅ ScoresManager: Successfully updated ${updateCount} fixture scores in database`);
+
+                if (fixtures.some(apiFixture => isFixtureFinal(apiFixture))) {
+                    await this.settleGameweekResults(gameweek);
+                }
             } else {
                 console.log('ℹ️ ScoresManager: No score updates needed - all fixtures are up to date');
             }
@@ -1911,10 +1988,9 @@ export default class ScoresManager {
 
             await batch.commit();
 
-            // Process all completed fixtures
-            const completedFixtures = fixtures.filter(f => f.status === 'completed');
-            for (const fixture of completedFixtures) {
-                await this.processFixtureResult(fixture, gameweek);
+            // Settle results, including any that changed because a score was corrected
+            if (fixtures.some(fixture => isFixtureFinal(fixture))) {
+                await this.settleGameweekResults(gameweek);
             }
 
             return true;
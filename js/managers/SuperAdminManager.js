@@ -1,4 +1,18 @@
 import EmailService from '../services/EmailService.js';
+import { ROLES, normalizeRoleClaims } from '../services/RoleClaims.js';
+import { TEAM_ALIAS_PROVIDERS } from '../services/TeamRegistry.js';
+import { isFixtureFinal, summariseScoreCorrection } from '../services/ResultSettlementService.js';
+import {
+    FIXTURE_IMPORT_FIELDS,
+    GAMEWEEK_ASSIGNMENTS,
+    IMPORT_ROW_STATUSES,
+    detectFileFormat,
+    parseFixtureFile,
+    planFixtureImport,
+    suggestColumnMapping
+} from '../services/FixtureFileImport.js';
+import { GAMEWEEK_STRATEGIES, buildGameweekAssignment, summariseGameweeks } from '../services/GameweekBuilder.js';
+import { DEFAULT_TIME_ZONE, formatDeadline, isValidTimeZone } from '../services/DeadlineTimes.js';
 
 export default class SuperAdminManager {
 
@@ -13,6 +27,9 @@ export default class SuperAdminManager {
         this.auditListener = null;
         this.clubsListener = null;
         this.usersListener = null;
+        this.userRoles = [];
+        this.fixtureFileImport = null;
+        this.gameweekBuilder = null;
     }
 
     initBasic() {
@@ -292,154 +309,24 @@ export default class SuperAdminManager {
     async checkSuperAdminStatus(userId) {
         try {
             console.log('🔍 SuperAdminManager: checkSuperAdminStatus called for user:', userId);
-            console.log('🔍 SuperAdminManager: this.db exists:', !!this.db);
-            console.log('🔍 SuperAdminManager: this.db.collection exists:', !!(this.db && this.db.collection));
 
-            if (!this.db || typeof this.db.collection !== 'function') {
-                console.log('❌ SuperAdminManager: Database not ready, cannot check super admin status');
-                return;
-            }
-
-            // For now, hardcode super admin - in production this would come from a roles collection
-            const superAdminEmails = ['adfirth@gmail.com']; // Replace with your actual email
-            console.log('🔍 SuperAdminManager: Checking against super admin emails:', superAdminEmails);
-
-            let userFound = false;
-            let userData = null;
+            // The superAdmin custom claim is set by the manage-roles function
+            const roles = await window.authManager?.getRoleClaims?.();
+            this.isSuperAdmin = roles?.superAdmin === true;
+            console.log('🔍 SuperAdminManager: isSuperAdmin set to:', this.isSuperAdmin);
 
-            // First, try to find user in the old users collection (for backward compatibility)
-            // Commented out to prevent permission errors as we migrate to nested structure
-            /* try {
-                console.log('🔍 SuperAdminManager: Checking old users collection...');
-                const oldUserDoc = await this.db.collection('users').doc(userId).get();
-                if (oldUserDoc.exists) {
-                    userData = oldUserDoc.data();
-                    userFound = true;
-                    console.log('🔍 SuperAdminManager: User found in old users collection');
-                }
-            } catch (error) {
-                console.log('🔍 SuperAdminManager: Error checking old users collection:', error);
-            } */
-
-            // If not found in old collection, search in new nested structure
-            if (!userFound) {
-                console.log('🔍 SuperAdminManager: Searching for user across all clubs...');
-
-                // Get global settings to find active clubs
-                const globalSettings = await this.db.collection('global-settings').doc('system').get();
-                const activeClubs = globalSettings.exists ? globalSettings.data().activeClubs : [];
-
-                console.log('🔍 SuperAdminManager: Active clubs found:', activeClubs);
-
-                // If no active clubs, try to find any clubs
-                if (activeClubs.length === 0) {
-                    console.log('🔍 SuperAdminManager: No active clubs found, searching all clubs...');
-                    try {
-                        const allClubsSnapshot = await this.db.collection('clubs').get();
-                        for (const clubDoc of allClubsSnapshot.docs) {
-                            if (userFound) break;
-
-                            try {
-                                const editionsSnapshot = await this.db.collection('clubs').doc(clubDoc.id)
-                                    .collection('editions').get();
-
-                                for (const editionDoc of editionsSnapshot.docs) {
-                                    if (userFound) break;
-
-                                    const userDoc = await this.db.collection('clubs').doc(clubDoc.id)
-                                        .collection('editions').doc(editionDoc.id)
-                                        .collection('users').doc(userId).get();
-
-                                    if (userDoc.exists) {
-                                        userData = userDoc.data();
-                                        userFound = true;
-                                        console.log(`🔍 SuperAdminManager: User found in club: ${clubDoc.id}, edition: ${editionDoc.id}`);
-                                        break;
-                                    }
-                                }
-                            } catch (error) {
-                                console.log(`🔍 SuperAdminManager: Error searching club ${clubDoc.id}:`, error);
-                            }
-                        }
-                    } catch (error) {
-                        console.log('🔍 SuperAdminManager: Error searching all clubs:', error);
-                    }
-                } else {
-                    // Search through all active clubs and their editions
-                    for (const clubId of activeClubs) {
-                        if (userFound) break;
-
-                        try {
-                            const editionsSnapshot = await this.db.collection('clubs').doc(clubId)
-                                .collection('editions').get();
-
-                            for (const editionDoc of editionsSnapshot.docs) {
-                                if (userFound) break;
-
-                                const userDoc = await this.db.collection('clubs').doc(clubId)
-                                    .collection('editions').doc(editionDoc.id)
-                                    .collection('users').doc(userId).get();
-
-                                if (userDoc.exists) {
-                                    userData = userDoc.data();
-                                    userFound = true;
-                                    console.log(`🔍 SuperAdminManager: User found in club: ${clubId}, edition: ${editionDoc.id}`);
-                                    break;
-                                }
-                            }
-                        } catch (error) {
-                            console.log(`🔍 SuperAdminManager: Error searching club ${clubId}:`, error);
-                        }
-                    }
-                }
+            if (this.isSuperAdmin) {
+                console.log('👑 User is Super Admin');
+                this.showSuperAdminToggle();
+                this.loadSuperAdminData();
+            } else {
+                console.log('👤 User is not Super Admin');
+                this.hideSuperAdminToggle();
             }
 
-            console.log('🔍 SuperAdminManager: User document exists:', userFound);
-
-            if (userFound && userData) {
-                console.log('🔍 SuperAdminManager: User email:', userData.email);
-                this.isSuperAdmin = superAdminEmails.includes(userData.email);
-                console.log('🔍 SuperAdminManager: isSuperAdmin set to:', this.isSuperAdmin);
-
-                if (this.isSuperAdmin) {
-                    console.log('👑 User is Super Admin');
-                    this.showSuperAdminToggle();
-                    this.loadSuperAdminData();
-                } else {
-                    console.log('👤 User is not Super Admin');
-                    this.hideSuperAdminToggle();
-                }
-
-                // Notify AdminManager to refresh admin status
-                if (window.losApp?.managers?.admin) {
-                    window.losApp.managers.admin.refreshAdminStatus();
-                }
-            } else {
-                console.log('❌ SuperAdminManager: User document not found in any location');
-
-                // Fallback: Check if user is super admin by email (for development)
-                // This allows super admin access even if user document isn't migrated yet
-                try {
-                    const auth = window.firebaseAuth;
-                    if (auth && auth.currentUser) {
-                        const userEmail = auth.currentUser.email;
-                        console.log('🔍 SuperAdminManager: Checking email for super admin:', userEmail);
-
-                        if (superAdminEmails.includes(userEmail)) {
-                            console.log('👑 SuperAdminManager: User is super admin by email (fallback)');
-                            this.isSuperAdmin = true;
-                            this.showSuperAdminToggle();
-                            this.loadSuperAdminData();
-
-                            // Notify AdminManager to refresh admin status
-                            if (window.losApp?.managers?.admin) {
-                                window.losApp.managers.admin.refreshAdminStatus();
-                            }
-                        }
-                    }
-                } catch (error) {
-                    console.log('🔍 SuperAdminManager: Error in email fallback check:', error);
-                }
+            // Notify AdminManager to refresh admin status
+            if (window.losApp?.managers?.admin) {
+                window.losApp.managers.admin.refreshAdminStatus();
             }
         } catch (error) {
             console.error('SuperAdminManager: Error checking super admin status:', error);
@@ -522,6 +409,8 @@ export default class SuperAdminManager {
                         <button onclick="window.losApp.managers.superAdmin.viewAuditLogs()" class="btn btn-secondary" style="width: 100%;">📊 View Audit Logs</button>
                         <button onclick="window.losApp.managers.superAdmin.manageClubs()" class="btn btn-secondary" style="width: 100%;">🏟️ Manage Clubs</button>
                         <button onclick="window.losApp.managers.superAdmin.manageFixtures()" class="btn btn-secondary" style="width: 100%;">⚽ Manage Fixtures</button>
+                        <button onclick="window.losApp.managers.superAdmin.manageRoles()" class="btn btn-secondary" style="width: 100%;">🔐 Manage Roles</button>
+                        <button onclick="window.losApp.managers.superAdmin.manageTeams()" class="btn btn-secondary" style="width: 100%;">🏷️ Manage Teams</button>
                     </div>
                 </div>
                 
@@ -1220,6 +1109,35 @@ export default class SuperAdminManager {
                                 </div>
                                 <button onclick="window.losApp.managers.superAdmin.importFixturesFromAPI()" class="btn btn-primary" style="width: 100%;">📥 Import Fixtures</button>
                             </div>
+
+                            <h4 style="margin: 20px 0 15px 0; color: #1f2937;">📄 Import from File</h4>
+                            <div style="background: #f9fafb; padding: 15px; border-radius: 6px; border: 1px solid #e5e7eb;">
+                                <p style="margin: 0 0 15px 0; color: #6b7280; font-size: 13px;">For leagues the API doesn't cover: a CSV or JSON fixture list, or a league's .ics calendar. Uses the club and edition above.</p>
+                                <div style="margin-bottom: 15px;">
+                                    <label style="display: block; margin-bottom: 5px; font-weight: bold;">File:</label>
+                                    <input type="file" id="fixtureFileInput" accept=".csv,.txt,.json,.ics,.ical" style="width: 100%;">
+                                </div>
+                                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
+                                    <div>
+                                        <label style="display: block; margin-bottom: 5px; font-weight: bold;">Gameweeks:</label>
+                                        <select id="fixtureFileGameweekMode" onchange="window.losApp.managers.superAdmin.planFixtureFileImport()" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                                            ${Object.entries(GAMEWEEK_ASSIGNMENTS).map(([mode, { label }]) => `<option value="${mode}">${label}</option>`).join('')}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label style="display: block; margin-bottom: 5px; font-weight: bold;">Gameweek / first gameweek:</label>
+                                        <input type="number" id="fixtureFileGameweek" onchange="window.losApp.managers.superAdmin.planFixtureFileImport()" value="1" min="1" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                                    </div>
+                                </div>
+                                <div style="margin-bottom: 15px;">
+                                    <label style="display: block; margin-bottom: 5px; font-weight: bold;">Dates written as:</label>
+                                    <select id="fixtureFileDateOrder" onchange="window.losApp.managers.superAdmin.planFixtureFileImport()" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                                        <option value="dmy">Day/Month/Year (UK)</option>
+                                        <option value="mdy">Month/Day/Year (US)</option>
+                                    </select>
+                                </div>
+                                <button onclick="window.losApp.managers.superAdmin.previewFixtureFileImport()" class="btn btn-secondary" style="width: 100%;">🔍 Preview Import</button>
+                            </div>
                         </div>
 
                         <!-- Right Column: Score Updates -->
@@ -1259,6 +1177,9 @@ export default class SuperAdminManager {
                         </div>
                     </div>
 
+                    <!-- File Import Preview -->
+                    <div id="fixtureFileImportPreview"></div>
+
                     <!-- Fixtures List -->
                     <div style="margin-top: 30px;">
                         <h4 style="margin: 0 0 15px 0; color: #1f2937;">📋 Current Fixtures</h4>
@@ -1306,6 +1227,11 @@ export default class SuperAdminManager {
                                 </div>
                             </div>
                             
+                            <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #e5e7eb; display: flex; justify-content: space-between; align-items: center;">
+                                <div style="color: #6b7280; font-size: 14px;">Group this edition's fixtures into gameweeks by round or date, and move fixtures between them</div>
+                                <button onclick="window.losApp.managers.superAdmin.openGameweekBuilder()" class="btn btn-secondary" style="padding: 8px 16px;">🗓️ Gameweek Builder</button>
+                            </div>
+
                             <!-- Delete All Fixtures Option -->
                             <div style="margin-top: 15px; padding-top: 15px; border-top: 1px solid #e5e7eb;">
                                 <div style="display: flex; justify-content: space-between; align-items: center;">
@@ -1350,6 +1276,7 @@ export default class SuperAdminManager {
                                         <option value="in_progress">In Progress</option>
                                         <option value="scheduled">Scheduled</option>
                                         <option value="postponed">Postponed</option>
+                                        <option value="abandoned">Abandoned</option>
                                         <option value="cancelled">Cancelled</option>
                                     </select>
                                 </div>
@@ -2008,11 +1935,11 @@ export default class SuperAdminManager {
                         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin-top: 15px;">
                             <div>
                                 <label style="display: block; margin-bottom: 5px; font-weight: bold;">Home Score:</label>
-                                <input type="number" id="editHomeScore" value="${fixture.homeScore || ''}" min="0" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                                <input type="number" id="editHomeScore" value="${fixture.homeScore ?? ''}" min="0" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
                             </div>
                             <div>
                                 <label style="display: block; margin-bottom: 5px; font-weight: bold;">Away Score:</label>
-                                <input type="number" id="editAwayScore" value="${fixture.awayScore || ''}" min="0" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                                <input type="number" id="editAwayScore" value="${fixture.awayScore ?? ''}" min="0" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
                             </div>
                         </div>
                         
@@ -2022,7 +1949,9 @@ export default class SuperAdminManager {
                                 <option value="scheduled" ${statusForEdit === 'scheduled' ? 'selected' : ''}>Scheduled</option>
                                 <option value="in_progress" ${statusForEdit === 'in_progress' ? 'selected' : ''}>In Progress</option>
                                 <option value="finished" ${statusForEdit === 'finished' ? 'selected' : ''}>Finished</option>
+                                <option value="completed" ${statusForEdit === 'completed' ? 'selected' : ''}>Completed</option>
                                 <option value="postponed" ${statusForEdit === 'postponed' ? 'selected' : ''}>Postponed</option>
+                                <option value="abandoned" ${statusForEdit === 'abandoned' ? 'selected' : ''}>Abandoned</option>
                                 <option value="cancelled" ${statusForEdit === 'cancelled' ? 'selected' : ''}>Cancelled</option>
                             </select>
                         </div>
@@ -2030,7 +1959,7 @@ export default class SuperAdminManager {
                         <div style="margin-top: 15px;">
                             <label style="display: block; margin-bottom: 5px; font-weight: bold;">Game Week:</label>
                             <select id="editGameWeek" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
-                                ${[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(week =>
+                                ${Array.from({ length: Math.max(10, Number(fixture.gameWeek) || 0) }, (_, index) => index + 1).map(week =>
             `<option value="${week}" ${fixture.gameWeek === week ? 'selected' : ''}>Game Week ${week}</option>`
         ).join('')}
                             </select>
@@ -2075,11 +2004,41 @@ export default class SuperAdminManager {
                 lastUpdated: new Date().toISOString()
             };
 
-            // Update the fixture in Firebase
-            await this.db.collection('clubs').doc(clubId)
+            if (window.teamRegistry) {
+                formData.homeTeamId = await window.teamRegistry.ensureTeamId(formData.homeTeam);
+                formData.awayTeamId = await window.teamRegistry.ensureTeamId(formData.awayTeam);
+            }
+
+            const fixtureRef = this.db.collection('clubs').doc(clubId)
                 .collection('editions').doc(editionId)
-                .collection('fixtures').doc(fixtureId)
-                .update(formData);
+                .collection('fixtures').doc(fixtureId);
+
+            // A new score on a fixture that has already been settled re-settles the gameweek
+            const storedFixture = (await fixtureRef.get()).data() || {};
+            const correction = { homeScore: formData.homeScore, awayScore: formData.awayScore, status: formData.status };
+            const scoreChanged = Object.keys(correction).some(key => String(storedFixture[key] ?? '') !== String(correction[key] ?? ''));
+            let settleAfterSave = false;
+
+            if (scoreChanged && window.gameLogicManager) {
+                const correctionPlan = await window.gameLogicManager.previewScoreCorrection(clubId, editionId, fixtureId, correction);
+
+                if (correctionPlan.wasSettled) {
+                    if (!confirm(`This fixture has already been settled.\n\n${summariseScoreCorrection(correctionPlan)}\n\nSave the correction and re-settle the gameweek?`)) {
+                        return;
+                    }
+                    await window.gameLogicManager.applyScoreCorrection(clubId, editionId, fixtureId, correction);
+                } else {
+                    // A first final score settles the gameweek, as saving it from Admin → Scores does
+                    settleAfterSave = isFixtureFinal(correction);
+                }
+            }
+
+            // Update the fixture in Firebase
+            await fixtureRef.update(formData);
+
+            if (settleAfterSave) {
+                await window.gameLogicManager.settleGameweek(clubId, editionId, formData.gameWeek);
+            }
 
             console.log('✅ Fixture updated successfully');
 
@@ -2747,6 +2706,372 @@ export default class SuperAdminManager {
         this.filterFixturesByDate();
     }
 
+    // Read the chosen fixture file and show a dry run of importing it
+    async previewFixtureFileImport() {
+        try {
+            const clubId = document.getElementById('fixtureClubSelect').value;
+            const editionId = document.getElementById('fixtureEditionSelect').value;
+            const file = document.getElementById('fixtureFileInput').files[0];
+
+            if (!clubId || !editionId) {
+                alert('❌ Please select a club and edition');
+                return;
+            }
+            if (!file) {
+                alert('❌ Please choose a file to import');
+                return;
+            }
+
+            const format = detectFileFormat(file.name);
+            if (!format) {
+                alert('❌ Choose a .csv, .json or .ics file');
+                return;
+            }
+
+            const parsed = parseFixtureFile(await file.text(), format);
+            const fixtureManager = window.losApp.managers.fixtureManagement;
+            const existingFixtures = await fixtureManager.getFixturesFromFirebase(clubId, editionId);
+
+            this.fixtureFileImport = {
+                clubId,
+                editionId,
+                fileName: file.name,
+                ...parsed,
+                mapping: suggestColumnMapping(parsed.columns),
+                existingFixtures,
+                plan: null,
+                error: null
+            };
+
+            console.log(`📄 Read ${parsed.records.length} fixtures from ${file.name}`);
+            this.planFixtureFileImport();
+        } catch (error) {
+            console.error('❌ Error reading fixture file:', error);
+            alert(`❌ Error reading file: ${error.message}`);
+        }
+    }
+
+    // Dry-run the import with the current column mapping and gameweek options
+    planFixtureFileImport() {
+        const fileImport = this.fixtureFileImport;
+        if (!fileImport) return;
+
+        try {
+            fileImport.plan = planFixtureImport({
+                records: fileImport.records,
+                mapping: fileImport.mapping,
+                existingFixtures: fileImport.existingFixtures,
+                gameweekAssignment: {
+                    mode: document.getElementById('fixtureFileGameweekMode').value,
+                    gameweek: parseInt(document.getElementById('fixtureFileGameweek').value) || 1,
+                    startGameweek: parseInt(document.getElementById('fixtureFileGameweek').value) || 1
+                },
+                dateOrder: document.getElementById('fixtureFileDateOrder').value,
+                registry: window.teamRegistry?.registry
+            });
+            fileImport.error = null;
+        } catch (error) {
+            fileImport.plan = null;
+            fileImport.error = error.message;
+        }
+
+        this.renderFixtureFileImportPreview();
+    }
+
+    updateFixtureFileMapping(field, column) {
+        if (!this.fixtureFileImport) return;
+        this.fixtureFileImport.mapping[field] = column || null;
+        this.planFixtureFileImport();
+    }
+
+    renderFixtureFileImportPreview() {
+        const container = document.getElementById('fixtureFileImportPreview');
+        const fileImport = this.fixtureFileImport;
+        if (!container || !fileImport) return;
+
+        const escape = (value) => (value ?? '').toString()
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const { plan } = fileImport;
+        const importCount = plan ? plan.summary.new + plan.summary.result + plan.summary.correction + plan.summary.rescheduled : 0;
+
+        container.innerHTML = `
+            <div style="margin-top: 30px;">
+                <h4 style="margin: 0 0 15px 0; color: #1f2937;">🔍 Import Preview - ${escape(fileImport.fileName)} (${fileImport.records.length} rows)</h4>
+                <div style="background: #f9fafb; padding: 15px; border-radius: 6px; border: 1px solid #e5e7eb; margin-bottom: 15px;">
+                    <div style="font-weight: bold; margin-bottom: 10px;">Columns</div>
+                    <div style="display: grid; grid-template-columns: repeat(5, 1fr); gap: 10px;">
+                        ${Object.entries(FIXTURE_IMPORT_FIELDS).map(([field, { label, required }]) => `
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-size: 13px;">${label}${required ? ' *' : ''}</label>
+                                <select onchange="window.losApp.managers.superAdmin.updateFixtureFileMapping('${field}', this.value)" style="width: 100%; padding: 6px; border: 1px solid #d1d5db; border-radius: 4px;">
+                                    <option value="">-</option>
+                                    ${fileImport.columns.map(column => `<option value="${escape(column)}" ${fileImport.mapping[field] === column ? 'selected' : ''}>${escape(column)}</option>`).join('')}
+                                </select>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                ${fileImport.error ? `<div style="background: #fef2f2; color: #991b1b; padding: 10px; border-radius: 6px; margin-bottom: 15px;">❌ ${escape(fileImport.error)}</div>` : ''}
+
+                ${plan ? `
+                    <div style="display: flex; gap: 15px; flex-wrap: wrap; margin-bottom: 15px;">
+                        ${Object.entries(IMPORT_ROW_STATUSES).map(([status, { label, icon }]) => `<span>${icon} ${label}: <strong>${plan.summary[status]}</strong></span>`).join('')}
+                    </div>
+                    <div style="max-height: 400px; overflow-y: auto; border: 1px solid #e5e7eb; border-radius: 6px;">
+                        <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                            <thead style="background: #f3f4f6; position: sticky; top: 0;">
+                                <tr>
+                                    <th style="padding: 8px; text-align: left;">Row</th>
+                                    <th style="padding: 8px; text-align: left;">Import</th>
+                                    <th style="padding: 8px; text-align: left;">Fixture</th>
+                                    <th style="padding: 8px; text-align: left;">Date</th>
+                                    <th style="padding: 8px; text-align: left;">GW</th>
+                                    <th style="padding: 8px; text-align: left;">Score</th>
+                                    <th style="padding: 8px; text-align: left;">Notes</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${plan.rows.map(row => {
+                                    const record = fileImport.records[row.row - 1];
+                                    const fixture = row.fixture;
+                                    const score = fixture ? fixture : row.changes;
+                                    return `
+                                        <tr style="border-top: 1px solid #e5e7eb; ${row.status === 'invalid' ? 'background: #fef2f2;' : ''}">
+                                            <td style="padding: 8px;">${row.row}</td>
+                                            <td style="padding: 8px;">${IMPORT_ROW_STATUSES[row.status].icon} ${IMPORT_ROW_STATUSES[row.status].label}</td>
+                                            <td style="padding: 8px;">${escape(record[fileImport.mapping.homeTeam])} vs ${escape(record[fileImport.mapping.awayTeam])}</td>
+                                            <td style="padding: 8px;">${escape(fixture ? `${fixture.date} ${fixture.time}` : record[fileImport.mapping.date])}</td>
+                                            <td style="padding: 8px;">${fixture ? fixture.gameWeek : ''}</td>
+                                            <td style="padding: 8px;">${score && score.homeScore !== null ? `${score.homeScore}-${score.awayScore}` : ''}</td>
+                                            <td style="padding: 8px; color: #6b7280;">${row.errors.map(escape).join('<br>')}</td>
+                                        </tr>
+                                    `;
+                                }).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    <div style="display: flex; gap: 10px; margin-top: 15px;">
+                        <button onclick="window.losApp.managers.superAdmin.planFixtureFileImport()" class="btn btn-secondary" style="flex: 1;">🔄 Re-check</button>
+                        <button onclick="window.losApp.managers.superAdmin.confirmFixtureFileImport()" class="btn btn-primary" style="flex: 1;" ${importCount === 0 ? 'disabled' : ''}>✅ Import ${plan.summary.new} fixtures, ${plan.summary.result + plan.summary.correction} results and ${plan.fixtureUpdates.length} date changes</button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    async confirmFixtureFileImport() {
+        const fileImport = this.fixtureFileImport;
+        if (!fileImport?.plan) return;
+
+        const { plan } = fileImport;
+        const warning = plan.summary.correction > 0
+            ? `\n\n${plan.summary.correction} rows change a final score - those players' results and lives will be re-settled.`
+            : '';
+        if (!confirm(`Import ${plan.summary.new} fixtures, ${plan.summary.result + plan.summary.correction} results and ${plan.fixtureUpdates.length} date changes into ${fileImport.clubId} - ${fileImport.editionId}? ${plan.summary.duplicate + plan.summary.invalid} rows will be skipped.${warning}`)) {
+            return;
+        }
+
+        try {
+            const fixtureManager = window.losApp.managers.fixtureManagement;
+            const result = await fixtureManager.importFixturesFromFile(fileImport.clubId, fileImport.editionId, plan, fileImport.fileName);
+
+            alert(`✅ Imported ${result.imported} fixtures, ${result.resultsUpdated} results and ${result.rescheduled} date changes from ${fileImport.fileName}`);
+            this.fixtureFileImport = null;
+            document.getElementById('fixtureFileImportPreview').innerHTML = '';
+            this.loadFixturesForClub(fileImport.clubId, fileImport.editionId);
+        } catch (error) {
+            console.error('❌ Error importing fixture file:', error);
+            alert(`❌ Error importing fixtures: ${error.message}`);
+        }
+    }
+
+    // Gameweek builder - open with the edition's fixtures in their current gameweeks
+    async openGameweekBuilder() {
+        const clubId = document.getElementById('currentFixturesClubSelect').value;
+        const editionId = document.getElementById('currentFixturesEditionSelect').value;
+
+        if (!clubId || !editionId) {
+            alert('Please select both a club and edition');
+            return;
+        }
+
+        const fixtureManager = window.losApp.managers.fixtureManagement;
+        const fixtures = await fixtureManager.getFixturesFromFirebase(clubId, editionId);
+        if (fixtures.length === 0) {
+            alert('No fixtures have been imported for this club and edition yet');
+            return;
+        }
+
+        this.gameweekBuilder = {
+            clubId,
+            editionId,
+            fixtures,
+            deadlineSettings: await fixtureManager.getDeadlineSettings(clubId, editionId),
+            assignment: Object.fromEntries(fixtures
+                .filter(fixture => Number(fixture.gameWeek))
+                .map(fixture => [fixture.id, Number(fixture.gameWeek)]))
+        };
+
+        document.getElementById('gameweekBuilderModal')?.remove();
+        const modal = document.createElement('div');
+        modal.id = 'gameweekBuilderModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 2000;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+        `;
+
+        modal.innerHTML = `
+            <div style="background: white; width: 95%; max-width: 1200px; max-height: 90vh; border-radius: 8px; overflow: hidden;">
+                <div style="background: #1f2937; color: white; padding: 15px; font-weight: bold; display: flex; justify-content: space-between; align-items: center;">
+                    <span>🗓️ Gameweek Builder - ${fixtures.length} fixtures</span>
+                    <button onclick="this.closest('#gameweekBuilderModal').remove()" style="background: none; border: none; color: white; font-size: 18px; cursor: pointer;">×</button>
+                </div>
+                <div style="padding: 20px; max-height: calc(90vh - 60px); overflow-y: auto;">
+                    <div style="background: #f9fafb; padding: 15px; border-radius: 6px; border: 1px solid #e5e7eb; margin-bottom: 15px;">
+                        <div style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr 1fr; gap: 15px; align-items: end;">
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-weight: bold; color: #374151;">Group By:</label>
+                                <select id="gameweekBuilderStrategy" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px; background: white;">
+                                    ${Object.entries(GAMEWEEK_STRATEGIES).map(([strategy, { label }]) => `<option value="${strategy}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-weight: bold; color: #374151;">First Game Week:</label>
+                                <input type="number" id="gameweekBuilderStart" value="1" min="1" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                            </div>
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-weight: bold; color: #374151;">Split After (days gap):</label>
+                                <input type="number" id="gameweekBuilderGap" value="1" min="0" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                            </div>
+                            <div>
+                                <label style="display: block; margin-bottom: 5px; font-weight: bold; color: #374151;">Longest Window (days):</label>
+                                <input type="number" id="gameweekBuilderWindow" value="4" min="1" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                            </div>
+                            <div>
+                                <button onclick="window.losApp.managers.superAdmin.rebuildGameweeks()" class="btn btn-primary" style="width: 100%; padding: 8px;">🔄 Build Gameweeks</button>
+                            </div>
+                        </div>
+                        <div style="color: #6b7280; font-size: 13px; margin-top: 10px;">Drag fixtures between gameweeks to move them. Deadlines are worked out from each gameweek's earliest kick-off and shown in your local time.</div>
+                    </div>
+                    <div id="gameweekBuilderColumns"></div>
+                    <div style="display: flex; gap: 10px; margin-top: 15px;">
+                        <button onclick="this.closest('#gameweekBuilderModal').remove()" class="btn btn-secondary" style="flex: 1;">Cancel</button>
+                        <button onclick="window.losApp.managers.superAdmin.saveGameweekBuilder()" class="btn btn-primary" style="flex: 1;">💾 Save Gameweeks</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.renderGameweekBuilder();
+    }
+
+    rebuildGameweeks() {
+        const builder = this.gameweekBuilder;
+        if (!builder) return;
+
+        const { assignment, strategy, unscheduled } = buildGameweekAssignment(builder.fixtures, {
+            strategy: document.getElementById('gameweekBuilderStrategy').value,
+            startGameweek: parseInt(document.getElementById('gameweekBuilderStart').value) || 1,
+            maxGapDays: parseInt(document.getElementById('gameweekBuilderGap').value) || 0,
+            maxWindowDays: parseInt(document.getElementById('gameweekBuilderWindow').value) || 4,
+            timeZone: builder.deadlineSettings.timeZone
+        });
+        builder.assignment = assignment;
+        console.log(`🗓️ Built ${new Set(Object.values(assignment)).size} gameweeks by ${strategy}, ${unscheduled.length} fixtures without a date left as they were`);
+        this.renderGameweekBuilder();
+    }
+
+    moveFixtureToGameweek(fixtureId, gameweek) {
+        const builder = this.gameweekBuilder;
+        if (!builder || !fixtureId || !gameweek) return;
+
+        builder.assignment[fixtureId] = Number(gameweek);
+        this.renderGameweekBuilder();
+    }
+
+    renderGameweekBuilder() {
+        const container = document.getElementById('gameweekBuilderColumns');
+        const builder = this.gameweekBuilder;
+        if (!container || !builder) return;
+
+        const escape = (value) => (value ?? '').toString()
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        const fixturesById = Object.fromEntries(builder.fixtures.map(fixture => [fixture.id, fixture]));
+        const gameweeks = summariseGameweeks(builder.fixtures, builder.assignment, {
+            maxWindowDays: parseInt(document.getElementById('gameweekBuilderWindow')?.value) || 4,
+            now: new Date(),
+            deadlineSettings: builder.deadlineSettings
+        });
+        const unassigned = builder.fixtures.filter(fixture => !builder.assignment[fixture.id]);
+        const nextGameweek = Math.max(0, ...gameweeks.map(({ gameweek }) => gameweek)) + 1;
+
+        const dropZone = (gameweek) => `ondragover="event.preventDefault()" ondrop="event.preventDefault(); window.losApp.managers.superAdmin.moveFixtureToGameweek(event.dataTransfer.getData('text/plain'), ${gameweek})"`;
+        const fixtureCard = (fixture) => `
+            <div draggable="true" ondragstart="event.dataTransfer.setData('text/plain', '${escape(fixture.id)}')" style="background: white; border: 1px solid #d1d5db; border-radius: 4px; padding: 6px 8px; margin-bottom: 6px; font-size: 13px; cursor: grab;">
+                <div style="font-weight: bold;">${escape(fixture.homeTeam)} vs ${escape(fixture.awayTeam)}</div>
+                <div style="color: #6b7280;">${escape(fixture.date || 'No date')} ${escape(fixture.kickOffTime || fixture.time || '')}${fixture.round ? ` · Round ${escape(fixture.round)}` : ''}</div>
+            </div>
+        `;
+        container.innerHTML = `
+            <div style="display: flex; gap: 12px; overflow-x: auto; align-items: flex-start; padding-bottom: 10px;">
+                ${unassigned.length > 0 ? `
+                    <div style="min-width: 220px; background: #fef3c7; border: 1px solid #f59e0b; border-radius: 6px; padding: 10px;">
+                        <div style="font-weight: bold; margin-bottom: 8px;">⚠️ No Game Week (${unassigned.length})</div>
+                        ${unassigned.map(fixtureCard).join('')}
+                    </div>
+                ` : ''}
+                ${gameweeks.map(({ gameweek, fixtureIds, deadline, warnings }) => `
+                    <div ${dropZone(gameweek)} style="min-width: 220px; background: ${warnings.length > 0 ? '#fef2f2' : '#f9fafb'}; border: 1px solid ${warnings.length > 0 ? '#fca5a5' : '#e5e7eb'}; border-radius: 6px; padding: 10px;">
+                        <div style="font-weight: bold;">Game Week ${gameweek} (${fixtureIds.length})</div>
+                        <div style="color: #374151; font-size: 13px; margin-bottom: 8px;">⏰ Deadline: ${deadline ? formatDeadline(deadline) : 'not set'}</div>
+                        ${warnings.map(warning => `<div style="color: #b91c1c; font-size: 12px; margin-bottom: 4px;">⚠️ ${escape(warning)}</div>`).join('')}
+                        ${fixtureIds.map(fixtureId => fixtureCard(fixturesById[fixtureId])).join('')}
+                    </div>
+                `).join('')}
+                <div ${dropZone(nextGameweek)} style="min-width: 220px; min-height: 100px; border: 2px dashed #d1d5db; border-radius: 6px; padding: 10px; color: #6b7280; display: flex; align-items: center; justify-content: center; text-align: center;">
+                    ➕ Drop here for Game Week ${nextGameweek}
+                </div>
+            </div>
+        `;
+    }
+
+    async saveGameweekBuilder() {
+        const builder = this.gameweekBuilder;
+        if (!builder) return;
+
+        const gameweeks = summariseGameweeks(builder.fixtures, builder.assignment, { now: new Date(), deadlineSettings: builder.deadlineSettings });
+        const warnings = gameweeks.flatMap(({ gameweek, warnings: gameweekWarnings }) => gameweekWarnings.map(warning => `• GW${gameweek}: ${warning}`));
+        const moved = builder.fixtures.filter(fixture => builder.assignment[fixture.id] && builder.assignment[fixture.id] !== Number(fixture.gameWeek)).length;
+        const warningText = warnings.length > 0 ? `\n\nWarnings:\n${warnings.join('\n')}` : '';
+
+        if (!confirm(`Save ${gameweeks.length} gameweeks for ${builder.clubId} - ${builder.editionId}? ${moved} fixtures change gameweek.${warningText}`)) {
+            return;
+        }
+
+        try {
+            const fixtureManager = window.losApp.managers.fixtureManagement;
+            const result = await fixtureManager.saveGameweekAssignment(builder.clubId, builder.editionId, builder.fixtures, builder.assignment);
+
+            alert(`✅ Gameweeks saved: ${result.updated} fixtures updated, ${result.deadlinesPublished} deadlines published`);
+            this.gameweekBuilder = null;
+            document.getElementById('gameweekBuilderModal')?.remove();
+            this.loadCurrentFixtures();
+        } catch (error) {
+            console.error('❌ Error saving gameweeks:', error);
+            alert(`❌ Error saving gameweeks: ${error.message}`);
+        }
+    }
+
     // Import selected fixtures
     async importSelectedFixtures() {
         if (!this.fixtureSelectionData) return;
@@ -3027,10 +3352,12 @@ export default class SuperAdminManager {
                     <div style="margin-bottom: 10px;">
                         <strong>Club ID:</strong> ${club.clubId}<br>
                         <strong>Description:</strong> ${club.description || 'No description'}<br>
-                        <strong>Contact:</strong> ${club.contactEmail || 'No contact email'}
+                        <strong>Contact:</strong> ${club.contactEmail || 'No contact email'}<br>
+                        <strong>Time Zone:</strong> ${club.timeZone || DEFAULT_TIME_ZONE}
                     </div>
                     <div style="display: flex; gap: 8px;">
                         <button onclick="window.losApp.managers.superAdmin.editClub('${club.id}')" class="btn btn-secondary" style="font-size: 12px;">✏️ Edit</button>
+                        <button onclick="window.losApp.managers.superAdmin.editClubTimeZone('${club.id}')" class="btn btn-secondary" style="font-size: 12px;">🕒 Time Zone</button>
                         <button onclick="window.losApp.managers.superAdmin.toggleClubStatus('${club.id}')" class="btn btn-secondary" style="font-size: 12px;">
                             ${club.isActive ? '🔴 Deactivate' : '🟢 Activate'}
                         </button>
@@ -3073,6 +3400,46 @@ export default class SuperAdminManager {
         }
     }
 
+    // Edit the time zone the club's kick-off times and deadlines are read in
+    async editClubTimeZone(clubId) {
+        const club = this.clubs.find(c => c.id === clubId);
+        if (!club) return;
+
+        const oldTimeZone = club.timeZone || DEFAULT_TIME_ZONE;
+        const newTimeZone = prompt('Enter the club\'s IANA time zone (e.g. Europe/London, Europe/Dublin, America/New_York):', oldTimeZone)?.trim();
+        if (!newTimeZone || newTimeZone === oldTimeZone) return;
+
+        if (!isValidTimeZone(newTimeZone)) {
+            alert(`❌ "${newTimeZone}" is not a recognised time zone`);
+            return;
+        }
+
+        if (!confirm(`Read "${club.name}" kick-off times in ${newTimeZone}? Deadlines already published are not moved until they are next recalculated.`)) return;
+
+        try {
+            await this.db.collection('clubs').doc(clubId).update({
+                timeZone: newTimeZone,
+                updated_at: new Date()
+            });
+
+            // Log the action
+            await this.logAuditEvent('SUPER_ADMIN', 'CLUB_TIME_ZONE_CHANGED', {
+                clubId: clubId,
+                clubName: club.name,
+                oldTimeZone: oldTimeZone,
+                newTimeZone: newTimeZone,
+                userId: this.currentUser?.uid || 'unknown'
+            });
+
+            club.timeZone = newTimeZone;
+            alert(`✅ Club "${club.name}" now uses ${newTimeZone}!`);
+
+        } catch (error) {
+            console.error('SuperAdminManager: Error updating club time zone:', error);
+            alert('❌ Error updating club time zone: ' + error.message);
+        }
+    }
+
     // Toggle club status
     async toggleClubStatus(clubId) {
         const club = this.clubs.find(c => c.id === clubId);
@@ -3136,6 +3503,449 @@ export default class SuperAdminManager {
         }
     }
 
+    // Manage admin roles per club
+    async manageRoles() {
+        this.createRolesManagementModal();
+    }
+
+    createRolesManagementModal() {
+        // Remove existing modal if present
+        const existingModal = document.getElementById('rolesManagementModal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const modal = document.createElement('div');
+        modal.id = 'rolesManagementModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 2000;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+        `;
+
+        const clubOptions = this.clubs.map(club =>
+            `<option value="${club.id}">${club.name || club.id}</option>`
+        ).join('');
+        const roleOptions = Object.entries(ROLES).map(([key, role]) =>
+            `<option value="${key}">${role.label}</option>`
+        ).join('');
+
+        modal.innerHTML = `
+            <div style="background: white; width: 90%; max-width: 700px; max-height: 80vh; border-radius: 8px; overflow: hidden;">
+                <div style="background: #1f2937; color: white; padding: 15px; font-weight: bold; display: flex; justify-content: space-between; align-items: center;">
+                    <span>🔐 Manage Roles</span>
+                    <button onclick="this.parentElement.parentElement.parentElement.remove()" style="background: none; border: none; color: white; font-size: 18px; cursor: pointer;">×</button>
+                </div>
+                <div style="padding: 15px; max-height: calc(80vh - 60px); overflow-y: auto;">
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 10px; margin-bottom: 15px;">
+                        <label>Club
+                            <select id="rolesClubSelect" style="width: 100%; padding: 8px;">${clubOptions}</select>
+                        </label>
+                        <label>Edition
+                            <select id="rolesEditionSelect" style="width: 100%; padding: 8px;"></select>
+                        </label>
+                    </div>
+                    <div style="display: grid; grid-template-columns: 2fr 1fr auto; gap: 10px; align-items: end; margin-bottom: 20px;">
+                        <label>User email
+                            <input type="email" id="rolesUserEmail" placeholder="player@example.com" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                        </label>
+                        <label>Role
+                            <select id="rolesRoleSelect" style="width: 100%; padding: 8px;">${roleOptions}</select>
+                        </label>
+                        <button id="rolesGrantBtn" class="btn btn-primary">➕ Grant</button>
+                    </div>
+                    <h4 style="margin: 0 0 10px 0; color: #1f2937;">Current role holders</h4>
+                    <div id="rolesList">
+                        Loading roles...
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const clubSelect = document.getElementById('rolesClubSelect');
+        clubSelect.addEventListener('change', () => this.loadRolesForClub(clubSelect.value));
+        document.getElementById('rolesEditionSelect').addEventListener('change', () => this.populateRolesList());
+        document.getElementById('rolesGrantBtn').addEventListener('click', () => this.grantRoleFromForm());
+
+        this.loadRolesForClub(clubSelect.value);
+    }
+
+    async loadRolesForClub(clubId) {
+        const editionSelect = document.getElementById('rolesEditionSelect');
+        if (!editionSelect || !clubId) return;
+
+        try {
+            const [editionsSnapshot, rolesSnapshot] = await Promise.all([
+                this.db.collection('clubs').doc(clubId).collection('editions').get(),
+                this.db.collection('user-roles').get()
+            ]);
+
+            editionSelect.innerHTML = editionsSnapshot.docs.map(doc =>
+                `<option value="${doc.id}">${doc.data().name || doc.id}</option>`
+            ).join('');
+
+            this.userRoles = rolesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            this.populateRolesList();
+        } catch (error) {
+            console.error('SuperAdminManager: Error loading roles:', error);
+            const contentEl = document.getElementById('rolesList');
+            if (contentEl) contentEl.innerHTML = `<em>Error loading roles: ${error.message}</em>`;
+        }
+    }
+
+    // Role holders relevant to the selected club: super admins, its club admins and its edition moderators
+    getClubRoleHolders(clubId) {
+        const holders = [];
+
+        (this.userRoles || []).forEach(userRole => {
+            const roles = normalizeRoleClaims(userRole);
+            const user = { uid: userRole.uid || userRole.id, email: userRole.email || userRole.id };
+
+            if (roles.superAdmin) {
+                holders.push({ ...user, role: 'superAdmin', clubId: null, editionId: null });
+            }
+            if (roles.clubAdmin.includes(clubId)) {
+                holders.push({ ...user, role: 'clubAdmin', clubId, editionId: null });
+            }
+            roles.editionModerator
+                .filter(key => key.startsWith(`${clubId}/`))
+                .forEach(key => holders.push({ ...user, role: 'editionModerator', clubId, editionId: key.slice(clubId.length + 1) }));
+        });
+
+        return holders;
+    }
+
+    populateRolesList() {
+        const contentEl = document.getElementById('rolesList');
+        const clubId = document.getElementById('rolesClubSelect')?.value;
+        if (!contentEl || !clubId) return;
+
+        const holders = this.getClubRoleHolders(clubId);
+        if (holders.length === 0) {
+            contentEl.innerHTML = '<em>No roles granted for this club</em>';
+            return;
+        }
+
+        contentEl.innerHTML = holders.map((holder, index) => `
+            <div style="display: flex; justify-content: space-between; align-items: center; border: 1px solid #e5e7eb; padding: 10px; margin-bottom: 8px; border-radius: 4px;">
+                <div>
+                    <strong>${holder.email}</strong><br>
+                    <span style="font-size: 12px; color: #6b7280;">${ROLES[holder.role].label}${holder.editionId ? ` - ${holder.editionId}` : ''}</span>
+                </div>
+                <button data-role-index="${index}" class="btn btn-danger" style="font-size: 12px;">🗑️ Revoke</button>
+            </div>
+        `).join('');
+
+        contentEl.querySelectorAll('[data-role-index]').forEach(button => {
+            button.addEventListener('click', () => this.revokeRole(holders[Number(button.dataset.roleIndex)]));
+        });
+    }
+
+    async grantRoleFromForm() {
+        const email = document.getElementById('rolesUserEmail')?.value.trim();
+        const role = document.getElementById('rolesRoleSelect')?.value;
+        const clubId = document.getElementById('rolesClubSelect')?.value;
+        const editionId = document.getElementById('rolesEditionSelect')?.value;
+
+        if (!email) {
+            this.showToast('Enter the email of the user to grant the role to', 'error');
+            return;
+        }
+
+        const change = {
+            email,
+            role,
+            clubId: ROLES[role].scope === 'global' ? null : clubId,
+            editionId: ROLES[role].scope === 'edition' ? editionId : null,
+            action: 'grant'
+        };
+
+        try {
+            await this.changeUserRole(change);
+            this.showToast(`✅ ${ROLES[role].label} granted to ${email}`, 'success');
+            document.getElementById('rolesUserEmail').value = '';
+            await this.loadRolesForClub(clubId);
+        } catch (error) {
+            console.error('SuperAdminManager: Error granting role:', error);
+            this.showToast('Error granting role: ' + error.message, 'error');
+        }
+    }
+
+    async revokeRole(holder) {
+        const scope = holder.editionId ? ` for ${holder.editionId}` : '';
+        if (!confirm(`Revoke ${ROLES[holder.role].label}${scope} from ${holder.email}?`)) return;
+
+        try {
+            await this.changeUserRole({
+                uid: holder.uid,
+                role: holder.role,
+                clubId: holder.clubId,
+                editionId: holder.editionId,
+                action: 'revoke'
+            });
+            this.showToast(`✅ ${ROLES[holder.role].label} revoked from ${holder.email}`, 'success');
+            await this.loadRolesForClub(document.getElementById('rolesClubSelect')?.value);
+        } catch (error) {
+            console.error('SuperAdminManager: Error revoking role:', error);
+            this.showToast('Error revoking role: ' + error.message, 'error');
+        }
+    }
+
+    // Role changes go through the manage-roles function, which sets the custom claims and writes the audit log
+    async changeUserRole(change) {
+        const currentUser = window.firebaseAuth?.currentUser;
+        if (!currentUser) throw new Error('Not signed in');
+
+        const idToken = await currentUser.getIdToken();
+        const response = await fetch('/.netlify/functions/manage-roles', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${idToken}`
+            },
+            body: JSON.stringify(change)
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Request failed (${response.status})`);
+        }
+
+        // Pick up our own new claims straight away
+        if (result.uid === currentUser.uid) {
+            await window.authManager?.getRoleClaims?.(true);
+            await this.checkSuperAdminStatus(currentUser.uid);
+        }
+
+        return result;
+    }
+
+    // Team registry: provider names, badges, merging duplicates and the team ID backfill
+    async manageTeams() {
+        if (!window.teamRegistry) {
+            this.showToast('Team registry is not available', 'error');
+            return;
+        }
+
+        await window.teamRegistry.load();
+        this.createTeamsManagementModal();
+    }
+
+    createTeamsManagementModal() {
+        // Remove existing modal if present
+        const existingModal = document.getElementById('teamsManagementModal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+
+        const registry = window.teamRegistry.registry;
+        const teams = registry.getActiveTeams();
+        const teamOptions = teams.map(team => `<option value="${team.teamId}">${team.name}</option>`).join('');
+        const providerOptions = Object.entries(TEAM_ALIAS_PROVIDERS).map(([key, label]) =>
+            `<option value="${key}">${label}</option>`
+        ).join('');
+        const duplicates = registry.findDuplicateCandidates();
+
+        const modal = document.createElement('div');
+        modal.id = 'teamsManagementModal';
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0,0,0,0.5);
+            z-index: 2000;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+        `;
+
+        modal.innerHTML = `
+            <div style="background: white; width: 90%; max-width: 800px; max-height: 80vh; border-radius: 8px; overflow: hidden;">
+                <div style="background: #1f2937; color: white; padding: 15px; font-weight: bold; display: flex; justify-content: space-between; align-items: center;">
+                    <span>🏷️ Manage Teams (${teams.length})</span>
+                    <button onclick="this.parentElement.parentElement.parentElement.remove()" style="background: none; border: none; color: white; font-size: 18px; cursor: pointer;">×</button>
+                </div>
+                <div style="padding: 15px; max-height: calc(80vh - 60px); overflow-y: auto;">
+                    <h4 style="margin: 0 0 10px 0; color: #1f2937;">Possible duplicates</h4>
+                    <div id="teamDuplicatesList" style="margin-bottom: 20px;">
+                        ${duplicates.length === 0 ? '<em>No likely duplicates found</em>' : duplicates.map((duplicate, index) => {
+                            const [first, second] = duplicate.teamIds.map(teamId => registry.getTeam(teamId));
+                            return `
+                                <div style="display: flex; justify-content: space-between; align-items: center; border: 1px solid #e5e7eb; padding: 10px; margin-bottom: 8px; border-radius: 4px;">
+                                    <span><strong>${first.name}</strong> / <strong>${second.name}</strong></span>
+                                    <span>
+                                        <button data-merge-index="${index}" data-merge-direction="0" class="btn btn-secondary" style="font-size: 12px;">Keep ${first.name}</button>
+                                        <button data-merge-index="${index}" data-merge-direction="1" class="btn btn-secondary" style="font-size: 12px;">Keep ${second.name}</button>
+                                    </span>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+
+                    <h4 style="margin: 0 0 10px 0; color: #1f2937;">Merge teams</h4>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr auto; gap: 10px; align-items: end; margin-bottom: 20px;">
+                        <label>Duplicate
+                            <select id="teamMergeSource" style="width: 100%; padding: 8px;">${teamOptions}</select>
+                        </label>
+                        <label>Merge into
+                            <select id="teamMergeTarget" style="width: 100%; padding: 8px;">${teamOptions}</select>
+                        </label>
+                        <button id="teamMergeBtn" class="btn btn-warning">🔀 Merge</button>
+                    </div>
+
+                    <h4 style="margin: 0 0 10px 0; color: #1f2937;">Provider names and badge</h4>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr 1fr auto; gap: 10px; align-items: end; margin-bottom: 10px;">
+                        <label>Team
+                            <select id="teamAliasTeam" style="width: 100%; padding: 8px;">${teamOptions}</select>
+                        </label>
+                        <label>Provider
+                            <select id="teamAliasProvider" style="width: 100%; padding: 8px;">${providerOptions}</select>
+                        </label>
+                        <label>Name used by provider
+                            <input type="text" id="teamAliasName" style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                        </label>
+                        <button id="teamAliasBtn" class="btn btn-primary">➕ Add</button>
+                    </div>
+                    <div style="display: grid; grid-template-columns: 3fr auto; gap: 10px; align-items: end; margin-bottom: 20px;">
+                        <label>Badge URL
+                            <input type="url" id="teamBadgeUrl" placeholder="https://..." style="width: 100%; padding: 8px; border: 1px solid #d1d5db; border-radius: 4px;">
+                        </label>
+                        <button id="teamBadgeBtn" class="btn btn-primary">💾 Save Badge</button>
+                    </div>
+
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                        <h4 style="margin: 0; color: #1f2937;">Teams</h4>
+                        <button id="teamBackfillBtn" class="btn btn-secondary" style="font-size: 12px;">🔄 Backfill Team IDs</button>
+                    </div>
+                    <div id="teamBackfillResult"></div>
+                    <div id="teamsList">
+                        ${teams.length === 0 ? '<em>No teams registered yet - import fixtures or run the backfill</em>' : teams.map(team => `
+                            <div style="display: flex; gap: 10px; align-items: center; border: 1px solid #e5e7eb; padding: 10px; margin-bottom: 8px; border-radius: 4px;">
+                                ${team.badgeUrl ? `<img src="${team.badgeUrl}" alt="${team.name}" class="team-badge team-badge-small" loading="lazy">` : ''}
+                                <div>
+                                    <strong>${team.name}</strong> <span style="font-size: 12px; color: #6b7280;">${team.teamId}</span><br>
+                                    <span style="font-size: 12px; color: #6b7280;">
+                                        ${Object.entries(team.aliases || {}).filter(([, aliases]) => aliases.length > 0)
+                                            .map(([provider, aliases]) => `${TEAM_ALIAS_PROVIDERS[provider] || provider}: ${aliases.join(', ')}`).join(' · ')}
+                                        ${(team.competitions || []).length > 0 ? ` · Competitions: ${team.competitions.join(', ')}` : ''}
+                                    </span>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelectorAll('[data-merge-index]').forEach(button => {
+            button.addEventListener('click', () => {
+                const [first, second] = duplicates[Number(button.dataset.mergeIndex)].teamIds;
+                const keepFirst = button.dataset.mergeDirection === '0';
+                this.mergeTeams(keepFirst ? second : first, keepFirst ? first : second);
+            });
+        });
+        document.getElementById('teamMergeBtn').addEventListener('click', () => {
+            this.mergeTeams(document.getElementById('teamMergeSource').value, document.getElementById('teamMergeTarget').value);
+        });
+        document.getElementById('teamAliasBtn').addEventListener('click', () => this.addTeamAliasFromForm());
+        document.getElementById('teamBadgeBtn').addEventListener('click', () => this.saveTeamBadgeFromForm());
+        document.getElementById('teamBackfillBtn').addEventListener('click', () => this.backfillTeamIds());
+    }
+
+    async mergeTeams(sourceId, targetId) {
+        const registry = window.teamRegistry.registry;
+        const source = registry.getTeam(sourceId);
+        const target = registry.getTeam(targetId);
+
+        if (!source || !target || source.teamId === target.teamId) {
+            this.showToast('Choose two different teams to merge', 'error');
+            return;
+        }
+        if (!confirm(`Merge "${source.name}" into "${target.name}"? Every fixture and pick for ${source.name} will be moved to ${target.name}.`)) return;
+
+        try {
+            const summary = await window.teamRegistry.mergeTeams(source.teamId, target.teamId);
+            this.showToast(`✅ Merged ${source.name} into ${target.name} (${summary.fixtures} fixtures, ${summary.picks} picks updated)`, 'success');
+            this.createTeamsManagementModal();
+        } catch (error) {
+            console.error('SuperAdminManager: Error merging teams:', error);
+            this.showToast('Error merging teams: ' + error.message, 'error');
+        }
+    }
+
+    async addTeamAliasFromForm() {
+        const teamId = document.getElementById('teamAliasTeam')?.value;
+        const provider = document.getElementById('teamAliasProvider')?.value;
+        const alias = document.getElementById('teamAliasName')?.value.trim();
+        if (!teamId || !alias) {
+            this.showToast('Choose a team and enter the name the provider uses', 'error');
+            return;
+        }
+
+        const team = window.teamRegistry.registry.getTeam(teamId);
+        const aliases = { ...team.aliases, [provider]: [...new Set([...(team.aliases?.[provider] || []), alias])] };
+
+        try {
+            await window.teamRegistry.updateTeam(teamId, { aliases });
+            this.showToast(`✅ ${TEAM_ALIAS_PROVIDERS[provider]} name "${alias}" added to ${team.name}`, 'success');
+            this.createTeamsManagementModal();
+        } catch (error) {
+            console.error('SuperAdminManager: Error adding team alias:', error);
+            this.showToast('Error adding name: ' + error.message, 'error');
+        }
+    }
+
+    async saveTeamBadgeFromForm() {
+        const teamId = document.getElementById('teamAliasTeam')?.value;
+        const badgeUrl = document.getElementById('teamBadgeUrl')?.value.trim() || null;
+        if (!teamId) return;
+
+        try {
+            await window.teamRegistry.updateTeam(teamId, { badgeUrl });
+            this.showToast('✅ Badge saved', 'success');
+            this.createTeamsManagementModal();
+        } catch (error) {
+            console.error('SuperAdminManager: Error saving team badge:', error);
+            this.showToast('Error saving badge: ' + error.message, 'error');
+        }
+    }
+
+    async backfillTeamIds() {
+        if (!confirm('Write team IDs onto every fixture and pick in every club? Teams missing from the registry will be registered.')) return;
+
+        const resultEl = document.getElementById('teamBackfillResult');
+        if (resultEl) resultEl.innerHTML = '<p>Backfilling team IDs...</p>';
+
+        try {
+            const summary = await window.teamRegistry.backfillTeamIds();
+            this.createTeamsManagementModal();
+            const refreshedResultEl = document.getElementById('teamBackfillResult');
+            if (refreshedResultEl) {
+                refreshedResultEl.innerHTML = `
+                    <p>✅ Updated ${summary.fixtures} fixtures and ${summary.picks} picks, registered ${summary.teamsRegistered} teams.</p>
+                    ${summary.unresolvedNames.length > 0 ? `<p>⚠️ Not resolved (add them as provider names): ${summary.unresolvedNames.join(', ')}</p>` : ''}
+                `;
+            }
+        } catch (error) {
+            console.error('SuperAdminManager: Error backfilling team IDs:', error);
+            if (resultEl) resultEl.innerHTML = '';
+            this.showToast('Error backfilling team IDs: ' + error.message, 'error');
+        }
+    }
+
     // Log audit events
     async logAuditEvent(userType, action, details = {}) {
         try {
@@ -0,0 +1,182 @@
+import TeamRegistry, { createTeamId, planTeamIdBackfill, planTeamMerge } from '../services/TeamRegistry.js';
+import { commitInChunks } from '../services/FirestoreBatches.js';
+
+/**
+ * TeamRegistryService - Loads the /teams registry and keeps it in step with Firestore
+ * Registers new teams as fixtures are imported, merges duplicates and backfills team IDs
+ * onto existing fixtures and picks. Available as window.teamRegistry.
+ */
+export default class TeamRegistryService {
+    constructor(db = null) {
+        this.db = db;
+        this.registry = new TeamRegistry();
+        this.isLoaded = false;
+    }
+
+    initBasic() {
+        // Nothing to set up until Firebase is ready
+    }
+
+    restoreFirebaseConnection() {
+        this.db = window.firebaseDB;
+    }
+
+    async init() {
+        this.db = this.db || window.firebaseDB;
+        await this.load();
+    }
+
+    async load() {
+        try {
+            const teamsSnapshot = await this.db.collection('teams').get();
+            this.registry = new TeamRegistry(teamsSnapshot.docs.map(doc => ({ ...doc.data(), teamId: doc.id })));
+            this.isLoaded = true;
+            console.log(`✅ TeamRegistryService: Loaded ${this.registry.teams.size} teams`);
+        } catch (error) {
+            console.error('❌ TeamRegistryService: Error loading teams:', error);
+        }
+        return this.registry;
+    }
+
+    resolveTeamId(name, provider = null) {
+        return this.registry.resolve(name, provider);
+    }
+
+    getTeamName(teamId) {
+        return this.registry.getName(teamId);
+    }
+
+    // Badge for a team ID or any name the registry knows
+    getBadgeUrl(teamIdOrName) {
+        return this.registry.getBadgeUrl(teamIdOrName) || this.registry.getBadgeUrl(this.registry.resolve(teamIdOrName));
+    }
+
+    /**
+     * The team ID for a name, registering the team if it is new. The provider's spelling is kept
+     * as an alias and the competition added to the team's memberships.
+     * @param {string} name - Team name as the provider spells it
+     * @param {{provider: string, competitionId: string|number}} options
+     * @returns {Promise<string|null>}
+     */
+    async ensureTeamId(name, { provider = 'manual', competitionId = null } = {}) {
+        if (!name) return null;
+
+        const existingId = this.registry.resolve(name, provider);
+        if (!existingId && this.registry.isAmbiguous(name)) {
+            console.warn(`⚠️ TeamRegistryService: "${name}" matches more than one team - add it as an alias first`);
+            return null;
+        }
+
+        const team = existingId ? this.registry.getTeam(existingId) : null;
+        const competition = competitionId !== null && competitionId !== undefined ? String(competitionId) : null;
+
+        if (team) {
+            const knownAlias = (team.aliases?.[provider] || []).includes(name);
+            const knownCompetition = !competition || (team.competitions || []).includes(competition);
+            if (knownAlias && knownCompetition) return team.teamId;
+
+            const updates = {
+                [`aliases.${provider}`]: firebase.firestore.FieldValue.arrayUnion(name),
+                updated_at: new Date()
+            };
+            if (competition) updates.competitions = firebase.firestore.FieldValue.arrayUnion(competition);
+            await this.db.collection('teams').doc(team.teamId).update(updates);
+
+            team.aliases = { ...team.aliases, [provider]: [...new Set([...(team.aliases?.[provider] || []), name])] };
+            team.competitions = [...new Set([...(team.competitions || []), ...(competition ? [competition] : [])])];
+            this.registry = new TeamRegistry([...this.registry.teams.values()]);
+            return team.teamId;
+        }
+
+        const teamId = createTeamId(name, this.registry.teams.keys());
+        const newTeam = {
+            teamId: teamId,
+            name: name,
+            aliases: { [provider]: [name] },
+            competitions: competition ? [competition] : [],
+            badgeUrl: null,
+            mergedInto: null,
+            created_at: new Date(),
+            updated_at: new Date()
+        };
+
+        await this.db.collection('teams').doc(teamId).set(newTeam);
+        this.registry = new TeamRegistry([...this.registry.teams.values(), newTeam]);
+        console.log(`✅ TeamRegistryService: Registered ${name} as ${teamId}`);
+        return teamId;
+    }
+
+    async updateTeam(teamId, fields) {
+        await this.db.collection('teams').doc(teamId).update({ ...fields, updated_at: new Date() });
+        await this.load();
+    }
+
+    /**
+     * Merge a duplicate into the team it duplicates, then repoint stored fixtures and picks.
+     * @returns {Promise<Object>} Backfill summary
+     */
+    async mergeTeams(sourceId, targetId) {
+        const merge = planTeamMerge(this.registry, sourceId, targetId);
+        const batch = this.db.batch();
+        batch.update(this.db.collection('teams').doc(targetId), { ...merge.target, updated_at: new Date() });
+        batch.update(this.db.collection('teams').doc(sourceId), { ...merge.source, updated_at: new Date() });
+        await batch.commit();
+
+        await window.gameLogicManager?.logAuditEvent('TEAMS_MERGED', { sourceId, targetId });
+        console.log(`✅ TeamRegistryService: Merged ${sourceId} into ${targetId}`);
+
+        await this.load();
+        return this.backfillTeamIds();
+    }
+
+    /**
+     * Migration: write team IDs onto every club's fixtures and picks. Fixture team names the
+     * registry doesn't know are registered first, so afterwards every fixture and pick has an ID.
+     * Safe to run again - only documents whose ID is missing or out of date are written.
+     * @returns {Promise<{fixtures: number, picks: number, teamsRegistered: number, unresolvedNames: Array<string>}>}
+     */
+    async backfillTeamIds() {
+        const summary = { fixtures: 0, picks: 0, teamsRegistered: 0, unresolvedNames: [] };
+        const unresolved = new Set();
+        const clubsSnapshot = await this.db.collection('clubs').get();
+
+        for (const clubDoc of clubsSnapshot.docs) {
+            const editionsSnapshot = await clubDoc.ref.collection('editions').get();
+
+            for (const editionDoc of editionsSnapshot.docs) {
+                const [fixturesSnapshot, picksSnapshot] = await Promise.all([
+                    editionDoc.ref.collection('fixtures').get(),
+                    editionDoc.ref.collection('picks').get()
+                ]);
+                const fixtures = fixturesSnapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+                const picks = picksSnapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+
+                for (const fixture of fixtures) {
+                    for (const name of [fixture.homeTeam, fixture.awayTeam]) {
+                        if (name && !this.registry.resolve(name) && !this.registry.isAmbiguous(name)) {
+                            await this.ensureTeamId(name, { provider: 'footballWebPages', competitionId: fixture.competitionId ?? null });
+                            summary.teamsRegistered++;
+                        }
+                    }
+                }
+
+                const { updates, unresolvedNames } = planTeamIdBackfill(this.registry, fixtures, picks);
+                unresolvedNames.forEach(name => unresolved.add(name));
+
+                await commitInChunks(this.db, updates.map(update => ({
+                    type: 'update',
+                    ref: editionDoc.ref.collection(update.collection).doc(update.id),
+                    data: update.changes
+                })));
+
+                summary.fixtures += updates.filter(update => update.collection === 'fixtures').length;
+                summary.picks += updates.filter(update => update.collection === 'picks').length;
+            }
+        }
+
+        summary.unresolvedNames = [...unresolved].sort();
+        await window.gameLogicManager?.logAuditEvent('TEAM_IDS_BACKFILLED', summary);
+        console.log('✅ TeamRegistryService: Team ID backfill complete:', summary);
+        return summary;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * AutoPickStrategies - Registry of auto-pick rules, chosen per edition via settings.autoPickAlgorithm
+ * Shared by DeadlineService, PickStatusService and the scheduled enforce-deadlines function.
+ *
+ * Every strategy receives the same context:
+ * {
+ *   userPicks: { gw1: 'Arsenal', ... },   // the player's previous picks
+ *   availableTeams: ['Arsenal', ...],     // every team playing this gameweek
+ *   fixtures: [{ homeTeam, awayTeam }],   // this gameweek's fixtures
+ *   gameweek: 3,
+ *   backupPicks: ['Chelsea', ...],        // the player's saved backup pick queue
+ *   teamRankings: ['Liverpool', ...],     // league table, top first
+ *   random: Math.random
+ * }
+ * and returns a team name, or null when no team can be picked.
+ *
+ * A player's backup pick queue always takes priority over the configured strategy:
+ * selectAutoPick tries the queue first and only asks the strategy once nothing queued
+ * can be picked, so no strategy reads backupPicks itself.
+ */
+
+const getUsedTeams = (userPicks = {}) => new Set(Object.values(userPicks).filter(Boolean));
+
+const getUnusedTeams = (context) => {
+    const usedTeams = getUsedTeams(context.userPicks);
+    return context.availableTeams.filter(team => !usedTeams.has(team));
+};
+
+const pickRandom = (teams, random = Math.random) => {
+    if (teams.length === 0) return null;
+    return teams[Math.floor(random() * teams.length)];
+};
+
+function alphabetical(context) {
+    const { userPicks = {}, availableTeams, gameweek } = context;
+    if (availableTeams.length === 0) return null;
+
+    // Every team has been used - any team is better than no pick
+    const unusedTeams = getUnusedTeams(context);
+    const candidates = unusedTeams.length > 0 ? unusedTeams : availableTeams;
+
+    if (Number(gameweek) === 1) {
+        // For first gameweek, pick randomly from available teams
+        return pickRandom(candidates, context.random);
+    }
+
+    // For subsequent gameweeks, pick the next unused team alphabetically after the previous pick
+    const sortedTeams = [...candidates].sort();
+    const previousPick = userPicks[`gw${Number(gameweek) - 1}`];
+    if (!previousPick) return sortedTeams[0];
+
+    return sortedTeams.find(team => team > previousPick) || sortedTeams[0];
+}
+
+function randomUnused(context) {
+    const unusedTeams = getUnusedTeams(context);
+
+    // Every team has been used - any team is better than no pick
+    return pickRandom(unusedTeams.length > 0 ? unusedTeams : context.availableTeams, context.random);
+}
+
+function lowestRankedHome(context) {
+    const { fixtures = [], teamRankings = [] } = context;
+    const usedTeams = getUsedTeams(context.userPicks);
+    const homeTeams = fixtures
+        .map(fixture => fixture.homeTeam)
+        .filter(team => team && !usedTeams.has(team));
+
+    if (homeTeams.length === 0) {
+        return alphabetical(context);
+    }
+
+    // Teams missing from the table are treated as the lowest ranked
+    const rankOf = (team) => {
+        const index = teamRankings.indexOf(team);
+        return index === -1 ? Infinity : index;
+    };
+
+    return [...homeTeams].sort((a, b) => rankOf(b) - rankOf(a) || a.localeCompare(b))[0];
+}
+
+// First team in the player's queue that is playing this gameweek and not yet used
+export function pickFromBackupQueue(context) {
+    const unusedTeams = new Set(getUnusedTeams(context));
+    return (context.backupPicks || []).find(team => unusedTeams.has(team)) || null;
+}
+
+export const AUTO_PICK_STRATEGIES = {
+    alphabetical: {
+        label: 'Alphabetical (next team after previous pick)',
+        pick: alphabetical
+    },
+    randomUnused: {
+        label: 'Random team not yet used',
+        pick: randomUnused
+    },
+    lowestRankedHome: {
+        label: 'Lowest-ranked available home team',
+        pick: lowestRankedHome
+    },
+    loseLife: {
+        label: 'No auto-pick, lose a life instead',
+        losesLife: true,
+        pick: () => null
+    }
+};
+
+export const DEFAULT_AUTO_PICK_STRATEGY = 'alphabetical';
+
+/**
+ * Pick for one player: their backup queue first, then the configured strategy.
+ * @returns {{team: string|null, losesLife: boolean, strategy: string}}
+ */
+export function selectAutoPick(strategyKey, context) {
+    const fullContext = { userPicks: {}, availableTeams: [], ...context };
+    const backupPick = pickFromBackupQueue(fullContext);
+
+    if (backupPick) {
+        return { team: backupPick, losesLife: false, strategy: 'backupQueue' };
+    }
+
+    const key = AUTO_PICK_STRATEGIES[strategyKey] ? strategyKey : DEFAULT_AUTO_PICK_STRATEGY;
+    const strategy = AUTO_PICK_STRATEGIES[key];
+
+    return {
+        team: strategy.pick(fullContext),
+        losesLife: strategy.losesLife === true,
+        strategy: key
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * BuyBack - Letting eliminated players pay to re-enter an edition
+ * Pure, so the admin panel, PaymentService and tests agree on who can buy back in and when.
+ *
+ * Edition settings (settings/current):
+ * buyBack: {
+ *   enabled: false,
+ *   pricePence: 500,          // what a re-entry costs, added to the prize pot
+ *   lives: 1,                 // lives a re-entry gives back
+ *   cutoffGameweek: 6,        // the last gameweek a player can re-enter for, null for no cut-off
+ *   maxReentries: 1           // how many times each player can buy back in
+ * }
+ *
+ * A re-entry is a life grant on the player (see ResultRules.calculateLives), counted from the
+ * first gameweek whose deadline hasn't passed, so a player can never buy back into a gameweek
+ * that is already being played.
+ */
+import { calculateGameweekDeadline } from './DeadlineTimes.js';
+
+export const DEFAULT_BUY_BACK_SETTINGS = {
+    enabled: false,
+    pricePence: 0,
+    lives: 1,
+    cutoffGameweek: null,
+    maxReentries: 1
+};
+
+export const BUY_BACK_REASONS = {
+    disabled: 'Buy-backs are not enabled for this edition',
+    notEliminated: 'Only eliminated players can buy back in',
+    noGameweek: 'There are no gameweeks left to re-enter',
+    pastCutoff: 'The buy-back cut-off has passed',
+    maxReentries: 'No re-entries left'
+};
+
+const toWholeNumber = (value, fallback) => {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) && number >= 0 ? Math.floor(number) : fallback;
+};
+
+export function resolveBuyBackSettings(settings = {}) {
+    const configured = settings.buyBack || {};
+    const cutoff = Number(configured.cutoffGameweek);
+
+    return {
+        enabled: configured.enabled === true,
+        pricePence: toWholeNumber(configured.pricePence, DEFAULT_BUY_BACK_SETTINGS.pricePence),
+        lives: Math.max(1, toWholeNumber(configured.lives, DEFAULT_BUY_BACK_SETTINGS.lives)),
+        cutoffGameweek: cutoff >= 1 ? Math.floor(cutoff) : null,
+        maxReentries: toWholeNumber(configured.maxReentries, DEFAULT_BUY_BACK_SETTINGS.maxReentries)
+    };
+}
+
+export function getReentryCount(user = {}) {
+    return (user.lifeGrants || []).filter(grant => grant.type === 'buyBack').length;
+}
+
+/**
+ * The first gameweek whose deadline is still to come - where a re-entry starts.
+ * @param {Array<Object>} fixtures - Every fixture in the edition
+ * @param {Object} deadlineSettings - From resolveDeadlineSettings
+ * @returns {number|null} null when every deadline has passed
+ */
+export function findReentryGameweek(fixtures = [], deadlineSettings = {}, now = new Date()) {
+    const gameweeks = [...new Set(fixtures.map(fixture => Number(fixture.gameWeek || fixture.gameweek)))]
+        .filter(gameweek => gameweek > 0)
+        .sort((a, b) => a - b);
+
+    return gameweeks.find(gameweek => {
+        const gameweekFixtures = fixtures.filter(fixture => Number(fixture.gameWeek || fixture.gameweek) === gameweek);
+        const details = calculateGameweekDeadline(gameweekFixtures, deadlineSettings, gameweek);
+        if (!details) return false;
+
+        // In rolling mode the first team lock closes the gameweek to re-entries
+        const locks = Object.values(details.teamLocks || {});
+        const deadline = locks.length > 0 ? new Date(Math.min(...locks.map(lock => lock.getTime()))) : details.deadline;
+        return deadline > now;
+    }) ?? null;
+}
+
+/**
+ * Whether an eliminated player can buy back in for a gameweek.
+ * @param {Object} user - The edition user, with lives and lifeGrants
+ * @param {number|null} gameweek - From findReentryGameweek
+ * @returns {{eligible: boolean, reason: string|null}} reason is a key of BUY_BACK_REASONS
+ */
+export function checkBuyBackEligibility(user = {}, gameweek, buyBackSettings = DEFAULT_BUY_BACK_SETTINGS) {
+    const refuse = (reason) => ({ eligible: false, reason });
+
+    if (!buyBackSettings.enabled) return refuse('disabled');
+    if (!user.isEliminated && (user.lives ?? 1) > 0) return refuse('notEliminated');
+    if (!gameweek) return refuse('noGameweek');
+    if (buyBackSettings.cutoffGameweek !== null && gameweek > buyBackSettings.cutoffGameweek) return refuse('pastCutoff');
+    if (getReentryCount(user) >= buyBackSettings.maxReentries) return refuse('maxReentries');
+
+    return { eligible: true, reason: null };
+}
@@ -0,0 +1,565 @@
+/**
+ * DeadlineEnforcementService - Locks gameweek deadlines and assigns auto-picks exactly once
+ * Shared by the browser DeadlineService and the scheduled enforce-deadlines Netlify function,
+ * so it only uses the Firestore instance it is given (compat SDK or firebase-admin).
+ *
+ * Each gameweek deadline is guarded by a lock document at
+ * clubs/{clubId}/editions/{editionId}/deadline-locks/gw{gameweek}
+ * holding the deadline as a UTC instant, worked out in the club's time zone (see DeadlineTimes).
+ * Completing a deadline also reveals the gameweek's picks (see PickReveal).
+ *
+ * The scheduled sweep only enforces gameweeks whose deadline it published as a lock, or from the
+ * edition's cut-over gameweek on (settings.deadlineEnforcementFrom, recorded on its first run), so
+ * switching it on never back-fills auto-picks for a season that has already been played.
+ */
+import { selectAutoPick } from './AutoPickStrategies.js';
+import { resolveResultRules } from './ResultRules.js';
+import { getRoundPicks, getTeamRound, resolveEditionFormat, usedTeamId } from './EditionFormats.js';
+import { calculateGameweekDeadline, getFixtureKickoff, resolveDeadlineSettings } from './DeadlineTimes.js';
+import { isPaymentBlocked, resolvePaymentSettings } from './PaymentLedger.js';
+import { buildPickReveal, buildPlayerRoster, findRevealedThrough } from './PickReveal.js';
+import { commitInChunks } from './FirestoreBatches.js';
+
+// Rolling deadline team locks, as published or just calculated, hold the same times
+const sameTeamLocks = (published, calculated) => {
+    const publishedTeams = Object.keys(published || {});
+    const calculatedTeams = Object.keys(calculated || {});
+    return publishedTeams.length === calculatedTeams.length && calculatedTeams.every(team => {
+        const lock = published[team]?.toDate ? published[team].toDate() : published[team];
+        return Boolean(lock) && new Date(lock).getTime() === calculated[team].getTime();
+    });
+};
+
+/**
+ * The first gameweek the sweep enforces without a published lock: the first one whose deadline
+ * hasn't passed yet when enforcement starts for the edition.
+ * @param {Array<{gameweek: number, deadline: Date}>} deadlines
+ */
+export function findEnforcementCutover(deadlines, now) {
+    const passed = deadlines.filter(({ deadline }) => now >= deadline).map(({ gameweek }) => Number(gameweek));
+    return passed.length > 0 ? Math.max(...passed) + 1 : 1;
+}
+
+/**
+ * What the sweep does with each gameweek: publish a deadline that is still ahead, enforce one that
+ * has passed if its lock was published or it is at or after the cut-over, and skip the rest.
+ * @param {Array<{gameweek: number, deadline: Date}>} deadlines
+ * @param {Set<number>} lockedGameweeks - Gameweeks with a deadline-locks document
+ * @returns {Array<{gameweek: number, action: 'publish'|'enforce'|'skip'}>}
+ */
+export function planDeadlineEnforcement(deadlines, lockedGameweeks, enforceFrom, now) {
+    return deadlines.map(({ gameweek, deadline }) => {
+        if (now < deadline) return { gameweek: Number(gameweek), action: 'publish' };
+        const enforce = lockedGameweeks.has(Number(gameweek)) || Number(gameweek) >= enforceFrom;
+        return { gameweek: Number(gameweek), action: enforce ? 'enforce' : 'skip' };
+    });
+}
+
+export default class DeadlineEnforcementService {
+    /**
+     * @param {Object} db - Firestore instance (compat or firebase-admin)
+     * @param {Object} options
+     * @param {Function} options.now - Clock, overridable for tests
+     * @param {string} options.runnerId - Identifies who holds a lock (e.g. 'scheduled-function')
+     * @param {number} options.lockTimeoutMs - How long a 'processing' lock blocks other runners
+     * @param {Object} options.notifier - NotificationService told about the auto-picks assigned
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.now = options.now || (() => new Date());
+        this.runnerId = options.runnerId || 'unknown';
+        this.lockTimeoutMs = options.lockTimeoutMs || 10 * 60 * 1000;
+        this.notifier = options.notifier || null;
+    }
+
+    editionRef(clubId, editionId) {
+        return this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId);
+    }
+
+    lockRef(clubId, editionId, gameweek) {
+        return this.editionRef(clubId, editionId)
+            .collection('deadline-locks').doc(`gw${gameweek}`);
+    }
+
+    async getActiveClubIds() {
+        const globalSettings = await this.db.collection('global-settings').doc('system').get();
+        const activeClubs = globalSettings.exists ? globalSettings.data().activeClubs : null;
+
+        if (activeClubs && activeClubs.length > 0) {
+            return activeClubs;
+        }
+
+        // Fall back to every club that hasn't been switched off
+        const clubsSnapshot = await this.db.collection('clubs').get();
+        return clubsSnapshot.docs
+            .filter(doc => doc.data().isActive !== false)
+            .map(doc => doc.id);
+    }
+
+    async getActiveEditionIds(clubId) {
+        const editionsSnapshot = await this.db.collection('clubs').doc(clubId)
+            .collection('editions')
+            .get();
+
+        return editionsSnapshot.docs
+            .filter(doc => doc.data().isActive !== false)
+            .map(doc => doc.id);
+    }
+
+    // The club's time zone, the edition's lock offset and any per-gameweek overrides
+    async loadDeadlineSettings(clubId, editionId) {
+        const [clubDoc, settingsDoc] = await Promise.all([
+            this.db.collection('clubs').doc(clubId).get(),
+            this.editionRef(clubId, editionId).collection('settings').doc('current').get()
+        ]);
+
+        return resolveDeadlineSettings(settingsDoc.exists ? settingsDoc.data() : {}, clubDoc.exists ? clubDoc.data() : {});
+    }
+
+    getFixtureKickoff(fixture, timeZone) {
+        return getFixtureKickoff(fixture, timeZone);
+    }
+
+    /**
+     * The gameweek locks its lock offset before its earliest kick-off, unless an admin has overridden it.
+     * @returns {{deadline: Date, firstKickoff: Date|null, isOverride: boolean}|null}
+     */
+    getDeadlineDetails(fixtures, deadlineSettings = {}, gameweek = null) {
+        return calculateGameweekDeadline(fixtures, deadlineSettings, gameweek);
+    }
+
+    getGameweekDeadline(fixtures, deadlineSettings = {}, gameweek = null) {
+        return this.getDeadlineDetails(fixtures, deadlineSettings, gameweek)?.deadline || null;
+    }
+
+    groupFixturesByGameweek(fixtures) {
+        const fixturesByGameweek = {};
+        fixtures.forEach(fixture => {
+            const gameweek = Number(fixture.gameWeek || fixture.gameweek);
+            if (!gameweek) return;
+            if (!fixturesByGameweek[gameweek]) fixturesByGameweek[gameweek] = [];
+            fixturesByGameweek[gameweek].push(fixture);
+        });
+        return fixturesByGameweek;
+    }
+
+    /**
+     * Process every passed deadline for every active club and edition.
+     * @returns {Promise<Array>} One summary entry per gameweek that was looked at
+     */
+    async enforceAllDeadlines() {
+        const summary = [];
+        const clubIds = await this.getActiveClubIds();
+
+        for (const clubId of clubIds) {
+            const editionIds = await this.getActiveEditionIds(clubId);
+
+            for (const editionId of editionIds) {
+                try {
+                    const results = await this.enforceEditionDeadlines(clubId, editionId);
+                    summary.push(...results);
+                } catch (error) {
+                    console.error(`❌ DeadlineEnforcementService: Error enforcing ${clubId}/${editionId}:`, error);
+                    summary.push({ clubId, editionId, status: 'error', error: error.message });
+                }
+            }
+        }
+
+        return summary;
+    }
+
+    async enforceEditionDeadlines(clubId, editionId) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const settingsRef = editionRef.collection('settings').doc('current');
+        const [fixturesSnapshot, locksSnapshot, settingsDoc, deadlineSettings] = await Promise.all([
+            editionRef.collection('fixtures').get(),
+            editionRef.collection('deadline-locks').get(),
+            settingsRef.get(),
+            this.loadDeadlineSettings(clubId, editionId)
+        ]);
+        const fixtures = fixturesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const fixturesByGameweek = this.groupFixturesByGameweek(fixtures);
+        const lockedGameweeks = new Set(locksSnapshot.docs.map(doc => Number(doc.data().gameweek)));
+
+        const deadlines = [];
+        Object.entries(fixturesByGameweek).forEach(([gameweek, gameweekFixtures]) => {
+            const details = this.getDeadlineDetails(gameweekFixtures, deadlineSettings, gameweek);
+            if (details) deadlines.push({ gameweek: Number(gameweek), deadline: details.deadline, details, fixtures: gameweekFixtures });
+        });
+
+        let enforceFrom = settingsDoc.exists ? settingsDoc.data().deadlineEnforcementFrom ?? null : null;
+        if (enforceFrom === null) {
+            enforceFrom = findEnforcementCutover(deadlines, this.now());
+            await settingsRef.set({ deadlineEnforcementFrom: enforceFrom }, { merge: true });
+            console.log(`🔧 DeadlineEnforcementService: Enforcing ${clubId}/${editionId} deadlines from GW${enforceFrom}`);
+        }
+
+        const results = [];
+        const plan = planDeadlineEnforcement(deadlines, lockedGameweeks, enforceFrom, this.now());
+
+        for (const [index, { gameweek, action }] of plan.entries()) {
+            const { deadline, details, fixtures: gameweekFixtures } = deadlines[index];
+
+            if (action === 'publish') {
+                await this.publishGameweekDeadline(clubId, editionId, gameweek, details, deadlineSettings);
+            } else if (action === 'enforce') {
+                results.push(await this.processGameweekDeadline(clubId, editionId, gameweek, gameweekFixtures, deadline));
+            }
+        }
+
+        return results;
+    }
+
+    // Process a single gameweek, loading its fixtures (used by the browser DeadlineService)
+    async enforceGameweekDeadline(clubId, editionId, gameweek) {
+        const fixturesSnapshot = await this.editionRef(clubId, editionId)
+            .collection('fixtures')
+            .where('gameWeek', '==', Number(gameweek))
+            .get();
+
+        const fixtures = fixturesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const deadlineSettings = await this.loadDeadlineSettings(clubId, editionId);
+        const deadline = this.getGameweekDeadline(fixtures, deadlineSettings, gameweek);
+
+        if (!deadline || this.now() < deadline) {
+            return { clubId, editionId, gameweek: Number(gameweek), status: 'open' };
+        }
+
+        return this.processGameweekDeadline(clubId, editionId, Number(gameweek), fixtures, deadline);
+    }
+
+    /**
+     * Record an upcoming deadline as a 'scheduled' lock so firestore.rules can reject
+     * late picks the moment it passes. Locks already taken are left alone.
+     */
+    async publishDeadline(clubId, editionId, gameweek, deadline, details = {}) {
+        const ref = this.lockRef(clubId, editionId, gameweek);
+
+        return this.db.runTransaction(async (transaction) => {
+            const lockDoc = await transaction.get(ref);
+            const lock = lockDoc.exists ? lockDoc.data() : null;
+
+            if (lock && lock.status !== 'scheduled') return false;
+
+            const publishedDeadline = lock?.deadline?.toDate ? lock.deadline.toDate() : lock?.deadline;
+            if (publishedDeadline && new Date(publishedDeadline).getTime() === deadline.getTime() &&
+                sameTeamLocks(lock.teamLocks, details.teamLocks)) return false;
+
+            transaction.set(ref, {
+                gameweek: gameweek,
+                deadline: deadline,
+                status: 'scheduled',
+                publishedAt: this.now(),
+                ...details
+            });
+            return true;
+        });
+    }
+
+    /**
+     * Publish a calculated deadline (see getDeadlineDetails), keeping how it was worked out on the lock for
+     * admins. Rolling deadlines also publish each team's lock, which firestore.rules checks picks against.
+     */
+    async publishGameweekDeadline(clubId, editionId, gameweek, details, deadlineSettings) {
+        return this.publishDeadline(clubId, editionId, gameweek, details.deadline, {
+            firstKickoff: details.firstKickoff,
+            timeZone: deadlineSettings.timeZone,
+            lockOffsetMinutes: deadlineSettings.lockOffsetMinutes,
+            isOverride: details.isOverride,
+            mode: details.mode || 'gameweek',
+            teamLocks: details.teamLocks || null
+        });
+    }
+
+    /**
+     * Move one gameweek's deadline, or with a null deadline go back to the calculated one. The
+     * override is kept in the edition settings so every runner uses it, and the lock is moved with it.
+     * Throws an Error with code 'deadline-enforced' once auto-picks have been assigned.
+     * @param {Object|null} calculated - getDeadlineDetails without the override, published when it is cleared
+     */
+    async overrideDeadline(clubId, editionId, gameweek, deadline, calculated = null) {
+        const ref = this.lockRef(clubId, editionId, gameweek);
+        const settingsRef = this.editionRef(clubId, editionId).collection('settings').doc('current');
+        const lockedDeadline = deadline || calculated?.deadline;
+
+        return this.db.runTransaction(async (transaction) => {
+            const lockDoc = await transaction.get(ref);
+            const lock = lockDoc.exists ? lockDoc.data() : null;
+
+            if (lock && lock.status !== 'scheduled') {
+                const error = new Error(`Gameweek ${gameweek} deadline has already been enforced`);
+                error.code = 'deadline-enforced';
+                throw error;
+            }
+
+            transaction.set(settingsRef, {
+                deadlineOverrides: { [`gw${gameweek}`]: deadline || null },
+                updated_at: this.now()
+            }, { merge: true });
+
+            if (lockedDeadline) {
+                transaction.set(ref, {
+                    gameweek: gameweek,
+                    deadline: lockedDeadline,
+                    status: 'scheduled',
+                    publishedAt: this.now(),
+                    isOverride: Boolean(deadline),
+                    // An override locks every team at once
+                    mode: deadline ? 'gameweek' : (calculated.mode || 'gameweek'),
+                    teamLocks: deadline ? null : (calculated.teamLocks || null)
+                }, { merge: true });
+            }
+            return { previousDeadline: lock?.deadline?.toDate ? lock.deadline.toDate() : lock?.deadline || null };
+        });
+    }
+
+    /**
+     * Take the gameweek lock inside a transaction. Returns false if another runner has
+     * already completed the deadline or is still working on it.
+     */
+    async acquireLock(clubId, editionId, gameweek, deadline) {
+        const ref = this.lockRef(clubId, editionId, gameweek);
+
+        return this.db.runTransaction(async (transaction) => {
+            const lockDoc = await transaction.get(ref);
+            const lock = lockDoc.exists ? lockDoc.data() : null;
+
+            if (lock?.status === 'completed') return false;
+
+            if (lock?.status === 'processing') {
+                const lockedAt = lock.lockedAt?.toDate ? lock.lockedAt.toDate() : new Date(lock.lockedAt);
+                if (this.now() - lockedAt < this.lockTimeoutMs) return false;
+            }
+
+            transaction.set(ref, {
+                gameweek: gameweek,
+                deadline: deadline,
+                status: 'processing',
+                lockedAt: this.now(),
+                lockedBy: this.runnerId,
+                attempts: (lock?.attempts || 0) + 1
+            });
+            return true;
+        });
+    }
+
+    async processGameweekDeadline(clubId, editionId, gameweek, fixtures, deadline) {
+        const ref = this.lockRef(clubId, editionId, gameweek);
+
+        if (!await this.acquireLock(clubId, editionId, gameweek, deadline)) {
+            return { clubId, editionId, gameweek, status: 'skipped' };
+        }
+
+        try {
+            const autoPicksAssigned = await this.assignAutoPicks(clubId, editionId, gameweek, fixtures);
+            await this.publishPickReveal(clubId, editionId, gameweek);
+
+            await ref.update({
+                status: 'completed',
+                completedAt: this.now(),
+                autoPicksAssigned: autoPicksAssigned
+            });
+
+            console.log(`✅ DeadlineEnforcementService: GW${gameweek} locked for ${clubId}/${editionId}, ${autoPicksAssigned} auto-picks assigned`);
+
+            if (this.notifier && autoPicksAssigned > 0) {
+                // The lock is completed, so a failure here must not send it back for a retry
+                try {
+                    await this.notifier.queueAutoPickNotices(clubId, editionId, gameweek);
+                } catch (error) {
+                    console.error(`❌ DeadlineEnforcementService: Error queueing auto-pick notifications for GW${gameweek}:`, error);
+                }
+            }
+            return { clubId, editionId, gameweek, status: 'processed', autoPicksAssigned };
+
+        } catch (error) {
+            // Leave the lock retryable for the next run
+            await ref.update({
+                status: 'failed',
+                failedAt: this.now(),
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    async assignAutoPicks(clubId, editionId, gameweek, fixtures) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const [usersSnapshot, picksSnapshot, settingsDoc, usedTeamsSnapshot] = await Promise.all([
+            editionRef.collection('users').get(),
+            editionRef.collection('picks').get(),
+            editionRef.collection('settings').doc('current').get(),
+            editionRef.collection('used-teams').get()
+        ]);
+
+        const settings = settingsDoc.exists ? settingsDoc.data() : {};
+        if (settings.autoPickEnabled === false) return 0;
+
+        const claimIds = new Set(usedTeamsSnapshot.docs.map(doc => doc.id));
+
+        const availableTeams = [];
+        const teamIds = {};
+        fixtures.forEach(fixture => {
+            if (fixture.homeTeam && fixture.awayTeam) {
+                availableTeams.push(fixture.homeTeam, fixture.awayTeam);
+                teamIds[fixture.homeTeam] = fixture.homeTeamId || null;
+                teamIds[fixture.awayTeam] = fixture.awayTeamId || null;
+            }
+        });
+
+        if (availableTeams.length === 0) {
+            throw new Error(`No fixtures found for gameweek ${gameweek}`);
+        }
+
+        const picksByUser = {};
+        const earlierAutoPicks = [];
+        picksSnapshot.forEach(pickDoc => {
+            const pickData = pickDoc.data();
+            if (!picksByUser[pickData.userId]) picksByUser[pickData.userId] = {};
+            picksByUser[pickData.userId][`gw${pickData.gameweek}`] = pickData.teamPicked;
+            if (pickData.isAutopick && Number(pickData.gameweek) === Number(gameweek)) {
+                earlierAutoPicks.push({ ...pickData, id: pickDoc.id });
+            }
+        });
+
+        const startingLives = resolveResultRules(settings).livesPerPlayer;
+        const format = resolveEditionFormat(settings);
+        const paymentSettings = resolvePaymentSettings(settings);
+        const writes = [];
+        let autoPicksAssigned = 0;
+
+        const queueClaim = (pick) => {
+            const claimId = usedTeamId(pick.userId, pick.teamPicked, pick.teamRound, pick.teamId);
+            // A player who has used every team gets one again, but the earlier pick keeps its claim
+            if (claimIds.has(claimId)) return;
+
+            claimIds.add(claimId);
+            writes.push({
+                ref: editionRef.collection('used-teams').doc(claimId),
+                data: {
+                    userId: pick.userId,
+                    team: pick.teamPicked,
+                    teamId: pick.teamId,
+                    gameweek: gameweek,
+                    teamRound: pick.teamRound,
+                    pickId: pick.id,
+                    created_at: this.now()
+                }
+            });
+        };
+
+        // Writes are committed in chunks, so a run that failed part-way can leave auto-picks without their claims
+        earlierAutoPicks
+            .filter(pick => pick.teamPicked)
+            .forEach(pick => queueClaim({ ...pick, teamRound: pick.teamRound || 1, teamId: pick.teamId || null }));
+
+        usersSnapshot.forEach(userDoc => {
+            const userData = userDoc.data();
+            if (!picksByUser[userDoc.id]) picksByUser[userDoc.id] = {};
+            const existingPicks = picksByUser[userDoc.id];
+            const lives = userData.lives ?? startingLives;
+
+            if (`gw${gameweek}` in existingPicks || lives <= 0) return;
+
+            // Only picks from the current team round rule a team out
+            const teamRound = getTeamRound(format, existingPicks, gameweek);
+            const autoPick = isPaymentBlocked(userData, gameweek, paymentSettings)
+                // Unpaid players can't pick once payment is required, so they miss the gameweek
+                ? { team: null, strategy: 'unpaid', losesLife: true }
+                : selectAutoPick(settings.autoPickAlgorithm, {
+                    userPicks: getRoundPicks(format, existingPicks, gameweek),
+                    availableTeams,
+                    fixtures,
+                    gameweek,
+                    backupPicks: userData.backupPicks || [],
+                    teamRankings: settings.teamRankings || []
+                });
+            if (!autoPick.team && !autoPick.losesLife) return;
+
+            // Same one-pick-per-gameweek ID as player picks, so a retried run can never create a second auto-pick
+            const pickId = `${userDoc.id}_gw${gameweek}`;
+            const pickRef = editionRef.collection('picks').doc(pickId);
+            const teamId = autoPick.team ? teamIds[autoPick.team] || null : null;
+            writes.push({
+                ref: pickRef,
+                data: {
+                    userId: userDoc.id,
+                    teamPicked: autoPick.team,
+                    teamId: teamId,
+                    gameweek: gameweek,
+                    fixtureId: null,
+                    isAutopick: true,
+                    autoPickStrategy: autoPick.strategy,
+                    teamRound: teamRound,
+                    // 'loseLife' editions record a missed deadline as an immediate loss
+                    result: autoPick.losesLife ? 'loss' : null,
+                    missedDeadline: autoPick.losesLife,
+                    livesAfterPick: null,
+                    savedAt: this.now(),
+                    processedAt: autoPick.losesLife ? this.now() : null,
+                    created_at: this.now(),
+                    updated_at: this.now()
+                }
+            });
+
+            if (autoPick.team) {
+                existingPicks[`gw${gameweek}`] = autoPick.team;
+                queueClaim({ id: pickId, userId: userDoc.id, teamPicked: autoPick.team, teamId, teamRound });
+            }
+            autoPicksAssigned++;
+        });
+
+        this.queueTeamRoundUpdates(writes, usersSnapshot, picksByUser, format, gameweek);
+
+        // One pick, claim and team round update per player can pass Firestore's 500-write batch limit
+        await commitInChunks(this.db, writes);
+
+        return autoPicksAssigned;
+    }
+
+    /**
+     * Write the gameweek's pick summary and move the reveal marker on, so players can see what
+     * everyone picked. Runs before the lock completes, so a failure is retried with the deadline.
+     */
+    async publishPickReveal(clubId, editionId, gameweek) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const [picksSnapshot, usersSnapshot, locksSnapshot] = await Promise.all([
+            editionRef.collection('picks').where('gameweek', '==', Number(gameweek)).get(),
+            editionRef.collection('users').get(),
+            editionRef.collection('deadline-locks').get()
+        ]);
+
+        const users = usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const reveal = buildPickReveal(gameweek, picksSnapshot.docs.map(doc => doc.data()), users);
+        const revealedThrough = findRevealedThrough(locksSnapshot.docs.map(doc => doc.data()), gameweek);
+
+        const batch = this.db.batch();
+        batch.set(editionRef.collection('pick-reveals').doc(`gw${gameweek}`), { ...reveal, revealedAt: this.now() });
+        batch.set(editionRef.collection('pick-reveals').doc('latest'), { gameweek: revealedThrough, updated_at: this.now() });
+        batch.set(editionRef.collection('pick-reveals').doc('players'), { ...buildPlayerRoster(users), updated_at: this.now() });
+        await batch.commit();
+
+        return reveal;
+    }
+
+    /**
+     * When teams reset once a player has used them all, firestore.rules can't count a player's
+     * teams, so the round each player picks in next is written to their user document here.
+     * @returns {number} How many users were updated
+     */
+    queueTeamRoundUpdates(writes, usersSnapshot, picksByUser, format, gameweek) {
+        if (format.teamReuse !== 'reset' || format.resetEvery > 0) return 0;
+
+        let updates = 0;
+        usersSnapshot.forEach(userDoc => {
+            const nextRound = getTeamRound(format, picksByUser[userDoc.id], gameweek + 1);
+            if ((userDoc.data().teamRound || 1) === nextRound) return;
+
+            writes.push({ type: 'update', ref: userDoc.ref, data: { teamRound: nextRound, updated_at: this.now() } });
+            updates++;
+        });
+
+        return updates;
+    }
+}
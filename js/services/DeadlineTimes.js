@@ -0,0 +1,251 @@
+/**
+ * DeadlineTimes - Turns fixture dates and kick-off times into UTC instants, and gameweek
+ * deadlines into something a player can read
+ * Shared by DeadlineEnforcementService, the browser DeadlineService and the managers that need a
+ * kick-off time, so every runner - whatever zone its clock is in - locks a gameweek at the same
+ * instant. Fixtures store the local date and time they are played at ('2025-08-16', '15:00');
+ * they are read in the club's IANA time zone, with clock changes handled.
+ *
+ * Deadline settings:
+ * - clubs/{clubId}.timeZone: e.g. 'Europe/London' (the default)
+ * - settings/current.deadlineOffsetMinutes: how long before the first kick-off picks lock
+ * - settings/current.deadlineOverrides: { gw3: Timestamp } set by DeadlineService.extendDeadline
+ * - settings/current.deadlineMode: see DEADLINE_MODES
+ */
+
+export const DEFAULT_TIME_ZONE = 'Europe/London';
+
+// Deadlines assume a 3pm kick-off when a fixture's time isn't known
+export const DEFAULT_KICKOFF_TIME = '15:00';
+
+/**
+ * How a gameweek locks. With rolling deadlines each team locks at its own fixture's kick-off (less
+ * the lock offset), picks on later fixtures stay open, and the gameweek's deadline - when
+ * auto-picks are assigned - is the last of those locks.
+ */
+export const DEADLINE_MODES = {
+    gameweek: { label: 'Whole gameweek locks at the first kick-off' },
+    fixture: { label: 'Rolling - each team locks at its own kick-off' }
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const offsetFormatters = new Map();
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+export function resolveTimeZone(timeZone) {
+    return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * How far the zone's clocks are ahead of UTC at an instant, in minutes (60 for BST, 0 for GMT).
+ */
+export function getTimeZoneOffset(instant, timeZone) {
+    if (!offsetFormatters.has(timeZone)) {
+        offsetFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+
+    const parts = Object.fromEntries(offsetFormatters.get(timeZone).formatToParts(instant)
+        .map(({ type, value }) => [type, Number(value)]));
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / MINUTE_MS);
+}
+
+/**
+ * The instant a local date and time happen in a time zone.
+ * A time skipped when the clocks go forward is read as the time after the change (01:30 is 02:30 BST),
+ * and a time that happens twice when they go back as the first of the two - the earlier lock.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Date|null}
+ */
+export function zonedTimeToInstant(date, time, timeZone = DEFAULT_TIME_ZONE) {
+    const dateMatch = (date || '').toString().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const timeMatch = (time || '').toString().match(/^(\d{1,2}):(\d{2})/);
+    if (!dateMatch || !timeMatch) return null;
+
+    const wallClock = Date.UTC(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]), Number(timeMatch[1]), Number(timeMatch[2]));
+    if (isNaN(wallClock)) return null;
+
+    // The zone's offset either side of the wall-clock time covers any clock change in between
+    const offsetBefore = getTimeZoneOffset(new Date(wallClock - DAY_MS), timeZone);
+    const offsetAfter = getTimeZoneOffset(new Date(wallClock + DAY_MS), timeZone);
+    const candidates = [...new Set([offsetBefore, offsetAfter])]
+        .map(offset => wallClock - offset * MINUTE_MS)
+        .filter(instant => wallClock - getTimeZoneOffset(new Date(instant), timeZone) * MINUTE_MS === instant);
+
+    return new Date(candidates.length > 0 ? Math.min(...candidates) : wallClock - offsetBefore * MINUTE_MS);
+}
+
+// Firestore Timestamps, Dates and ISO strings as a Date
+export function toInstant(value) {
+    if (!value) return null;
+    const instant = value.toDate ? value.toDate() : new Date(value);
+    return isNaN(instant.getTime()) ? null : instant;
+}
+
+/**
+ * A fixture's kick-off time as HH:MM, from kickOffTime or the time imports store.
+ * @returns {string|null} null when neither holds a time (e.g. 'TBD')
+ */
+export function getKickOffTime(fixture) {
+    const time = [fixture.kickOffTime, fixture.time]
+        .map(value => (value || '').toString().match(/^(\d{1,2}):(\d{2})/))
+        .find(Boolean);
+    return time ? `${time[1].padStart(2, '0')}:${time[2]}` : null;
+}
+
+// Older fixtures hold their date as a Timestamp rather than YYYY-MM-DD - read as the day it is in the
+// club's time zone, so a kick-off just after midnight BST isn't put on the day before
+export function getFixtureDate(fixture, timeZone = DEFAULT_TIME_ZONE) {
+    const date = fixture.date;
+    if (date && typeof date === 'object') {
+        const instant = toInstant(date);
+        if (!instant) return null;
+        const offset = getTimeZoneOffset(instant, resolveTimeZone(timeZone));
+        return new Date(instant.getTime() + offset * MINUTE_MS).toISOString().split('T')[0];
+    }
+    return date || null;
+}
+
+/**
+ * When a fixture kicks off, reading its date and time in the club's time zone.
+ * @returns {Date|null}
+ */
+export function getFixtureKickoff(fixture, timeZone = DEFAULT_TIME_ZONE) {
+    return zonedTimeToInstant(getFixtureDate(fixture, timeZone), getKickOffTime(fixture) || DEFAULT_KICKOFF_TIME, resolveTimeZone(timeZone));
+}
+
+/**
+ * The club and edition settings deadlines are worked out from.
+ * @param {Object} settings - settings/current
+ * @param {Object} club - The club document
+ * @returns {{timeZone: string, lockOffsetMinutes: number, overrides: Object<string, Date>, deadlineMode: string}}
+ */
+export function resolveDeadlineSettings(settings = {}, club = {}) {
+    const overrides = {};
+    Object.entries(settings.deadlineOverrides || {}).forEach(([key, value]) => {
+        const instant = toInstant(value);
+        if (instant) overrides[key] = instant;
+    });
+
+    return {
+        timeZone: resolveTimeZone(club?.timeZone),
+        lockOffsetMinutes: Math.max(0, Number(settings.deadlineOffsetMinutes) || 0),
+        overrides,
+        deadlineMode: DEADLINE_MODES[settings.deadlineMode] ? settings.deadlineMode : 'gameweek'
+    };
+}
+
+/**
+ * When each team in a gameweek locks under rolling deadlines: its fixture's kick-off less the lock offset.
+ * @returns {Object<string, Date>} Keyed by team name, as picks store it
+ */
+export function calculateTeamLocks(fixtures, { timeZone = DEFAULT_TIME_ZONE, lockOffsetMinutes = 0 } = {}) {
+    const teamLocks = {};
+    fixtures.forEach(fixture => {
+        const kickoff = getFixtureKickoff(fixture, timeZone);
+        if (!kickoff) return;
+
+        const lock = new Date(kickoff.getTime() - lockOffsetMinutes * MINUTE_MS);
+        [fixture.homeTeam, fixture.awayTeam].filter(Boolean).forEach(team => {
+            // A team playing twice locks at its first match
+            if (!teamLocks[team] || lock < teamLocks[team]) teamLocks[team] = lock;
+        });
+    });
+    return teamLocks;
+}
+
+// The next team lock after now, for countdowns under rolling deadlines
+export function getNextTeamLock(teamLocks, now = new Date()) {
+    const upcoming = Object.values(teamLocks || {}).filter(lock => lock > now);
+    return upcoming.length > 0 ? new Date(Math.min(...upcoming.map(lock => lock.getTime()))) : null;
+}
+
+/**
+ * A gameweek's deadline: an admin's override if there is one, otherwise the lock offset before
+ * its earliest kick-off - or, with rolling deadlines, before its latest, once every team has locked.
+ * An override locks every team at once.
+ * @param {Array<Object>} fixtures - The gameweek's fixtures
+ * @param {Object} deadlineSettings - From resolveDeadlineSettings
+ * @param {number} gameweek - Which override applies
+ * @returns {{deadline: Date, firstKickoff: Date|null, isOverride: boolean, mode: string, teamLocks: Object<string, Date>|null}|null}
+ *   null when no fixture has a usable date. teamLocks is only set for rolling deadlines.
+ */
+export function calculateGameweekDeadline(fixtures, { timeZone = DEFAULT_TIME_ZONE, lockOffsetMinutes = 0, overrides = {}, deadlineMode = 'gameweek' } = {}, gameweek = null) {
+    const override = overrides[`gw${gameweek}`] || null;
+    const kickoffs = fixtures
+        .map(fixture => getFixtureKickoff(fixture, timeZone))
+        .filter(Boolean);
+    const firstKickoff = kickoffs.length > 0 ? new Date(Math.min(...kickoffs.map(kickoff => kickoff.getTime()))) : null;
+
+    if (override) {
+        return { deadline: toInstant(override), firstKickoff, isOverride: true, mode: 'gameweek', teamLocks: null };
+    }
+    if (!firstKickoff) return null;
+
+    if (deadlineMode === 'fixture') {
+        const teamLocks = calculateTeamLocks(fixtures, { timeZone, lockOffsetMinutes });
+        const lastLock = Math.max(...kickoffs.map(kickoff => kickoff.getTime())) - lockOffsetMinutes * MINUTE_MS;
+        return { deadline: new Date(lastLock), firstKickoff, isOverride: false, mode: 'fixture', teamLocks };
+    }
+
+    return { deadline: new Date(firstKickoff.getTime() - lockOffsetMinutes * MINUTE_MS), firstKickoff, isOverride: false, mode: 'gameweek', teamLocks: null };
+}
+
+/**
+ * A deadline as the viewer reads it - in their own time zone unless one is given.
+ * @example formatDeadline(deadline) // 'Sat 16 Aug, 14:00'
+ */
+export function formatDeadline(deadline, { timeZone, locale = 'en-GB' } = {}) {
+    const instant = toInstant(deadline);
+    if (!instant) return '';
+    return instant.toLocaleString(locale, {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        ...(timeZone ? { timeZone } : {})
+    });
+}
+
+export function formatTimeUntilDeadline(milliseconds) {
+    if (milliseconds <= 0) {
+        return 'Deadline passed';
+    }
+
+    const hours = Math.floor(milliseconds / (1000 * 60 * 60));
+    const minutes = Math.floor((milliseconds % (1000 * 60 * 60)) / (1000 * 60));
+    const seconds = Math.floor((milliseconds % (1000 * 60)) / 1000);
+
+    if (hours > 24) {
+        const days = Math.floor(hours / 24);
+        return `${days} days remaining`;
+    } else if (hours > 0) {
+        return `${hours}h ${minutes}m remaining`;
+    } else if (minutes > 0) {
+        return `${minutes}m ${seconds}s remaining`;
+    } else {
+        return `${seconds}s remaining`;
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * EditionFormats - How an edition runs across gameweeks, chosen per edition via settings.format
+ * Shared by FixturesManager (which teams a player can still pick), DeadlineEnforcementService
+ * (auto-picks and team rounds), ResultRules (knockout rollovers) and mirrored by firestore.rules.
+ *
+ * Edition settings:
+ * {
+ *   format: 'classic',                 // see EDITION_FORMATS
+ *   totalGameweeks: 10,                // falls back to the edition's total_gameweeks
+ *   formatOptions: {
+ *     resetEvery: 6,                   // teamReuseReset: fresh team list every N gameweeks,
+ *                                      // or 0 to reset once the player has used every team
+ *     teams: ['Arsenal', ...]          // teamReuseReset: what "every team" means (defaults to teamRankings)
+ *   }
+ * }
+ *
+ * Each stretch of gameweeks between resets is a "team round". A team can only be used once
+ * per round, and the round is recorded on the pick and its used-teams claim.
+ */
+
+export const EDITION_FORMATS = {
+    classic: {
+        label: 'Classic (each team once)',
+        teamReuse: 'never',
+        livesPerPlayer: null,
+        rolloverWhenAllOut: false
+    },
+    teamReuseReset: {
+        label: 'Team reuse reset (fresh teams every few gameweeks)',
+        teamReuse: 'reset',
+        livesPerPlayer: null,
+        rolloverWhenAllOut: false
+    },
+    knockout: {
+        label: 'Sudden death knockout (one life, rollover if everyone goes out)',
+        teamReuse: 'never',
+        livesPerPlayer: 1,
+        rolloverWhenAllOut: true
+    }
+};
+
+export const DEFAULT_TOTAL_GAMEWEEKS = 10;
+
+const toGameweek = (key) => Number(String(key).replace(/^gw/i, ''));
+
+// Picks are stored either as team names or as pick objects
+export const getPickedTeam = (pick) => (typeof pick === 'string' ? pick : pick?.teamPicked) || null;
+
+/**
+ * Build the full format for an edition from its settings (and edition document for the length).
+ * @returns {{format: string, totalGameweeks: number, resetEvery: number, teams: Array<string>,
+ *   livesPerPlayer: number|null, rolloverWhenAllOut: boolean, teamReuse: string}}
+ */
+export function resolveEditionFormat(settings = {}, editionData = {}) {
+    const format = EDITION_FORMATS[settings?.format] ? settings.format : 'classic';
+    const options = settings?.formatOptions || {};
+    const totalGameweeks = Number(settings?.totalGameweeks ?? editionData?.total_gameweeks);
+    const resetEvery = Number(options.resetEvery);
+    const teams = Array.isArray(options.teams) && options.teams.length > 0 ? options.teams : settings?.teamRankings;
+
+    return {
+        format,
+        ...EDITION_FORMATS[format],
+        totalGameweeks: totalGameweeks > 0 ? Math.floor(totalGameweeks) : DEFAULT_TOTAL_GAMEWEEKS,
+        resetEvery: resetEvery > 0 ? Math.floor(resetEvery) : 0,
+        teams: Array.isArray(teams) ? teams : []
+    };
+}
+
+/**
+ * The team round a gameweek falls in for a player. Classic and knockout editions only have one.
+ * @param {Object} userPicks - The player's picks keyed by gameweek ('gw3' or 3)
+ */
+export function getTeamRound(format, userPicks, gameweek) {
+    if (format.teamReuse !== 'reset') return 1;
+
+    if (format.resetEvery > 0) {
+        return Math.floor((Number(gameweek) - 1) / format.resetEvery) + 1;
+    }
+
+    // Reset once every team has been used - without a team list there is nothing to complete
+    if (format.teams.length === 0) return 1;
+
+    let round = 1;
+    let usedThisRound = new Set();
+    Object.keys(userPicks || {})
+        .filter(key => toGameweek(key) < Number(gameweek))
+        .sort((a, b) => toGameweek(a) - toGameweek(b))
+        .forEach(key => {
+            const team = getPickedTeam(userPicks[key]);
+            if (!team) return;
+
+            usedThisRound.add(team);
+            if (format.teams.every(poolTeam => usedThisRound.has(poolTeam))) {
+                round++;
+                usedThisRound = new Set();
+            }
+        });
+
+    return round;
+}
+
+/**
+ * The player's other picks in the same team round as the gameweek, keyed as given.
+ * These are the picks that make a team unavailable (and what auto-pick strategies should see).
+ */
+export function getRoundPicks(format, userPicks, gameweek) {
+    const round = getTeamRound(format, userPicks, gameweek);
+    const roundPicks = {};
+
+    Object.entries(userPicks || {}).forEach(([key, pick]) => {
+        const pickGameweek = toGameweek(key);
+        if (pickGameweek === Number(gameweek)) return;
+        if (getTeamRound(format, userPicks, pickGameweek) !== round) return;
+        roundPicks[key] = pick;
+    });
+
+    return roundPicks;
+}
+
+export function getUnavailableTeams(format, userPicks, gameweek) {
+    return new Set(Object.values(getRoundPicks(format, userPicks, gameweek)).map(getPickedTeam).filter(Boolean));
+}
+
+// used-teams document ID, keyed on the team's registry ID so a renamed or differently spelt team
+// is still the same team - or on its name for picks without one. Round 1 keeps the {uid}_{team} form
+export function usedTeamId(userId, team, round = 1, teamId = null) {
+    const key = teamId || team;
+    return round > 1 ? `${userId}_r${round}_${key}` : `${userId}_${key}`;
+}
+
+/**
+ * The used-teams claims an edition's picks should have, for picks made before claims were written
+ * alongside them or whose team has since been given a team ID. Claims already stored are kept,
+ * except a name-keyed claim for a pick that now has a team ID, which moves to the ID. When two
+ * picks used the same team in one round the earlier gameweek keeps the claim and the later one is
+ * reported rather than guessed at.
+ * @param {Array<Object>} picks - Pick documents with id
+ * @param {Array<Object>} claims - Stored used-teams documents with id
+ * @returns {{creates: Array<{id: string, data: Object}>, deletes: Array<string>, conflicts: Array<{pickId: string, claimId: string, claimedBy: string}>}}
+ */
+export function planUsedTeamClaims(format, picks = [], claims = []) {
+    const creates = [];
+    const conflicts = [];
+
+    // Manual picks before auto-picks, then by id, so duplicates always resolve the same way
+    const orderedPicks = picks
+        .filter(pick => pick.userId && pick.teamPicked)
+        .sort((a, b) => Number(a.gameweek) - Number(b.gameweek) ||
+            Number(!!a.isAutopick) - Number(!!b.isAutopick) ||
+            a.id.localeCompare(b.id));
+
+    const picksByUser = {};
+    orderedPicks.forEach(pick => {
+        if (!picksByUser[pick.userId]) picksByUser[pick.userId] = {};
+        const key = `gw${Number(pick.gameweek)}`;
+        if (!picksByUser[pick.userId][key]) picksByUser[pick.userId][key] = pick;
+    });
+
+    const teamRounds = new Map(orderedPicks.map(pick => [
+        pick.id,
+        pick.teamRound || getTeamRound(format, picksByUser[pick.userId], Number(pick.gameweek))
+    ]));
+    const claimIds = new Map(orderedPicks.map(pick => [
+        pick.id,
+        usedTeamId(pick.userId, pick.teamPicked, teamRounds.get(pick.id), pick.teamId)
+    ]));
+
+    // A claim for a pick's current team stored under another ID, e.g. its name before the team had an ID
+    const picksById = new Map(orderedPicks.map(pick => [pick.id, pick]));
+    const deletes = claims
+        .filter(claim => {
+            const pick = picksById.get(claim.pickId);
+            return pick && claim.team === pick.teamPicked && claim.id !== claimIds.get(pick.id);
+        })
+        .map(claim => claim.id);
+
+    const claimedBy = new Map(claims
+        .filter(claim => !deletes.includes(claim.id))
+        .map(claim => [claim.id, claim.pickId]));
+
+    orderedPicks.forEach(pick => {
+        const id = claimIds.get(pick.id);
+
+        if (claimedBy.has(id)) {
+            if (claimedBy.get(id) !== pick.id) conflicts.push({ pickId: pick.id, claimId: id, claimedBy: claimedBy.get(id) });
+            return;
+        }
+
+        claimedBy.set(id, pick.id);
+        creates.push({
+            id,
+            data: {
+                userId: pick.userId,
+                team: pick.teamPicked,
+                teamId: pick.teamId || null,
+                gameweek: Number(pick.gameweek),
+                teamRound: teamRounds.get(pick.id),
+                pickId: pick.id
+            }
+        });
+    });
+
+    return { creates, deletes, conflicts };
+}
+
+// Short description for admin screens and the standings header
+export function describeEditionFormat(format) {
+    if (format.format === 'teamReuseReset') {
+        return format.resetEvery > 0
+            ? `Teams can be reused every ${format.resetEvery} gameweeks`
+            : 'Teams can be reused once you have used them all';
+    }
+    if (format.format === 'knockout') {
+        return 'Sudden death: one life, everyone survives if all remaining players go out';
+    }
+    return 'Each team can only be used once';
+}
@@ -0,0 +1,216 @@
+/**
+ * EditionInsights - Edition-wide statistics worked out from the picks and fixtures
+ * Pure, so the admin Insights tab, the players' Stats tab, the exports and tests all agree.
+ *
+ * The players' version only covers gameweeks whose picks have been revealed (see PickReveal),
+ * so it never gives away picks that can still change.
+ *
+ * {
+ *   gameweeks: [1, 2, 3],
+ *   popularTeams: [{ gameweek, totalPicks, teams: [{ team, count, share }] }],
+ *   survivalByTeam: [{ team, picks, survived, survivalRate }],   // settled picks only
+ *   survivalCurve: [{ gameweek, alive, total, rate }],           // players with lives after each gameweek
+ *   autopicks: { count, total, share, byGameweek: [{ gameweek, count, total, share }] },
+ *   biggestUpsets: [{ gameweek, team, opponent, score, result, pickedBy, livesLost, rankGap }],
+ *   mostDangerousTeam: { team, livesTaken, playersBeaten } | null
+ * }
+ *
+ * Shares and rates are fractions from 0 to 1.
+ */
+import { calculateEditionLives, evaluatePick, findPickFixture } from './ResultRules.js';
+
+export const POPULAR_TEAMS_PER_GAMEWEEK = 5;
+export const BIGGEST_UPSETS_SHOWN = 5;
+
+const gameweekOf = (key) => Number(key.toString().replace(/^gw/i, ''));
+const share = (count, total) => (total > 0 ? count / total : 0);
+
+/**
+ * Work out every insight for an edition.
+ * @param {Object} options
+ * @param {Array<{uid: string, lifeGrants?: Array}>} options.players - Everyone in the edition
+ * @param {Object} options.picksByUser - Each player's picks keyed by gameweek, keyed by user ID
+ * @param {Array<Object>} options.fixtures - The edition's fixtures
+ * @param {Object} options.rules - From resolveResultRules
+ * @param {Object} options.format - From resolveEditionFormat
+ * @param {Array<number>|null} options.gameweeks - Only these gameweeks, e.g. the revealed ones; null for all
+ * @returns {Object} See the note at the top
+ */
+export function calculateEditionInsights({ players = [], picksByUser = {}, fixtures = [], rules, format = {}, gameweeks = null }) {
+    const included = gameweeks ? new Set(gameweeks.map(Number)) : null;
+
+    // Every pick in the included gameweeks, with its fixture and what it did to lives
+    const picks = [];
+    Object.entries(picksByUser).forEach(([userId, userPicks]) => {
+        Object.entries(userPicks || {}).forEach(([key, pick]) => {
+            const gameweek = gameweekOf(key);
+            if (!pick?.teamPicked || (included && !included.has(gameweek))) return;
+
+            const fixture = findPickFixture(pick, gameweek, fixtures);
+            picks.push({ userId, gameweek, pick, fixture, ...evaluatePick(pick, fixture, rules) });
+        });
+    });
+
+    const pickedGameweeks = [...new Set(picks.map(entry => entry.gameweek))].sort((a, b) => a - b);
+    const settled = picks.filter(entry => entry.result !== null);
+
+    return {
+        gameweeks: pickedGameweeks,
+        popularTeams: calculatePopularTeams(picks, pickedGameweeks),
+        survivalByTeam: calculateSurvivalByTeam(settled),
+        survivalCurve: calculateSurvivalCurve({ players, picksByUser, fixtures, rules, format }, settled),
+        autopicks: calculateAutopicks(picks, pickedGameweeks),
+        biggestUpsets: findBiggestUpsets(settled, rules),
+        mostDangerousTeam: findMostDangerousTeam(settled)
+    };
+}
+
+function calculatePopularTeams(picks, gameweeks) {
+    return gameweeks.map(gameweek => {
+        const counts = {};
+        const gameweekPicks = picks.filter(entry => entry.gameweek === gameweek);
+        gameweekPicks.forEach(entry => { counts[entry.pick.teamPicked] = (counts[entry.pick.teamPicked] || 0) + 1; });
+
+        const teams = Object.entries(counts)
+            .map(([team, count]) => ({ team, count, share: share(count, gameweekPicks.length) }))
+            .sort((a, b) => b.count - a.count || a.team.localeCompare(b.team))
+            .slice(0, POPULAR_TEAMS_PER_GAMEWEEK);
+
+        return { gameweek, totalPicks: gameweekPicks.length, teams };
+    });
+}
+
+// A pick survived when it cost no lives
+function calculateSurvivalByTeam(settled) {
+    const byTeam = {};
+    settled.forEach(entry => {
+        const team = entry.pick.teamPicked;
+        if (!byTeam[team]) byTeam[team] = { team, picks: 0, survived: 0 };
+        byTeam[team].picks++;
+        if (entry.livesLost === 0) byTeam[team].survived++;
+    });
+
+    return Object.values(byTeam)
+        .map(row => ({ ...row, survivalRate: share(row.survived, row.picks) }))
+        .sort((a, b) => b.picks - a.picks || b.survivalRate - a.survivalRate || a.team.localeCompare(b.team));
+}
+
+// Lives are replayed up to each settled gameweek, so rollovers and buy-backs count as they happened
+function calculateSurvivalCurve({ players, picksByUser, fixtures, rules, format }, settled) {
+    const settledGameweeks = [...new Set(settled.map(entry => entry.gameweek))].sort((a, b) => a - b);
+    const userIds = players.map(player => player.uid);
+    const grantsByUser = Object.fromEntries(players.map(player => [player.uid, player.lifeGrants || []]));
+
+    return settledGameweeks.map(gameweek => {
+        const picksSoFar = {};
+        const grantsSoFar = {};
+        userIds.forEach(userId => {
+            picksSoFar[userId] = Object.fromEntries(Object.entries(picksByUser[userId] || {})
+                .filter(([key]) => gameweekOf(key) <= gameweek));
+            grantsSoFar[userId] = grantsByUser[userId].filter(grant => Number(grant.gameweek) <= gameweek);
+        });
+
+        const { players: lives } = calculateEditionLives(picksSoFar, rules, fixtures, format, grantsSoFar);
+        const alive = userIds.filter(userId => lives[userId].lives > 0).length;
+        return { gameweek, alive, total: userIds.length, rate: share(alive, userIds.length) };
+    });
+}
+
+function calculateAutopicks(picks, gameweeks) {
+    const count = picks.filter(entry => entry.pick.isAutopick).length;
+
+    return {
+        count,
+        total: picks.length,
+        share: share(count, picks.length),
+        byGameweek: gameweeks.map(gameweek => {
+            const gameweekPicks = picks.filter(entry => entry.gameweek === gameweek);
+            const autopicks = gameweekPicks.filter(entry => entry.pick.isAutopick).length;
+            return { gameweek, count: autopicks, total: gameweekPicks.length, share: share(autopicks, gameweekPicks.length) };
+        })
+    };
+}
+
+/**
+ * The results that caught out the most players: a picked team that failed to win, biggest
+ * crowd first, then the widest gap in the team rankings (when the edition has them).
+ */
+function findBiggestUpsets(settled, rules) {
+    const upsets = {};
+    settled
+        .filter(entry => entry.result !== 'win' && entry.fixture)
+        .forEach(entry => {
+            const { fixture, pick, gameweek } = entry;
+            const key = `${gameweek}|${fixture.id || `${fixture.homeTeam}-${fixture.awayTeam}`}|${pick.teamPicked}`;
+            if (!upsets[key]) {
+                const opponent = fixture.homeTeam === pick.teamPicked ? fixture.awayTeam : fixture.homeTeam;
+                const pickedRank = rules.teamRankings.indexOf(pick.teamPicked);
+                const opponentRank = rules.teamRankings.indexOf(opponent);
+                upsets[key] = {
+                    gameweek,
+                    team: pick.teamPicked,
+                    opponent,
+                    score: fixture.homeScore !== null && fixture.homeScore !== undefined
+                        ? `${fixture.homeTeam} ${fixture.homeScore}-${fixture.awayScore} ${fixture.awayTeam}`
+                        : `${fixture.homeTeam} v ${fixture.awayTeam}`,
+                    result: entry.result,
+                    pickedBy: 0,
+                    livesLost: 0,
+                    rankGap: pickedRank !== -1 && opponentRank !== -1 ? opponentRank - pickedRank : null
+                };
+            }
+            upsets[key].pickedBy++;
+            upsets[key].livesLost += entry.livesLost;
+        });
+
+    return Object.values(upsets)
+        .sort((a, b) => b.pickedBy - a.pickedBy || (b.rankGap ?? -Infinity) - (a.rankGap ?? -Infinity) || a.gameweek - b.gameweek)
+        .slice(0, BIGGEST_UPSETS_SHOWN);
+}
+
+// The team that has cost players the most lives by beating (or holding) the team they picked
+function findMostDangerousTeam(settled) {
+    const byOpponent = {};
+    settled
+        .filter(entry => entry.livesLost > 0 && entry.fixture)
+        .forEach(entry => {
+            const { fixture, pick } = entry;
+            const opponent = fixture.homeTeam === pick.teamPicked ? fixture.awayTeam : fixture.homeTeam;
+            if (!byOpponent[opponent]) byOpponent[opponent] = { team: opponent, livesTaken: 0, playersBeaten: new Set() };
+            byOpponent[opponent].livesTaken += entry.livesLost;
+            byOpponent[opponent].playersBeaten.add(entry.userId);
+        });
+
+    const [mostDangerous] = Object.values(byOpponent)
+        .map(row => ({ team: row.team, livesTaken: row.livesTaken, playersBeaten: row.playersBeaten.size }))
+        .sort((a, b) => b.livesTaken - a.livesTaken || b.playersBeaten - a.playersBeaten || a.team.localeCompare(b.team));
+
+    return mostDangerous || null;
+}
+
+/**
+ * The insights as CSV, one block per table separated by a blank line, for spreadsheets.
+ */
+export function insightsToCsv(insights) {
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const cell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const block = (title, headers, rows) => [[title], headers, ...rows].map(row => row.map(cell).join(',')).join('\n');
+
+    return [
+        block('Most popular teams', ['Gameweek', 'Team', 'Picks', 'Share'],
+            insights.popularTeams.flatMap(({ gameweek, teams }) =>
+                teams.map(row => [gameweek, row.team, row.count, percent(row.share)]))),
+        block('Survival by team picked', ['Team', 'Picks', 'Survived', 'Survival rate'],
+            insights.survivalByTeam.map(row => [row.team, row.picks, row.survived, percent(row.survivalRate)])),
+        block('Survival curve', ['Gameweek', 'Players still in', 'Players', 'Rate'],
+            insights.survivalCurve.map(row => [row.gameweek, row.alive, row.total, percent(row.rate)])),
+        block('Auto-picks', ['Gameweek', 'Auto-picks', 'Picks', 'Share'], [
+            ...insights.autopicks.byGameweek.map(row => [row.gameweek, row.count, row.total, percent(row.share)]),
+            ['All', insights.autopicks.count, insights.autopicks.total, percent(insights.autopicks.share)]
+        ]),
+        block('Biggest upsets', ['Gameweek', 'Team picked', 'Opponent', 'Score', 'Picked by', 'Lives lost', 'Ranking gap'],
+            insights.biggestUpsets.map(row => [row.gameweek, row.team, row.opponent, row.score, row.pickedBy, row.livesLost, row.rankGap ?? ''])),
+        block('Most dangerous team', ['Team', 'Lives taken', 'Players beaten'],
+            insights.mostDangerousTeam ? [[insights.mostDangerousTeam.team, insights.mostDangerousTeam.livesTaken, insights.mostDangerousTeam.playersBeaten]] : [])
+    ].join('\n\n');
+}
@@ -0,0 +1,30 @@
+/**
+ * FirestoreBatches - Commit any number of writes as Firestore batches
+ * Firestore batches hold at most 500 writes, so larger sets (settling a big edition, importing a
+ * season of fixtures, migrations) are split into chunks. Each chunk commits on its own, so a
+ * failure part-way leaves the earlier chunks written - callers should only use this for writes
+ * that are safe to run again.
+ *
+ * Works with the compat and firebase-admin Firestore instances alike.
+ */
+
+export const BATCH_CHUNK_SIZE = 450;
+
+/**
+ * @param {Object} db - Firestore instance
+ * @param {Array<{type?: 'set'|'update'|'delete', ref: Object, data?: Object, options?: Object}>} writes - type defaults to 'set'
+ * @returns {Promise<number>} How many writes were committed
+ */
+export async function commitInChunks(db, writes = []) {
+    for (let start = 0; start < writes.length; start += BATCH_CHUNK_SIZE) {
+        const batch = db.batch();
+        writes.slice(start, start + BATCH_CHUNK_SIZE).forEach(({ type = 'set', ref, data, options }) => {
+            if (type === 'delete') batch.delete(ref);
+            else if (type === 'update') batch.update(ref, data);
+            else if (options) batch.set(ref, data, options);
+            else batch.set(ref, data);
+        });
+        await batch.commit();
+    }
+    return writes.length;
+}
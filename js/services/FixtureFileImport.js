@@ -0,0 +1,604 @@
+/**
+ * FixtureFileImport - Fixtures and results from CSV, JSON and iCalendar (.ics) files, for leagues
+ * the fixture APIs don't cover
+ * Used by SuperAdminManager's file import: parse the file, map its columns onto fixture fields,
+ * then dry-run the import to show every row's validation errors and duplicates before anything
+ * is written. Fixtures come out in the same document shape as
+ * FixtureManagementManager.importFixturesToFirebase.
+ *
+ * Each row of an import plan:
+ * {
+ *   row: 3,                            // 1-based position in the file
+ *   status: 'new',                     // see IMPORT_ROW_STATUSES
+ *   errors: [],                        // why an invalid row can't be imported
+ *   fixture: { ... },                  // the fixture document for a new row
+ *   existingFixtureId: null,           // the stored fixture a duplicate, result, correction or move matches
+ *   changes: null                      // homeScore, awayScore and status for a result or correction,
+ *                                      // and date and time when the fixture has moved
+ * }
+ *
+ * Stored fixtures are matched on their teams and date. A fixture that has been rearranged moves
+ * the stored one instead of being imported twice, as long as the stored one hasn't been played
+ * and was due within RESCHEDULE_WINDOW_DAYS of the new date - further apart, it is taken to be
+ * another meeting of the same teams.
+ */
+import TeamRegistry, { findMatchingFixture, normaliseTeamName } from './TeamRegistry.js';
+
+export const FIXTURE_IMPORT_FORMATS = {
+    csv: { label: 'CSV', extensions: ['csv', 'txt'] },
+    json: { label: 'JSON', extensions: ['json'] },
+    ics: { label: 'iCalendar', extensions: ['ics', 'ical'] }
+};
+
+// Fixture fields a file's columns can be mapped onto, with the header names each is usually given
+export const FIXTURE_IMPORT_FIELDS = {
+    homeTeam: { label: 'Home team', required: true, headers: ['hometeam', 'home', 'homeside', 'team1', 'hometeamname'] },
+    awayTeam: { label: 'Away team', required: true, headers: ['awayteam', 'away', 'awayside', 'team2', 'awayteamname'] },
+    date: { label: 'Date', required: true, headers: ['date', 'matchdate', 'fixturedate', 'kickoffdate'] },
+    time: { label: 'Kick-off time', required: false, headers: ['time', 'kickoff', 'kickofftime', 'ko', 'kotime', 'starttime'] },
+    venue: { label: 'Venue', required: false, headers: ['venue', 'ground', 'location', 'pitch'] },
+    homeScore: { label: 'Home score', required: false, headers: ['homescore', 'homegoals', 'fthg', 'hg'] },
+    awayScore: { label: 'Away score', required: false, headers: ['awayscore', 'awaygoals', 'ftag', 'ag'] },
+    status: { label: 'Status', required: false, headers: ['status', 'matchstatus'] },
+    gameWeek: { label: 'Gameweek', required: false, headers: ['gameweek', 'gw', 'week', 'matchweek'] },
+    round: { label: 'Round', required: false, headers: ['round', 'matchday'] }
+};
+
+export const GAMEWEEK_ASSIGNMENTS = {
+    fixed: { label: 'All into one gameweek' },
+    weekly: { label: 'One gameweek per calendar week' },
+    column: { label: 'From the gameweek column' }
+};
+
+export const IMPORT_ROW_STATUSES = {
+    new: { label: 'New fixture', icon: '🆕' },
+    result: { label: 'Adds a result', icon: '⚽' },
+    correction: { label: 'Changes a final score', icon: '✏️' },
+    rescheduled: { label: 'Moves a fixture to a new date', icon: '📅' },
+    duplicate: { label: 'Already imported', icon: '⏭️' },
+    invalid: { label: 'Invalid', icon: '❌' }
+};
+
+const FIXTURE_STATUSES = ['scheduled', 'live', 'half-time', 'completed', 'finished', 'postponed', 'abandoned', 'cancelled'];
+const COMPLETED_STATUSES = ['completed', 'finished'];
+const RESCHEDULE_WINDOW_DAYS = 42;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const importError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const normaliseHeader = (header) => (header || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Column names across every record, in the order they first appear
+const columnsOf = (records) => [...new Set(records.flatMap(record => Object.keys(record)))];
+
+/**
+ * The import format for a file name.
+ * @returns {string|null} csv, json or ics
+ */
+export function detectFileFormat(fileName = '') {
+    const extension = fileName.toString().toLowerCase().split('.').pop();
+    return Object.keys(FIXTURE_IMPORT_FORMATS).find(format => FIXTURE_IMPORT_FORMATS[format].extensions.includes(extension)) || null;
+}
+
+/**
+ * Records from CSV text. The header row names the columns; commas, semicolons and tabs are all
+ * accepted as separators, and quoted values can hold separators, quotes and line breaks.
+ * @returns {{columns: Array<string>, records: Array<Object>}}
+ */
+export function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/)[0] || '';
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best), ',');
+
+    const lines = [];
+    let line = [];
+    let value = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                value += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            line.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index++;
+            line.push(value);
+            lines.push(line);
+            line = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || line.length > 0) {
+        line.push(value);
+        lines.push(line);
+    }
+
+    const rows = lines.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (rows.length === 0) return { columns: [], records: [] };
+
+    const columns = rows[0].map(header => header.trim());
+    const records = rows.slice(1).map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] || '').trim()])));
+    return { columns, records };
+}
+
+/**
+ * Records from JSON: an array of fixtures, or an object holding one under fixtures, matches or data.
+ * @returns {{columns: Array<string>, records: Array<Object>}}
+ */
+export function parseJsonFixtures(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw importError(`Not valid JSON: ${error.message}`, 'invalid-file');
+    }
+
+    const records = Array.isArray(data) ? data : (data?.fixtures || data?.matches || data?.data);
+    if (!Array.isArray(records)) {
+        throw importError('JSON must be a list of fixtures, or hold one under "fixtures"', 'invalid-file');
+    }
+
+    // Nested values (a team object, say) are flattened to dotted column names
+    const flatten = (value, prefix = '', flat = {}) => {
+        Object.entries(value || {}).forEach(([key, child]) => {
+            const column = prefix ? `${prefix}.${key}` : key;
+            if (child && typeof child === 'object' && !Array.isArray(child)) {
+                flatten(child, column, flat);
+            } else {
+                flat[column] = child === null || child === undefined ? '' : child.toString();
+            }
+        });
+        return flat;
+    };
+
+    const flatRecords = records.filter(record => record && typeof record === 'object').map(record => flatten(record));
+    return { columns: columnsOf(flatRecords), records: flatRecords };
+}
+
+const unescapeIcsText = (value) => value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Split a calendar event title into teams, and a score if it has one.
+ * "Altrincham v Barnet", "Altrincham vs. Barnet", "Altrincham - Barnet", "Altrincham 2-1 Barnet"
+ * @returns {{homeTeam: string, awayTeam: string, homeScore: string, awayScore: string}|null}
+ */
+export function parseFixtureTitle(title = '') {
+    const text = title.trim();
+
+    const withScore = text.match(/^(.+?)\s+(\d+)\s*[-–]\s*(\d+)\s+(.+)$/);
+    if (withScore) {
+        return { homeTeam: withScore[1].trim(), awayTeam: withScore[4].trim(), homeScore: withScore[2], awayScore: withScore[3] };
+    }
+
+    const teams = text.split(/\s+(?:v|vs\.?|versus|[-–])\s+/i);
+    if (teams.length === 2 && teams[0] && teams[1]) {
+        return { homeTeam: teams[0].trim(), awayTeam: teams[1].trim(), homeScore: '', awayScore: '' };
+    }
+    return null;
+}
+
+// Local date and time of a UTC instant in the league's time zone
+const localDateTime = (instant, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(instant).map(part => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+/**
+ * Records from an iCalendar file - one per event, with its teams and any score read from the title.
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.timeZone - Where the league plays; UTC start times are converted to it
+ * @returns {{columns: Array<string>, records: Array<Object>}}
+ */
+export function parseIcs(text, { timeZone = 'Europe/London' } = {}) {
+    // Long lines are folded onto following lines that start with a space or tab
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    if (!lines.some(line => line.trim() === 'BEGIN:VCALENDAR')) {
+        throw importError('Not an iCalendar file', 'invalid-file');
+    }
+
+    const records = [];
+    let event = null;
+
+    lines.forEach(line => {
+        if (line.trim() === 'BEGIN:VEVENT') {
+            event = {};
+            return;
+        }
+        if (line.trim() === 'END:VEVENT') {
+            if (event) records.push(event);
+            event = null;
+            return;
+        }
+        if (!event) return;
+
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const [name] = line.slice(0, separator).split(';');
+        const value = line.slice(separator + 1).trim();
+
+        switch (name.toUpperCase()) {
+            case 'UID':
+                event.uid = value;
+                break;
+            case 'SUMMARY':
+                event.summary = unescapeIcsText(value);
+                break;
+            case 'LOCATION':
+                event.venue = unescapeIcsText(value);
+                break;
+            case 'DTSTART': {
+                const start = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/);
+                if (!start) break;
+                const [, year, month, day, hour, minute, utc] = start;
+                if (utc) {
+                    Object.assign(event, localDateTime(new Date(Date.UTC(year, month - 1, day, hour, minute)), timeZone));
+                } else {
+                    // Floating and TZID times are already local to the league
+                    event.date = `${year}-${month}-${day}`;
+                    event.time = hour ? `${hour}:${minute}` : '';
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    const fixtures = records.map(record => ({
+        uid: record.uid || '',
+        summary: record.summary || '',
+        ...(parseFixtureTitle(record.summary) || { homeTeam: '', awayTeam: '', homeScore: '', awayScore: '' }),
+        date: record.date || '',
+        time: record.time || '',
+        venue: record.venue || ''
+    }));
+    return { columns: columnsOf(fixtures), records: fixtures };
+}
+
+/**
+ * Parse a fixture file of any supported format.
+ * @param {string} text - File contents
+ * @param {string} format - csv, json or ics (see detectFileFormat)
+ * @param {Object} options - Passed to the format's parser
+ * @returns {{format: string, columns: Array<string>, records: Array<Object>}}
+ */
+export function parseFixtureFile(text, format, options = {}) {
+    const parsers = { csv: parseCsv, json: parseJsonFixtures, ics: parseIcs };
+    if (!parsers[format]) {
+        throw importError(`Unsupported file format: ${format}`, 'unsupported-format');
+    }
+    return { format, ...parsers[format](text, options) };
+}
+
+/**
+ * A column for each fixture field, guessed from the file's headers.
+ * @returns {Object<string, string|null>} Column name for each field in FIXTURE_IMPORT_FIELDS
+ */
+export function suggestColumnMapping(columns = []) {
+    const used = new Set();
+    const mapping = {};
+
+    Object.entries(FIXTURE_IMPORT_FIELDS).forEach(([field, { headers }]) => {
+        const column = columns.find(candidate => !used.has(candidate) && headers.includes(normaliseHeader(candidate))) ||
+            columns.find(candidate => !used.has(candidate) && normaliseHeader(candidate) === normaliseHeader(field)) ||
+            null;
+        if (column) used.add(column);
+        mapping[field] = column;
+    });
+    return mapping;
+}
+
+const validCalendarDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const isoDate = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+/**
+ * A fixture date as YYYY-MM-DD. Accepts ISO dates, with or without a time, and day/month/year
+ * (or month/day/year) with slashes, dashes or dots.
+ * @param {string} value
+ * @param {string} dateOrder - dmy (UK, the default) or mdy
+ * @returns {{date: string, time: string|null}|null} null if the date isn't valid
+ */
+export function parseFixtureDate(value, dateOrder = 'dmy') {
+    const text = (value || '').toString().trim();
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2}))?/);
+    if (iso) {
+        const [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+        if (!validCalendarDate(year, month, day)) return null;
+        return { date: isoDate(year, month, day), time: iso[4] ? `${iso[4].padStart(2, '0')}:${iso[5]}` : null };
+    }
+
+    const numeric = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (numeric) {
+        const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+        const [day, month] = dateOrder === 'mdy' ? [second, first] : [first, second];
+        const year = numeric[3].length === 2 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+        if (!validCalendarDate(year, month, day)) return null;
+        return { date: isoDate(year, month, day), time: null };
+    }
+    return null;
+}
+
+// Kick-off as HH:MM, from 15:00, 15.00 or 1500
+const parseKickOffTime = (value) => {
+    const match = (value || '').toString().trim().match(/^(\d{1,2})[:.]?(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+};
+
+// Calendar weeks run Monday to Sunday
+const weekStartOf = (date) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day;
+};
+
+// Football seasons run from July, e.g. 2025-26
+const seasonOf = (date) => {
+    const [year, month] = date.split('-').map(Number);
+    const startYear = month >= 7 ? year : year - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const fixtureKey = (fixture) => `${fixture.date}|${normaliseTeamName(fixture.homeTeam)}|${normaliseTeamName(fixture.awayTeam)}`;
+
+const daysBetween = (date, otherDate) => Math.abs(new Date(`${date}T00:00:00Z`) - new Date(`${otherDate}T00:00:00Z`)) / DAY_MS;
+
+const isCompleted = (fixture) => COMPLETED_STATUSES.includes((fixture.status || '').toString().toLowerCase());
+
+/**
+ * The stored fixture a row refers to: the same teams on the same day, or else the nearest unplayed
+ * meeting of the same teams that the row could have been moved from.
+ * @param {Set<string>} matchedIds - Stored fixtures already matched by earlier rows
+ */
+const findExistingFixture = (registry, existingFixtures, fields, matchedIds) => {
+    const unmatched = existingFixtures.filter(fixture => !matchedIds.has(fixture.id));
+    const sameDay = unmatched.filter(fixture => fixture.date === fields.date);
+    const sameDayMatch = sameDay[findMatchingFixture(registry, sameDay, fields.homeTeam, fields.awayTeam)];
+    if (sameDayMatch) return sameDayMatch;
+
+    const movable = unmatched
+        .filter(fixture => fixture.date && !isCompleted(fixture) && daysBetween(fixture.date, fields.date) <= RESCHEDULE_WINDOW_DAYS)
+        .sort((a, b) => daysBetween(a.date, fields.date) - daysBetween(b.date, fields.date));
+    return movable[findMatchingFixture(registry, movable, fields.homeTeam, fields.awayTeam)] || null;
+};
+
+/**
+ * Dry-run a file import: validate each record, find fixtures that are already stored, and put
+ * the rest into gameweeks. Nothing is written - the plan is what FixtureManagementManager imports.
+ * @param {Object} options
+ * @param {Array<Object>} options.records - From parseFixtureFile
+ * @param {Object<string, string|null>} options.mapping - Column for each field, from suggestColumnMapping
+ * @param {Array<Object>} options.existingFixtures - Fixtures already in the edition, with id
+ * @param {{mode: string, gameweek: number, startGameweek: number}} options.gameweekAssignment - See GAMEWEEK_ASSIGNMENTS
+ * @param {string} options.dateOrder - dmy or mdy, for dates written with slashes
+ * @param {string|null} options.competitionId - Stored on new fixtures
+ * @param {TeamRegistry} options.registry - Matches teams spelt differently to the stored fixtures
+ * @param {Date} options.now - Stored as importedAt and in fixture IDs
+ * @returns {{rows: Array<Object>, fixtures: Array<Object>, resultUpdates: Array<Object>, fixtureUpdates: Array<Object>, summary: Object<string, number>}}
+ */
+export function planFixtureImport({
+    records = [],
+    mapping = {},
+    existingFixtures = [],
+    gameweekAssignment = { mode: 'fixed', gameweek: 1 },
+    dateOrder = 'dmy',
+    competitionId = null,
+    registry = new TeamRegistry(),
+    now = new Date()
+}) {
+    const valueOf = (record, field) => (mapping[field] ? (record[mapping[field]] ?? '').toString().trim() : '');
+
+    const missingFields = Object.entries(FIXTURE_IMPORT_FIELDS)
+        .filter(([field, { required }]) => required && !mapping[field])
+        .map(([, { label }]) => label);
+    if (gameweekAssignment.mode === 'column' && !mapping.gameWeek) missingFields.push(FIXTURE_IMPORT_FIELDS.gameWeek.label);
+    if (missingFields.length > 0) {
+        throw importError(`Choose a column for: ${missingFields.join(', ')}`, 'missing-mapping');
+    }
+
+    // Read and validate every record
+    const rows = records.map((record, index) => {
+        const errors = [];
+        const homeTeam = valueOf(record, 'homeTeam');
+        const awayTeam = valueOf(record, 'awayTeam');
+        if (!homeTeam) errors.push('Home team is missing');
+        if (!awayTeam) errors.push('Away team is missing');
+        if (homeTeam && awayTeam && normaliseTeamName(homeTeam) === normaliseTeamName(awayTeam)) {
+            errors.push('Home and away team are the same');
+        }
+
+        const parsedDate = parseFixtureDate(valueOf(record, 'date'), dateOrder);
+        if (!parsedDate) errors.push(`Date "${valueOf(record, 'date')}" is not valid`);
+
+        let time = parsedDate?.time || 'TBD';
+        if (valueOf(record, 'time')) {
+            time = parseKickOffTime(valueOf(record, 'time'));
+            if (!time) errors.push(`Kick-off time "${valueOf(record, 'time')}" is not valid`);
+        }
+
+        const scores = ['homeScore', 'awayScore'].map(field => {
+            const score = valueOf(record, field);
+            if (score === '') return null;
+            if (!/^\d+$/.test(score)) {
+                errors.push(`${FIXTURE_IMPORT_FIELDS[field].label} "${score}" is not a number`);
+                return null;
+            }
+            return Number(score);
+        });
+        const hasScore = scores.every(score => score !== null);
+        if (!hasScore && scores.some(score => score !== null)) errors.push('Only one score is given');
+
+        let status = valueOf(record, 'status').toLowerCase() || (hasScore ? 'completed' : 'scheduled');
+        if (!FIXTURE_STATUSES.includes(status)) {
+            errors.push(`Status "${status}" is not recognised`);
+            status = null;
+        }
+        if (COMPLETED_STATUSES.includes(status) && !hasScore) errors.push('A completed fixture needs both scores');
+
+        let gameWeek = null;
+        if (gameweekAssignment.mode === 'column') {
+            gameWeek = Number(valueOf(record, 'gameWeek'));
+            if (!Number.isInteger(gameWeek) || gameWeek < 1) {
+                errors.push(`Gameweek "${valueOf(record, 'gameWeek')}" is not valid`);
+                gameWeek = null;
+            }
+        } else if (gameweekAssignment.mode === 'fixed') {
+            gameWeek = Number(gameweekAssignment.gameweek) || 1;
+        }
+
+        return {
+            row: index + 1,
+            record,
+            errors,
+            fields: {
+                homeTeam,
+                awayTeam,
+                date: parsedDate?.date || null,
+                time,
+                venue: valueOf(record, 'venue') || 'TBD',
+                status,
+                homeScore: hasScore ? scores[0] : null,
+                awayScore: hasScore ? scores[1] : null,
+                gameWeek,
+                round: valueOf(record, 'round') || null
+            }
+        };
+    });
+
+    // Weekly gameweeks count calendar weeks on from the earliest fixture in the file
+    if (gameweekAssignment.mode === 'weekly') {
+        const dates = rows.map(row => row.fields.date).filter(Boolean).sort();
+        if (dates.length > 0) {
+            const firstWeek = weekStartOf(dates[0]);
+            const startGameweek = Number(gameweekAssignment.startGameweek) || 1;
+            rows.filter(row => row.fields.date).forEach(row => {
+                row.fields.gameWeek = startGameweek + Math.round((weekStartOf(row.fields.date) - firstWeek) / (7 * 24 * 60 * 60 * 1000));
+            });
+        }
+    }
+
+    const seenInFile = new Set();
+    const matchedIds = new Set();
+    const fixtures = [];
+    const resultUpdates = [];
+    const fixtureUpdates = [];
+
+    const planned = rows.map(({ row, record, errors, fields }) => {
+        const planRow = { row, status: 'new', errors, fixture: null, existingFixtureId: null, changes: null };
+        if (errors.length > 0) {
+            planRow.status = 'invalid';
+            return planRow;
+        }
+
+        const key = fixtureKey(fields);
+        if (seenInFile.has(key)) {
+            planRow.status = 'duplicate';
+            planRow.errors = ['Repeated earlier in the file'];
+            return planRow;
+        }
+        seenInFile.add(key);
+
+        const existing = findExistingFixture(registry, existingFixtures, fields, matchedIds);
+        if (existing) {
+            matchedIds.add(existing.id);
+            planRow.existingFixtureId = existing.id;
+            const existingStatus = (existing.status || '').toString().toLowerCase();
+            const hadFinalScore = COMPLETED_STATUSES.includes(existingStatus) &&
+                existing.homeScore !== null && existing.homeScore !== undefined && existing.homeScore !== '';
+            const sameStatus = existingStatus === fields.status ||
+                (COMPLETED_STATUSES.includes(existingStatus) && COMPLETED_STATUSES.includes(fields.status));
+            const scoreChanged = fields.homeScore !== null &&
+                (String(existing.homeScore ?? '') !== String(fields.homeScore) ||
+                 String(existing.awayScore ?? '') !== String(fields.awayScore) ||
+                 !sameStatus);
+
+            // Only a different kick-off time moves it - a file without times leaves the stored one alone.
+            // A fixture that has been played is never moved.
+            const storedTime = existing.time || existing.kickOffTime || 'TBD';
+            const moved = {};
+            if (!isCompleted(existing)) {
+                if (existing.date !== fields.date) moved.date = fields.date;
+                if (fields.time !== 'TBD' && storedTime !== 'TBD' && storedTime !== fields.time) moved.time = fields.time;
+            }
+            if (Object.keys(moved).length > 0) {
+                fixtureUpdates.push({ id: existing.id, gameweek: Number(existing.gameWeek), changes: moved });
+            }
+
+            if (!scoreChanged) {
+                planRow.status = Object.keys(moved).length > 0 ? 'rescheduled' : 'duplicate';
+                planRow.changes = Object.keys(moved).length > 0 ? moved : null;
+                return planRow;
+            }
+
+            planRow.status = hadFinalScore ? 'correction' : 'result';
+            const scoreChanges = { homeScore: fields.homeScore, awayScore: fields.awayScore, status: fields.status };
+            planRow.changes = { ...scoreChanges, ...moved };
+            resultUpdates.push({ id: existing.id, gameweek: Number(existing.gameWeek), isCorrection: hadFinalScore, changes: scoreChanges });
+            return planRow;
+        }
+
+        const fixtureId = `fixture_${now.getTime()}_${fixtures.length}`;
+        planRow.fixture = {
+            fixtureId: fixtureId,
+            competitionId: competitionId,
+            homeTeam: fields.homeTeam,
+            awayTeam: fields.awayTeam,
+            date: fields.date,
+            time: fields.time,
+            venue: fields.venue,
+            status: fields.status,
+            homeScore: fields.homeScore,
+            awayScore: fields.awayScore,
+            season: seasonOf(fields.date),
+            round: fields.round || fields.gameWeek,
+            gameWeek: fields.gameWeek,
+            importedAt: now.toISOString(),
+            lastUpdated: now.toISOString(),
+            // Keep the file's own record for reference, as API imports keep the API's
+            apiData: record
+        };
+        fixtures.push(planRow.fixture);
+        return planRow;
+    });
+
+    const summary = {};
+    Object.keys(IMPORT_ROW_STATUSES).forEach(status => { summary[status] = 0; });
+    planned.forEach(planRow => { summary[planRow.status]++; });
+
+    return { rows: planned, fixtures, resultUpdates, fixtureUpdates, summary: { total: planned.length, ...summary } };
+}
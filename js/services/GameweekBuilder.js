@@ -0,0 +1,185 @@
+/**
+ * GameweekBuilder - Groups an edition's fixtures into gameweeks from the fixtures themselves,
+ * rather than a fixed calendar, so midweek rounds, international breaks and cup weekends fall
+ * into the right gameweek
+ * Used by SuperAdminManager's gameweek builder. Fixtures are clustered by league round number or
+ * by date windows, the admin moves fixtures between gameweeks, and each gameweek's deadline is
+ * worked out from its earliest kick-off the same way DeadlineEnforcementService locks it.
+ *
+ * An assignment maps fixture IDs to gameweeks: { fixture_1: 1, fixture_2: 1, fixture_3: 2 }
+ */
+import { normaliseTeamName } from './TeamRegistry.js';
+import { DEFAULT_KICKOFF_TIME, DEFAULT_TIME_ZONE, calculateGameweekDeadline, getFixtureDate, getFixtureKickoff, getKickOffTime } from './DeadlineTimes.js';
+
+export const GAMEWEEK_STRATEGIES = {
+    auto: { label: 'Round numbers if the fixtures have them, otherwise dates' },
+    dates: { label: 'Date windows' },
+    rounds: { label: 'League round numbers' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayNumber = (date) => Math.round(new Date(`${date}T00:00:00Z`).getTime() / DAY_MS);
+
+const teamKeys = (fixture) => [
+    fixture.homeTeamId || normaliseTeamName(fixture.homeTeam),
+    fixture.awayTeamId || normaliseTeamName(fixture.awayTeam)
+];
+
+const byKickoff = (timeZone) => (a, b) => getFixtureKickoff(a, timeZone) - getFixtureKickoff(b, timeZone);
+
+// A new cluster starts after a gap in the dates, once the window is full, or when a team would play twice
+function clusterByDate(fixtures, { maxGapDays, maxWindowDays, timeZone }) {
+    const clusters = [];
+    let current = null;
+
+    [...fixtures].sort(byKickoff(timeZone)).forEach(fixture => {
+        const day = dayNumber(getFixtureDate(fixture, timeZone));
+        const teams = teamKeys(fixture);
+
+        if (!current ||
+            day - current.lastDay > maxGapDays ||
+            day - current.firstDay >= maxWindowDays ||
+            teams.some(team => current.teams.has(team))) {
+            current = { firstDay: day, lastDay: day, teams: new Set(), fixtures: [] };
+            clusters.push(current);
+        }
+
+        current.lastDay = day;
+        teams.forEach(team => current.teams.add(team));
+        current.fixtures.push(fixture);
+    });
+
+    return clusters.map(cluster => cluster.fixtures);
+}
+
+// One cluster per league round, in the order the rounds are played
+function clusterByRound(fixtures, timeZone) {
+    const rounds = new Map();
+    fixtures.forEach(fixture => {
+        const round = Number(fixture.round);
+        if (!rounds.has(round)) rounds.set(round, []);
+        rounds.get(round).push(fixture);
+    });
+
+    return [...rounds.values()]
+        .map(roundFixtures => roundFixtures.sort(byKickoff(timeZone)))
+        .sort((a, b) => byKickoff(timeZone)(a[0], b[0]));
+}
+
+const hasRoundNumbers = (fixtures) => fixtures.every(fixture => Number.isFinite(Number(fixture.round)) && fixture.round !== null && fixture.round !== '') &&
+    new Set(fixtures.map(fixture => Number(fixture.round))).size > 1;
+
+/**
+ * Put every dated fixture into a gameweek.
+ * @param {Array<Object>} fixtures - Fixture documents with id
+ * @param {Object} options
+ * @param {string} options.strategy - See GAMEWEEK_STRATEGIES
+ * @param {number} options.startGameweek - Number of the first gameweek
+ * @param {number} options.maxGapDays - Days without a fixture that end a date window
+ * @param {number} options.maxWindowDays - Longest a date window can run
+ * @param {string} options.timeZone - The club's time zone, which kick-off times are in
+ * @returns {{assignment: Object<string, number>, strategy: string, unscheduled: Array<string>}} Fixtures
+ *   without a date are listed as unscheduled and keep their current gameweek
+ */
+export function buildGameweekAssignment(fixtures = [], { strategy = 'auto', startGameweek = 1, maxGapDays = 1, maxWindowDays = 4, timeZone = DEFAULT_TIME_ZONE } = {}) {
+    const dated = fixtures.filter(fixture => getFixtureKickoff(fixture, timeZone));
+    const unscheduled = fixtures.filter(fixture => !getFixtureKickoff(fixture, timeZone));
+
+    const usedStrategy = strategy === 'auto' ? (hasRoundNumbers(dated) ? 'rounds' : 'dates') : strategy;
+    const clusters = usedStrategy === 'rounds'
+        ? clusterByRound(dated, timeZone)
+        : clusterByDate(dated, { maxGapDays, maxWindowDays, timeZone });
+
+    const assignment = {};
+    clusters.forEach((clusterFixtures, index) => {
+        clusterFixtures.forEach(fixture => { assignment[fixture.id] = Number(startGameweek) + index; });
+    });
+    unscheduled.forEach(fixture => {
+        const gameweek = Number(fixture.gameWeek || fixture.gameweek);
+        if (gameweek) assignment[fixture.id] = gameweek;
+    });
+
+    return { assignment, strategy: usedStrategy, unscheduled: unscheduled.map(fixture => fixture.id) };
+}
+
+/**
+ * Each gameweek in an assignment: its fixtures, dates, deadline and anything that looks wrong.
+ * @param {Object} options
+ * @param {number} options.maxWindowDays - Gameweeks running longer than this are flagged
+ * @param {Date} options.now - Gameweeks whose deadline is before this are flagged, as picks may be locked
+ * @param {Object} options.deadlineSettings - The club's time zone and the edition's lock offset (see DeadlineTimes)
+ * @returns {Array<{gameweek: number, fixtureIds: Array<string>, startDate: string|null, endDate: string|null, deadline: Date|null, deadlineFixtureId: string|null, duplicateTeams: Array<string>, warnings: Array<string>}>}
+ */
+export function summariseGameweeks(fixtures = [], assignment = {}, { maxWindowDays = 4, now = null, deadlineSettings = {} } = {}) {
+    const timeZone = deadlineSettings.timeZone || DEFAULT_TIME_ZONE;
+    const byGameweek = new Map();
+    fixtures.forEach(fixture => {
+        const gameweek = assignment[fixture.id];
+        if (!gameweek) return;
+        if (!byGameweek.has(gameweek)) byGameweek.set(gameweek, []);
+        byGameweek.get(gameweek).push(fixture);
+    });
+
+    return [...byGameweek.entries()].sort(([a], [b]) => a - b).map(([gameweek, gameweekFixtures]) => {
+        const dated = gameweekFixtures.filter(fixture => getFixtureKickoff(fixture, timeZone)).sort(byKickoff(timeZone));
+        const warnings = [];
+
+        // A team playing twice in one gameweek leaves a pick on it ambiguous
+        const appearances = new Map();
+        gameweekFixtures.forEach(fixture => {
+            teamKeys(fixture).forEach((key, side) => {
+                const name = side === 0 ? fixture.homeTeam : fixture.awayTeam;
+                appearances.set(key, { name, count: (appearances.get(key)?.count || 0) + 1 });
+            });
+        });
+        const duplicateTeams = [...appearances.values()].filter(({ count }) => count > 1).map(({ name }) => name);
+        duplicateTeams.forEach(name => warnings.push(`${name} plays more than once`));
+
+        const startDate = dated[0] ? getFixtureDate(dated[0], timeZone) : null;
+        const endDate = dated[0] ? getFixtureDate(dated[dated.length - 1], timeZone) : null;
+        if (startDate && dayNumber(endDate) - dayNumber(startDate) >= maxWindowDays) {
+            warnings.push(`Fixtures run from ${startDate} to ${endDate}`);
+        }
+
+        const undated = gameweekFixtures.length - dated.length;
+        if (undated > 0) warnings.push(`${undated} ${undated === 1 ? 'fixture has' : 'fixtures have'} no date`);
+
+        const untimed = dated.filter(fixture => !getKickOffTime(fixture)).length;
+        if (dated[0] && !getKickOffTime(dated[0])) {
+            warnings.push(`Deadline assumes a ${DEFAULT_KICKOFF_TIME} kick-off - ${untimed} ${untimed === 1 ? 'fixture has' : 'fixtures have'} no time`);
+        }
+
+        const deadline = dated[0] ? calculateGameweekDeadline(dated, deadlineSettings, gameweek).deadline : null;
+        if (now && deadline && deadline <= now) warnings.push('Deadline has passed - picks may already be locked');
+
+        return {
+            gameweek,
+            fixtureIds: [...dated, ...gameweekFixtures.filter(fixture => !getFixtureKickoff(fixture, timeZone))].map(fixture => fixture.id),
+            startDate,
+            endDate,
+            deadline,
+            deadlineFixtureId: dated[0]?.id || null,
+            duplicateTeams,
+            warnings
+        };
+    });
+}
+
+/**
+ * The fixture updates that store an assignment. Fixtures whose time is only held in `time` also
+ * get kickOffTime, which the fixture lists and re-pick windows read.
+ * @returns {Array<{id: string, changes: Object}>}
+ */
+export function planGameweekChanges(fixtures = [], assignment = {}) {
+    return fixtures.map(fixture => {
+        const changes = {};
+        const gameweek = assignment[fixture.id];
+        if (gameweek && Number(fixture.gameWeek) !== gameweek) changes.gameWeek = gameweek;
+
+        const kickOffTime = getKickOffTime(fixture);
+        if (kickOffTime && !fixture.kickOffTime) changes.kickOffTime = kickOffTime;
+
+        return { id: fixture.id, changes };
+    }).filter(update => Object.keys(update.changes).length > 0);
+}
@@ -0,0 +1,158 @@
+/**
+ * LiveProjection - "As it stands": what the in-play scores would mean for every player if the
+ * current gameweek's games ended now
+ * Used by ScoresManager on each vidiprinter update. Nothing here is ever written back -
+ * committed results and lives only come from GameLogicManager processing the gameweek.
+ *
+ * Each row of a projection:
+ * {
+ *   uid: 'user123',
+ *   displayName: 'Alice',
+ *   teamPicked: 'Altrincham',          // null when the player has no pick this gameweek
+ *   fixture: { ... },                  // the pick's fixture with its in-play score, or null
+ *   projectedResult: 'win',            // win, draw, loss, or null until the fixture kicks off
+ *   livesBefore: 2,                    // lives going into the gameweek
+ *   livesAfter: 2,                     // lives if the games ended now
+ *   outcome: 'safe',                   // see PROJECTED_OUTCOMES
+ *   projectedPosition: 1
+ * }
+ */
+import { calculateEditionLives, findPickFixture, normalizePickResult } from './ResultRules.js';
+
+export const PROJECTED_OUTCOMES = {
+    safe: { label: 'Safe', icon: '✅' },
+    bonus: { label: 'Would gain a life', icon: '⭐' },
+    loseLife: { label: 'Would lose a life', icon: '⚠️' },
+    eliminated: { label: 'Would be eliminated', icon: '❌' },
+    pending: { label: 'Not kicked off', icon: '⏳' },
+    void: { label: 'Postponed', icon: '⏸️' },
+    noPick: { label: 'No pick', icon: '❔' },
+    out: { label: 'Already out', icon: '🔴' }
+};
+
+// Statuses whose score counts "as it stands"
+const SCORING_STATUSES = ['live', 'half-time', 'completed'];
+const VOID_STATUSES = ['postponed', 'abandoned', 'cancelled'];
+
+const fixtureStatus = (fixture) => {
+    const status = fixture?.status;
+    return (typeof status === 'object' && status !== null ? status.short || status.full || '' : status || '').toString().toLowerCase();
+};
+
+export function isFixtureInPlay(fixture) {
+    return SCORING_STATUSES.includes(fixtureStatus(fixture)) &&
+        Number.isFinite(fixture.homeScore) && Number.isFinite(fixture.awayScore);
+}
+
+/**
+ * The result a pick would get from its fixture's current score.
+ * @returns {string|null} win, draw, loss, or null if the fixture has no score yet
+ */
+export function projectPickResult(pick, fixture) {
+    if (!pick?.teamPicked || !isFixtureInPlay(fixture)) return null;
+
+    const isHome = fixture.homeTeam === pick.teamPicked;
+    if (!isHome && fixture.awayTeam !== pick.teamPicked) return null;
+
+    const goalsFor = isHome ? fixture.homeScore : fixture.awayScore;
+    const goalsAgainst = isHome ? fixture.awayScore : fixture.homeScore;
+    if (goalsFor > goalsAgainst) return 'win';
+    if (goalsFor < goalsAgainst) return 'loss';
+    return 'draw';
+}
+
+const gameweekOf = (key) => Number(key.toString().replace(/^gw/i, ''));
+
+/**
+ * Project the current gameweek from in-play scores.
+ * @param {Object} options
+ * @param {Array<{uid: string, displayName: string, lifeGrants: Array}>} options.players - lifeGrants as on the edition user
+ * @param {Object} options.picksByUser - Each player's picks keyed by gameweek, keyed by user ID
+ * @param {Array<Object>} options.fixtures - Fixtures with their latest in-play scores
+ * @param {number} options.gameweek - The gameweek being played
+ * @param {Object} options.rules - From resolveResultRules
+ * @param {Object} options.format - From resolveEditionFormat
+ * @returns {{gameweek: number, rows: Array<Object>, summary: Object<string, number>}}
+ */
+export function projectGameweek({ players = [], picksByUser = {}, fixtures = [], gameweek, rules, format = {} }) {
+    const before = {};
+    const projected = {};
+    const currentPicks = {};
+
+    players.forEach(({ uid }) => {
+        const userPicks = picksByUser[uid] || {};
+        before[uid] = {};
+        projected[uid] = {};
+
+        Object.entries(userPicks).forEach(([key, pick]) => {
+            const pickGameweek = gameweekOf(key);
+            if (pickGameweek > gameweek) return;
+
+            if (pickGameweek < gameweek) {
+                before[uid][key] = pick;
+                projected[uid][key] = pick;
+                return;
+            }
+
+            // The live score wins over anything already settled, so the projection stays "as it stands"
+            const fixture = pick ? findPickFixture(pick, gameweek, fixtures) : null;
+            const projectedResult = pick ? projectPickResult(pick, fixture) || normalizePickResult(pick.result) : null;
+            currentPicks[uid] = { pick, fixture, projectedResult };
+            projected[uid][key] = pick ? { ...pick, result: projectedResult } : pick;
+        });
+    });
+
+    // Re-entries for later gameweeks haven't happened yet as far as this gameweek is concerned
+    const lifeGrantsByUser = {};
+    players.forEach(({ uid, lifeGrants = [] }) => {
+        lifeGrantsByUser[uid] = lifeGrants.filter(grant => Number(grant.gameweek) <= gameweek);
+    });
+
+    const livesBefore = calculateEditionLives(before, rules, fixtures, format, lifeGrantsByUser).players;
+    const livesAfter = calculateEditionLives(projected, rules, fixtures, format, lifeGrantsByUser).players;
+
+    const rows = players.map(({ uid, displayName }) => {
+        const { pick = null, fixture = null, projectedResult = null } = currentPicks[uid] || {};
+        const row = {
+            uid,
+            displayName,
+            teamPicked: pick?.teamPicked || null,
+            fixture,
+            projectedResult,
+            livesBefore: livesBefore[uid].lives,
+            livesAfter: livesAfter[uid].lives,
+            outcome: 'safe',
+            projectedPosition: null
+        };
+
+        if (row.livesBefore <= 0) {
+            row.outcome = 'out';
+        } else if (!pick) {
+            row.outcome = 'noPick';
+        } else if (row.livesAfter <= 0) {
+            row.outcome = 'eliminated';
+        } else if (row.livesAfter < row.livesBefore) {
+            row.outcome = 'loseLife';
+        } else if (row.livesAfter > row.livesBefore) {
+            row.outcome = 'bonus';
+        } else if (!projectedResult) {
+            row.outcome = VOID_STATUSES.includes(fixtureStatus(fixture)) ? 'void' : 'pending';
+        }
+
+        return row;
+    });
+
+    // Most lives first; players level on lives share a position
+    rows.sort((a, b) => b.livesAfter - a.livesAfter || (a.displayName || '').localeCompare(b.displayName || ''));
+    rows.forEach((row, index) => {
+        row.projectedPosition = index > 0 && rows[index - 1].livesAfter === row.livesAfter
+            ? rows[index - 1].projectedPosition
+            : index + 1;
+    });
+
+    const summary = {};
+    Object.keys(PROJECTED_OUTCOMES).forEach(outcome => { summary[outcome] = 0; });
+    rows.forEach(row => { summary[row.outcome]++; });
+
+    return { gameweek, rows, summary };
+}
@@ -0,0 +1,94 @@
+/**
+ * MiniLeagues - Private tables inside an edition, e.g. the U10s parents or the coaches
+ * Pure, so MiniLeagueService, the standings, the "as it stands" projection and tests agree on
+ * who is in a league and where they sit in it.
+ *
+ * A mini-league only filters what players see. Its members keep playing the edition as normal -
+ * same rules, same lives - so a league position is just a place among the members.
+ *
+ * Leagues are kept at clubs/{clubId}/editions/{editionId}/mini-leagues/{inviteCode}:
+ * {
+ *   name: 'U10s Parents',
+ *   inviteCode: 'K7PQ2M',   // also the document ID
+ *   createdBy: 'user123',
+ *   memberIds: ['user123', 'user456'],
+ *   created_at: timestamp,
+ *   updated_at: timestamp
+ * }
+ */
+
+export const INVITE_CODE_LENGTH = 6;
+export const MAX_LEAGUE_NAME_LENGTH = 40;
+export const MAX_LEAGUE_MEMBERS = 100;
+
+// No 0/O or 1/I, so codes read out at the touchline can't be misheard
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export function generateInviteCode(random = Math.random) {
+    return Array.from({ length: INVITE_CODE_LENGTH }, () =>
+        INVITE_CODE_ALPHABET[Math.floor(random() * INVITE_CODE_ALPHABET.length)]
+    ).join('');
+}
+
+/**
+ * An invite code as typed by a player ('k7p-q2m') in its stored form.
+ * @returns {string|null} null when it can't be a code
+ */
+export function normaliseInviteCode(value) {
+    const code = String(value ?? '').toUpperCase().replace(/[\s-]/g, '');
+    return code.length === INVITE_CODE_LENGTH && [...code].every(character => INVITE_CODE_ALPHABET.includes(character))
+        ? code
+        : null;
+}
+
+/**
+ * @returns {string|null} What is wrong with the name, or null if it is fine
+ */
+export function validateLeagueName(name) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) return 'Give the league a name';
+    if (trimmed.length > MAX_LEAGUE_NAME_LENGTH) return `League names can be up to ${MAX_LEAGUE_NAME_LENGTH} characters`;
+    return null;
+}
+
+// Only the league's members, in the order given; everyone when no league is chosen
+export function filterToLeague(rows = [], league = null, idKey = 'uid') {
+    if (!league) return rows;
+    const members = new Set(league.memberIds || []);
+    return rows.filter(row => members.has(row[idKey]));
+}
+
+/**
+ * Places among the rows given, keeping ties: a row's place is one more than the number of
+ * rows strictly ahead of it.
+ * @param {Function} getPosition - The row's edition-wide position
+ * @returns {Array<number>} The place of each row
+ */
+export function rankWithinLeague(rows = [], getPosition = (row, index) => index + 1) {
+    const positions = rows.map(getPosition);
+    return positions.map(position => 1 + positions.filter(other => other < position).length);
+}
+
+/**
+ * Every member's picks gameweek by gameweek, for the league pick history.
+ * @param {Array<{uid: string, displayName: string, picks: Object}>} players - As in the standings, picks keyed by gameweek
+ * @param {number} upToGameweek - Later gameweeks are left out
+ * @returns {{gameweeks: Array<number>, rows: Array<{uid: string, displayName: string, picks: Object<number, {teamPicked: string, result: string|null, isAutopick: boolean}>}>}}
+ */
+export function buildPickHistory(players = [], upToGameweek = Infinity) {
+    const gameweekOf = (key) => Number(key.toString().replace(/^gw/i, ''));
+    const gameweeks = new Set();
+
+    const rows = players.map(player => {
+        const picks = {};
+        Object.entries(player.picks || {}).forEach(([key, pick]) => {
+            const gameweek = gameweekOf(key);
+            if (!pick?.teamPicked || !(gameweek <= upToGameweek)) return;
+            gameweeks.add(gameweek);
+            picks[gameweek] = { teamPicked: pick.teamPicked, result: pick.result || null, isAutopick: Boolean(pick.isAutopick) };
+        });
+        return { uid: player.uid, displayName: player.displayName, picks };
+    });
+
+    return { gameweeks: [...gameweeks].sort((a, b) => a - b), rows };
+}
@@ -0,0 +1,405 @@
+/**
+ * NotificationService - Queues player notifications exactly once and delivers them by email and web push
+ * Shared by the browser managers, which only queue, and the scheduled send-notifications Netlify
+ * function, which also delivers - so like DeadlineEnforcementService it only uses the Firestore
+ * instance and transports it is given.
+ *
+ * Notifications are documents at clubs/{clubId}/editions/{editionId}/notifications/{type}_{key}_{userId}.
+ * The ID is fixed by what happened (e.g. autoPicked_gw3_{userId}), so a retried deadline or a
+ * settlement run twice finds the document already there and queues nothing. Each channel's
+ * delivery is recorded on it (channels.email: 'pending' | 'sent' | 'failed' | 'off' | 'skipped'),
+ * and a sender claims the document before sending, so a channel is never sent twice.
+ */
+import { renderNotification, resolveNotificationPreferences } from './NotificationTemplates.js';
+import { calculateGameweekDeadline, resolveDeadlineSettings, toInstant } from './DeadlineTimes.js';
+import { resolveResultRules } from './ResultRules.js';
+
+export const MAX_DELIVERY_ATTEMPTS = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Channel states that still need sending
+const UNSENT = ['pending', 'failed'];
+
+export function getNotificationId(type, key, userId) {
+    return `${type}_${key}_${userId}`.replace(/\//g, '-');
+}
+
+/**
+ * Which channels a notification goes out on, from the player's preferences and what they have set up.
+ * @returns {{email: string, push: string}} 'pending' or 'off'
+ */
+export function planDeliveryChannels(user = {}) {
+    const preferences = resolveNotificationPreferences(user);
+    return {
+        email: preferences.email && user.email ? 'pending' : 'off',
+        push: preferences.push && (user.pushTokens || []).length > 0 ? 'pending' : 'off'
+    };
+}
+
+const isActivePlayer = (user, startingLives) => !user.isEliminated && (user.lives ?? startingLives) > 0;
+
+/**
+ * Players to remind about a gameweek: still in, not picked yet, and inside the number of hours
+ * before the deadline they asked to be reminded.
+ * @param {Object} options
+ * @param {Date} options.deadline - When the gameweek's picks start to lock
+ * @returns {Array<{userId: string, type: string, key: string, data: Object}>}
+ */
+export function planDeadlineReminders({ users = [], picks = [], gameweek, deadline, now, startingLives = 1 }) {
+    if (!deadline || deadline <= now) return [];
+
+    const picked = new Set(picks.filter(pick => Number(pick.gameweek) === Number(gameweek)).map(pick => pick.userId));
+
+    return users
+        .filter(user => isActivePlayer(user, startingLives) && !picked.has(user.id))
+        .filter(user => {
+            const preferences = resolveNotificationPreferences(user);
+            return preferences.deadlineReminder && deadline - now <= preferences.reminderHours * HOUR_MS;
+        })
+        .map(user => ({
+            userId: user.id,
+            type: 'deadlineReminder',
+            key: `gw${gameweek}`,
+            data: { gameweek: Number(gameweek), deadline }
+        }));
+}
+
+/**
+ * Lost lives and eliminations from a settlement plan's user updates (see planSettlement).
+ * A life lost and then restored by a correction can be lost again, so lost lives are keyed by
+ * what the player has left.
+ * @param {Array<Object>} users - The users as they were before the updates
+ * @returns {Array<{userId: string, type: string, key: string, data: Object}>}
+ */
+export function planSettlementNotices({ gameweek, userUpdates = [], users = [], picks = [], startingLives = 1 }) {
+    const notices = [];
+
+    userUpdates.forEach(({ id, changes }) => {
+        const user = users.find(candidate => candidate.id === id) || {};
+        const team = picks.find(pick => pick.userId === id && Number(pick.gameweek) === Number(gameweek))?.teamPicked || null;
+
+        if (changes.isEliminated === true) {
+            const eliminationGameweek = changes.eliminationGameweek ?? Number(gameweek);
+            notices.push({ userId: id, type: 'eliminated', key: `gw${eliminationGameweek}`, data: { gameweek: eliminationGameweek, team } });
+        } else if ('lives' in changes && changes.lives > 0 && changes.lives < (user.lives ?? startingLives)) {
+            notices.push({ userId: id, type: 'lifeLost', key: `gw${gameweek}_lives${changes.lives}`, data: { gameweek: Number(gameweek), team, lives: changes.lives } });
+        }
+    });
+
+    return notices;
+}
+
+/**
+ * Send a notification's unsent channels.
+ * @param {Object} notification - The notification document
+ * @param {Object} recipient - email and pushTokens
+ * @param {Object} content - From renderNotification
+ * @param {Object} transports - { email: { send({to, subject, text, html}) }, push: { send({tokens, title, body, link}) } }
+ *   A push transport may resolve { invalidTokens } for tokens to forget. A channel with no transport is 'skipped'.
+ * @returns {Promise<{channels: Object, deliveryStatus: string, errors: Array<string>, invalidTokens: Array<string>}>}
+ */
+export async function deliverNotification(notification, recipient, content, transports = {}) {
+    const channels = { ...notification.channels };
+    const errors = [];
+    let invalidTokens = [];
+
+    const senders = {
+        email: () => recipient.email
+            ? transports.email.send({ to: recipient.email, subject: content.subject, text: content.text, html: content.html })
+            : Promise.reject(new Error('No email address')),
+        push: async () => {
+            const tokens = recipient.pushTokens || [];
+            if (tokens.length === 0) throw new Error('No push tokens');
+            const result = await transports.push.send({ tokens, ...content.push });
+            invalidTokens = result?.invalidTokens || [];
+        }
+    };
+
+    for (const channel of Object.keys(senders)) {
+        if (!UNSENT.includes(channels[channel])) continue;
+        if (!transports[channel]) {
+            channels[channel] = 'skipped';
+            continue;
+        }
+
+        try {
+            await senders[channel]();
+            channels[channel] = 'sent';
+        } catch (error) {
+            channels[channel] = 'failed';
+            errors.push(`${channel}: ${error.message}`);
+        }
+    }
+
+    const attempts = notification.attempts || 1;
+    const failed = Object.values(channels).includes('failed');
+    return {
+        channels,
+        deliveryStatus: !failed ? 'sent' : (attempts >= MAX_DELIVERY_ATTEMPTS ? 'abandoned' : 'failed'),
+        errors,
+        invalidTokens
+    };
+}
+
+/**
+ * A transport that keeps what it is given instead of sending it, for tests and local development.
+ * @param {Object} options
+ * @param {Function} options.failWith - Called with each message; an Error it returns is thrown
+ */
+export function createMemoryTransport({ failWith = null } = {}) {
+    const sent = [];
+    return {
+        sent,
+        async send(message) {
+            const error = failWith ? failWith(message) : null;
+            if (error) throw error;
+            sent.push(message);
+            return {};
+        }
+    };
+}
+
+export default class NotificationService {
+    /**
+     * @param {Object} db - Firestore instance (compat or firebase-admin)
+     * @param {Object} options
+     * @param {Function} options.now - Clock, overridable for tests
+     * @param {string} options.runnerId - Who queued or sent, e.g. 'send-notifications'
+     * @param {Object} options.transports - See deliverNotification; only needed to deliver
+     * @param {string} options.baseUrl - Linked from emails and push notifications
+     * @param {number} options.claimTimeoutMs - How long a 'sending' claim blocks other senders
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.now = options.now || (() => new Date());
+        this.runnerId = options.runnerId || 'unknown';
+        this.transports = options.transports || {};
+        this.baseUrl = options.baseUrl;
+        this.claimTimeoutMs = options.claimTimeoutMs || 10 * 60 * 1000;
+    }
+
+    editionRef(clubId, editionId) {
+        return this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId);
+    }
+
+    // Names and settings the notifications are written with
+    async loadContext(clubId, editionId) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const [clubDoc, editionDoc, settingsDoc] = await Promise.all([
+            this.db.collection('clubs').doc(clubId).get(),
+            editionRef.get(),
+            editionRef.collection('settings').doc('current').get()
+        ]);
+        const club = clubDoc.exists ? clubDoc.data() : {};
+        const settings = settingsDoc.exists ? settingsDoc.data() : {};
+        const editionData = editionDoc.exists ? editionDoc.data() : {};
+
+        return {
+            clubName: club.name || club.clubName || clubId,
+            editionName: editionData.name || editionId,
+            settings,
+            startingLives: resolveResultRules(settings, editionData).livesPerPlayer,
+            deadlineSettings: resolveDeadlineSettings(settings, club)
+        };
+    }
+
+    async loadUsers(clubId, editionId) {
+        const snapshot = await this.editionRef(clubId, editionId).collection('users').get();
+        return snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id }));
+    }
+
+    /**
+     * Queue notices for players who want them. Notices already queued are left alone.
+     * @param {Array<{userId: string, type: string, key: string, data: Object}>} notices
+     * @returns {Promise<number>} How many were newly queued
+     */
+    async queueNotices(clubId, editionId, notices, { users = null, context = null } = {}) {
+        if (notices.length === 0) return 0;
+
+        const [editionUsers, editionContext] = await Promise.all([
+            users || this.loadUsers(clubId, editionId),
+            context || this.loadContext(clubId, editionId)
+        ]);
+        const usersById = new Map(editionUsers.map(user => [user.id, user]));
+        let queued = 0;
+
+        for (const notice of notices) {
+            const user = usersById.get(notice.userId);
+            if (!user || !resolveNotificationPreferences(user)[notice.type]) continue;
+            if (await this.queueNotification(clubId, editionId, notice, user, editionContext)) queued++;
+        }
+
+        if (queued > 0) {
+            console.log(`✅ NotificationService: ${queued} notification(s) queued for ${clubId}/${editionId}`);
+        }
+        return queued;
+    }
+
+    async queueNotification(clubId, editionId, { userId, type, key, data }, user, context) {
+        const ref = this.editionRef(clubId, editionId).collection('notifications').doc(getNotificationId(type, key, userId));
+        const notificationData = {
+            ...data,
+            clubName: context.clubName,
+            editionName: context.editionName,
+            timeZone: context.deadlineSettings.timeZone,
+            autoPickEnabled: context.settings.autoPickEnabled !== false
+        };
+        const channels = planDeliveryChannels(user);
+
+        return this.db.runTransaction(async (transaction) => {
+            const existing = await transaction.get(ref);
+            if (existing.exists) return false;
+
+            transaction.set(ref, {
+                userId,
+                type,
+                key,
+                message: renderNotification(type, notificationData).message,
+                gameweek: data.gameweek ?? null,
+                data: notificationData,
+                readAt: null,
+                channels,
+                deliveryStatus: Object.values(channels).includes('pending') ? 'pending' : 'none',
+                attempts: 0,
+                queuedBy: this.runnerId,
+                created_at: this.now()
+            });
+            return true;
+        });
+    }
+
+    /**
+     * Remind players who haven't picked, for every gameweek whose picks haven't started to lock.
+     * Under rolling deadlines that is the first team's lock, not the gameweek's last.
+     */
+    async queueDeadlineReminders(clubId, editionId) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const [fixturesSnapshot, picksSnapshot, users, context] = await Promise.all([
+            editionRef.collection('fixtures').get(),
+            editionRef.collection('picks').get(),
+            this.loadUsers(clubId, editionId),
+            this.loadContext(clubId, editionId)
+        ]);
+        const picks = picksSnapshot.docs.map(doc => doc.data());
+
+        const fixturesByGameweek = {};
+        fixturesSnapshot.docs.forEach(doc => {
+            const fixture = doc.data();
+            const gameweek = Number(fixture.gameWeek || fixture.gameweek);
+            if (!gameweek) return;
+            if (!fixturesByGameweek[gameweek]) fixturesByGameweek[gameweek] = [];
+            fixturesByGameweek[gameweek].push(fixture);
+        });
+
+        const notices = [];
+        Object.entries(fixturesByGameweek).forEach(([gameweek, fixtures]) => {
+            const details = calculateGameweekDeadline(fixtures, context.deadlineSettings, gameweek);
+            if (!details) return;
+
+            const locks = Object.values(details.teamLocks || {});
+            const deadline = locks.length > 0 ? new Date(Math.min(...locks.map(lock => lock.getTime()))) : details.deadline;
+            notices.push(...planDeadlineReminders({ users, picks, gameweek, deadline, now: this.now(), startingLives: context.startingLives }));
+        });
+
+        return this.queueNotices(clubId, editionId, notices, { users, context });
+    }
+
+    // Tell players given an auto-pick (see DeadlineEnforcementService.assignAutoPicks)
+    async queueAutoPickNotices(clubId, editionId, gameweek) {
+        const picksSnapshot = await this.editionRef(clubId, editionId).collection('picks')
+            .where('gameweek', '==', Number(gameweek))
+            .get();
+
+        const notices = picksSnapshot.docs
+            .map(doc => doc.data())
+            .filter(pick => pick.isAutopick)
+            .map(pick => ({
+                userId: pick.userId,
+                type: 'autoPicked',
+                key: `gw${gameweek}`,
+                data: { gameweek: Number(gameweek), team: pick.teamPicked || null }
+            }));
+
+        return this.queueNotices(clubId, editionId, notices);
+    }
+
+    /**
+     * Tell players who lost a life or went out when a gameweek was settled (see ResultSettlementService).
+     * @param {Object} settlement - userUpdates from the plan, with the users and picks it was planned from
+     */
+    async queueSettlementNotices(clubId, editionId, gameweek, { userUpdates, users, picks, startingLives }) {
+        const notices = planSettlementNotices({ gameweek, userUpdates, users, picks, startingLives });
+        return this.queueNotices(clubId, editionId, notices);
+    }
+
+    /**
+     * Take a notification to send inside a transaction. Returns null if it has been sent or
+     * another sender is still working on it.
+     */
+    async claimNotification(ref) {
+        return this.db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(ref);
+            if (!doc.exists) return null;
+            const notification = doc.data();
+
+            if (!['pending', 'failed', 'sending'].includes(notification.deliveryStatus)) return null;
+            if (notification.deliveryStatus === 'sending' && this.now() - toInstant(notification.claimedAt) < this.claimTimeoutMs) return null;
+
+            const claimed = {
+                deliveryStatus: 'sending',
+                claimedAt: this.now(),
+                claimedBy: this.runnerId,
+                attempts: (notification.attempts || 0) + 1
+            };
+            transaction.update(ref, claimed);
+            return { ...notification, ...claimed };
+        });
+    }
+
+    /**
+     * Send every notification in the edition still waiting to go out.
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    async deliverPending(clubId, editionId) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const snapshot = await editionRef.collection('notifications')
+            .where('deliveryStatus', 'in', ['pending', 'failed', 'sending'])
+            .get();
+        if (snapshot.empty) return { sent: 0, failed: 0 };
+
+        const summary = { sent: 0, failed: 0 };
+        for (const doc of snapshot.docs) {
+            const notification = await this.claimNotification(doc.ref);
+            if (!notification) continue;
+
+            const userRef = editionRef.collection('users').doc(notification.userId);
+            const userDoc = await userRef.get();
+            const recipient = userDoc.exists ? userDoc.data() : {};
+
+            const content = renderNotification(notification.type, notification.data || {}, { baseUrl: this.baseUrl });
+            const result = await deliverNotification(notification, recipient, content, this.transports);
+
+            await doc.ref.update({
+                channels: result.channels,
+                deliveryStatus: result.deliveryStatus,
+                deliveredAt: result.deliveryStatus === 'sent' ? this.now() : null,
+                lastError: result.errors.join('; ') || null
+            });
+
+            if (result.invalidTokens.length > 0) {
+                await userRef.update({
+                    pushTokens: (recipient.pushTokens || []).filter(token => !result.invalidTokens.includes(token)),
+                    updated_at: this.now()
+                });
+            }
+
+            if (result.deliveryStatus === 'sent') summary.sent++;
+            else summary.failed++;
+        }
+
+        console.log(`✅ NotificationService: ${summary.sent} notification(s) sent, ${summary.failed} failed for ${clubId}/${editionId}`);
+        return summary;
+    }
+}
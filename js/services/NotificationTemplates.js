@@ -0,0 +1,176 @@
+/**
+ * NotificationTemplates - What each player notification says, by email, web push and in the app
+ * Used by NotificationService. Pure, so it renders the same in the browser, the Netlify functions
+ * and tests.
+ *
+ * Players choose what they hear about on their edition user document:
+ * notificationPreferences: { email: true, push: false, deadlineReminder: true, autoPicked: true,
+ *                            lifeLost: true, eliminated: true, scoreCorrection: true, reminderHours: 24 }
+ */
+import { formatDeadline } from './DeadlineTimes.js';
+
+export const NOTIFICATION_TYPES = {
+    deadlineReminder: { label: 'Reminder before a deadline when I haven\'t picked' },
+    autoPicked: { label: 'When I\'m given an auto-pick' },
+    lifeLost: { label: 'When I lose a life' },
+    eliminated: { label: 'When I\'m knocked out' },
+    scoreCorrection: { label: 'When a corrected score changes my result' }
+};
+
+export const NOTIFICATION_CHANNELS = {
+    email: { label: 'Email' },
+    push: { label: 'Push notifications on this device' }
+};
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+    email: true,
+    push: false,
+    deadlineReminder: true,
+    autoPicked: true,
+    lifeLost: true,
+    eliminated: true,
+    scoreCorrection: true,
+    reminderHours: 24
+};
+
+export function resolveNotificationPreferences(user = {}) {
+    const preferences = { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(user.notificationPreferences || {}) };
+    const reminderHours = Number(preferences.reminderHours);
+    return {
+        ...preferences,
+        reminderHours: reminderHours > 0 ? reminderHours : DEFAULT_NOTIFICATION_PREFERENCES.reminderHours
+    };
+}
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Subject, headline and paragraphs for each type; data is the notification's data
+const CONTENT = {
+    deadlineReminder: (data) => ({
+        subject: `Game Week ${data.gameweek} deadline - you haven't picked yet`,
+        headline: '⏰ Don\'t forget your pick',
+        paragraphs: [
+            `You haven't picked a team for Game Week ${data.gameweek} of ${data.editionName}.`,
+            `Picks close ${data.deadlineText}.${data.autoPickEnabled === false ? '' : ' Miss it and you\'ll be given an auto-pick.'}`
+        ],
+        action: 'Make your pick'
+    }),
+    autoPicked: (data) => ({
+        subject: `You've been auto-picked for Game Week ${data.gameweek}`,
+        headline: '🤖 You\'ve been auto-picked',
+        paragraphs: data.team
+            ? [`You didn't pick for Game Week ${data.gameweek} of ${data.editionName} before the deadline, so you've been given ${data.team}.`]
+            : [`You didn't pick for Game Week ${data.gameweek} of ${data.editionName} before the deadline, so it counts as a loss.`],
+        action: 'See your picks'
+    }),
+    lifeLost: (data) => ({
+        subject: `You lost a life in Game Week ${data.gameweek}`,
+        headline: '💔 You lost a life',
+        paragraphs: [
+            `${data.team ? `${data.team} didn't win for you` : 'Your pick didn\'t come off'} in Game Week ${data.gameweek} of ${data.editionName}.`,
+            `You have ${data.lives} ${data.lives === 1 ? 'life' : 'lives'} left.`
+        ],
+        action: 'See the standings'
+    }),
+    eliminated: (data) => ({
+        subject: `You're out of ${data.editionName}`,
+        headline: '🏁 You\'re out',
+        paragraphs: [
+            `You ran out of lives in Game Week ${data.gameweek} of ${data.editionName}.`,
+            'Thanks for playing - you can still follow how it finishes in the app.'
+        ],
+        action: 'See the standings'
+    }),
+    // summary is describeScoreCorrection's message for this player
+    scoreCorrection: (data) => ({
+        subject: `A score was corrected in Game Week ${data.gameweek}`,
+        headline: '📝 Score corrected',
+        paragraphs: [data.summary],
+        action: 'See your picks'
+    })
+};
+
+/**
+ * Everything a notification needs to be sent.
+ * @param {string} type - See NOTIFICATION_TYPES
+ * @param {Object} data - gameweek, editionName, clubName, team, lives, deadline, timeZone, autoPickEnabled, summary
+ * @param {Object} options
+ * @param {string} options.baseUrl - Linked from the email and push notification
+ * @returns {{subject: string, message: string, text: string, html: string, push: {title: string, body: string, link: string}}}
+ */
+export function renderNotification(type, data = {}, { baseUrl = 'https://losapp.netlify.app' } = {}) {
+    if (!CONTENT[type]) {
+        const error = new Error(`Unknown notification type: ${type}`);
+        error.code = 'unknown-notification-type';
+        throw error;
+    }
+
+    const details = {
+        ...data,
+        editionName: data.editionName || 'Last One Standing',
+        // Emails go to everyone at once, so deadlines are given in the club's time zone
+        deadlineText: data.deadline ? `${formatDeadline(data.deadline, { timeZone: data.timeZone })} (${data.timeZone || 'UK time'})` : 'soon'
+    };
+    const content = CONTENT[type](details);
+    const clubName = data.clubName || 'Last One Standing';
+
+    const text = [
+        content.headline.replace(/^\S+\s/, ''),
+        '',
+        ...content.paragraphs,
+        '',
+        `${content.action}: ${baseUrl}`,
+        '',
+        '---',
+        `${clubName} - Last One Standing`,
+        'Change which emails you get from the 🔔 button in the app.'
+    ].join('\n');
+
+    const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(content.subject)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #059669; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+        .button { display: inline-block; background: #059669; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>${escapeHtml(content.headline)}</h1>
+            <p>${escapeHtml(clubName)}</p>
+        </div>
+        <div class="content">
+            ${content.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n            ')}
+            <div style="text-align: center;">
+                <a href="${escapeHtml(baseUrl)}" class="button">${escapeHtml(content.action)}</a>
+            </div>
+        </div>
+        <div class="footer">
+            <p>${escapeHtml(clubName)} - Last One Standing</p>
+            <p>Change which emails you get from the 🔔 button in the app.</p>
+        </div>
+    </div>
+</body>
+</html>`;
+
+    return {
+        subject: content.subject,
+        message: content.paragraphs.join(' '),
+        text,
+        html,
+        push: { title: content.subject, body: content.paragraphs.join(' '), link: baseUrl }
+    };
+}
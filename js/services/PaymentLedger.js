@@ -0,0 +1,144 @@
+/**
+ * PaymentLedger - Entry fees, who has paid, and the prize pot they add up to
+ * Pure, so the admin panel, PaymentService, the payment-webhook function and tests agree on
+ * what a player owes and how the pot is split.
+ *
+ * Edition settings (settings/current):
+ * - entryFeePence: what each player pays to enter, 0 for a free edition
+ * - currency: ISO code, e.g. 'GBP'
+ * - prizeClubPercent: the club's share of the pot, the winner(s) get the rest
+ * - paymentRequiredFromGameweek: unpaid players can't pick from this gameweek on, null to never block
+ *
+ * Payments are kept in money's smallest unit (pence) so totals never pick up rounding errors.
+ */
+
+export const PAYMENT_STATUSES = {
+    paid: { label: 'Paid' },
+    pending: { label: 'Pending' },
+    failed: { label: 'Failed' },
+    refunded: { label: 'Refunded' }
+};
+
+export const PAYMENT_PURPOSES = {
+    entry: { label: 'Entry fee' },
+    buyBack: { label: 'Buy-back' }
+};
+
+export const PAYMENT_METHODS = {
+    cash: { label: 'Cash' },
+    card: { label: 'Card' },
+    bankTransfer: { label: 'Bank transfer' },
+    other: { label: 'Other' }
+};
+
+// What a card provider's webhook events mean for the payment they are about
+export const CARD_EVENT_STATUSES = {
+    'payment.pending': 'pending',
+    'payment.succeeded': 'paid',
+    'payment.failed': 'failed',
+    'payment.refunded': 'refunded'
+};
+
+export const DEFAULT_PAYMENT_SETTINGS = {
+    entryFeePence: 0,
+    currency: 'GBP',
+    prizeClubPercent: 50,
+    paymentRequiredFromGameweek: null
+};
+
+const toWholeNumber = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? Math.round(number) : fallback;
+};
+
+export function resolvePaymentSettings(settings = {}) {
+    const requiredFrom = Number(settings.paymentRequiredFromGameweek);
+
+    return {
+        entryFeePence: toWholeNumber(settings.entryFeePence, DEFAULT_PAYMENT_SETTINGS.entryFeePence),
+        currency: settings.currency || DEFAULT_PAYMENT_SETTINGS.currency,
+        prizeClubPercent: Math.min(100, toWholeNumber(settings.prizeClubPercent, DEFAULT_PAYMENT_SETTINGS.prizeClubPercent)),
+        paymentRequiredFromGameweek: requiredFrom >= 1 ? Math.floor(requiredFrom) : null
+    };
+}
+
+/**
+ * Where a player stands from their ledger entries. Only entry fee payments decide the status;
+ * the totals include buy-backs (see BuyBack), which go into the prize pot too.
+ * @param {Array<Object>} payments - The player's payments
+ * @returns {{status: string, paidPence: number, pendingPence: number, refundedPence: number}} status is
+ *   'paid' once the entry fee is covered, otherwise 'pending', 'refunded' or 'unpaid'
+ */
+export function summarisePlayerPayments(payments = [], entryFeePence = 0) {
+    const total = (status, entryOnly = false) => payments
+        .filter(payment => payment.status === status && (!entryOnly || (payment.purpose || 'entry') === 'entry'))
+        .reduce((sum, payment) => sum + (payment.amountPence || 0), 0);
+
+    const entryPaidPence = total('paid', true);
+
+    let status = 'unpaid';
+    if (entryPaidPence > 0 && entryPaidPence >= entryFeePence) status = 'paid';
+    else if (total('pending', true) > 0) status = 'pending';
+    else if (total('refunded', true) > 0) status = 'refunded';
+
+    return { status, paidPence: total('paid'), pendingPence: total('pending'), refundedPence: total('refunded') };
+}
+
+/**
+ * Whether an unpaid player is kept from picking in a gameweek.
+ * @param {Object} user - The edition user, with the paymentStatus PaymentService keeps on it
+ */
+export function isPaymentBlocked(user = {}, gameweek, paymentSettings = DEFAULT_PAYMENT_SETTINGS) {
+    const { entryFeePence, paymentRequiredFromGameweek } = paymentSettings;
+    return entryFeePence > 0 &&
+        paymentRequiredFromGameweek !== null &&
+        Number(gameweek) >= paymentRequiredFromGameweek &&
+        user.paymentStatus !== 'paid';
+}
+
+/**
+ * The prize pot from what has actually been paid, split between the club and the winner(s).
+ * @param {Object} options
+ * @param {number} options.winners - Players sharing the prize
+ * @returns {{collectedPence: number, pendingPence: number, refundedPence: number, clubSharePence: number, winnerSharePence: number, perWinnerPence: number, paidPlayers: number}}
+ */
+export function calculatePrizePot(payments = [], paymentSettings = DEFAULT_PAYMENT_SETTINGS, { winners = 1 } = {}) {
+    const byUser = new Map();
+    payments.forEach(payment => {
+        if (!byUser.has(payment.userId)) byUser.set(payment.userId, []);
+        byUser.get(payment.userId).push(payment);
+    });
+    const players = [...byUser.values()].map(userPayments => summarisePlayerPayments(userPayments, paymentSettings.entryFeePence));
+
+    const collectedPence = players.reduce((sum, player) => sum + player.paidPence, 0);
+    const clubSharePence = Math.round(collectedPence * paymentSettings.prizeClubPercent / 100);
+    const winnerSharePence = collectedPence - clubSharePence;
+
+    return {
+        collectedPence,
+        pendingPence: players.reduce((sum, player) => sum + player.pendingPence, 0),
+        refundedPence: players.reduce((sum, player) => sum + player.refundedPence, 0),
+        clubSharePence,
+        winnerSharePence,
+        // Any odd penny left over from sharing stays with the club
+        perWinnerPence: Math.floor(winnerSharePence / Math.max(1, winners)),
+        paidPlayers: players.filter(player => player.status === 'paid').length
+    };
+}
+
+/**
+ * @example formatMoney(1050) // '£10.50'
+ */
+export function formatMoney(pence, currency = DEFAULT_PAYMENT_SETTINGS.currency) {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format((pence || 0) / 100);
+}
+
+/**
+ * An amount typed by an admin ('10', '10.50', '£10.50') in pence.
+ * @returns {number|null} null when it isn't an amount
+ */
+export function parseMoney(value) {
+    const match = String(value ?? '').trim().replace(/^[£$€]/, '').match(/^(\d+)(?:\.(\d{1,2}))?$/);
+    if (!match) return null;
+    return Number(match[1]) * 100 + Number((match[2] || '0').padEnd(2, '0'));
+}
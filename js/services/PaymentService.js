@@ -0,0 +1,288 @@
+/**
+ * PaymentService - Records entry fee payments and keeps each player's payment status up to date
+ * Shared by the admin panel, which marks cash payments and refunds, and the payment-webhook Netlify
+ * function, which records card payments - so like DeadlineEnforcementService it only uses the
+ * Firestore instance it is given.
+ *
+ * The ledger is clubs/{clubId}/editions/{editionId}/payments/{paymentId}. After every change the
+ * player's paymentStatus and amountPaidPence are written to their edition user document, which is
+ * what firestore.rules checks before letting them pick (see PaymentLedger.isPaymentBlocked).
+ * Each payment is for the entry fee (purpose 'entry') or a re-entry (purpose 'buyBack', see BuyBack).
+ */
+import { CARD_EVENT_STATUSES, PAYMENT_METHODS, PAYMENT_STATUSES, resolvePaymentSettings, summarisePlayerPayments } from './PaymentLedger.js';
+import { BUY_BACK_REASONS, checkBuyBackEligibility, findReentryGameweek, resolveBuyBackSettings } from './BuyBack.js';
+import { resolveDeadlineSettings } from './DeadlineTimes.js';
+import { resolveResultRules } from './ResultRules.js';
+import { publishPlayerRoster } from './PickReveal.js';
+
+// A card payment can't go back to pending or paid once it has been refunded
+const FINAL_CARD_STATUSES = ['refunded'];
+
+const invalidPayment = (message) => {
+    const error = new Error(message);
+    error.code = 'invalid-payment';
+    return error;
+};
+
+export default class PaymentService {
+    /**
+     * @param {Object} db - Firestore instance (compat or firebase-admin)
+     * @param {Object} options
+     * @param {Function} options.now - Clock, overridable for tests
+     * @param {string} options.runnerId - Who recorded the payment, e.g. the admin's user ID
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.now = options.now || (() => new Date());
+        this.runnerId = options.runnerId || 'unknown';
+    }
+
+    editionRef(clubId, editionId) {
+        return this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId);
+    }
+
+    async loadPaymentSettings(clubId, editionId) {
+        const settingsDoc = await this.editionRef(clubId, editionId).collection('settings').doc('current').get();
+        return resolvePaymentSettings(settingsDoc.exists ? settingsDoc.data() : {});
+    }
+
+    async getLedger(clubId, editionId) {
+        const snapshot = await this.editionRef(clubId, editionId).collection('payments').get();
+        return snapshot.docs
+            .map(doc => ({ ...doc.data(), id: doc.id }))
+            .sort((a, b) => (b.created_at?.toDate ? b.created_at.toDate() : new Date(b.created_at)) -
+                (a.created_at?.toDate ? a.created_at.toDate() : new Date(a.created_at)));
+    }
+
+    /**
+     * Add a payment to the ledger, e.g. cash handed to the club.
+     * Throws an Error with code 'invalid-payment' for an unknown method or status, or an amount that isn't positive.
+     * @returns {Promise<string>} The payment ID
+     */
+    async recordPayment(clubId, editionId, { userId, amountPence, method, status = 'paid', reference = null, note = null }) {
+        if (!userId) throw invalidPayment('A payment needs a player');
+        if (!Number.isInteger(amountPence) || amountPence <= 0) throw invalidPayment('A payment needs an amount');
+        if (!PAYMENT_METHODS[method]) throw invalidPayment(`Unknown payment method: ${method}`);
+        if (!PAYMENT_STATUSES[status]) throw invalidPayment(`Unknown payment status: ${status}`);
+
+        const { currency } = await this.loadPaymentSettings(clubId, editionId);
+        const ref = this.editionRef(clubId, editionId).collection('payments').doc();
+        await ref.set({
+            userId,
+            amountPence,
+            currency,
+            method,
+            status,
+            purpose: 'entry',
+            reference,
+            note,
+            recordedBy: this.runnerId,
+            paidAt: status === 'paid' ? this.now() : null,
+            refundedAt: null,
+            created_at: this.now(),
+            updated_at: this.now()
+        });
+
+        await this.syncPlayerStatus(clubId, editionId, userId);
+        return ref.id;
+    }
+
+    // Mark a payment paid, failed or refunded - e.g. a refund when a player withdraws
+    async setPaymentStatus(clubId, editionId, paymentId, status, note = null) {
+        if (!PAYMENT_STATUSES[status]) throw invalidPayment(`Unknown payment status: ${status}`);
+
+        const ref = this.editionRef(clubId, editionId).collection('payments').doc(paymentId);
+        const paymentDoc = await ref.get();
+        if (!paymentDoc.exists) throw invalidPayment(`Payment ${paymentId} not found`);
+
+        await ref.update({
+            status,
+            ...(status === 'paid' ? { paidAt: this.now() } : {}),
+            ...(status === 'refunded' ? { refundedAt: this.now() } : {}),
+            ...(note ? { note } : {}),
+            updatedBy: this.runnerId,
+            updated_at: this.now()
+        });
+
+        return this.syncPlayerStatus(clubId, editionId, paymentDoc.data().userId);
+    }
+
+    /**
+     * Apply a card provider's webhook event. Each card payment has one ledger entry, named after the
+     * provider's payment ID, and events already applied are ignored - so a redelivered or late event
+     * changes nothing.
+     * @param {Object} event - { id, type: see CARD_EVENT_STATUSES, data: { paymentId, userId, amountPence } }
+     * @returns {Promise<{paymentId: string, status: string, applied: boolean}>}
+     */
+    async applyCardEvent(clubId, editionId, event) {
+        const status = CARD_EVENT_STATUSES[event?.type];
+        const { paymentId: providerPaymentId, userId, amountPence } = event?.data || {};
+        if (!event?.id || !status || !providerPaymentId || !userId) {
+            throw invalidPayment(`Unusable card event: ${event?.id || 'no ID'}`);
+        }
+
+        const { currency } = await this.loadPaymentSettings(clubId, editionId);
+        const paymentId = `card_${providerPaymentId}`;
+        const ref = this.editionRef(clubId, editionId).collection('payments').doc(paymentId);
+
+        const applied = await this.db.runTransaction(async (transaction) => {
+            const paymentDoc = await transaction.get(ref);
+            const payment = paymentDoc.exists ? paymentDoc.data() : null;
+
+            if (payment?.eventIds?.includes(event.id)) return false;
+            if (payment && payment.userId !== userId) throw invalidPayment(`Card payment ${providerPaymentId} belongs to another player`);
+            if (FINAL_CARD_STATUSES.includes(payment?.status) && status !== payment.status) return false;
+
+            transaction.set(ref, {
+                userId,
+                amountPence: Number(amountPence) || payment?.amountPence || 0,
+                currency: payment?.currency || currency,
+                method: 'card',
+                status,
+                purpose: 'entry',
+                reference: providerPaymentId,
+                note: payment?.note || null,
+                recordedBy: payment?.recordedBy || this.runnerId,
+                paidAt: status === 'paid' ? this.now() : (payment?.paidAt || null),
+                refundedAt: status === 'refunded' ? this.now() : null,
+                eventIds: [...(payment?.eventIds || []), event.id],
+                created_at: payment?.created_at || this.now(),
+                updated_at: this.now()
+            });
+            return true;
+        });
+
+        if (applied) await this.syncPlayerStatus(clubId, editionId, userId);
+        return { paymentId, status, applied };
+    }
+
+    /**
+     * Let an eliminated player buy back in: records what they paid and grants the re-entry lives
+     * from the next gameweek still open, in one transaction so two admins can't both use up the
+     * player's last re-entry.
+     * Throws an Error with code 'invalid-payment' when the player can't buy back in (see BuyBack.BUY_BACK_REASONS).
+     * @returns {Promise<{gameweek: number, lives: number, paymentId: string|null}>}
+     */
+    async buyBack(clubId, editionId, userId, { method = 'cash', reference = null, note = null } = {}) {
+        if (!PAYMENT_METHODS[method]) throw invalidPayment(`Unknown payment method: ${method}`);
+
+        const editionRef = this.editionRef(clubId, editionId);
+        const [clubDoc, editionDoc, settingsDoc, fixturesSnapshot] = await Promise.all([
+            this.db.collection('clubs').doc(clubId).get(),
+            editionRef.get(),
+            editionRef.collection('settings').doc('current').get(),
+            editionRef.collection('fixtures').get()
+        ]);
+        const settings = settingsDoc.exists ? settingsDoc.data() : {};
+        const buyBackSettings = resolveBuyBackSettings(settings);
+        const { currency } = resolvePaymentSettings(settings);
+        const { livesCap } = resolveResultRules(settings, editionDoc.exists ? editionDoc.data() : {});
+        const gameweek = findReentryGameweek(
+            fixturesSnapshot.docs.map(doc => doc.data()),
+            resolveDeadlineSettings(settings, clubDoc.exists ? clubDoc.data() : {}),
+            this.now()
+        );
+
+        const userRef = editionRef.collection('users').doc(userId);
+        const paymentRef = buyBackSettings.pricePence > 0 ? editionRef.collection('payments').doc() : null;
+
+        const lives = await this.db.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists) throw invalidPayment(`Player ${userId} not found`);
+            const user = userDoc.data();
+
+            const { eligible, reason } = checkBuyBackEligibility(user, gameweek, buyBackSettings);
+            if (!eligible) throw invalidPayment(BUY_BACK_REASONS[reason]);
+
+            if (paymentRef) {
+                transaction.set(paymentRef, {
+                    userId,
+                    amountPence: buyBackSettings.pricePence,
+                    currency,
+                    method,
+                    status: 'paid',
+                    purpose: 'buyBack',
+                    reference,
+                    note,
+                    recordedBy: this.runnerId,
+                    paidAt: this.now(),
+                    refundedAt: null,
+                    created_at: this.now(),
+                    updated_at: this.now()
+                });
+            }
+
+            const currentLives = Math.max(0, user.lives || 0);
+            const livesAfter = Math.max(currentLives, Math.min(currentLives + buyBackSettings.lives, livesCap ?? Infinity));
+            transaction.update(userRef, {
+                lives: livesAfter,
+                isEliminated: livesAfter <= 0,
+                eliminationGameweek: livesAfter > 0 ? null : (user.eliminationGameweek ?? null),
+                lifeGrants: [...(user.lifeGrants || []), {
+                    type: 'buyBack',
+                    gameweek,
+                    lives: buyBackSettings.lives,
+                    paymentId: paymentRef ? paymentRef.id : null,
+                    grantedBy: this.runnerId,
+                    grantedAt: this.now()
+                }],
+                updated_at: this.now()
+            });
+            return livesAfter;
+        });
+
+        if (paymentRef) await this.syncPlayerStatus(clubId, editionId, userId);
+        // The live projection and Stats tab count the new grant from the roster players can read
+        await publishPlayerRoster(editionRef, this.now());
+
+        console.log(`✅ PaymentService: ${userId} bought back into ${clubId}/${editionId} from GW${gameweek}`);
+        return { gameweek, lives, paymentId: paymentRef ? paymentRef.id : null };
+    }
+
+    /**
+     * Write a player's payment status from their ledger entries onto their edition user document.
+     * @returns {Promise<Object>} See summarisePlayerPayments
+     */
+    async syncPlayerStatus(clubId, editionId, userId) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const [paymentsSnapshot, paymentSettings] = await Promise.all([
+            editionRef.collection('payments').where('userId', '==', userId).get(),
+            this.loadPaymentSettings(clubId, editionId)
+        ]);
+
+        const summary = summarisePlayerPayments(paymentsSnapshot.docs.map(doc => doc.data()), paymentSettings.entryFeePence);
+        await editionRef.collection('users').doc(userId).update({
+            paymentStatus: summary.status,
+            amountPaidPence: summary.paidPence,
+            updated_at: this.now()
+        });
+
+        console.log(`✅ PaymentService: ${userId} is ${summary.status} in ${clubId}/${editionId}`);
+        return summary;
+    }
+
+    // Re-check every player, e.g. after the entry fee changes
+    async syncAllPlayers(clubId, editionId) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const [usersSnapshot, payments, paymentSettings] = await Promise.all([
+            editionRef.collection('users').get(),
+            this.getLedger(clubId, editionId),
+            this.loadPaymentSettings(clubId, editionId)
+        ]);
+
+        const batch = this.db.batch();
+        let updates = 0;
+        usersSnapshot.forEach(userDoc => {
+            const summary = summarisePlayerPayments(payments.filter(payment => payment.userId === userDoc.id), paymentSettings.entryFeePence);
+            const userData = userDoc.data();
+            if (userData.paymentStatus === summary.status && userData.amountPaidPence === summary.paidPence) return;
+
+            batch.update(userDoc.ref, { paymentStatus: summary.status, amountPaidPence: summary.paidPence, updated_at: this.now() });
+            updates++;
+        });
+
+        if (updates > 0) await batch.commit();
+        return updates;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * PickReveal - What everyone picked, shown once a gameweek's deadline has passed
+ * Until then firestore.rules only let players read their own picks. When DeadlineEnforcementService
+ * completes a deadline it writes a summary of the gameweek's picks, and moves the reveal marker
+ * that the rules check other players' picks against.
+ *
+ * clubs/{clubId}/editions/{editionId}/pick-reveals/gw{gameweek}:
+ * {
+ *   gameweek: 3,
+ *   totalPicks: 24,
+ *   autoPicks: 2,
+ *   teams: [{ team: 'Arsenal', count: 9, players: ['Alice', 'Bob', ...] }],  // most picked first
+ *   missed: ['Carol'],      // lost a life for missing the deadline without a pick
+ *   revealedAt: timestamp
+ * }
+ *
+ * clubs/{clubId}/editions/{editionId}/pick-reveals/latest:
+ * { gameweek: 3 }  // every gameweek up to this one is revealed
+ *
+ * clubs/{clubId}/editions/{editionId}/pick-reveals/players:
+ * { players: [{ uid, displayName, lifeGrants: [{ gameweek, lives }] }] }
+ * Who is in the edition, for the live projection and Stats tab - the rules only let players read
+ * their own user document. Rewritten with each reveal and when a player buys back in.
+ */
+
+/**
+ * Summarise one gameweek's picks for the reveal screen. Players are named, not identified by ID.
+ * @param {Array<Object>} picks - The gameweek's pick documents
+ * @param {Array<{id: string, displayName?: string}>} users - Edition users, for names
+ */
+export function buildPickReveal(gameweek, picks = [], users = []) {
+    const names = Object.fromEntries(users.map(user => [user.id, user.displayName || 'Unknown player']));
+    const nameOf = (pick) => names[pick.userId] || 'Unknown player';
+    const byName = (a, b) => a.localeCompare(b);
+
+    const teams = {};
+    const missed = [];
+    picks.forEach(pick => {
+        if (!pick.teamPicked) {
+            if (pick.missedDeadline) missed.push(nameOf(pick));
+            return;
+        }
+        if (!teams[pick.teamPicked]) teams[pick.teamPicked] = { team: pick.teamPicked, count: 0, players: [] };
+        teams[pick.teamPicked].count++;
+        teams[pick.teamPicked].players.push(nameOf(pick));
+    });
+
+    return {
+        gameweek: Number(gameweek),
+        totalPicks: picks.filter(pick => pick.teamPicked).length,
+        autoPicks: picks.filter(pick => pick.teamPicked && pick.isAutopick).length,
+        teams: Object.values(teams)
+            .map(row => ({ ...row, players: row.players.sort(byName) }))
+            .sort((a, b) => b.count - a.count || a.team.localeCompare(b.team)),
+        missed: missed.sort(byName)
+    };
+}
+
+/**
+ * The edition's players as everyone may see them: names and life grants, nothing private.
+ * @param {Array<{id: string, displayName?: string, lifeGrants?: Array<Object>}>} users - Edition users
+ */
+export function buildPlayerRoster(users = []) {
+    return {
+        players: users.map(user => ({
+            uid: user.id,
+            displayName: user.displayName || 'Unknown player',
+            lifeGrants: (user.lifeGrants || []).map(grant => ({ gameweek: Number(grant.gameweek), lives: Number(grant.lives) || 0 }))
+        }))
+    };
+}
+
+/**
+ * The last gameweek that can be revealed: every deadline up to it has been completed. A later
+ * deadline completing first (e.g. an earlier gameweek moved back) doesn't reveal anything early.
+ * @param {Array<{gameweek: number, status: string}>} locks - The edition's deadline locks
+ * @param {number} completedGameweek - Treated as completed, for the deadline being finished now
+ * @returns {number} 0 when nothing can be revealed yet
+ */
+export function findRevealedThrough(locks = [], completedGameweek = null) {
+    const completed = (lock) => lock.status === 'completed' || Number(lock.gameweek) === Number(completedGameweek);
+    const gameweeks = [...new Set(locks.map(lock => Number(lock.gameweek)))]
+        .filter(gameweek => gameweek > 0)
+        .sort((a, b) => a - b);
+
+    let revealedThrough = 0;
+    for (const gameweek of gameweeks) {
+        if (!locks.filter(lock => Number(lock.gameweek) === gameweek).every(completed)) break;
+        revealedThrough = gameweek;
+    }
+    return revealedThrough;
+}
+
+/**
+ * Every pick the viewer may read: all of them for edition moderators, otherwise their own
+ * picks and everyone's picks from revealed gameweeks. Uses only the edition reference it is given.
+ * @param {Object} editionRef - clubs/{clubId}/editions/{editionId}
+ * @returns {Promise<{picks: Array<Object>, revealedThrough: number|null}>} revealedThrough is null for moderators
+ */
+export async function loadVisiblePicks(editionRef, { userId, canReadAll = false }) {
+    const picksRef = editionRef.collection('picks');
+
+    if (canReadAll) {
+        const snapshot = await picksRef.get();
+        return { picks: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), revealedThrough: null };
+    }
+
+    const latestDoc = await editionRef.collection('pick-reveals').doc('latest').get();
+    const revealedThrough = latestDoc.exists ? Number(latestDoc.data().gameweek) || 0 : 0;
+
+    const [ownSnapshot, revealedSnapshot] = await Promise.all([
+        userId ? picksRef.where('userId', '==', userId).get() : null,
+        revealedThrough > 0 ? picksRef.where('gameweek', '<=', revealedThrough).get() : null
+    ]);
+
+    const picks = {};
+    [ownSnapshot, revealedSnapshot].forEach(snapshot => {
+        snapshot?.docs.forEach(doc => { picks[doc.id] = { id: doc.id, ...doc.data() }; });
+    });
+
+    return { picks: Object.values(picks), revealedThrough };
+}
+
+// Rewrite pick-reveals/players from the edition's users. Needs an edition moderator or the admin SDK.
+export async function publishPlayerRoster(editionRef, now = new Date()) {
+    const usersSnapshot = await editionRef.collection('users').get();
+    const roster = buildPlayerRoster(usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    await editionRef.collection('pick-reveals').doc('players').set({ ...roster, updated_at: now });
+    return roster;
+}
+
+/**
+ * Everyone in the edition: read from the users for edition moderators, otherwise from
+ * pick-reveals/players.
+ * @returns {Promise<Array<{uid: string, displayName: string, lifeGrants: Array<Object>}>>}
+ */
+export async function loadPlayerRoster(editionRef, { canReadAll = false } = {}) {
+    if (canReadAll) {
+        const usersSnapshot = await editionRef.collection('users').get();
+        return buildPlayerRoster(usersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))).players;
+    }
+
+    const rosterDoc = await editionRef.collection('pick-reveals').doc('players').get();
+    return rosterDoc.exists ? rosterDoc.data().players || [] : [];
+}
@@ -0,0 +1,298 @@
+/**
+ * ResultRules - How a pick's result changes a player's lives, configured per edition
+ * Shared by GameLogicManager (standings, final positions), EditionAuditService (replays),
+ * PickStatusService (pick history) and DeadlineEnforcementService.
+ *
+ * Edition settings:
+ * {
+ *   maxLives: 2,                       // lives each player starts with (falls back to the edition's lives_per_player)
+ *   teamRankings: ['Liverpool', ...],  // league table, top first - used to spot upsets
+ *   resultRules: {
+ *     drawPolicy: 'survive',           // see DRAW_POLICIES
+ *     awayWinBonusLives: 0,            // extra lives for winning with the away team
+ *     upsetBonusLives: 0,              // extra lives for a win over a much higher ranked team
+ *     upsetRankGap: 10,                // how many places lower the picked team must be for an upset
+ *     livesCap: null                   // most lives a player can hold, null for no cap
+ *   }
+ * }
+ *
+ * Knockout editions (see EditionFormats) always start players on one life.
+ *
+ * Lives can also be granted outside the picks, e.g. when an eliminated player buys back in
+ * (see BuyBack). Each grant is kept on the player's edition user document:
+ * lifeGrants: [{ gameweek: 6, lives: 1, type: 'buyBack', ... }] - counted from that gameweek on.
+ */
+import { resolveEditionFormat } from './EditionFormats.js';
+
+export const DRAW_POLICIES = {
+    survive: {
+        label: 'Draw is a survival (no life lost)',
+        livesLost: 0
+    },
+    loseLife: {
+        label: 'Draw costs a life',
+        livesLost: 1
+    }
+};
+
+export const DEFAULT_RESULT_RULES = {
+    drawPolicy: 'survive',
+    livesPerPlayer: 2,
+    awayWinBonusLives: 0,
+    upsetBonusLives: 0,
+    upsetRankGap: 10,
+    livesCap: null,
+    teamRankings: []
+};
+
+const toCount = (value, fallback) => {
+    const number = Number(value);
+    return value === null || value === undefined || value === '' || isNaN(number) ? fallback : Math.max(0, Math.floor(number));
+};
+
+// Build the full rules for an edition from its settings (and edition document for lives per player)
+export function resolveResultRules(settings = {}, editionData = {}) {
+    const configured = settings.resultRules || {};
+    const formatLives = resolveEditionFormat(settings, editionData).livesPerPlayer;
+
+    return {
+        drawPolicy: DRAW_POLICIES[configured.drawPolicy] ? configured.drawPolicy : DEFAULT_RESULT_RULES.drawPolicy,
+        livesPerPlayer: formatLives ?? toCount(settings.maxLives ?? editionData?.lives_per_player, DEFAULT_RESULT_RULES.livesPerPlayer),
+        awayWinBonusLives: toCount(configured.awayWinBonusLives, 0),
+        upsetBonusLives: toCount(configured.upsetBonusLives, 0),
+        upsetRankGap: toCount(configured.upsetRankGap, DEFAULT_RESULT_RULES.upsetRankGap),
+        livesCap: toCount(configured.livesCap, null),
+        teamRankings: Array.isArray(settings.teamRankings) ? settings.teamRankings : []
+    };
+}
+
+export function normalizePickResult(result) {
+    if (!result) return null;
+
+    switch (result.toString().toLowerCase()) {
+        case 'win':
+        case 'w':
+            return 'win';
+        case 'loss':
+        case 'l':
+            return 'loss';
+        case 'draw':
+        case 'd':
+            return 'draw';
+        default:
+            return null;
+    }
+}
+
+// Find the fixture a pick was played in, by fixtureId or by gameweek and team name
+export function findPickFixture(pick, gameweek, fixtures = []) {
+    if (pick.fixtureId) {
+        const byId = fixtures.find(fixture => fixture.id === pick.fixtureId);
+        if (byId) return byId;
+    }
+
+    return fixtures.find(fixture =>
+        Number(fixture.gameWeek || fixture.gameweek) === Number(gameweek) &&
+        (fixture.homeTeam === pick.teamPicked || fixture.awayTeam === pick.teamPicked)
+    ) || null;
+}
+
+// A win over a team at least upsetRankGap places higher in the table. Unranked teams never count.
+export function isUpsetWin(pick, fixture, rules) {
+    if (!fixture || rules.teamRankings.length === 0) return false;
+
+    const opponent = fixture.homeTeam === pick.teamPicked ? fixture.awayTeam : fixture.homeTeam;
+    const pickedRank = rules.teamRankings.indexOf(pick.teamPicked);
+    const opponentRank = rules.teamRankings.indexOf(opponent);
+
+    return pickedRank !== -1 && opponentRank !== -1 && pickedRank - opponentRank >= rules.upsetRankGap;
+}
+
+/**
+ * What one settled pick does to a player's lives.
+ * @param {Object} pick - Needs result and teamPicked
+ * @param {Object|null} fixture - Needed for away-win and upset bonuses
+ * @param {Object} rules - From resolveResultRules
+ * @returns {{result: string|null, livesLost: number, bonusLives: number, bonuses: Array<string>}}
+ */
+export function evaluatePick(pick, fixture, rules) {
+    const result = normalizePickResult(pick?.result);
+    const evaluation = { result, livesLost: 0, bonusLives: 0, bonuses: [] };
+
+    if (result === 'loss') {
+        evaluation.livesLost = 1;
+    } else if (result === 'draw') {
+        evaluation.livesLost = DRAW_POLICIES[rules.drawPolicy].livesLost;
+    } else if (result === 'win' && fixture) {
+        if (rules.awayWinBonusLives > 0 && fixture.awayTeam === pick.teamPicked) {
+            evaluation.bonusLives += rules.awayWinBonusLives;
+            evaluation.bonuses.push('awayWin');
+        }
+        if (rules.upsetBonusLives > 0 && isUpsetWin(pick, fixture, rules)) {
+            evaluation.bonusLives += rules.upsetBonusLives;
+            evaluation.bonuses.push('upset');
+        }
+    }
+
+    return evaluation;
+}
+
+const addLives = (lives, extra, rules) => {
+    const cap = rules.livesCap === null ? Infinity : rules.livesCap;
+    return Math.max(lives, Math.min(lives + extra, cap));
+};
+
+// Each player's life grants keyed by user ID, from edition users with id (or uid)
+export function getLifeGrantsByUser(users = []) {
+    const grantsByUser = {};
+    users.forEach(user => { grantsByUser[user.id ?? user.uid] = user.lifeGrants || []; });
+    return grantsByUser;
+}
+
+/**
+ * Play a player's picks through the rules in gameweek order. Picks don't count while the
+ * player is out, bonus lives never take them above the cap, and a life grant brings them
+ * back in from its gameweek.
+ * @param {Object} userPicks - Picks keyed by gameweek
+ * @param {Array<Object>} lifeGrants - { gameweek, lives }, see the note at the top
+ * @returns {{lives: number, eliminationGameweek: number|null}}
+ */
+export function calculateLives(userPicks, rules, fixtures = [], lifeGrants = []) {
+    let lives = rules.livesPerPlayer;
+    let eliminationGameweek = null;
+
+    const gameweekOf = (key) => Number(key.toString().replace(/^gw/i, ''));
+    const gameweeks = Object.keys(userPicks || {})
+        .sort((a, b) => gameweekOf(a) - gameweekOf(b));
+    const grants = [...(lifeGrants || [])].sort((a, b) => Number(a.gameweek) - Number(b.gameweek));
+
+    const applyGrantsUpTo = (gameweek) => {
+        while (grants.length > 0 && Number(grants[0].gameweek) <= gameweek) {
+            lives = addLives(lives, Math.max(0, Number(grants.shift().lives) || 0), rules);
+            if (lives > 0) eliminationGameweek = null;
+        }
+    };
+
+    for (const gameweek of gameweeks) {
+        applyGrantsUpTo(gameweekOf(gameweek));
+
+        const pick = userPicks[gameweek];
+        if (!pick || lives <= 0) continue;
+
+        const fixture = findPickFixture(pick, gameweekOf(gameweek), fixtures);
+        const { livesLost, bonusLives } = evaluatePick(pick, fixture, rules);
+
+        lives -= livesLost;
+        if (bonusLives > 0) {
+            lives = addLives(lives, bonusLives, rules);
+        }
+
+        if (lives <= 0) {
+            eliminationGameweek = gameweekOf(gameweek);
+            lives = 0;
+        }
+    }
+
+    // Grants for gameweeks nobody has picked in yet, e.g. a buy-back before the next deadline
+    applyGrantsUpTo(Infinity);
+
+    return { lives, eliminationGameweek };
+}
+
+/**
+ * Lives for every player in an edition. In formats with a rollover, a gameweek that would
+ * knock out every player still standing is voided for them, so they all carry on.
+ * @param {Object} picksByUser - Each player's picks keyed by gameweek, keyed by user ID
+ * @param {Object} format - From resolveEditionFormat
+ * @param {Object} lifeGrantsByUser - From getLifeGrantsByUser
+ * @returns {{players: Object<string, {lives: number, eliminationGameweek: number|null}>, rolloverGameweeks: Array<number>}}
+ */
+export function calculateEditionLives(picksByUser, rules, fixtures = [], format = {}, lifeGrantsByUser = {}) {
+    const userIds = Object.keys(picksByUser || {});
+    const effectivePicks = {};
+    userIds.forEach(userId => { effectivePicks[userId] = { ...picksByUser[userId] }; });
+
+    const calculateAll = () => {
+        const players = {};
+        userIds.forEach(userId => { players[userId] = calculateLives(effectivePicks[userId], rules, fixtures, lifeGrantsByUser[userId]); });
+        return players;
+    };
+
+    let players = calculateAll();
+    const rolloverGameweeks = [];
+
+    while (format.rolloverWhenAllOut) {
+        // The earliest gameweek that took out everyone who went into it
+        const eliminationGameweeks = [...new Set(Object.values(players)
+            .map(player => player.eliminationGameweek)
+            .filter(gameweek => gameweek !== null))]
+            .sort((a, b) => a - b);
+
+        const wipeout = eliminationGameweeks.find(gameweek => {
+            const stillIn = userIds.filter(userId => {
+                const eliminated = players[userId].eliminationGameweek;
+                return eliminated === null || eliminated >= gameweek;
+            });
+            return stillIn.length > 0 && stillIn.every(userId => players[userId].eliminationGameweek === gameweek);
+        });
+        if (wipeout === undefined) break;
+
+        userIds
+            .filter(userId => players[userId].eliminationGameweek === wipeout)
+            .forEach(userId => {
+                Object.keys(effectivePicks[userId])
+                    .filter(key => Number(key.replace(/^gw/i, '')) === wipeout)
+                    .forEach(key => { effectivePicks[userId][key] = null; });
+            });
+
+        rolloverGameweeks.push(wipeout);
+        players = calculateAll();
+    }
+
+    return { players, rolloverGameweeks };
+}
+
+/**
+ * Status and label for showing a pick in a player's history.
+ * @returns {{status: string, score: string}}
+ */
+export function describePickResult(pick, fixture, rules) {
+    // No team at all: the deadline was missed and counted as a loss (see DeadlineEnforcementService)
+    if (!pick.teamPicked && (pick.missedDeadline || normalizePickResult(pick.result) === 'loss')) {
+        return { status: 'loss', score: '⏰ Missed the deadline' };
+    }
+
+    const { result, livesLost, bonusLives } = evaluatePick(pick, fixture, rules);
+
+    switch (result) {
+        case 'win':
+            return { status: 'win', score: bonusLives > 0 ? `✅ Win (+${bonusLives} ${bonusLives === 1 ? 'life' : 'lives'})` : '✅ Win' };
+        case 'loss':
+            return { status: 'loss', score: '❌ Loss' };
+        case 'draw':
+            return { status: 'draw', score: livesLost > 0 ? '⚖️ Draw (life lost)' : '⚖️ Draw (survived)' };
+        default:
+            return { status: 'pending', score: 'Result pending' };
+    }
+}
+
+// Short lines explaining the edition's rules to players, e.g. above the standings
+export function describeResultRules(rules) {
+    const plural = (count) => (count === 1 ? 'life' : 'lives');
+    const lines = [
+        `${rules.livesPerPlayer} ${plural(rules.livesPerPlayer)} each`,
+        DRAW_POLICIES[rules.drawPolicy].label
+    ];
+
+    if (rules.awayWinBonusLives > 0) {
+        lines.push(`+${rules.awayWinBonusLives} ${plural(rules.awayWinBonusLives)} for an away win`);
+    }
+    if (rules.upsetBonusLives > 0) {
+        lines.push(`+${rules.upsetBonusLives} ${plural(rules.upsetBonusLives)} for beating a team ${rules.upsetRankGap}+ places higher`);
+    }
+    if (rules.livesCap !== null) {
+        lines.push(`Max ${rules.livesCap} ${plural(rules.livesCap)}`);
+    }
+
+    return lines;
+}
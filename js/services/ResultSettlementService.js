@@ -0,0 +1,572 @@
+/**
+ * ResultSettlementService - Settles picks from final scores, so results no longer wait for an
+ * admin to press "process gameweek"
+ * The scheduled enforce-deadlines Netlify function settles every enforced gameweek that isn't
+ * settled yet. GameLogicManager also settles as soon as a moderator's browser sees a fixture reach
+ * full time (vidiprinter sync, bulk score updates and imports), which is just a quicker path to the
+ * same result. Only uses the Firestore instance it is given.
+ *
+ * Picks on postponed, abandoned and cancelled fixtures follow the edition's void match policy
+ * (settings.voidMatchPolicy, see VOID_MATCH_POLICIES) in the same settlement, whichever path runs it.
+ *
+ * Settlement always works out the whole edition from scratch and only writes what differs
+ * from what is stored, so running it twice changes nothing and running it after a score
+ * correction puts every result, livesAfterPick and player's lives right. planScoreCorrection
+ * previews who a correction will affect before the admin confirms it.
+ *
+ * Each gameweek's state is kept at clubs/{clubId}/editions/{editionId}/settlements/gw{gameweek}:
+ * {
+ *   gameweek: 3,
+ *   status: 'settled',                 // 'pending' until every fixture is final and every pick has a result
+ *   fixturesTotal: 12,
+ *   fixturesFinal: 12,
+ *   picksSettled: 40,
+ *   picksPending: 0,
+ *   settledAt: timestamp,              // null while pending
+ *   settledBy: 'user123',
+ *   updated_at: timestamp
+ * }
+ */
+import { calculateEditionLives, findPickFixture, getLifeGrantsByUser, normalizePickResult, resolveResultRules } from './ResultRules.js';
+import { resolveEditionFormat } from './EditionFormats.js';
+import { commitInChunks } from './FirestoreBatches.js';
+import { DEFAULT_TIME_ZONE, getFixtureKickoff, resolveTimeZone } from './DeadlineTimes.js';
+
+const COMPLETED_STATUSES = ['completed', 'finished', 'full time', 'full-time', 'ft'];
+const VOID_STATUSES = ['postponed', 'abandoned', 'cancelled'];
+
+const gameweekOf = (record) => Number(record.gameweek ?? record.gameWeek);
+
+const statusOf = (fixture) => {
+    const status = fixture?.status && typeof fixture.status === 'object'
+        ? fixture.status.short || fixture.status.full
+        : fixture?.status;
+    return (status || '').toString().toLowerCase();
+};
+
+// Older fixtures can hold scores as strings
+const toScore = (score) => (score === null || score === undefined || score === '' ? NaN : Number(score));
+const hasScores = (fixture) => Number.isFinite(toScore(fixture?.homeScore)) && Number.isFinite(toScore(fixture?.awayScore));
+
+// Played to full time with a score
+export function isFixtureComplete(fixture) {
+    return COMPLETED_STATUSES.includes(statusOf(fixture)) && hasScores(fixture);
+}
+
+// Postponed, abandoned or cancelled - the match won't produce a result as scheduled
+export function isVoidFixture(fixture) {
+    return VOID_STATUSES.includes(statusOf(fixture));
+}
+
+// Nothing more will happen to this fixture's score for the gameweek
+export function isFixtureFinal(fixture) {
+    return isFixtureComplete(fixture) || isVoidFixture(fixture);
+}
+
+/**
+ * Per-edition policies (settings.voidMatchPolicy) for picks on void matches.
+ * 'repick' and 'carryOver' fall back to settings.voidMatchFallback once they lapse.
+ */
+export const VOID_MATCH_POLICIES = {
+    win: 'Count as a win',
+    loss: 'Count as a loss',
+    repick: 'Let the player re-pick before the cut-off',
+    carryOver: 'Carry over if rearranged inside the gameweek'
+};
+
+// Re-picks close when the last fixture of the gameweek that is still going ahead kicks off
+export function getRepickDeadline(voidFixture, gameweekFixtures, timeZone = DEFAULT_TIME_ZONE) {
+    const kickoffs = gameweekFixtures
+        .filter(fixture => fixture.id !== voidFixture.id && !isVoidFixture(fixture))
+        .map(fixture => getFixtureKickoff(fixture, timeZone))
+        .filter(Boolean);
+
+    if (kickoffs.length === 0) return null;
+    return new Date(Math.max(...kickoffs.map(kickoff => kickoff.getTime())));
+}
+
+/**
+ * Decide what happens to a pick on a void match under the edition's policy.
+ * Returns the fields to store on the pick; result stays null while waiting on a
+ * re-pick or a rearranged fixture.
+ * @param {string} timeZone - The club's, which kick-offs are read in
+ * @returns {Object|null}
+ */
+export function getVoidPickOutcome(pick, fixture, gameweekFixtures, settings = {}, now = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+    const policy = VOID_MATCH_POLICIES[settings.voidMatchPolicy] ? settings.voidMatchPolicy : 'win';
+    const fallback = settings.voidMatchFallback === 'loss' ? 'loss' : 'win';
+
+    switch (policy) {
+        case 'win':
+        case 'loss':
+            return { result: policy, voidOutcome: policy, voidPolicy: policy };
+
+        case 'repick': {
+            const storedDeadline = pick.repickDeadline?.toDate ? pick.repickDeadline.toDate() : pick.repickDeadline;
+            const deadline = storedDeadline ? new Date(storedDeadline) : getRepickDeadline(fixture, gameweekFixtures, timeZone);
+
+            if (deadline && now < deadline) {
+                return { result: null, voidOutcome: 'repick', voidPolicy: policy, repickDeadline: deadline };
+            }
+            return { result: fallback, voidOutcome: fallback, voidPolicy: policy, voidFallbackApplied: true };
+        }
+
+        case 'carryOver': {
+            const restOfGameweekFinal = gameweekFixtures
+                .filter(other => other.id !== fixture.id)
+                .every(isFixtureFinal);
+
+            if (!restOfGameweekFinal) {
+                return { result: null, voidOutcome: 'carryOver', voidPolicy: policy };
+            }
+            return { result: fallback, voidOutcome: fallback, voidPolicy: policy, voidFallbackApplied: true };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * The result a completed fixture gives a pick on one of its teams.
+ * @returns {string|null} win, draw or loss; null if the fixture isn't complete or the team didn't play in it
+ */
+export function getPickResult(fixture, teamPicked) {
+    if (!isFixtureComplete(fixture)) return null;
+
+    const isHome = fixture.homeTeam === teamPicked;
+    if (!isHome && fixture.awayTeam !== teamPicked) return null;
+
+    const [homeScore, awayScore] = [toScore(fixture.homeScore), toScore(fixture.awayScore)];
+    const goalsFor = isHome ? homeScore : awayScore;
+    const goalsAgainst = isHome ? awayScore : homeScore;
+    if (goalsFor > goalsAgainst) return 'win';
+    if (goalsFor < goalsAgainst) return 'loss';
+    return 'draw';
+}
+
+const sameValue = (a, b) => (a ?? null) === (b ?? null);
+
+/**
+ * Work out every write settlement needs for one gameweek.
+ * @param {Object} options
+ * @param {Array<Object>} options.fixtures - Every fixture in the edition, with id
+ * @param {Array<Object>} options.picks - Every pick in the edition, with id
+ * @param {Array<Object>} options.users - Edition users, with id (and any lifeGrants)
+ * @param {Object} options.settings - Edition settings
+ * @param {Object} options.editionData - Edition document (lives_per_player)
+ * @param {number} options.gameweek - The gameweek to settle
+ * @param {Date} options.now - Stored as processedAt on newly settled picks
+ * @param {string} options.timeZone - The club's, for re-pick deadlines on void matches
+ * @returns {{pickUpdates: Array<{id: string, changes: Object}>, userUpdates: Array<{id: string, changes: Object}>, voidOutcomes: Array<Object>, gameweek: Object}}
+ */
+export function planSettlement({ fixtures = [], picks = [], users = [], settings = {}, editionData = {}, gameweek, now = new Date(), timeZone = DEFAULT_TIME_ZONE }) {
+    const rules = resolveResultRules(settings, editionData);
+    const format = resolveEditionFormat(settings, editionData);
+    const pickChanges = new Map();
+    const settledPicks = picks.map(pick => ({ ...pick }));
+
+    const change = (pick, changes) => {
+        pickChanges.set(pick.id, { ...(pickChanges.get(pick.id) || {}), ...changes });
+        Object.assign(pick, changes);
+    };
+
+    const gameweekFixtures = fixtures.filter(fixture => gameweekOf(fixture) === Number(gameweek));
+
+    // Picks on void matches follow the edition's void match policy, one entry per pick for the audit log
+    const voidOutcomes = [];
+    settledPicks
+        .filter(pick => gameweekOf(pick) === Number(gameweek) && pick.teamPicked && !pick.result)
+        .forEach(pick => {
+            const fixture = findPickFixture(pick, gameweek, fixtures);
+            if (!fixture || !isVoidFixture(fixture)) return;
+
+            const outcome = getVoidPickOutcome(pick, fixture, gameweekFixtures, settings, now, timeZone);
+            if (!outcome) return;
+
+            // Still waiting on the same pending outcome - nothing new to record
+            if (!outcome.result && pick.voidOutcome === outcome.voidOutcome) return;
+
+            change(pick, {
+                ...outcome,
+                fixtureId: pick.fixtureId || fixture.id,
+                voidStatus: statusOf(fixture),
+                processedAt: outcome.result ? now : null
+            });
+            voidOutcomes.push({
+                pickId: pick.id,
+                userId: pick.userId,
+                teamPicked: pick.teamPicked,
+                fixtureId: fixture.id,
+                fixture: `${fixture.homeTeam} vs ${fixture.awayTeam}`,
+                fixtureStatus: statusOf(fixture),
+                policy: outcome.voidPolicy,
+                outcome: outcome.voidOutcome,
+                fallbackApplied: !!outcome.voidFallbackApplied
+            });
+        });
+
+    // Results come from the score of every completed fixture - including ones already settled,
+    // so a corrected score replaces the old result
+    settledPicks
+        .filter(pick => gameweekOf(pick) === Number(gameweek) && pick.teamPicked && pick.voidOutcome !== 'repick')
+        .forEach(pick => {
+            const fixture = findPickFixture(pick, gameweek, fixtures);
+            const result = getPickResult(fixture, pick.teamPicked);
+            if (!result) return;
+
+            if (normalizePickResult(pick.result) !== result) {
+                change(pick, { result, processedAt: now });
+            }
+            if (!pick.fixtureId) {
+                change(pick, { fixtureId: fixture.id });
+            }
+        });
+
+    // Lives after each gameweek, played through the edition's rules one gameweek at a time
+    const userIds = users.map(user => user.id);
+    const picksByUser = {};
+    userIds.forEach(userId => { picksByUser[userId] = {}; });
+    settledPicks.forEach(pick => {
+        if (picksByUser[pick.userId]) picksByUser[pick.userId][gameweekOf(pick)] = pick;
+    });
+
+    const lifeGrantsByUser = getLifeGrantsByUser(users);
+    const gameweeks = [...new Set(settledPicks.map(gameweekOf))].filter(Number.isFinite).sort((a, b) => a - b);
+    const livesAfter = {};
+    gameweeks.forEach(week => {
+        const picksSoFar = {};
+        const grantsSoFar = {};
+        userIds.forEach(userId => {
+            grantsSoFar[userId] = lifeGrantsByUser[userId].filter(grant => Number(grant.gameweek) <= week);
+            picksSoFar[userId] = {};
+            Object.entries(picksByUser[userId])
+                .filter(([pickWeek]) => Number(pickWeek) <= week)
+                .forEach(([pickWeek, pick]) => { picksSoFar[userId][pickWeek] = pick; });
+        });
+        livesAfter[week] = calculateEditionLives(picksSoFar, rules, fixtures, format, grantsSoFar).players;
+    });
+
+    settledPicks.forEach(pick => {
+        if (!picksByUser[pick.userId]) return;
+        const livesAfterPick = normalizePickResult(pick.result) ? livesAfter[gameweekOf(pick)][pick.userId].lives : null;
+        if (!sameValue(pick.livesAfterPick, livesAfterPick)) {
+            change(pick, { livesAfterPick });
+        }
+    });
+
+    const finalLives = calculateEditionLives(picksByUser, rules, fixtures, format, lifeGrantsByUser).players;
+    const userUpdates = [];
+    users.forEach(user => {
+        const { lives, eliminationGameweek } = finalLives[user.id];
+        const changes = {};
+        if (!sameValue(user.lives, lives)) changes.lives = lives;
+        if (!sameValue(user.isEliminated, lives <= 0)) changes.isEliminated = lives <= 0;
+        if (!sameValue(user.eliminationGameweek, eliminationGameweek)) changes.eliminationGameweek = eliminationGameweek;
+        if (Object.keys(changes).length > 0) userUpdates.push({ id: user.id, changes });
+    });
+
+    const gameweekPicks = settledPicks.filter(pick => gameweekOf(pick) === Number(gameweek));
+    const fixturesFinal = gameweekFixtures.filter(isFixtureFinal).length;
+    const picksSettled = gameweekPicks.filter(pick => normalizePickResult(pick.result)).length;
+
+    return {
+        pickUpdates: [...pickChanges].map(([id, changes]) => ({ id, changes })),
+        userUpdates,
+        voidOutcomes,
+        gameweek: {
+            gameweek: Number(gameweek),
+            status: gameweekFixtures.length > 0 && fixturesFinal === gameweekFixtures.length && picksSettled === gameweekPicks.length
+                ? 'settled'
+                : 'pending',
+            fixturesTotal: gameweekFixtures.length,
+            fixturesFinal,
+            picksSettled,
+            picksPending: gameweekPicks.length - picksSettled
+        }
+    };
+}
+
+const applyUpdates = (records, updates) => records.map(record => {
+    const update = updates.find(candidate => candidate.id === record.id);
+    return update ? { ...record, ...update.changes } : record;
+});
+
+const scoreOf = (fixture) => ({
+    homeScore: fixture.homeScore ?? null,
+    awayScore: fixture.awayScore ?? null,
+    status: fixture.status ?? null
+});
+
+/**
+ * Work out who a score correction affects before it is saved: every player whose pick result,
+ * lives or elimination differs between settling from the stored score and from the corrected one.
+ * @param {Object} options - As planSettlement, plus:
+ * @param {string} options.fixtureId - The fixture being corrected
+ * @param {Object} options.correction - The new homeScore, awayScore and/or status
+ * @returns {{fixtureId: string, gameweek: number, version: number, before: Object, after: Object, wasSettled: boolean, players: Array<Object>}}
+ */
+export function planScoreCorrection({ fixtures = [], picks = [], users = [], settings = {}, editionData = {}, fixtureId, correction = {}, now = new Date(), timeZone = DEFAULT_TIME_ZONE }) {
+    const fixture = fixtures.find(candidate => candidate.id === fixtureId);
+    if (!fixture) {
+        const error = new Error(`Fixture ${fixtureId} not found`);
+        error.code = 'fixture-not-found';
+        throw error;
+    }
+
+    const gameweek = gameweekOf(fixture);
+    const corrected = { ...fixture, ...correction };
+
+    // Settle both ways, so anything already out of date isn't blamed on the correction
+    const settle = (withFixtures) => {
+        const plan = planSettlement({ fixtures: withFixtures, picks, users, settings, editionData, gameweek, now, timeZone });
+        return { picks: applyUpdates(picks, plan.pickUpdates), users: applyUpdates(users, plan.userUpdates) };
+    };
+    const before = settle(fixtures);
+    const after = settle(fixtures.map(candidate => (candidate.id === fixtureId ? corrected : candidate)));
+
+    const gameweekPick = (settled, userId) => settled.picks.find(pick => pick.userId === userId && gameweekOf(pick) === gameweek);
+
+    const players = users.map((user, index) => {
+        const pickBefore = gameweekPick(before, user.id);
+        const pickAfter = gameweekPick(after, user.id);
+        return {
+            userId: user.id,
+            displayName: user.displayName || null,
+            pickId: pickBefore?.id || null,
+            teamPicked: pickBefore?.teamPicked || null,
+            resultBefore: normalizePickResult(pickBefore?.result),
+            resultAfter: normalizePickResult(pickAfter?.result),
+            livesBefore: before.users[index].lives,
+            livesAfter: after.users[index].lives,
+            eliminatedBefore: before.users[index].isEliminated === true,
+            eliminatedAfter: after.users[index].isEliminated === true
+        };
+    }).filter(player =>
+        player.resultBefore !== player.resultAfter ||
+        player.livesBefore !== player.livesAfter ||
+        player.eliminatedBefore !== player.eliminatedAfter
+    );
+
+    return {
+        fixtureId,
+        gameweek,
+        // Counts the fixture's corrections, so each one notifies its players once
+        version: (Number(fixture.scoreCorrectionVersion) || 0) + 1,
+        homeTeam: fixture.homeTeam,
+        awayTeam: fixture.awayTeam,
+        before: scoreOf(fixture),
+        after: scoreOf(corrected),
+        // Some stored pick already has a result from this fixture
+        wasSettled: picks.some(pick =>
+            gameweekOf(pick) === gameweek && pick.teamPicked && normalizePickResult(pick.result) &&
+            findPickFixture(pick, gameweek, fixtures)?.id === fixtureId
+        ),
+        players
+    };
+}
+
+const formatScore = ({ homeScore, awayScore }) => `${homeScore ?? '-'}-${awayScore ?? '-'}`;
+const formatLives = (count) => `${count} ${count === 1 ? 'life' : 'lives'}`;
+
+/**
+ * The preview an admin confirms before a correction on a settled fixture is saved.
+ * @param {Object} correction - The planScoreCorrection result
+ * @returns {string} One line for the fixture, then one per affected player
+ */
+export function summariseScoreCorrection(correction) {
+    const lines = [
+        `GW${correction.gameweek}: ${correction.homeTeam} ${formatScore(correction.before)} ${correction.awayTeam} → ${formatScore(correction.after)}`
+    ];
+
+    if (correction.players.length === 0) {
+        lines.push('No player\'s result or lives change.');
+        return lines.join('\n');
+    }
+
+    lines.push(`${correction.players.length} ${correction.players.length === 1 ? 'player' : 'players'} affected:`);
+    correction.players.forEach(player => {
+        const changes = [];
+        if (player.resultBefore !== player.resultAfter) changes.push(`${player.resultBefore || 'no result'} → ${player.resultAfter || 'no result'}`);
+        if (player.livesBefore !== player.livesAfter) changes.push(`lives ${player.livesBefore} → ${player.livesAfter}`);
+        if (player.eliminatedAfter && !player.eliminatedBefore) changes.push('eliminated');
+        if (player.eliminatedBefore && !player.eliminatedAfter) changes.push('back in');
+        lines.push(`• ${player.displayName || player.userId}${player.teamPicked ? ` (${player.teamPicked})` : ''}: ${changes.join(', ')}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * What to tell a player about a score correction that affected them.
+ * @param {Object} player - One of planScoreCorrection's players
+ * @param {Object} correction - The planScoreCorrection result
+ * @returns {string}
+ */
+export function describeScoreCorrection(player, correction) {
+    let message = `Score corrected: ${correction.homeTeam} ${formatScore(correction.after)} ${correction.awayTeam} (was ${formatScore(correction.before)}).`;
+    if (player.teamPicked && player.resultBefore !== player.resultAfter) {
+        message += ` Your GW${correction.gameweek} pick ${player.teamPicked} is now a ${player.resultAfter || 'pending result'}.`;
+    }
+
+    if (player.eliminatedAfter && !player.eliminatedBefore) {
+        message += ' You are out of the edition.';
+    } else if (player.eliminatedBefore && !player.eliminatedAfter) {
+        message += ` You are back in with ${formatLives(player.livesAfter)}.`;
+    } else if (player.livesBefore !== player.livesAfter) {
+        message += ` You now have ${formatLives(player.livesAfter)}.`;
+    }
+    return message;
+}
+
+export default class ResultSettlementService {
+    /**
+     * @param {Object} db - Firestore instance (compat or firebase-admin)
+     * @param {Object} options
+     * @param {Function} options.now - Clock, overridable for tests
+     * @param {string} options.runnerId - Who settled, e.g. the admin's user ID
+     * @param {Object} options.notifier - NotificationService told about lost lives and eliminations
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.now = options.now || (() => new Date());
+        this.runnerId = options.runnerId || 'unknown';
+        this.notifier = options.notifier || null;
+    }
+
+    editionRef(clubId, editionId) {
+        return this.db.collection('clubs').doc(clubId)
+            .collection('editions').doc(editionId);
+    }
+
+    // Everything settlement works from
+    async loadEdition(clubId, editionId) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const [clubDoc, editionDoc, settingsDoc, fixturesSnapshot, picksSnapshot, usersSnapshot] = await Promise.all([
+            this.db.collection('clubs').doc(clubId).get(),
+            editionRef.get(),
+            editionRef.collection('settings').doc('current').get(),
+            editionRef.collection('fixtures').get(),
+            editionRef.collection('picks').get(),
+            editionRef.collection('users').get()
+        ]);
+
+        return {
+            fixtures: fixturesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+            picks: picksSnapshot.docs.map(doc => ({ ...doc.data(), id: doc.id })),
+            users: usersSnapshot.docs.map(doc => ({ ...doc.data(), id: doc.id })),
+            settings: settingsDoc.exists ? settingsDoc.data() : {},
+            editionData: editionDoc.exists ? editionDoc.data() : {},
+            timeZone: resolveTimeZone(clubDoc.exists ? clubDoc.data().timeZone : null)
+        };
+    }
+
+    /**
+     * Who a score correction would affect, without saving anything.
+     * @returns {Promise<Object>} See planScoreCorrection
+     */
+    async previewScoreCorrection(clubId, editionId, fixtureId, correction) {
+        const edition = await this.loadEdition(clubId, editionId);
+        return planScoreCorrection({ ...edition, fixtureId, correction, now: this.now() });
+    }
+
+    /**
+     * Settle every gameweek whose deadline has been enforced (see DeadlineEnforcementService) and
+     * that isn't settled yet. Gameweeks from before deadlines were enforced are left alone.
+     * @returns {Promise<Array<Object>>} One settleGameweek summary per gameweek looked at
+     */
+    async settleEnforcedGameweeks(clubId, editionId) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const [locksSnapshot, settlementsSnapshot] = await Promise.all([
+            editionRef.collection('deadline-locks').where('status', '==', 'completed').get(),
+            editionRef.collection('settlements').where('status', '==', 'settled').get()
+        ]);
+
+        const settled = new Set(settlementsSnapshot.docs.map(doc => Number(doc.data().gameweek)));
+        const gameweeks = [...new Set(locksSnapshot.docs.map(doc => Number(doc.data().gameweek)))]
+            .filter(gameweek => gameweek > 0 && !settled.has(gameweek))
+            .sort((a, b) => a - b);
+
+        const results = [];
+        for (const gameweek of gameweeks) {
+            results.push(await this.settleGameweek(clubId, editionId, gameweek));
+        }
+        return results;
+    }
+
+    /**
+     * Settle one gameweek: void match outcomes, results for picks on completed fixtures,
+     * livesAfterPick, players' lives, and the gameweek's settlement record.
+     * @returns {Promise<{clubId: string, editionId: string, gameweek: number, status: string, newlySettled: boolean, picksUpdated: number, usersUpdated: number, voidOutcomes: Array<Object>}>}
+     */
+    async settleGameweek(clubId, editionId, gameweek) {
+        const editionRef = this.editionRef(clubId, editionId);
+        const settlementRef = editionRef.collection('settlements').doc(`gw${gameweek}`);
+
+        const [edition, settlementDoc] = await Promise.all([
+            this.loadEdition(clubId, editionId),
+            settlementRef.get()
+        ]);
+
+        const plan = planSettlement({
+            ...edition,
+            gameweek: Number(gameweek),
+            now: this.now()
+        });
+
+        const now = this.now();
+        await commitInChunks(this.db, [
+            ...plan.pickUpdates.map(update => ({
+                type: 'update',
+                ref: editionRef.collection('picks').doc(update.id),
+                data: { ...update.changes, updated_at: now }
+            })),
+            ...plan.userUpdates.map(update => ({
+                type: 'update',
+                ref: editionRef.collection('users').doc(update.id),
+                data: { ...update.changes, updated_at: now }
+            }))
+        ]);
+
+        const previous = settlementDoc.exists ? settlementDoc.data() : null;
+        const recordChanged = !previous ||
+            ['status', 'fixturesTotal', 'fixturesFinal', 'picksSettled', 'picksPending'].some(key => previous[key] !== plan.gameweek[key]);
+        const newlySettled = plan.gameweek.status === 'settled' && previous?.status !== 'settled';
+
+        if (recordChanged) {
+            await settlementRef.set({
+                ...plan.gameweek,
+                settledAt: plan.gameweek.status === 'settled' ? (newlySettled ? now : previous.settledAt) : null,
+                settledBy: this.runnerId,
+                updated_at: now
+            });
+        }
+
+        if (this.notifier && plan.userUpdates.length > 0) {
+            // Settlement has been saved either way - a missed notice shouldn't fail it
+            try {
+                await this.notifier.queueSettlementNotices(clubId, editionId, Number(gameweek), {
+                    userUpdates: plan.userUpdates,
+                    users: edition.users,
+                    picks: edition.picks,
+                    startingLives: resolveResultRules(edition.settings, edition.editionData).livesPerPlayer
+                });
+            } catch (error) {
+                console.error(`❌ ResultSettlementService: Error queueing notifications for GW${gameweek}:`, error);
+            }
+        }
+
+        if (plan.pickUpdates.length > 0 || plan.userUpdates.length > 0 || newlySettled) {
+            console.log(`✅ ResultSettlementService: GW${gameweek} ${plan.gameweek.status} for ${clubId}/${editionId} - ${plan.pickUpdates.length} picks, ${plan.userUpdates.length} players updated`);
+        }
+
+        return {
+            clubId,
+            editionId,
+            gameweek: Number(gameweek),
+            status: plan.gameweek.status,
+            newlySettled,
+            picksUpdated: plan.pickUpdates.length,
+            usersUpdated: plan.userUpdates.length,
+            voidOutcomes: plan.voidOutcomes
+        };
+    }
+}
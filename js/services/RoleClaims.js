@@ -0,0 +1,130 @@
+/**
+ * RoleClaims - The role model stored in Firebase Auth custom claims
+ * Shared by the manage-roles Netlify function (which sets the claims), the admin managers
+ * (which read them from the ID token) and mirrored by firestore.rules.
+ *
+ * Claims shape:
+ * {
+ *   superAdmin: true,                              // everything, everywhere
+ *   clubAdmin: ['altrincham-fc-juniors'],          // everything within these clubs
+ *   editionModerator: ['altrincham-fc-juniors/2025-26-default'] // fixtures, picks and results in these editions
+ * }
+ */
+
+export const ROLES = {
+    superAdmin: {
+        label: 'Super Admin',
+        scope: 'global'
+    },
+    clubAdmin: {
+        label: 'Club Admin',
+        scope: 'club'
+    },
+    editionModerator: {
+        label: 'Edition Moderator',
+        scope: 'edition'
+    }
+};
+
+export const editionKey = (clubId, editionId) => `${clubId}/${editionId}`;
+
+/**
+ * Read the role claims out of a decoded token, dropping anything unrelated.
+ * A legacy single-club string `clubAdmin` claim is treated as a one-club list.
+ */
+export function normalizeRoleClaims(claims = {}) {
+    const toList = (value) => {
+        if (Array.isArray(value)) return value.filter(Boolean);
+        return value ? [value] : [];
+    };
+
+    return {
+        superAdmin: claims.superAdmin === true,
+        clubAdmin: toList(claims.clubAdmin),
+        editionModerator: toList(claims.editionModerator)
+    };
+}
+
+export function hasAnyRole(claims) {
+    const roles = normalizeRoleClaims(claims);
+    return roles.superAdmin || roles.clubAdmin.length > 0 || roles.editionModerator.length > 0;
+}
+
+export function isClubAdmin(claims, clubId) {
+    const roles = normalizeRoleClaims(claims);
+    return roles.superAdmin || roles.clubAdmin.includes(clubId);
+}
+
+// Club admins moderate every edition in their club
+export function isEditionModerator(claims, clubId, editionId) {
+    const roles = normalizeRoleClaims(claims);
+    return isClubAdmin(roles, clubId) || roles.editionModerator.includes(editionKey(clubId, editionId));
+}
+
+/**
+ * Check a requested role change is well formed.
+ * @returns {string|null} An error message, or null when valid
+ */
+export function validateRoleChange({ role, clubId, editionId, action }) {
+    if (!ROLES[role]) return `Unknown role: ${role}`;
+    if (action !== 'grant' && action !== 'revoke') return `Unknown action: ${action}`;
+    if (ROLES[role].scope !== 'global' && !clubId) return `${ROLES[role].label} needs a club`;
+    if (ROLES[role].scope === 'edition' && !editionId) return `${ROLES[role].label} needs an edition`;
+    return null;
+}
+
+// Super admins manage every role; club admins can only appoint moderators within their own club
+export function canManageRole(callerClaims, { role, clubId }) {
+    const roles = normalizeRoleClaims(callerClaims);
+    if (roles.superAdmin) return true;
+    return role === 'editionModerator' && roles.clubAdmin.includes(clubId);
+}
+
+/**
+ * The very first super admin: before anyone holds the role, a verified email listed in
+ * SUPER_ADMIN_EMAILS may make itself - and only itself - super admin.
+ * @param {Object} caller - The caller's decoded ID token
+ * @param {Object} change - The requested role change
+ * @param {Object} options
+ * @param {string} options.targetUid - Who the role would be granted to
+ * @param {Array<string>} options.bootstrapEmails - Lower-case emails allowed to bootstrap
+ * @param {boolean} options.superAdminExists - Whether any user already has the superAdmin claim
+ */
+export function isBootstrapGrant(caller, { role, action }, { targetUid, bootstrapEmails = [], superAdminExists = true }) {
+    return role === 'superAdmin' &&
+        action === 'grant' &&
+        !superAdminExists &&
+        !!caller.uid && targetUid === caller.uid &&
+        caller.email_verified === true &&
+        bootstrapEmails.includes((caller.email || '').toLowerCase());
+}
+
+/**
+ * Apply a grant or revoke to a user's existing claims, keeping any unrelated claims.
+ * @returns {Object} The full claims object to set on the user
+ */
+export function applyRoleChange(claims = {}, { role, clubId, editionId, action }) {
+    const roles = normalizeRoleClaims(claims);
+    const updated = { ...claims, clubAdmin: roles.clubAdmin, editionModerator: roles.editionModerator };
+    const grant = action === 'grant';
+
+    const updateList = (list, value) => {
+        const withoutValue = list.filter(item => item !== value);
+        return grant ? [...withoutValue, value] : withoutValue;
+    };
+
+    if (role === 'superAdmin') {
+        updated.superAdmin = grant;
+    } else if (role === 'clubAdmin') {
+        updated.clubAdmin = updateList(roles.clubAdmin, clubId);
+    } else if (role === 'editionModerator') {
+        updated.editionModerator = updateList(roles.editionModerator, editionKey(clubId, editionId));
+    }
+
+    // Keep tokens small - drop empty roles entirely
+    if (!updated.superAdmin) delete updated.superAdmin;
+    if (updated.clubAdmin?.length === 0) delete updated.clubAdmin;
+    if (updated.editionModerator?.length === 0) delete updated.editionModerator;
+
+    return updated;
+}
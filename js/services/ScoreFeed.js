@@ -0,0 +1,207 @@
+/**
+ * ScoreFeed - One interface over every score provider, with priority-ordered failover
+ * Each provider is an adapter (see ScoreFeedAdapters.js) that fetches its own response
+ * shape and parses it into normalised fixtures:
+ * {
+ *   provider: 'footballWebPages',
+ *   providerMatchId: '4519',            // null when the provider has no match ID
+ *   homeTeam: 'Altrincham',
+ *   awayTeam: 'Aldershot Town',
+ *   homeScore: 3,                       // null until the match has a score
+ *   awayScore: 2,
+ *   status: 'completed',                // see FIXTURE_STATUSES
+ *   date: '2025-08-09',                 // null when unknown
+ *   kickOffTime: '15:00',
+ *   venue: null,
+ *   minute: null                        // live matches only, when the provider gives it
+ * }
+ *
+ * Adapters signal problems by throwing errors with a `code` (see feedError) so the feed
+ * can tell a rate limit, which benches the provider for a while, from any other failure.
+ */
+
+export const FIXTURE_STATUSES = ['scheduled', 'live', 'half-time', 'completed', 'postponed', 'abandoned', 'cancelled'];
+
+const STATUS_ALIASES = {
+    completed: ['ft', 'full-time', 'full time', 'fulltime', 'finished', 'final', 'completed', 'result', 'aet', 'pen', 'pens', 'after extra time'],
+    'half-time': ['ht', 'half-time', 'half time', 'halftime'],
+    live: ['live', 'in play', 'in-play', 'playing', 'ongoing', 'kick-off', 'kick off', '1h', '2h', 'first half', 'second half', 'second-half', 'et', 'extra time'],
+    postponed: ['p', 'pp', 'postponed', 'post.', 'pst'],
+    abandoned: ['abandoned', 'abd', 'aban.'],
+    cancelled: ['cancelled', 'canceled', 'canc', 'void'],
+    scheduled: ['ns', 'not started', 'scheduled', 'fixture', 'tbd', 'tba', 'preview', 'upcoming']
+};
+
+/**
+ * Build an error the feed understands.
+ * Codes: 'rate-limited', 'unavailable', 'bad-response', 'unsupported', 'all-failed'
+ */
+export function feedError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+}
+
+/**
+ * Fetch JSON from a provider, turning HTTP failures into feed errors.
+ * A 429 becomes 'rate-limited', with Retry-After (seconds) as retryAfterMs when sent.
+ */
+export async function fetchJson(url, options = {}) {
+    const response = await fetch(url, { method: 'GET', ...options });
+
+    if (response.status === 429) {
+        const retryAfter = Number(response.headers?.get?.('Retry-After'));
+        throw feedError('rate-limited', `Rate limited by ${new URL(url, 'http://localhost').hostname}`, {
+            retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+        });
+    }
+
+    if (!response.ok) {
+        throw feedError('unavailable', `Request failed: ${response.status} ${response.statusText}`);
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw feedError('bad-response', `Response was not JSON: ${error.message}`);
+    }
+}
+
+// Map any provider's status (string, or { short, full }) onto FIXTURE_STATUSES
+export function normaliseStatus(rawStatus, fallback = 'scheduled') {
+    const candidates = rawStatus && typeof rawStatus === 'object'
+        ? [rawStatus.short, rawStatus.full, rawStatus.long]
+        : [rawStatus];
+
+    for (const candidate of candidates) {
+        if (candidate === null || candidate === undefined) continue;
+        const value = candidate.toString().trim().toLowerCase();
+        if (!value) continue;
+
+        // A bare minute ("67'" or "45+2") means the match is in play
+        if (/^\d+(\+\d+)?'?$/.test(value)) return 'live';
+
+        const status = Object.keys(STATUS_ALIASES).find(key => STATUS_ALIASES[key].includes(value));
+        if (status) return status;
+    }
+
+    return fallback;
+}
+
+export function normaliseScore(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const score = Number(value);
+    return Number.isInteger(score) && score >= 0 ? score : null;
+}
+
+export function normaliseTime(value) {
+    const match = (value || '').toString().match(/(\d{1,2}):(\d{2})\s*(am|pm)?/i);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    if (match[3]?.toLowerCase() === 'pm' && hours < 12) hours += 12;
+    if (match[3]?.toLowerCase() === 'am' && hours === 12) hours = 0;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+// Relative or year-less dates ("Today", "Sat 9 Aug") are left unknown rather than guessed
+export function normaliseDate(value) {
+    if (!value) return null;
+    const isoDate = value.toString().match(/^(\d{4}-\d{2}-\d{2})/);
+    if (isoDate) return isoDate[1];
+    if (!/\d{4}/.test(value.toString())) return null;
+
+    const parsed = new Date(value);
+    if (isNaN(parsed.getTime())) return null;
+    return `${parsed.getFullYear()}-${String(parsed.getMonth() + 1).padStart(2, '0')}-${String(parsed.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Fill in the normalised schema, so adapters only have to map what their provider sends.
+ * A fixture with scores but no status is taken to be finished.
+ */
+export function createNormalisedFixture(provider, fields) {
+    const homeScore = normaliseScore(fields.homeScore);
+    const awayScore = normaliseScore(fields.awayScore);
+    const hasScores = homeScore !== null && awayScore !== null;
+
+    return {
+        provider: provider,
+        providerMatchId: fields.providerMatchId !== null && fields.providerMatchId !== undefined ? String(fields.providerMatchId) : null,
+        homeTeam: (fields.homeTeam || '').toString().trim(),
+        awayTeam: (fields.awayTeam || '').toString().trim(),
+        homeScore: homeScore,
+        awayScore: awayScore,
+        status: normaliseStatus(fields.status, hasScores ? 'completed' : 'scheduled'),
+        date: normaliseDate(fields.date),
+        kickOffTime: normaliseTime(fields.kickOffTime),
+        venue: fields.venue || null,
+        minute: normaliseScore(fields.minute)
+    };
+}
+
+export default class ScoreFeed {
+    /**
+     * @param {Array<Object>} adapters - In priority order, each { id, label, fetch(query, context), parse(raw, query) }
+     * @param {Object} options
+     * @param {Object} options.context - Passed to every adapter's fetch (transport, keys, services)
+     * @param {Function} options.now - Clock, overridable for tests
+     * @param {number} options.rateLimitCooldownMs - How long a rate-limited provider is skipped
+     */
+    constructor(adapters, options = {}) {
+        this.adapters = adapters;
+        this.context = options.context || {};
+        this.now = options.now || (() => new Date());
+        this.rateLimitCooldownMs = options.rateLimitCooldownMs || 5 * 60 * 1000;
+        this.benchedUntil = {};
+    }
+
+    isBenched(providerId) {
+        return this.benchedUntil[providerId] && this.now().getTime() < this.benchedUntil[providerId];
+    }
+
+    /**
+     * Ask each provider in turn until one answers with fixtures. A provider that answers
+     * with none is only used if nobody else has any either.
+     * @param {{from: string, to: string, competition: string|number, season: string}} query
+     * @returns {Promise<{provider: string, fixtures: Array<Object>, errors: Array<Object>}>}
+     */
+    async fetchFixtures(query) {
+        const errors = [];
+        let emptyAnswer = null;
+
+        for (const adapter of this.adapters) {
+            if (this.isBenched(adapter.id)) {
+                errors.push({ provider: adapter.id, code: 'rate-limited', message: 'Skipped while rate limited' });
+                continue;
+            }
+
+            try {
+                const raw = await adapter.fetch(query, this.context);
+                const fixtures = adapter.parse(raw, query)
+                    .filter(fixture => fixture.homeTeam && fixture.awayTeam);
+
+                if (fixtures.length > 0) {
+                    console.log(`✅ ScoreFeed: ${fixtures.length} fixtures from ${adapter.id}`);
+                    return { provider: adapter.id, fixtures, errors };
+                }
+
+                console.log(`ℹ️ ScoreFeed: ${adapter.id} returned no fixtures, trying the next provider`);
+                if (!emptyAnswer) emptyAnswer = { provider: adapter.id, fixtures: [], errors };
+            } catch (error) {
+                const code = error.code || 'unavailable';
+                if (code === 'rate-limited') {
+                    this.benchedUntil[adapter.id] = this.now().getTime() + (error.retryAfterMs || this.rateLimitCooldownMs);
+                }
+
+                console.warn(`⚠️ ScoreFeed: ${adapter.id} failed (${code}):`, error.message);
+                errors.push({ provider: adapter.id, code, message: error.message });
+            }
+        }
+
+        if (emptyAnswer) return emptyAnswer;
+
+        throw feedError('all-failed', `Every score provider failed: ${errors.map(error => `${error.provider} (${error.code})`).join(', ')}`, { errors });
+    }
+}
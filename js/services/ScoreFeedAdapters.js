@@ -0,0 +1,249 @@
+/**
+ * ScoreFeedAdapters - Registry of score providers, tried in the order set by
+ * global-settings/system.scoreFeedPriority (see DEFAULT_SCORE_FEED_PRIORITY)
+ *
+ * Every adapter's fetch receives the query and the feed's context:
+ * query:   { from: '2025-08-09', to: '2025-08-09', competition: 5, season: '2025-26', search: 'National League results' }
+ * context: {
+ *   fetchJson,                         // transport, see ScoreFeed.fetchJson
+ *   useNetlifyFunctions: true,         // false in local development, where providers are called directly
+ *   keys: { rapidApi, footballWebPages, serpApi },
+ *   googleSearchService                // window.googleSearchService in the browser
+ * }
+ * and parse turns whatever fetch returned into normalised fixtures (see ScoreFeed.js).
+ */
+import ScoreFeed, { createNormalisedFixture, feedError, fetchJson } from './ScoreFeed.js';
+
+const teamName = (team) => (typeof team === 'string' ? team : team?.name || team?.title || team?.shortName || '');
+
+const queryString = (params) => Object.entries(params)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+
+const requireKey = (key, provider) => {
+    if (!key) throw feedError('unsupported', `No API key configured for ${provider}`);
+    return key;
+};
+
+async function fetchFootballWebPages(query, context) {
+    const params = queryString({ from: query.from, to: query.to, comp: query.competition, season: query.season });
+
+    if (context.useNetlifyFunctions) {
+        return context.fetchJson(`/.netlify/functions/fetch-scores?${params}`, {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    return context.fetchJson(`https://football-web-pages1.p.rapidapi.com/fixtures-results.json?${params}`, {
+        headers: {
+            'X-RapidAPI-Key': requireKey(context.keys?.rapidApi, 'Football Web Pages'),
+            'X-RapidAPI-Host': 'football-web-pages1.p.rapidapi.com'
+        }
+    });
+}
+
+// Accepts the provider's own response, or fetch-scores' response which carries it as rawResponse
+function parseFootballWebPages(raw) {
+    const source = raw?.rawResponse || raw;
+    const matches = source?.['fixtures-results']?.matches;
+
+    if (!Array.isArray(matches)) {
+        if (Array.isArray(raw?.fixtures)) {
+            return raw.fixtures.map(fixture => createNormalisedFixture('footballWebPages', fixture));
+        }
+        throw feedError('bad-response', 'Football Web Pages response has no fixtures-results');
+    }
+
+    return matches.map(match => {
+        const home = match['home-team'] || match.home;
+        const away = match['away-team'] || match.away;
+
+        return createNormalisedFixture('footballWebPages', {
+            providerMatchId: match.id,
+            homeTeam: teamName(home),
+            awayTeam: teamName(away),
+            homeScore: home?.score ?? match['home-score'] ?? match.homeScore,
+            awayScore: away?.score ?? match['away-score'] ?? match.awayScore,
+            status: match.status,
+            date: match.date,
+            kickOffTime: match.time,
+            venue: match.venue,
+            minute: match.minute
+        });
+    });
+}
+
+async function fetchVidiprinter(query, context) {
+    const params = queryString({ comp: query.competition, team: 0, date: query.date || query.from });
+
+    if (context.useNetlifyFunctions) {
+        return context.fetchJson(`/.netlify/functions/fetch-vidiprinter?${params}`, {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    return context.fetchJson(`https://api.footballwebpages.co.uk/v2/vidiprinter.json?${params}`, {
+        headers: { 'FWP-API-Key': requireKey(context.keys?.footballWebPages, 'the vidiprinter') }
+    });
+}
+
+const VIDIPRINTER_EVENT_STATUSES = {
+    'Full-time': 'completed',
+    'Half-time': 'half-time',
+    'Kick-off': 'live',
+    'Goals': 'live'
+};
+
+/**
+ * Replay vidiprinter events oldest first into each match's latest state.
+ * A match never goes back from completed, whatever order the events arrive in.
+ */
+function parseVidiprinter(raw) {
+    const events = raw?.vidiprinter?.events || raw?.events || (Array.isArray(raw) ? raw : null);
+    if (!Array.isArray(events)) {
+        throw feedError('bad-response', 'Vidiprinter response has no events');
+    }
+
+    const eventTime = (event) => Date.parse(event['date/time']) || 0;
+    const matches = new Map();
+
+    [...events]
+        .sort((a, b) => eventTime(a) - eventTime(b))
+        .forEach(event => {
+            const status = VIDIPRINTER_EVENT_STATUSES[event.type];
+            const home = event.match?.['home-team'];
+            const away = event.match?.['away-team'];
+            if (!status || !home || !away) return;
+
+            const key = `${teamName(home)}|${teamName(away)}`.toLowerCase();
+            const previous = matches.get(key);
+
+            matches.set(key, createNormalisedFixture('vidiprinter', {
+                providerMatchId: event.match.id,
+                homeTeam: teamName(home),
+                awayTeam: teamName(away),
+                homeScore: home.score,
+                awayScore: away.score,
+                status: previous?.status === 'completed' ? 'completed' : status,
+                date: event['date/time'],
+                kickOffTime: previous?.kickOffTime || (event.type === 'Kick-off' ? event['date/time'] : null)
+            }));
+        });
+
+    return [...matches.values()];
+}
+
+async function fetchSerpApi(query, context) {
+    const params = queryString({
+        engine: 'google',
+        q: query.search || 'National League results',
+        hl: 'en',
+        gl: 'uk',
+        api_key: requireKey(context.keys?.serpApi, 'SerpApi')
+    });
+
+    const response = await context.fetchJson(`https://serpapi.com/search.json?${params}`);
+    if (response?.error) {
+        throw feedError('unavailable', `SerpApi: ${response.error}`);
+    }
+    return response;
+}
+
+function parseSerpApi(raw) {
+    const games = raw?.sports_results?.games;
+    if (!Array.isArray(games)) {
+        throw feedError('bad-response', 'SerpApi response has no sports results');
+    }
+
+    return games
+        .filter(game => Array.isArray(game.teams) && game.teams.length >= 2)
+        .map(game => createNormalisedFixture('serpApi', {
+            homeTeam: teamName(game.teams[0]),
+            awayTeam: teamName(game.teams[1]),
+            homeScore: game.teams[0].score,
+            awayScore: game.teams[1].score,
+            status: game.status,
+            date: game.date,
+            kickOffTime: game.time,
+            venue: game.stadium
+        }));
+}
+
+async function fetchGoogleSearch(query, context) {
+    if (!context.googleSearchService) {
+        throw feedError('unsupported', 'Google search service is not loaded');
+    }
+
+    const result = await context.googleSearchService.searchFixtures(query.search || 'National League fixtures results');
+    if (!result?.success) {
+        throw feedError('unavailable', `Google search failed: ${result?.error || 'no result'}`);
+    }
+    return result;
+}
+
+function parseGoogleSearch(raw) {
+    const fixtures = raw?.extractedData?.fixtures;
+    if (!Array.isArray(fixtures)) {
+        throw feedError('bad-response', 'Google search result has no fixtures');
+    }
+
+    return fixtures.map(fixture => createNormalisedFixture('googleSearch', {
+        homeTeam: fixture.homeTeam,
+        awayTeam: fixture.awayTeam,
+        homeScore: fixture.homeScore,
+        awayScore: fixture.awayScore,
+        status: fixture.status,
+        date: fixture.date,
+        kickOffTime: fixture.time,
+        minute: fixture.minute
+    }));
+}
+
+export const SCORE_FEED_ADAPTERS = {
+    footballWebPages: {
+        id: 'footballWebPages',
+        label: 'Football Web Pages fixtures and results',
+        fetch: fetchFootballWebPages,
+        parse: parseFootballWebPages
+    },
+    vidiprinter: {
+        id: 'vidiprinter',
+        label: 'Football Web Pages vidiprinter',
+        fetch: fetchVidiprinter,
+        parse: parseVidiprinter
+    },
+    serpApi: {
+        id: 'serpApi',
+        label: 'SerpApi Google sports results',
+        fetch: fetchSerpApi,
+        parse: parseSerpApi
+    },
+    googleSearch: {
+        id: 'googleSearch',
+        label: 'Google search results',
+        fetch: fetchGoogleSearch,
+        parse: parseGoogleSearch
+    }
+};
+
+export const DEFAULT_SCORE_FEED_PRIORITY = ['footballWebPages', 'vidiprinter', 'serpApi', 'googleSearch'];
+
+// Unknown provider IDs are dropped; an empty or missing list means the default order
+export function resolveScoreFeedPriority(priority) {
+    const known = (Array.isArray(priority) ? priority : []).filter(id => SCORE_FEED_ADAPTERS[id]);
+    return known.length > 0 ? [...new Set(known)] : DEFAULT_SCORE_FEED_PRIORITY;
+}
+
+/**
+ * Build a feed over the registered adapters in priority order.
+ * @param {Array<string>} priority - Provider IDs, e.g. from global-settings/system.scoreFeedPriority
+ * @param {Object} options - ScoreFeed options; options.context is completed with the default transport
+ */
+export function createScoreFeed(priority, options = {}) {
+    const adapters = resolveScoreFeedPriority(priority).map(id => SCORE_FEED_ADAPTERS[id]);
+
+    return new ScoreFeed(adapters, {
+        ...options,
+        context: { fetchJson, useNetlifyFunctions: true, keys: {}, ...options.context }
+    });
+}
@@ -153,6 +153,12 @@ class TeamBadgeService {
         try {
             // Loading badge for team
 
+            // Badges stored on the team registry win over everything else
+            const registryBadge = this.getRegistryBadge(teamName);
+            if (registryBadge) {
+                return registryBadge;
+            }
+
             // First, try to get from local badge service
             if (window.getLocalTeamBadge) {
                 const localBadge = window.getLocalTeamBadge(teamName, size);
@@ -175,9 +181,13 @@ class TeamBadgeService {
             // If not found locally, try API (fallback)
             console.log(`🔍 TeamBadgeService: No local badge found for ${teamName}, trying API...`);
 
+            // Search TheSportsDB by the name it knows the team by
+            const teamId = window.teamRegistry?.resolveTeamId(teamName);
+            const searchName = (teamId && window.teamRegistry.registry.getProviderName(teamId, 'theSportsDB')) || teamName;
+
             const url = this.isLocalDevelopment ?
-                `${this.directApiUrl}/searchteams.php?t=${encodeURIComponent(teamName)}` :
-                `${this.netlifyFunctionUrl}?teamName=${encodeURIComponent(teamName)}&size=${size}`;
+                `${this.directApiUrl}/searchteams.php?t=${encodeURIComponent(searchName)}` :
+                `${this.netlifyFunctionUrl}?teamName=${encodeURIComponent(searchName)}&size=${size}`;
 
             const response = await fetch(url);
 
@@ -237,6 +247,15 @@ class TeamBadgeService {
         }
     }
 
+    /**
+     * Get a team's badge from the team registry
+     * @param {string} teamName - The name of the team, or its registry ID
+     * @returns {string|null} - Badge URL or null if the registry has none
+     */
+    getRegistryBadge(teamName) {
+        return window.teamRegistry?.getBadgeUrl(teamName) || null;
+    }
+
     /**
      * Get badges for multiple teams at once
      * @param {string[]} teamNames - Array of team names
@@ -313,10 +332,10 @@ class TeamBadgeService {
      * @returns {string} - HTML string for team with badge
      */
     createTeamWithBadgeHTML(teamName, size = 'small', additionalClasses = '') {
-        let badgeUrl = null;
+        let badgeUrl = this.getRegistryBadge(teamName);
 
-        // First try local badge service (fastest)
-        if (window.getLocalTeamBadge) {
+        // Then try local badge service (fastest)
+        if (!badgeUrl && window.getLocalTeamBadge) {
             badgeUrl = window.getLocalTeamBadge(teamName, size);
         }
 
@@ -347,10 +366,10 @@ class TeamBadgeService {
      */
     // ... (methods)
     createTeamBadgeHTML(teamName, size = 'small', additionalClasses = '') {
-        let badgeUrl = null;
+        let badgeUrl = this.getRegistryBadge(teamName);
 
-        // First try local badge service (fastest)
-        if (window.getLocalTeamBadge) {
+        // Then try local badge service (fastest)
+        if (!badgeUrl && window.getLocalTeamBadge) {
             badgeUrl = window.getLocalTeamBadge(teamName, size);
         }
 
@@ -0,0 +1,291 @@
+/**
+ * TeamRegistry - Canonical team identities, so fixtures, picks and badges can refer to a team
+ * by a stable ID however each provider spells its name
+ * Shared by TeamRegistryService (browser), ScoresManager (matching score feeds to fixtures),
+ * TeamBadgeService and the team ID backfill.
+ *
+ * Teams are stored at /teams/{teamId}:
+ * {
+ *   teamId: 'boston-united',
+ *   name: 'Boston United',
+ *   aliases: {                         // names each provider uses, see TEAM_ALIAS_PROVIDERS
+ *     footballWebPages: ['Boston United'],
+ *     theSportsDB: ['Boston United FC'],
+ *     serpApi: ['Boston Utd']
+ *   },
+ *   competitions: ['5'],               // Football Web Pages competition IDs the team plays in
+ *   badgeUrl: 'https://...',           // null until known
+ *   mergedInto: null                   // set when an admin merges this team into another
+ * }
+ *
+ * Names are only ever matched whole (after normalising case, punctuation and a trailing
+ * "FC"/"AFC"), never by substring, so "Boston United" and "Boston Town" stay apart.
+ */
+
+export const TEAM_ALIAS_PROVIDERS = {
+    footballWebPages: 'Football Web Pages',
+    theSportsDB: 'TheSportsDB',
+    serpApi: 'SerpApi',
+    manual: 'Other names'
+};
+
+// Score feed providers that share another provider's team names
+const PROVIDER_ALIAS_SOURCES = {
+    vidiprinter: 'footballWebPages',
+    googleSearch: 'serpApi'
+};
+
+export function normaliseTeamName(name) {
+    return (name || '').toString()
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/^(a?fc )|( a?fc)$/g, '')
+        .trim();
+}
+
+// URL-safe ID from a name, made unique against the IDs already taken
+export function createTeamId(name, existingIds = []) {
+    const base = normaliseTeamName(name).replace(/ /g, '-') || 'team';
+    const taken = new Set(existingIds);
+    let teamId = base;
+    for (let suffix = 2; taken.has(teamId); suffix++) {
+        teamId = `${base}-${suffix}`;
+    }
+    return teamId;
+}
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// "utd" abbreviates "united": same first letter, and its letters appear in order
+const abbreviates = (short, long) => {
+    if (!short || short[0] !== long[0]) return false;
+    let position = 0;
+    for (const letter of long) {
+        if (letter === short[position]) position++;
+    }
+    return position === short.length;
+};
+
+export default class TeamRegistry {
+    /**
+     * @param {Array<Object>} teams - Team documents (with teamId), merged teams included
+     */
+    constructor(teams = []) {
+        this.teams = new Map();
+        this.namesByProvider = {};
+        this.names = new Map();
+        this.ambiguousNames = new Set();
+
+        teams.forEach(team => this.teams.set(team.teamId, team));
+        this.teams.forEach(team => this.indexTeam(team));
+    }
+
+    indexTeam(team) {
+        const canonicalId = this.getCanonicalId(team.teamId);
+
+        const indexName = (name, index, ambiguous) => {
+            const key = normaliseTeamName(name);
+            if (!key) return;
+            if (index.has(key) && index.get(key) !== canonicalId) {
+                ambiguous?.add(key);
+                return;
+            }
+            index.set(key, canonicalId);
+        };
+
+        indexName(team.name, this.names, this.ambiguousNames);
+        Object.entries(team.aliases || {}).forEach(([provider, aliases]) => {
+            if (!this.namesByProvider[provider]) this.namesByProvider[provider] = new Map();
+            (aliases || []).forEach(alias => {
+                indexName(alias, this.namesByProvider[provider]);
+                indexName(alias, this.names, this.ambiguousNames);
+            });
+        });
+    }
+
+    // Follow merges to the team that is still in use
+    getCanonicalId(teamId) {
+        const seen = new Set();
+        let current = teamId;
+        while (this.teams.get(current)?.mergedInto && !seen.has(current)) {
+            seen.add(current);
+            current = this.teams.get(current).mergedInto;
+        }
+        return this.teams.has(current) ? current : null;
+    }
+
+    getTeam(teamId) {
+        const canonicalId = this.getCanonicalId(teamId);
+        return canonicalId ? this.teams.get(canonicalId) : null;
+    }
+
+    /**
+     * The team a provider's name refers to. The provider's own aliases win; otherwise any name
+     * or alias will do, unless two different teams use it.
+     * @param {string} name - Team name as the provider spells it
+     * @param {string} provider - e.g. 'footballWebPages', or a score feed provider ID
+     * @returns {string|null} Canonical team ID
+     */
+    resolve(name, provider = null) {
+        const key = normaliseTeamName(name);
+        if (!key) return null;
+
+        const aliasProvider = PROVIDER_ALIAS_SOURCES[provider] || provider;
+        const providerMatch = this.namesByProvider[aliasProvider]?.get(key);
+        if (providerMatch) return providerMatch;
+
+        if (this.ambiguousNames.has(key)) return null;
+        return this.names.get(key) || null;
+    }
+
+    // Used by more than one team, so only a provider's own alias can resolve it
+    isAmbiguous(name) {
+        return this.ambiguousNames.has(normaliseTeamName(name));
+    }
+
+    getName(teamId) {
+        return this.getTeam(teamId)?.name || null;
+    }
+
+    // The name a provider knows the team by, for looking it up there
+    getProviderName(teamId, provider) {
+        const team = this.getTeam(teamId);
+        return team?.aliases?.[provider]?.[0] || team?.name || null;
+    }
+
+    getBadgeUrl(teamId) {
+        return this.getTeam(teamId)?.badgeUrl || null;
+    }
+
+    getActiveTeams() {
+        return [...this.teams.values()]
+            .filter(team => !team.mergedInto)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getTeamsInCompetition(competitionId) {
+        return this.getActiveTeams().filter(team => (team.competitions || []).map(String).includes(String(competitionId)));
+    }
+
+    /**
+     * Pairs of teams that might be the same club, for an admin to confirm: the same name once
+     * normalised, or the same words with some abbreviated ("Boston Utd" / "Boston United").
+     * Only a suggestion - merging is always an admin's decision.
+     */
+    findDuplicateCandidates() {
+        const teams = this.getActiveTeams();
+        const words = (team) => normaliseTeamName(team.name).split(' ');
+        const candidates = [];
+
+        for (let i = 0; i < teams.length; i++) {
+            for (let j = i + 1; j < teams.length; j++) {
+                const [a, b] = [words(teams[i]), words(teams[j])];
+                const sameName = a.join(' ') === b.join(' ');
+                const abbreviated = a[0] === b[0] && a.length === b.length &&
+                    a.every((word, index) => abbreviates(word, b[index]) || abbreviates(b[index], word));
+
+                if (sameName || abbreviated) {
+                    candidates.push({ teamIds: [teams[i].teamId, teams[j].teamId], reason: sameName ? 'sameName' : 'abbreviation' });
+                }
+            }
+        }
+
+        return candidates;
+    }
+}
+
+/**
+ * Writes that merge one team into another: the target takes on every name, competition and
+ * (if it has none) the badge of the source, and the source points at the target from then on.
+ * @returns {{target: Object, source: Object}} Field updates for each team document
+ */
+export function planTeamMerge(registry, sourceId, targetId) {
+    const source = registry.teams.get(sourceId);
+    const target = registry.getTeam(targetId);
+
+    if (!source || !target) {
+        throw new Error('Both teams must exist to merge them');
+    }
+    if (registry.getCanonicalId(sourceId) === target.teamId) {
+        throw new Error(`${source.name} is already merged into ${target.name}`);
+    }
+
+    const aliases = {};
+    [...new Set([...Object.keys(target.aliases || {}), ...Object.keys(source.aliases || {})])].forEach(provider => {
+        aliases[provider] = unique([...(target.aliases?.[provider] || []), ...(source.aliases?.[provider] || [])]);
+    });
+    // The source's own name keeps resolving to the merged team
+    aliases.manual = unique([...(aliases.manual || []), source.name]);
+
+    return {
+        target: {
+            aliases,
+            competitions: unique([...(target.competitions || []), ...(source.competitions || [])].map(String)),
+            badgeUrl: target.badgeUrl || source.badgeUrl || null
+        },
+        source: {
+            mergedInto: target.teamId
+        }
+    };
+}
+
+/**
+ * Find the stored fixture a provider's fixture is about, by team ID.
+ * Fixtures without team IDs yet are resolved by name through the registry.
+ * @returns {number} Index into fixtures, or -1
+ */
+export function findMatchingFixture(registry, fixtures, homeTeam, awayTeam, provider = null) {
+    const homeId = registry.resolve(homeTeam, provider);
+    const awayId = registry.resolve(awayTeam, provider);
+
+    return fixtures.findIndex(fixture => {
+        const fixtureHomeId = registry.getCanonicalId(fixture.homeTeamId) || registry.resolve(fixture.homeTeam);
+        const fixtureAwayId = registry.getCanonicalId(fixture.awayTeamId) || registry.resolve(fixture.awayTeam);
+
+        if (homeId && awayId && fixtureHomeId && fixtureAwayId) {
+            return fixtureHomeId === homeId && fixtureAwayId === awayId;
+        }
+
+        // Teams the registry doesn't know yet can only match on the whole name
+        return normaliseTeamName(fixture.homeTeam) === normaliseTeamName(homeTeam) &&
+            normaliseTeamName(fixture.awayTeam) === normaliseTeamName(awayTeam);
+    });
+}
+
+/**
+ * Team ID updates for one edition's fixtures and picks. Also repoints IDs of teams that have
+ * since been merged. Names the registry can't resolve are listed, not guessed.
+ * @param {Array<Object>} fixtures - Fixture documents with id
+ * @param {Array<Object>} picks - Pick documents with id
+ * @returns {{updates: Array<{collection: string, id: string, changes: Object}>, unresolvedNames: Array<string>}}
+ */
+export function planTeamIdBackfill(registry, fixtures = [], picks = []) {
+    const updates = [];
+    const unresolvedNames = new Set();
+
+    const teamIdFor = (name, storedId) => {
+        const teamId = registry.getCanonicalId(storedId) || registry.resolve(name);
+        if (!teamId && name) unresolvedNames.add(name);
+        return teamId;
+    };
+
+    fixtures.forEach(fixture => {
+        const changes = {};
+        const homeTeamId = teamIdFor(fixture.homeTeam, fixture.homeTeamId);
+        const awayTeamId = teamIdFor(fixture.awayTeam, fixture.awayTeamId);
+
+        if (homeTeamId && homeTeamId !== fixture.homeTeamId) changes.homeTeamId = homeTeamId;
+        if (awayTeamId && awayTeamId !== fixture.awayTeamId) changes.awayTeamId = awayTeamId;
+        if (Object.keys(changes).length > 0) updates.push({ collection: 'fixtures', id: fixture.id, changes });
+    });
+
+    picks.forEach(pick => {
+        if (!pick.teamPicked) return;
+        const teamId = teamIdFor(pick.teamPicked, pick.teamId);
+        if (teamId && teamId !== pick.teamId) updates.push({ collection: 'picks', id: pick.id, changes: { teamId } });
+    });
+
+    return { updates, unresolvedNames: [...unresolvedNames].sort() };
+}
@@ -291,6 +291,9 @@ class SampleClubSetup {
             currentGameweek: 1,
             gameweekDeadline: '2025-08-15T14:30:00Z',
             tiebreakEnabled: true,
+            tiebreakRules: ['goalDifference', 'mostWins', 'fewestAutopicks'],
+            voidMatchPolicy: 'win',
+            voidMatchFallback: 'win',
             autoPickEnabled: true,
             autoPickAlgorithm: 'alphabetical',
             registrationOpen: false, // Will be set based on edition
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { AUTO_PICK_STRATEGIES, DEFAULT_AUTO_PICK_STRATEGY, selectAutoPick, pickFromBackupQueue } from '../services/AutoPickStrategies.js';
+
+describe('AutoPickStrategies', () => {
+    const fixtures = [
+        { homeTeam: 'Chelsea', awayTeam: 'Arsenal' },
+        { homeTeam: 'Everton', awayTeam: 'Burnley' },
+        { homeTeam: 'Fulham', awayTeam: 'Brentford' }
+    ];
+    const availableTeams = fixtures.flatMap(fixture => [fixture.homeTeam, fixture.awayTeam]);
+    const context = (overrides = {}) => ({ availableTeams, fixtures, gameweek: 3, userPicks: {}, ...overrides });
+
+    it('should register every strategy with a label', () => {
+        expect(Object.keys(AUTO_PICK_STRATEGIES)).toEqual([
+            'alphabetical', 'randomUnused', 'lowestRankedHome', 'loseLife'
+        ]);
+        Object.values(AUTO_PICK_STRATEGIES).forEach(strategy => {
+            expect(strategy.label).toBeTruthy();
+        });
+    });
+
+    it('should fall back to the default strategy for unknown keys', () => {
+        const result = selectAutoPick('somethingElse', context({ userPicks: { gw2: 'Arsenal' } }));
+        expect(result.strategy).toBe(DEFAULT_AUTO_PICK_STRATEGY);
+        expect(result.team).toBe('Brentford');
+    });
+
+    describe('alphabetical', () => {
+        it('should pick the next team alphabetically after the previous pick', () => {
+            expect(selectAutoPick('alphabetical', context({ userPicks: { gw2: 'Burnley' } })).team).toBe('Chelsea');
+        });
+
+        it('should wrap around when the previous pick was last alphabetically', () => {
+            expect(selectAutoPick('alphabetical', context({ userPicks: { gw2: 'Fulham' } })).team).toBe('Arsenal');
+        });
+
+        it('should pick the first team when there is no previous pick', () => {
+            expect(selectAutoPick('alphabetical', context()).team).toBe('Arsenal');
+        });
+
+        it('should skip teams the player has already used', () => {
+            const result = selectAutoPick('alphabetical', context({ userPicks: { gw1: 'Chelsea', gw2: 'Burnley' } }));
+            expect(result.team).toBe('Everton');
+        });
+
+        it('should only reuse a team once every team has been used', () => {
+            const userPicks = { gw1: 'Arsenal', gw2: 'Brentford', gw3: 'Burnley', gw4: 'Chelsea', gw5: 'Everton', gw6: 'Fulham' };
+            expect(selectAutoPick('alphabetical', context({ gameweek: 7, userPicks })).team).toBe('Arsenal');
+        });
+
+        it('should not reorder the available teams', () => {
+            const teams = ['Chelsea', 'Arsenal', 'Everton', 'Burnley'];
+            selectAutoPick('alphabetical', { availableTeams: teams, gameweek: 2, userPicks: { gw1: 'Burnley' } });
+            expect(teams).toEqual(['Chelsea', 'Arsenal', 'Everton', 'Burnley']);
+        });
+
+        it('should pick randomly in gameweek 1', () => {
+            const result = selectAutoPick('alphabetical', context({ gameweek: 1, random: () => 0.99 }));
+            expect(result.team).toBe('Brentford');
+        });
+
+        it('should return null when there are no teams', () => {
+            expect(selectAutoPick('alphabetical', { availableTeams: [], gameweek: 2 }).team).toBeNull();
+        });
+    });
+
+    describe('randomUnused', () => {
+        it('should only pick teams the player has not used', () => {
+            const userPicks = { gw1: 'Arsenal', gw2: 'Brentford', gw3: 'Burnley', gw4: 'Chelsea', gw5: 'Everton' };
+            const result = selectAutoPick('randomUnused', context({ userPicks, gameweek: 6, random: () => 0 }));
+            expect(result.team).toBe('Fulham');
+        });
+
+        it('should pick from every team once all have been used', () => {
+            const userPicks = Object.fromEntries(availableTeams.map((team, index) => [`gw${index + 1}`, team]));
+            const result = selectAutoPick('randomUnused', context({ userPicks, gameweek: 7, random: () => 0 }));
+            expect(result.team).toBe('Chelsea');
+        });
+    });
+
+    describe('lowestRankedHome', () => {
+        const teamRankings = ['Arsenal', 'Chelsea', 'Fulham', 'Everton', 'Brentford', 'Burnley'];
+
+        it('should pick the lowest-ranked home team', () => {
+            expect(selectAutoPick('lowestRankedHome', context({ teamRankings })).team).toBe('Everton');
+        });
+
+        it('should skip home teams the player has already used', () => {
+            const result = selectAutoPick('lowestRankedHome', context({ teamRankings, userPicks: { gw1: 'Everton' } }));
+            expect(result.team).toBe('Fulham');
+        });
+
+        it('should treat teams missing from the table as lowest ranked', () => {
+            const result = selectAutoPick('lowestRankedHome', context({ teamRankings: ['Chelsea', 'Everton'] }));
+            expect(result.team).toBe('Fulham');
+        });
+
+        it('should fall back to alphabetical when every home team is used', () => {
+            const userPicks = { gw1: 'Chelsea', gw2: 'Everton', gw3: 'Fulham' };
+            const result = selectAutoPick('lowestRankedHome', context({ teamRankings, userPicks, gameweek: 4 }));
+            expect(result.team).toBe('Arsenal');
+        });
+    });
+
+    describe('loseLife', () => {
+        it('should pick no team and flag the lost life', () => {
+            expect(selectAutoPick('loseLife', context())).toEqual({
+                team: null,
+                losesLife: true,
+                strategy: 'loseLife'
+            });
+        });
+    });
+
+    describe('backup pick queue', () => {
+        it('should use the first queued team that is playing and unused', () => {
+            expect(pickFromBackupQueue(context({
+                backupPicks: ['Liverpool', 'Chelsea', 'Fulham'],
+                userPicks: { gw1: 'Chelsea' }
+            }))).toBe('Fulham');
+        });
+
+        it('should return null when nothing in the queue can be picked', () => {
+            expect(pickFromBackupQueue(context({ backupPicks: ['Liverpool'] }))).toBeNull();
+            expect(pickFromBackupQueue(context())).toBeNull();
+        });
+
+        it('should take priority over every configured strategy', () => {
+            Object.keys(AUTO_PICK_STRATEGIES).forEach(strategyKey => {
+                expect(selectAutoPick(strategyKey, context({ backupPicks: ['Everton'] }))).toEqual({
+                    team: 'Everton',
+                    losesLife: false,
+                    strategy: 'backupQueue'
+                });
+            });
+        });
+
+        it('should fall back to the configured strategy when nothing queued can be picked', () => {
+            const result = selectAutoPick('alphabetical', context({
+                backupPicks: ['Liverpool'],
+                userPicks: { gw2: 'Arsenal' }
+            }));
+            expect(result).toEqual({ team: 'Brentford', losesLife: false, strategy: 'alphabetical' });
+        });
+
+        it('should fall back to the configured strategy once the queue is exhausted', () => {
+            const result = selectAutoPick('loseLife', context({
+                backupPicks: ['Everton'],
+                userPicks: { gw1: 'Everton' }
+            }));
+            expect(result.losesLife).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { checkBuyBackEligibility, findReentryGameweek, getReentryCount, resolveBuyBackSettings } from '../services/BuyBack.js';
+
+describe('BuyBack', () => {
+    const settings = resolveBuyBackSettings({ buyBack: { enabled: true, pricePence: 500, cutoffGameweek: 5, maxReentries: 1 } });
+    const eliminated = { lives: 0, isEliminated: true };
+
+    describe('resolveBuyBackSettings', () => {
+        it('should be off unless enabled', () => {
+            expect(resolveBuyBackSettings()).toEqual({ enabled: false, pricePence: 0, lives: 1, cutoffGameweek: null, maxReentries: 1 });
+        });
+    });
+
+    describe('checkBuyBackEligibility', () => {
+        it('should let an eliminated player buy back in up to the cut-off', () => {
+            expect(checkBuyBackEligibility(eliminated, 5, settings)).toEqual({ eligible: true, reason: null });
+            expect(checkBuyBackEligibility(eliminated, 6, settings)).toEqual({ eligible: false, reason: 'pastCutoff' });
+        });
+
+        it('should refuse players still in, with no re-entries left, or with nothing to re-enter', () => {
+            expect(checkBuyBackEligibility({ lives: 1 }, 3, settings).reason).toBe('notEliminated');
+            expect(checkBuyBackEligibility({ ...eliminated, lifeGrants: [{ type: 'buyBack', gameweek: 2, lives: 1 }] }, 3, settings).reason).toBe('maxReentries');
+            expect(checkBuyBackEligibility(eliminated, null, settings).reason).toBe('noGameweek');
+            expect(checkBuyBackEligibility(eliminated, 3, { ...settings, enabled: false }).reason).toBe('disabled');
+        });
+
+        it('should only count buy-backs as re-entries', () => {
+            expect(getReentryCount({ lifeGrants: [{ type: 'buyBack' }, { type: 'adminGrant' }] })).toBe(1);
+        });
+    });
+
+    describe('findReentryGameweek', () => {
+        const fixtures = [
+            { gameWeek: 1, date: '2025-08-16', kickOffTime: '15:00' },
+            { gameWeek: 2, date: '2025-08-23', kickOffTime: '15:00' },
+            { gameWeek: 3, date: '2025-08-30', kickOffTime: '15:00' }
+        ];
+        const deadlineSettings = { timeZone: 'UTC', lockOffsetMinutes: 60 };
+
+        it('should re-enter players into the first gameweek still open', () => {
+            expect(findReentryGameweek(fixtures, deadlineSettings, new Date('2025-08-20T12:00:00Z'))).toBe(2);
+            expect(findReentryGameweek(fixtures, deadlineSettings, new Date('2025-08-23T14:30:00Z'))).toBe(3);
+            expect(findReentryGameweek(fixtures, deadlineSettings, new Date('2025-09-01T12:00:00Z'))).toBeNull();
+        });
+    });
+});
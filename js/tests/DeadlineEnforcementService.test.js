@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import DeadlineEnforcementService, { findEnforcementCutover, planDeadlineEnforcement } from '../services/DeadlineEnforcementService.js';
+
+describe('DeadlineEnforcementService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new DeadlineEnforcementService(null, {
+            now: () => new Date('2025-08-16T12:00')
+        });
+    });
+
+    describe('getGameweekDeadline', () => {
+        it('should use the earliest kick-off in the gameweek', () => {
+            const deadline = service.getGameweekDeadline([
+                { date: '2025-08-16', kickOffTime: '15:00' },
+                { date: '2025-08-16', kickOffTime: '12:30' },
+                { date: '2025-08-17', kickOffTime: '14:00' }
+            ]);
+            expect(deadline).toEqual(new Date('2025-08-16T11:30:00Z')); // 12:30 BST
+        });
+
+        it('should default missing kick-off times to 15:00', () => {
+            expect(service.getGameweekDeadline([{ date: '2025-08-16' }]))
+                .toEqual(new Date('2025-08-16T14:00:00Z'));
+        });
+
+        it('should lock the offset before kick-off, in the club time zone', () => {
+            const settings = { timeZone: 'Europe/Dublin', lockOffsetMinutes: 90 };
+            expect(service.getGameweekDeadline([{ date: '2025-12-06', kickOffTime: '15:00' }], settings))
+                .toEqual(new Date('2025-12-06T13:30:00Z'));
+        });
+
+        it('should use a gameweek\'s override over its kick-offs', () => {
+            const override = new Date('2025-08-17T10:00:00Z');
+            expect(service.getDeadlineDetails([{ date: '2025-08-16' }], { overrides: { gw2: override } }, 2))
+                .toMatchObject({ deadline: override, firstKickoff: new Date('2025-08-16T14:00:00Z'), isOverride: true });
+        });
+
+        it('should hold rolling deadlines open until the last fixture locks', () => {
+            const details = service.getDeadlineDetails([
+                { homeTeam: 'Barnet', awayTeam: 'Woking', date: '2025-08-15', kickOffTime: '19:45' },
+                { homeTeam: 'York City', awayTeam: 'Altrincham', date: '2025-08-17', kickOffTime: '12:30' }
+            ], { deadlineMode: 'fixture' }, 2);
+
+            // Auto-picks wait for the Sunday game
+            expect(details.deadline).toEqual(new Date('2025-08-17T11:30:00Z'));
+            expect(details.teamLocks.Barnet).toEqual(new Date('2025-08-15T18:45:00Z'));
+        });
+
+        it('should return null when no fixture has a usable date', () => {
+            expect(service.getGameweekDeadline([{ kickOffTime: '15:00' }])).toBeNull();
+            expect(service.getGameweekDeadline([])).toBeNull();
+        });
+    });
+
+    describe('groupFixturesByGameweek', () => {
+        it('should group fixtures by numeric gameweek', () => {
+            const grouped = service.groupFixturesByGameweek([
+                { gameWeek: 1, homeTeam: 'A' },
+                { gameWeek: '1', homeTeam: 'B' },
+                { gameWeek: 2, homeTeam: 'C' },
+                { homeTeam: 'D' }
+            ]);
+            expect(Object.keys(grouped)).toEqual(['1', '2']);
+            expect(grouped[1]).toHaveLength(2);
+        });
+    });
+
+    describe('planDeadlineEnforcement', () => {
+        const now = new Date('2025-10-01T12:00:00Z');
+        const deadlines = [
+            { gameweek: 1, deadline: new Date('2025-08-16T14:00:00Z') },
+            { gameweek: 2, deadline: new Date('2025-09-20T14:00:00Z') },
+            { gameweek: 3, deadline: new Date('2025-09-30T14:00:00Z') },
+            { gameweek: 4, deadline: new Date('2025-10-04T14:00:00Z') }
+        ];
+
+        it('should start enforcing after the last deadline that has already passed', () => {
+            expect(findEnforcementCutover(deadlines, now)).toBe(4);
+            expect(findEnforcementCutover(deadlines, new Date('2025-08-01T12:00:00Z'))).toBe(1);
+        });
+
+        it('should leave gameweeks played before enforcement started alone', () => {
+            expect(planDeadlineEnforcement(deadlines, new Set(), 4, now)).toEqual([
+                { gameweek: 1, action: 'skip' },
+                { gameweek: 2, action: 'skip' },
+                { gameweek: 3, action: 'skip' },
+                { gameweek: 4, action: 'publish' }
+            ]);
+        });
+
+        it('should enforce a passed deadline that was published as a lock or is from the cut-over on', () => {
+            expect(planDeadlineEnforcement(deadlines, new Set([3]), 2, now)).toEqual([
+                { gameweek: 1, action: 'skip' },
+                { gameweek: 2, action: 'enforce' },
+                { gameweek: 3, action: 'enforce' },
+                { gameweek: 4, action: 'publish' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import {
+    zonedTimeToInstant,
+    getTimeZoneOffset,
+    getKickOffTime,
+    getFixtureDate,
+    getFixtureKickoff,
+    resolveDeadlineSettings,
+    calculateGameweekDeadline,
+    calculateTeamLocks,
+    getNextTeamLock,
+    formatDeadline,
+    isValidTimeZone
+} from '../services/DeadlineTimes.js';
+
+describe('DeadlineTimes', () => {
+    describe('zonedTimeToInstant', () => {
+        it('should read UK kick-offs as BST in summer and GMT in winter', () => {
+            expect(zonedTimeToInstant('2025-08-16', '15:00')).toEqual(new Date('2025-08-16T14:00:00Z'));
+            expect(zonedTimeToInstant('2025-12-06', '15:00')).toEqual(new Date('2025-12-06T15:00:00Z'));
+        });
+
+        it('should change offset on the days the clocks change', () => {
+            // Clocks go forward at 01:00 GMT on 30 March and back at 01:00 GMT on 26 October
+            expect(zonedTimeToInstant('2025-03-30', '00:30')).toEqual(new Date('2025-03-30T00:30:00Z'));
+            expect(zonedTimeToInstant('2025-03-30', '15:00')).toEqual(new Date('2025-03-30T14:00:00Z'));
+            expect(zonedTimeToInstant('2025-10-26', '00:30')).toEqual(new Date('2025-10-25T23:30:00Z'));
+            expect(zonedTimeToInstant('2025-10-26', '15:00')).toEqual(new Date('2025-10-26T15:00:00Z'));
+        });
+
+        it('should move a time skipped by the clocks going forward to just after the change', () => {
+            expect(zonedTimeToInstant('2025-03-30', '01:30')).toEqual(new Date('2025-03-30T01:30:00Z'));
+            expect(zonedTimeToInstant('2025-03-30', '02:30')).toEqual(new Date('2025-03-30T01:30:00Z'));
+        });
+
+        it('should read a time that happens twice when the clocks go back as the first of the two', () => {
+            expect(zonedTimeToInstant('2025-10-26', '01:30')).toEqual(new Date('2025-10-26T00:30:00Z'));
+        });
+
+        it('should work in other zones and reject bad input', () => {
+            expect(zonedTimeToInstant('2025-08-16', '15:00', 'America/New_York')).toEqual(new Date('2025-08-16T19:00:00Z'));
+            expect(zonedTimeToInstant('2025-08-16', '15:00', 'Australia/Sydney')).toEqual(new Date('2025-08-16T05:00:00Z'));
+            expect(zonedTimeToInstant('16/08/2025', '15:00')).toBeNull();
+            expect(zonedTimeToInstant('2025-08-16', 'TBD')).toBeNull();
+        });
+    });
+
+    it('should give the zone offset at an instant', () => {
+        expect(getTimeZoneOffset(new Date('2025-08-16T14:00:00Z'), 'Europe/London')).toBe(60);
+        expect(getTimeZoneOffset(new Date('2025-12-06T15:00:00Z'), 'Europe/London')).toBe(0);
+        expect(getTimeZoneOffset(new Date('2025-12-06T15:00:00Z'), 'Asia/Kolkata')).toBe(330);
+    });
+
+    describe('fixtures', () => {
+        it('should read kick-off times from either field', () => {
+            expect(getKickOffTime({ time: '9:30' })).toBe('09:30');
+            expect(getKickOffTime({ kickOffTime: '19:45:00', time: 'TBD' })).toBe('19:45');
+            expect(getKickOffTime({ time: 'TBD' })).toBeNull();
+        });
+
+        it('should read Timestamp dates and fall back to a 15:00 kick-off', () => {
+            const timestamp = { toDate: () => new Date('2025-08-16T00:00:00Z') };
+            expect(getFixtureKickoff({ date: timestamp, time: 'TBD' })).toEqual(new Date('2025-08-16T14:00:00Z'));
+            expect(getFixtureKickoff({ date: 'soon' })).toBeNull();
+        });
+
+        it('should read a Timestamp date as the day it is in the club time zone', () => {
+            // 00:30 BST on Saturday 16 August is still Friday in UTC
+            const timestamp = { toDate: () => new Date('2025-08-15T23:30:00Z') };
+            expect(getFixtureDate({ date: timestamp })).toBe('2025-08-16');
+            expect(getFixtureDate({ date: timestamp }, 'UTC')).toBe('2025-08-15');
+            expect(getFixtureKickoff({ date: timestamp, time: '15:00' })).toEqual(new Date('2025-08-16T14:00:00Z'));
+        });
+    });
+
+    describe('calculateGameweekDeadline', () => {
+        const fixtures = [
+            { date: '2025-10-26', kickOffTime: '14:00' },
+            { date: '2025-10-25', kickOffTime: '19:45' }
+        ];
+
+        it('should lock the offset before the first kick-off', () => {
+            expect(calculateGameweekDeadline(fixtures, { lockOffsetMinutes: 60 }, 9)).toEqual({
+                deadline: new Date('2025-10-25T17:45:00Z'),
+                firstKickoff: new Date('2025-10-25T18:45:00Z'),
+                isOverride: false,
+                mode: 'gameweek',
+                teamLocks: null
+            });
+        });
+
+        it('should count the offset in real time across a clock change', () => {
+            // 01:30 comes round twice that morning; the deadline counts back from the first, still in BST
+            const early = [{ date: '2025-10-26', kickOffTime: '01:30' }];
+            expect(calculateGameweekDeadline(early, { lockOffsetMinutes: 180 }, 9).deadline).toEqual(new Date('2025-10-25T21:30:00Z'));
+        });
+
+        it('should use an override for its gameweek only', () => {
+            const settings = resolveDeadlineSettings(
+                { deadlineOffsetMinutes: 30, deadlineOverrides: { gw9: { toDate: () => new Date('2025-10-26T10:00:00Z') } } },
+                { timeZone: 'Not/AZone' }
+            );
+
+            expect(settings).toMatchObject({ timeZone: 'Europe/London', lockOffsetMinutes: 30 });
+            expect(calculateGameweekDeadline(fixtures, settings, 9)).toMatchObject({ deadline: new Date('2025-10-26T10:00:00Z'), isOverride: true });
+            expect(calculateGameweekDeadline(fixtures, settings, 10)).toMatchObject({ deadline: new Date('2025-10-25T18:15:00Z'), isOverride: false });
+        });
+
+        it('should return null without a dated fixture or an override', () => {
+            expect(calculateGameweekDeadline([{ time: '15:00' }], {}, 1)).toBeNull();
+        });
+    });
+
+    describe('rolling deadlines', () => {
+        const weekend = [
+            { homeTeam: 'Barnet', awayTeam: 'Woking', date: '2025-10-24', kickOffTime: '19:45' },
+            { homeTeam: 'York City', awayTeam: 'Altrincham', date: '2025-10-25', kickOffTime: '15:00' },
+            { homeTeam: 'Hartlepool', awayTeam: 'Barnet', date: '2025-10-26', kickOffTime: '15:00' }
+        ];
+        const settings = { deadlineMode: 'fixture', lockOffsetMinutes: 15 };
+
+        it('should lock each team at its own kick-off, and a team playing twice at its first', () => {
+            expect(calculateTeamLocks(weekend, settings)).toEqual({
+                Barnet: new Date('2025-10-24T18:30:00Z'),
+                Woking: new Date('2025-10-24T18:30:00Z'),
+                'York City': new Date('2025-10-25T13:45:00Z'),
+                Altrincham: new Date('2025-10-25T13:45:00Z'),
+                Hartlepool: new Date('2025-10-26T14:45:00Z') // GMT after the clocks go back
+            });
+        });
+
+        it('should set the gameweek deadline to the last team lock', () => {
+            expect(calculateGameweekDeadline(weekend, settings, 9)).toMatchObject({
+                deadline: new Date('2025-10-26T14:45:00Z'),
+                firstKickoff: new Date('2025-10-24T18:45:00Z'),
+                mode: 'fixture'
+            });
+        });
+
+        it('should lock every team at once when the gameweek is overridden', () => {
+            const overridden = calculateGameweekDeadline(weekend, { ...settings, overrides: { gw9: new Date('2025-10-24T12:00:00Z') } }, 9);
+            expect(overridden).toMatchObject({ mode: 'gameweek', teamLocks: null, isOverride: true });
+        });
+
+        it('should count down to the next team lock', () => {
+            const teamLocks = calculateTeamLocks(weekend, settings);
+            expect(getNextTeamLock(teamLocks, new Date('2025-10-25T09:00:00Z'))).toEqual(new Date('2025-10-25T13:45:00Z'));
+            expect(getNextTeamLock(teamLocks, new Date('2025-10-27T09:00:00Z'))).toBeNull();
+        });
+
+        it('should only switch on for a known mode', () => {
+            expect(resolveDeadlineSettings({ deadlineMode: 'fixture' }).deadlineMode).toBe('fixture');
+            expect(resolveDeadlineSettings({ deadlineMode: 'hourly' }).deadlineMode).toBe('gameweek');
+        });
+    });
+
+    it('should format deadlines in the viewer\'s zone unless one is given', () => {
+        const deadline = new Date('2025-08-16T14:00:00Z');
+        expect(formatDeadline(deadline, { timeZone: 'Europe/London' })).toBe('Sat 16 Aug, 15:00');
+        expect(formatDeadline(deadline, { timeZone: 'America/New_York' })).toBe('Sat 16 Aug, 10:00');
+        expect(isValidTimeZone('Europe/London')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    });
+});
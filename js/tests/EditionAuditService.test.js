@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import EditionAuditService from '../managers/EditionAuditService.js';
+
+describe('EditionAuditService', () => {
+    let auditService;
+
+    const fixtures = [
+        { id: 'f1', gameWeek: 1, homeTeam: 'Arsenal', awayTeam: 'Chelsea', homeScore: 2, awayScore: 0, status: 'completed' },
+        { id: 'f2', gameWeek: 1, homeTeam: 'Everton', awayTeam: 'Fulham', homeScore: 1, awayScore: 1, status: 'completed' },
+        { id: 'f3', gameWeek: 2, homeTeam: 'Arsenal', awayTeam: 'Everton', homeScore: 0, awayScore: 3, status: 'completed' },
+        { id: 'f4', gameWeek: 2, homeTeam: 'Chelsea', awayTeam: 'Fulham', homeScore: null, awayScore: null, status: 'scheduled' }
+    ];
+
+    const edition = (overrides = {}) => ({
+        fixtures,
+        picks: [
+            { id: 'p1', userId: 'alice', gameweek: 1, teamPicked: 'Arsenal', result: 'win' },
+            { id: 'p2', userId: 'alice', gameweek: 2, teamPicked: 'Everton', result: 'win' },
+            { id: 'p3', userId: 'bob', gameweek: 1, teamPicked: 'Chelsea', result: 'loss' },
+            { id: 'p4', userId: 'bob', gameweek: 2, teamPicked: 'Fulham', result: null }
+        ],
+        users: [
+            { id: 'alice', lives: 2, isEliminated: false, eliminationGameweek: null, finalPosition: null, finalPositionReason: null },
+            { id: 'bob', lives: 1, isEliminated: false, eliminationGameweek: null, finalPosition: null, finalPositionReason: null }
+        ],
+        settings: { maxLives: 2 },
+        now: new Date('2025-09-01T12:00'),
+        ...overrides
+    });
+
+    beforeEach(() => {
+        auditService = new EditionAuditService();
+    });
+
+    describe('replay', () => {
+        it('should rebuild pick results from fixture scores', () => {
+            const replayed = auditService.replay(edition());
+            expect(replayed.picks.p1.result).toBe('win');
+            expect(replayed.picks.p2.result).toBe('win');
+            expect(replayed.picks.p3.result).toBe('loss');
+            expect(replayed.picks.p4.result).toBeNull();
+        });
+
+        it('should ignore results stored on the picks', () => {
+            const data = edition();
+            data.picks[2] = { ...data.picks[2], result: 'win' };
+            expect(auditService.replay(data).picks.p3.result).toBe('loss');
+        });
+
+        it('should rebuild lives and elimination from the replayed results', () => {
+            const data = edition();
+            data.picks.push({ id: 'p5', userId: 'carol', gameweek: 1, teamPicked: 'Chelsea' });
+            data.picks.push({ id: 'p6', userId: 'carol', gameweek: 2, teamPicked: 'Arsenal' });
+            data.users.push({ id: 'carol' });
+
+            const replayed = auditService.replay(data);
+            expect(replayed.users.alice).toMatchObject({ lives: 2, isEliminated: false, eliminationGameweek: null });
+            expect(replayed.users.bob).toMatchObject({ lives: 1, isEliminated: false });
+            expect(replayed.users.carol).toMatchObject({ lives: 0, isEliminated: true, eliminationGameweek: 2 });
+        });
+
+        it('should keep a player who bought back in', () => {
+            const data = edition({ settings: { maxLives: 1 } });
+            data.users[1] = { ...data.users[1], lifeGrants: [{ type: 'buyBack', gameweek: 2, lives: 1 }] };
+
+            const replayed = auditService.replay(data);
+            expect(replayed.users.bob).toMatchObject({ lives: 1, isEliminated: false, eliminationGameweek: null });
+        });
+
+        it('should settle final positions once one player is left', () => {
+            const data = edition();
+            data.picks[3] = { ...data.picks[3], teamPicked: 'Arsenal', fixtureId: 'f3' };
+
+            const replayed = auditService.replay(data);
+            expect(replayed.users.alice.finalPosition).toBe(1);
+            expect(replayed.users.alice.finalPositionReason).toBe('Last one standing');
+            expect(replayed.users.bob.finalPosition).toBe(2);
+        });
+
+        it('should apply the void match policy to postponed fixtures', () => {
+            const data = edition({ settings: { maxLives: 2, voidMatchPolicy: 'loss' } });
+            data.fixtures = fixtures.map(fixture => (fixture.id === 'f4' ? { ...fixture, status: 'postponed' } : fixture));
+
+            expect(auditService.replay(data).picks.p4.result).toBe('loss');
+        });
+
+        it('should count a missed deadline as a loss', () => {
+            const data = edition();
+            data.picks[3] = { id: 'p4', userId: 'bob', gameweek: 2, teamPicked: null, missedDeadline: true };
+
+            expect(auditService.replay(data).picks.p4.result).toBe('loss');
+        });
+
+        it('should keep the first manual pick when a player has duplicates', () => {
+            const data = edition();
+            data.picks.push({ id: 'auto_alice_gw1', userId: 'alice', gameweek: 1, teamPicked: 'Chelsea', isAutopick: true });
+
+            const replayed = auditService.replay(data);
+            expect(replayed.picks.auto_alice_gw1).toBeUndefined();
+            expect(replayed.users.alice.lives).toBe(2);
+            expect(replayed.warnings).toHaveLength(1);
+        });
+
+        it('should warn and keep the stored result when a pick has no fixture', () => {
+            const data = edition();
+            data.picks.push({ id: 'p7', userId: 'alice', gameweek: 3, teamPicked: 'Liverpool', result: 'W' });
+
+            const replayed = auditService.replay(data);
+            expect(replayed.picks.p7.result).toBe('win');
+            expect(replayed.warnings[0]).toContain('Liverpool');
+        });
+
+        it('should be deterministic regardless of pick order', () => {
+            const data = edition();
+            const reversed = { ...data, picks: [...data.picks].reverse() };
+            expect(auditService.replay(reversed)).toEqual(auditService.replay(data));
+        });
+    });
+
+    describe('diff', () => {
+        it('should report nothing when stored data matches the replay', () => {
+            const data = edition();
+            expect(auditService.diff(data, auditService.replay(data))).toEqual([]);
+        });
+
+        it('should treat equivalent result spellings as matching', () => {
+            const data = edition();
+            data.picks[0] = { ...data.picks[0], result: 'W' };
+            expect(auditService.diff(data, auditService.replay(data))).toEqual([]);
+        });
+
+        it('should report drifted pick results and player fields', () => {
+            const data = edition();
+            data.picks[2] = { ...data.picks[2], result: 'win' };
+            data.users[1] = { ...data.users[1], lives: 2 };
+
+            expect(auditService.diff(data, auditService.replay(data))).toEqual([
+                {
+                    collection: 'picks',
+                    id: 'p3',
+                    userId: 'bob',
+                    gameweek: 1,
+                    changes: { result: { stored: 'win', expected: 'loss' } }
+                },
+                {
+                    collection: 'users',
+                    id: 'bob',
+                    userId: 'bob',
+                    changes: { lives: { stored: 2, expected: 1 } }
+                }
+            ]);
+        });
+    });
+});
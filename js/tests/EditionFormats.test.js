@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getRoundPicks,
+    getTeamRound,
+    getUnavailableTeams,
+    planUsedTeamClaims,
+    resolveEditionFormat,
+    usedTeamId
+} from '../services/EditionFormats.js';
+
+describe('EditionFormats', () => {
+    describe('resolveEditionFormat', () => {
+        it('should default to a classic ten gameweek edition', () => {
+            const format = resolveEditionFormat();
+            expect(format.format).toBe('classic');
+            expect(format.totalGameweeks).toBe(10);
+            expect(format.teamReuse).toBe('never');
+        });
+
+        it('should fall back to the edition length and ignore unknown formats', () => {
+            const format = resolveEditionFormat({ format: 'battleRoyale' }, { total_gameweeks: 38 });
+            expect(format.format).toBe('classic');
+            expect(format.totalGameweeks).toBe(38);
+        });
+
+        it('should use the league table as the team list unless one is given', () => {
+            expect(resolveEditionFormat({ teamRankings: ['A', 'B'] }).teams).toEqual(['A', 'B']);
+            expect(resolveEditionFormat({ teamRankings: ['A', 'B'], formatOptions: { teams: ['C'] } }).teams).toEqual(['C']);
+        });
+
+        it('should give knockout editions one life and a rollover', () => {
+            const format = resolveEditionFormat({ format: 'knockout' });
+            expect(format.livesPerPlayer).toBe(1);
+            expect(format.rolloverWhenAllOut).toBe(true);
+        });
+    });
+
+    describe('getTeamRound', () => {
+        it('should keep classic editions in one round', () => {
+            expect(getTeamRound(resolveEditionFormat(), {}, 30)).toBe(1);
+        });
+
+        it('should start a new round every N gameweeks', () => {
+            const format = resolveEditionFormat({ format: 'teamReuseReset', formatOptions: { resetEvery: 4 } });
+            expect(getTeamRound(format, {}, 4)).toBe(1);
+            expect(getTeamRound(format, {}, 5)).toBe(2);
+            expect(getTeamRound(format, {}, 9)).toBe(3);
+        });
+
+        it('should start a new round once every team has been used', () => {
+            const format = resolveEditionFormat({
+                format: 'teamReuseReset',
+                formatOptions: { teams: ['Arsenal', 'Burnley', 'Chelsea'] }
+            });
+            const picks = { gw1: 'Arsenal', gw2: { teamPicked: 'Burnley' }, gw3: 'Chelsea', gw4: 'Arsenal' };
+            expect(getTeamRound(format, picks, 3)).toBe(1);
+            expect(getTeamRound(format, picks, 4)).toBe(2);
+            expect(getTeamRound(format, picks, 5)).toBe(2);
+        });
+    });
+
+    describe('getUnavailableTeams', () => {
+        const picks = { gw1: 'Arsenal', gw2: 'Burnley', gw3: 'Chelsea' };
+
+        it('should rule out every other pick in a classic edition', () => {
+            expect([...getUnavailableTeams(resolveEditionFormat(), picks, 3)]).toEqual(['Arsenal', 'Burnley']);
+        });
+
+        it('should only rule out picks from the same round', () => {
+            const format = resolveEditionFormat({ format: 'teamReuseReset', formatOptions: { resetEvery: 2 } });
+            expect([...getUnavailableTeams(format, picks, 3)]).toEqual([]);
+            expect([...getUnavailableTeams(format, picks, 4)]).toEqual(['Chelsea']);
+            expect(getRoundPicks(format, picks, 2)).toEqual({ gw1: 'Arsenal' });
+        });
+    });
+
+    describe('usedTeamId', () => {
+        it('should keep the original ID in the first round', () => {
+            expect(usedTeamId('alice', 'Arsenal')).toBe('alice_Arsenal');
+            expect(usedTeamId('alice', 'Arsenal', 3)).toBe('alice_r3_Arsenal');
+        });
+
+        it('should key on the team ID when the team has one', () => {
+            expect(usedTeamId('alice', 'Arsenal FC', 1, 'arsenal')).toBe('alice_arsenal');
+            expect(usedTeamId('alice', 'Arsenal FC', 2, 'arsenal')).toBe('alice_r2_arsenal');
+        });
+    });
+
+    describe('planUsedTeamClaims', () => {
+        const picks = [
+            { id: 'alice_gw1', userId: 'alice', teamPicked: 'Arsenal', gameweek: 1 },
+            { id: 'alice_gw2', userId: 'alice', teamPicked: 'Chelsea', gameweek: 2 },
+            { id: 'bob_gw1', userId: 'bob', teamPicked: 'Arsenal', gameweek: 1 },
+            { id: 'bob_gw2', userId: 'bob', teamPicked: null, gameweek: 2, missedDeadline: true }
+        ];
+
+        it('should claim every team picked before claims were written', () => {
+            const { creates, conflicts } = planUsedTeamClaims(resolveEditionFormat(), picks, [
+                { id: 'alice_Arsenal', pickId: 'alice_gw1' }
+            ]);
+
+            expect(creates).toEqual([
+                { id: 'bob_Arsenal', data: { userId: 'bob', team: 'Arsenal', teamId: null, gameweek: 1, teamRound: 1, pickId: 'bob_gw1' } },
+                { id: 'alice_Chelsea', data: { userId: 'alice', team: 'Chelsea', teamId: null, gameweek: 2, teamRound: 1, pickId: 'alice_gw2' } }
+            ]);
+            expect(conflicts).toEqual([]);
+        });
+
+        it('should claim later team rounds under their own ID', () => {
+            const format = resolveEditionFormat({ format: 'teamReuseReset', formatOptions: { resetEvery: 1 } });
+            const { creates } = planUsedTeamClaims(format, picks.slice(0, 2));
+            expect(creates.map(create => create.id)).toEqual(['alice_Arsenal', 'alice_r2_Chelsea']);
+        });
+
+        it('should report a team used twice in a round instead of claiming it again', () => {
+            const { creates, conflicts } = planUsedTeamClaims(resolveEditionFormat(), [
+                ...picks,
+                { id: 'alice_gw3', userId: 'alice', teamPicked: 'Arsenal', gameweek: 3 }
+            ]);
+
+            expect(creates.map(create => create.id)).toEqual(['alice_Arsenal', 'bob_Arsenal', 'alice_Chelsea']);
+            expect(conflicts).toEqual([{ pickId: 'alice_gw3', claimId: 'alice_Arsenal', claimedBy: 'alice_gw1' }]);
+        });
+
+        it('should move a claim keyed by name to the team ID once the pick has one', () => {
+            const { creates, deletes, conflicts } = planUsedTeamClaims(resolveEditionFormat(), [
+                { id: 'alice_gw1', userId: 'alice', teamPicked: 'Arsenal', teamId: 'arsenal', gameweek: 1 },
+                { id: 'alice_gw2', userId: 'alice', teamPicked: 'Arsenal FC', teamId: 'arsenal', gameweek: 2 }
+            ], [
+                { id: 'alice_Arsenal', team: 'Arsenal', pickId: 'alice_gw1' },
+                { id: 'alice_Arsenal FC', team: 'Arsenal FC', pickId: 'alice_gw2' }
+            ]);
+
+            expect(deletes).toEqual(['alice_Arsenal', 'alice_Arsenal FC']);
+            expect(creates.map(create => create.id)).toEqual(['alice_arsenal']);
+            expect(conflicts).toEqual([{ pickId: 'alice_gw2', claimId: 'alice_arsenal', claimedBy: 'alice_gw1' }]);
+        });
+    });
+});
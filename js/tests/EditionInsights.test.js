@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { calculateEditionInsights, insightsToCsv } from '../services/EditionInsights.js';
+import { resolveResultRules } from '../services/ResultRules.js';
+
+describe('EditionInsights', () => {
+    const rules = resolveResultRules({ maxLives: 1, teamRankings: ['Arsenal', 'Chelsea', 'Everton', 'Fulham'] });
+    const fixtures = [
+        { id: 'f1', gameWeek: 1, homeTeam: 'Arsenal', awayTeam: 'Fulham', homeScore: 0, awayScore: 1, date: '2026-08-15', kickOffTime: '15:00' },
+        { id: 'f2', gameWeek: 1, homeTeam: 'Chelsea', awayTeam: 'Everton', homeScore: 2, awayScore: 0, date: '2026-08-15', kickOffTime: '15:00' },
+        { id: 'f3', gameWeek: 2, homeTeam: 'Everton', awayTeam: 'Arsenal', homeScore: null, awayScore: null, date: '2026-08-22', kickOffTime: '15:00' }
+    ];
+    const players = [{ uid: 'a' }, { uid: 'b' }, { uid: 'c', lifeGrants: [{ type: 'buyBack', gameweek: 2, lives: 1 }] }];
+    const picksByUser = {
+        a: { 1: { teamPicked: 'Chelsea', result: 'win' }, 2: { teamPicked: 'Arsenal', result: null } },
+        b: { 1: { teamPicked: 'Arsenal', result: 'loss', isAutopick: true } },
+        c: { 1: { teamPicked: 'Arsenal', result: 'loss' }, 2: { teamPicked: 'Everton', result: null } }
+    };
+
+    const insights = calculateEditionInsights({ players, picksByUser, fixtures, rules });
+
+    it('should rank the most popular teams in each gameweek', () => {
+        expect(insights.popularTeams[0]).toEqual({
+            gameweek: 1,
+            totalPicks: 3,
+            teams: [{ team: 'Arsenal', count: 2, share: 2 / 3 }, { team: 'Chelsea', count: 1, share: 1 / 3 }]
+        });
+    });
+
+    it('should work out survival by team picked from settled picks only', () => {
+        expect(insights.survivalByTeam).toEqual([
+            { team: 'Arsenal', picks: 2, survived: 0, survivalRate: 0 },
+            { team: 'Chelsea', picks: 1, survived: 1, survivalRate: 1 }
+        ]);
+    });
+
+    it('should follow how many players are still in after each settled gameweek', () => {
+        expect(insights.survivalCurve).toEqual([{ gameweek: 1, alive: 1, total: 3, rate: 1 / 3 }]);
+    });
+
+    it('should count the auto-pick share', () => {
+        expect(insights.autopicks.count).toBe(1);
+        expect(insights.autopicks.share).toBe(1 / 5);
+        expect(insights.autopicks.byGameweek[0]).toEqual({ gameweek: 1, count: 1, total: 3, share: 1 / 3 });
+    });
+
+    it('should find the upsets that caught out the most players and the most dangerous team', () => {
+        expect(insights.biggestUpsets).toEqual([{
+            gameweek: 1, team: 'Arsenal', opponent: 'Fulham', score: 'Arsenal 0-1 Fulham', result: 'loss', pickedBy: 2, livesLost: 2, rankGap: 3
+        }]);
+        expect(insights.mostDangerousTeam).toEqual({ team: 'Fulham', livesTaken: 2, playersBeaten: 2 });
+    });
+
+    it('should leave out gameweeks that are not given, e.g. ones not revealed yet', () => {
+        const revealedOnly = calculateEditionInsights({ players, picksByUser, fixtures, rules, gameweeks: [1] });
+        expect(revealedOnly.gameweeks).toEqual([1]);
+        expect(revealedOnly.autopicks.total).toBe(3);
+    });
+
+    it('should export every table as CSV', () => {
+        const csv = insightsToCsv(insights);
+        expect(csv).toContain('"Most popular teams"');
+        expect(csv).toContain('"1","Arsenal","2","67%"');
+        expect(csv).toContain('"Fulham","2","2"');
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { BATCH_CHUNK_SIZE, commitInChunks } from '../services/FirestoreBatches.js';
+
+describe('FirestoreBatches', () => {
+    const createDb = () => {
+        const batches = [];
+        return {
+            batches,
+            batch() {
+                const writes = [];
+                batches.push(writes);
+                return {
+                    set: (ref, data, options) => writes.push({ type: 'set', ref, data, options }),
+                    update: (ref, data) => writes.push({ type: 'update', ref, data }),
+                    delete: (ref) => writes.push({ type: 'delete', ref }),
+                    commit: async () => {}
+                };
+            }
+        };
+    };
+
+    it('should split writes into batches Firestore accepts', async () => {
+        const db = createDb();
+        const writes = Array.from({ length: BATCH_CHUNK_SIZE * 2 + 1 }, (_, index) => ({ ref: `doc${index}`, data: { index } }));
+
+        expect(await commitInChunks(db, writes)).toBe(writes.length);
+        expect(db.batches.map(batch => batch.length)).toEqual([BATCH_CHUNK_SIZE, BATCH_CHUNK_SIZE, 1]);
+    });
+
+    it('should apply each write as set, update or delete', async () => {
+        const db = createDb();
+        await commitInChunks(db, [
+            { ref: 'a', data: { x: 1 } },
+            { type: 'set', ref: 'b', data: { x: 2 }, options: { merge: true } },
+            { type: 'update', ref: 'c', data: { x: 3 } },
+            { type: 'delete', ref: 'd' }
+        ]);
+
+        expect(db.batches[0]).toEqual([
+            { type: 'set', ref: 'a', data: { x: 1 }, options: undefined },
+            { type: 'set', ref: 'b', data: { x: 2 }, options: { merge: true } },
+            { type: 'update', ref: 'c', data: { x: 3 } },
+            { type: 'delete', ref: 'd' }
+        ]);
+    });
+
+    it('should commit nothing when there is nothing to write', async () => {
+        const db = createDb();
+        expect(await commitInChunks(db, [])).toBe(0);
+        expect(db.batches).toEqual([]);
+    });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect } from 'vitest';
+import {
+    detectFileFormat,
+    parseCsv,
+    parseJsonFixtures,
+    parseIcs,
+    parseFixtureFile,
+    parseFixtureTitle,
+    parseFixtureDate,
+    suggestColumnMapping,
+    planFixtureImport
+} from '../services/FixtureFileImport.js';
+import TeamRegistry from '../services/TeamRegistry.js';
+
+describe('FixtureFileImport', () => {
+    const now = new Date('2025-08-01T12:00:00Z');
+
+    const leagueCsv = [
+        'Home Team,Away Team,Date,KO,Venue,Home Goals,Away Goals',
+        'Hale Barns U10,Timperley U10,16/08/2025,10:00,"Hale Park, Pitch 2",,',
+        'Sale United U10,Altrincham U10,17/08/2025,10:30,,,',
+        'Hale Barns U10,Sale United U10,23/08/2025,,,3,1'
+    ].join('\n');
+
+    const plan = (text, options = {}) => {
+        const { records, columns } = parseCsv(text);
+        return planFixtureImport({ records, mapping: suggestColumnMapping(columns), now, ...options });
+    };
+
+    describe('parsing', () => {
+        it('should detect the format from the file name', () => {
+            expect(detectFileFormat('league.CSV')).toBe('csv');
+            expect(detectFileFormat('fixtures.json')).toBe('json');
+            expect(detectFileFormat('u10s.ics')).toBe('ics');
+            expect(detectFileFormat('fixtures.xlsx')).toBeNull();
+        });
+
+        it('should read CSV with quoted values and other separators', () => {
+            expect(parseCsv(leagueCsv).records[0]).toMatchObject({ 'Home Team': 'Hale Barns U10', Venue: 'Hale Park, Pitch 2' });
+
+            const semicolons = parseCsv('\uFEFFhome;away;date\r\n"Says ""Hi"" FC";Barnet;2025-08-16\r\n');
+            expect(semicolons).toEqual({ columns: ['home', 'away', 'date'], records: [{ home: 'Says "Hi" FC', away: 'Barnet', date: '2025-08-16' }] });
+        });
+
+        it('should read JSON lists, flattening nested teams', () => {
+            const { columns, records } = parseJsonFixtures(JSON.stringify({
+                fixtures: [{ homeTeam: { name: 'Altrincham' }, awayTeam: { name: 'Barnet' }, date: '2025-08-16', homeScore: 2 }]
+            }));
+
+            expect(columns).toEqual(['homeTeam.name', 'awayTeam.name', 'date', 'homeScore']);
+            expect(records[0]).toEqual({ 'homeTeam.name': 'Altrincham', 'awayTeam.name': 'Barnet', date: '2025-08-16', homeScore: '2' });
+            expect(() => parseJsonFixtures('{"teams": 3}')).toThrow('list of fixtures');
+        });
+
+        it('should read league calendars, converting UTC kick-offs to UK time', () => {
+            const calendar = [
+                'BEGIN:VCALENDAR',
+                'BEGIN:VEVENT',
+                'UID:match-1',
+                'SUMMARY:Hale Barns U10 v Timperley',
+                '  U10',
+                'DTSTART:20250816T090000Z',
+                'LOCATION:Hale Park\\, Pitch 2',
+                'END:VEVENT',
+                'BEGIN:VEVENT',
+                'SUMMARY:Sale United U10 2-2 Altrincham U10',
+                'DTSTART;TZID=Europe/London:20251129T103000',
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ].join('\r\n');
+
+            const { records } = parseIcs(calendar);
+            expect(records[0]).toMatchObject({ homeTeam: 'Hale Barns U10', awayTeam: 'Timperley U10', date: '2025-08-16', time: '10:00', venue: 'Hale Park, Pitch 2' });
+            expect(records[1]).toMatchObject({ homeTeam: 'Sale United U10', awayTeam: 'Altrincham U10', homeScore: '2', awayScore: '2', date: '2025-11-29', time: '10:30' });
+            expect(() => parseFixtureFile('not a calendar', 'ics')).toThrow('Not an iCalendar file');
+        });
+
+        it('should split event titles into teams', () => {
+            expect(parseFixtureTitle('Altrincham vs. Barnet')).toMatchObject({ homeTeam: 'Altrincham', awayTeam: 'Barnet' });
+            expect(parseFixtureTitle('Stockport - Hyde United')).toMatchObject({ homeTeam: 'Stockport', awayTeam: 'Hyde United' });
+            expect(parseFixtureTitle('Training')).toBeNull();
+        });
+
+        it('should read UK and US dates and reject impossible ones', () => {
+            expect(parseFixtureDate('16/08/2025')).toEqual({ date: '2025-08-16', time: null });
+            expect(parseFixtureDate('08/16/25', 'mdy')).toEqual({ date: '2025-08-16', time: null });
+            expect(parseFixtureDate('2025-08-16T15:00')).toEqual({ date: '2025-08-16', time: '15:00' });
+            expect(parseFixtureDate('31/02/2025')).toBeNull();
+        });
+    });
+
+    describe('suggestColumnMapping', () => {
+        it('should map common header names onto fixture fields', () => {
+            expect(suggestColumnMapping(parseCsv(leagueCsv).columns)).toEqual({
+                homeTeam: 'Home Team',
+                awayTeam: 'Away Team',
+                date: 'Date',
+                time: 'KO',
+                venue: 'Venue',
+                homeScore: 'Home Goals',
+                awayScore: 'Away Goals',
+                status: null,
+                gameWeek: null,
+                round: null
+            });
+        });
+    });
+
+    describe('planFixtureImport', () => {
+        it('should build fixtures in the same shape as the API import', () => {
+            const { fixtures, summary } = plan(leagueCsv, { gameweekAssignment: { mode: 'fixed', gameweek: 3 } });
+
+            expect(summary).toMatchObject({ total: 3, new: 3, invalid: 0 });
+            expect(fixtures[0]).toEqual({
+                fixtureId: `fixture_${now.getTime()}_0`,
+                competitionId: null,
+                homeTeam: 'Hale Barns U10',
+                awayTeam: 'Timperley U10',
+                date: '2025-08-16',
+                time: '10:00',
+                venue: 'Hale Park, Pitch 2',
+                status: 'scheduled',
+                homeScore: null,
+                awayScore: null,
+                season: '2025-26',
+                round: 3,
+                gameWeek: 3,
+                importedAt: now.toISOString(),
+                lastUpdated: now.toISOString(),
+                apiData: parseCsv(leagueCsv).records[0]
+            });
+            expect(fixtures[2]).toMatchObject({ time: 'TBD', status: 'completed', homeScore: 3, awayScore: 1 });
+        });
+
+        it('should give each calendar week its own gameweek', () => {
+            const { fixtures } = plan(leagueCsv, { gameweekAssignment: { mode: 'weekly', startGameweek: 1 } });
+            expect(fixtures.map(fixture => fixture.gameWeek)).toEqual([1, 1, 2]);
+        });
+
+        it('should list what is wrong with each invalid row', () => {
+            const { rows, fixtures } = plan([
+                'Home,Away,Date,Time,Home Score,Away Score,GW',
+                'Hale Barns,Hale Barns,30/02/2025,25:00,2,,0',
+                ',Timperley,16/08/2025,10:00,x,1,1'
+            ].join('\n'), { gameweekAssignment: { mode: 'column' } });
+
+            expect(fixtures).toEqual([]);
+            expect(rows[0].errors).toEqual([
+                'Home and away team are the same',
+                'Date "30/02/2025" is not valid',
+                'Kick-off time "25:00" is not valid',
+                'Only one score is given',
+                'Gameweek "0" is not valid'
+            ]);
+            expect(rows[1].errors).toEqual(['Home team is missing', 'Home score "x" is not a number', 'Only one score is given']);
+        });
+
+        it('should need a column for the teams and date', () => {
+            expect(() => planFixtureImport({ records: [], mapping: { homeTeam: 'Home' } })).toThrow('Choose a column for: Away team, Date');
+        });
+
+        it('should skip fixtures already stored or repeated, and pick up new results for them', () => {
+            const existingFixtures = [
+                { id: 'f1', homeTeam: 'Hale Barns U10', awayTeam: 'Timperley U10', date: '2025-08-16', gameWeek: 1, status: 'scheduled', homeScore: null, awayScore: null },
+                { id: 'f2', homeTeam: 'Hale Barns', awayTeam: 'Sale United', homeTeamId: 'hale-barns-u10', awayTeamId: 'sale-united-u10', date: '2025-08-23', gameWeek: 2, status: 'completed', homeScore: 1, awayScore: 1 }
+            ];
+            const registry = new TeamRegistry([
+                { teamId: 'hale-barns-u10', name: 'Hale Barns U10', aliases: { manual: ['Hale Barns'] } },
+                { teamId: 'sale-united-u10', name: 'Sale United U10', aliases: { manual: ['Sale United'] } }
+            ]);
+
+            const { rows, resultUpdates, summary } = plan(`${leagueCsv}\nSale United U10,Altrincham U10,17/08/2025,10:30,,,`, { existingFixtures, registry });
+
+            expect(rows.map(row => row.status)).toEqual(['duplicate', 'new', 'correction', 'duplicate']);
+            expect(rows[3].errors).toEqual(['Repeated earlier in the file']);
+            expect(resultUpdates).toEqual([
+                { id: 'f2', gameweek: 2, isCorrection: true, changes: { homeScore: 3, awayScore: 1, status: 'completed' } }
+            ]);
+            expect(summary).toMatchObject({ new: 1, correction: 1, duplicate: 2 });
+        });
+
+        it('should move a stored fixture whose date has changed instead of importing it again', () => {
+            const existingFixtures = [
+                { id: 'f4', homeTeam: 'Hale Barns U10', awayTeam: 'Sale United U10', date: '2025-08-16', time: '10:00', gameWeek: 2, status: 'scheduled' },
+                { id: 'f5', homeTeam: 'Hale Barns U10', awayTeam: 'Sale United U10', date: '2024-08-23', gameWeek: 2, status: 'completed', homeScore: 0, awayScore: 0 }
+            ];
+            const { rows, fixtures, resultUpdates, fixtureUpdates, summary } = plan('Home,Away,Date,Time,Home Score,Away Score,Status\nHale Barns U10,Sale United U10,23/08/2025,10:30,,,', { existingFixtures });
+
+            expect(rows[0]).toMatchObject({ status: 'rescheduled', existingFixtureId: 'f4', changes: { date: '2025-08-23', time: '10:30' } });
+            expect(fixtures).toEqual([]);
+            expect(resultUpdates).toEqual([]);
+            expect(fixtureUpdates).toEqual([{ id: 'f4', gameweek: 2, changes: { date: '2025-08-23', time: '10:30' } }]);
+            expect(summary).toMatchObject({ rescheduled: 1, new: 0 });
+        });
+
+        it('should import a later meeting of the same teams instead of moving the first', () => {
+            const existingFixtures = [
+                { id: 'f6', homeTeam: 'Hale Barns U10', awayTeam: 'Sale United U10', date: '2025-09-06', time: '10:00', gameWeek: 4, status: 'completed', homeScore: 1, awayScore: 0 },
+                { id: 'f7', homeTeam: 'Hale Barns U10', awayTeam: 'Sale United U10', date: '2025-08-16', time: '10:00', gameWeek: 2, status: 'scheduled' }
+            ];
+            const { rows, fixtures, fixtureUpdates } = plan([
+                'Home,Away,Date,Time,Home Score,Away Score',
+                'Hale Barns U10,Sale United U10,06/09/2025,10:00,1,0',
+                'Hale Barns U10,Sale United U10,17/01/2026,10:00,,'
+            ].join('\n'), { existingFixtures });
+
+            expect(rows.map(row => row.status)).toEqual(['duplicate', 'new']);
+            expect(fixtures).toHaveLength(1);
+            expect(fixtureUpdates).toEqual([]);
+        });
+
+        it('should never move a fixture that has been played', () => {
+            const existingFixtures = [
+                { id: 'f8', homeTeam: 'Hale Barns U10', awayTeam: 'Sale United U10', date: '2025-09-06', time: '10:00', gameWeek: 4, status: 'completed', homeScore: 1, awayScore: 0 }
+            ];
+            const { rows, fixtureUpdates } = plan('Home,Away,Date,Time,Home Score,Away Score\nHale Barns U10,Sale United U10,13/09/2025,10:00,,', { existingFixtures });
+
+            expect(rows[0].status).toBe('new');
+            expect(fixtureUpdates).toEqual([]);
+        });
+
+        it('should add a result to a stored fixture that has none yet', () => {
+            const existingFixtures = [{ id: 'f3', homeTeam: 'Hale Barns U10', awayTeam: 'Sale United U10', date: '2025-08-23', gameWeek: 2, status: 'scheduled' }];
+            const { resultUpdates } = plan(leagueCsv, { existingFixtures });
+
+            expect(resultUpdates).toEqual([{ id: 'f3', gameweek: 2, isCorrection: false, changes: { homeScore: 3, awayScore: 1, status: 'completed' } }]);
+        });
+    });
+});
@@ -60,6 +60,14 @@ describe('GameLogicManager', () => {
             expect(gameLogicManager.calculateLivesFromPicks(picks, 2)).toBe(2);
         });
 
+        it('should decrement lives for a draw when the edition counts draws as losses', () => {
+            const picks = {
+                1: { result: 'draw' }
+            };
+            const settings = { resultRules: { drawPolicy: 'loseLife' } };
+            expect(gameLogicManager.calculateLivesFromPicks(picks, 2, settings)).toBe(1);
+        });
+
         it('should handle mixed results', () => {
             const picks = {
                 1: { result: 'win' },
@@ -79,4 +87,119 @@ describe('GameLogicManager', () => {
             expect(gameLogicManager.calculateLivesFromPicks(picks, 2)).toBe(0);
         });
     });
+
+    describe('getEliminationGameweek', () => {
+        it('should return null while the player still has lives', () => {
+            const picks = {
+                1: { result: 'loss' },
+                2: { result: 'win' }
+            };
+            expect(gameLogicManager.getEliminationGameweek(picks, 2)).toBeNull();
+        });
+
+        it('should return the gameweek of the final loss', () => {
+            const picks = {
+                1: { result: 'loss' },
+                2: { result: 'win' },
+                3: { result: 'L' }
+            };
+            expect(gameLogicManager.getEliminationGameweek(picks, 2)).toBe(3);
+        });
+    });
+
+    describe('calculateTiebreakStats', () => {
+        it('should total goal difference, wins and autopicks from picked teams', () => {
+            const fixtures = [
+                { id: 'f1', gameWeek: 1, homeTeam: 'Altrincham', awayTeam: 'Boston United', homeScore: 3, awayScore: 0 },
+                { id: 'f2', gameWeek: 2, homeTeam: 'Woking', awayTeam: 'Yeovil Town', homeScore: 2, awayScore: 1 }
+            ];
+            const picks = {
+                1: { teamPicked: 'Altrincham', fixtureId: 'f1', result: 'win' },
+                2: { teamPicked: 'Yeovil Town', fixtureId: null, result: 'loss', isAutopick: true }
+            };
+
+            expect(gameLogicManager.calculateTiebreakStats(picks, fixtures)).toEqual({
+                goalDifference: 2,
+                wins: 1,
+                autopicks: 1
+            });
+        });
+    });
+
+    describe('rankFinalPositions', () => {
+        const player = (uid, eliminatedGameweek, stats = {}) => ({
+            uid,
+            lives: eliminatedGameweek ? 0 : 1,
+            eliminatedGameweek,
+            stats: { goalDifference: 0, wins: 0, autopicks: 0, ...stats }
+        });
+
+        it('should return null while more than one player is alive', () => {
+            const players = [player('a', null), player('b', null), player('c', 3)];
+            expect(gameLogicManager.rankFinalPositions(players)).toBeNull();
+        });
+
+        it('should rank the last player standing first and others by elimination gameweek', () => {
+            const players = [player('a', null), player('b', 4), player('c', 4), player('d', 2)];
+            const positions = gameLogicManager.rankFinalPositions(players);
+
+            expect(positions.a).toEqual({ finalPosition: 1, finalPositionReason: 'Last one standing' });
+            expect(positions.b.finalPosition).toBe(2);
+            expect(positions.c.finalPosition).toBe(2);
+            expect(positions.d).toEqual({ finalPosition: 4, finalPositionReason: 'Eliminated in GW2' });
+        });
+
+        it('should break a tie on goal difference when everyone goes out together', () => {
+            const players = [
+                player('a', 5, { goalDifference: 2 }),
+                player('b', 5, { goalDifference: 6 }),
+                player('c', 3)
+            ];
+            const positions = gameLogicManager.rankFinalPositions(players, { tiebreakEnabled: true });
+
+            expect(positions.b).toEqual({ finalPosition: 1, finalPositionReason: 'Tiebreak: goal difference (+6)' });
+            expect(positions.a).toEqual({ finalPosition: 2, finalPositionReason: 'Tiebreak: goal difference (+2)' });
+            expect(positions.c.finalPosition).toBe(3);
+        });
+
+        it('should fall through to the next rule when the first is level', () => {
+            const players = [
+                player('a', 5, { goalDifference: 2, wins: 3, autopicks: 1 }),
+                player('b', 5, { goalDifference: 2, wins: 3, autopicks: 0 })
+            ];
+            const positions = gameLogicManager.rankFinalPositions(players, {
+                tiebreakEnabled: true,
+                tiebreakRules: ['goalDifference', 'mostWins', 'fewestAutopicks']
+            });
+
+            expect(positions.b).toEqual({ finalPosition: 1, finalPositionReason: 'Tiebreak: fewest autopicks (0)' });
+            expect(positions.a.finalPosition).toBe(2);
+        });
+
+        it('should share the prize when tiebreaks are disabled', () => {
+            const players = [
+                player('a', 5, { goalDifference: 2 }),
+                player('b', 5, { goalDifference: 6 })
+            ];
+            const positions = gameLogicManager.rankFinalPositions(players, { tiebreakEnabled: false });
+
+            expect(positions.a.finalPosition).toBe(1);
+            expect(positions.b.finalPosition).toBe(1);
+            expect(positions.a.finalPositionReason).toBe('Shared prize (eliminated together in GW5)');
+        });
+
+        it('should stop at the sharedPrize rule', () => {
+            const players = [
+                player('a', 5, { goalDifference: 2, wins: 1 }),
+                player('b', 5, { goalDifference: 2, wins: 4 })
+            ];
+            const positions = gameLogicManager.rankFinalPositions(players, {
+                tiebreakRules: ['goalDifference', 'sharedPrize', 'mostWins']
+            });
+
+            expect(positions.a.finalPosition).toBe(1);
+            expect(positions.b.finalPosition).toBe(1);
+        });
+    });
+
 });
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+    buildGameweekAssignment,
+    summariseGameweeks,
+    planGameweekChanges
+} from '../services/GameweekBuilder.js';
+
+describe('GameweekBuilder', () => {
+    const fixture = (id, homeTeam, awayTeam, date, time = '15:00', extra = {}) => ({ id, homeTeam, awayTeam, date, time, ...extra });
+
+    // A Saturday, a Tuesday night midweek round, then the next weekend after an international break
+    const fixtures = [
+        fixture('f1', 'Altrincham', 'Barnet', '2025-08-16'),
+        fixture('f2', 'York City', 'Woking', '2025-08-17', '12:30'),
+        fixture('f3', 'Barnet', 'York City', '2025-08-19', '19:45'),
+        fixture('f4', 'Woking', 'Altrincham', '2025-08-19', '19:45'),
+        fixture('f5', 'Altrincham', 'York City', '2025-09-13'),
+        fixture('f6', 'Barnet', 'Woking', '2025-09-13', 'TBD')
+    ];
+
+    describe('buildGameweekAssignment', () => {
+        it('should split date windows at gaps, so midweek rounds and breaks get their own gameweek', () => {
+            const { assignment, strategy } = buildGameweekAssignment(fixtures);
+
+            expect(strategy).toBe('dates');
+            expect(assignment).toEqual({ f1: 1, f2: 1, f3: 2, f4: 2, f5: 3, f6: 3 });
+        });
+
+        it('should start a new gameweek when a team would play twice', () => {
+            const { assignment } = buildGameweekAssignment([
+                fixture('f1', 'Altrincham', 'Barnet', '2025-08-16'),
+                fixture('f2', 'Barnet', 'York City', '2025-08-17')
+            ], { maxGapDays: 3, startGameweek: 5 });
+
+            expect(assignment).toEqual({ f1: 5, f2: 6 });
+        });
+
+        it('should group by league round when the fixtures have round numbers', () => {
+            const rounds = [
+                fixture('f1', 'Altrincham', 'Barnet', '2025-08-16', '15:00', { round: 1 }),
+                fixture('f2', 'York City', 'Woking', '2025-10-07', '19:45', { round: 1 }),
+                fixture('f3', 'Barnet', 'York City', '2025-08-23', '15:00', { round: 2 })
+            ];
+            const { assignment, strategy } = buildGameweekAssignment(rounds);
+
+            expect(strategy).toBe('rounds');
+            expect(assignment).toEqual({ f1: 1, f2: 1, f3: 2 });
+            expect(summariseGameweeks(rounds, assignment)[0].warnings).toEqual(['Fixtures run from 2025-08-16 to 2025-10-07']);
+        });
+
+        it('should leave fixtures without a date in their current gameweek', () => {
+            const { assignment, unscheduled } = buildGameweekAssignment([
+                ...fixtures.slice(0, 2),
+                fixture('f7', 'Hale Barns', 'Timperley', null, 'TBD', { gameWeek: 4 })
+            ]);
+
+            expect(assignment).toEqual({ f1: 1, f2: 1, f7: 4 });
+            expect(unscheduled).toEqual(['f7']);
+        });
+    });
+
+    describe('summariseGameweeks', () => {
+        it('should set each deadline to the earliest kick-off', () => {
+            const [gameweek1, , gameweek3] = summariseGameweeks(fixtures, buildGameweekAssignment(fixtures).assignment);
+
+            expect(gameweek1).toMatchObject({ gameweek: 1, fixtureIds: ['f1', 'f2'], startDate: '2025-08-16', endDate: '2025-08-17', deadlineFixtureId: 'f1', warnings: [] });
+            expect(gameweek1.deadline).toEqual(new Date('2025-08-16T14:00:00Z'));
+            expect(gameweek3.deadline).toEqual(new Date('2025-09-13T14:00:00Z'));
+        });
+
+        it('should take the lock offset and club time zone into the deadlines', () => {
+            const deadlineSettings = { timeZone: 'America/New_York', lockOffsetMinutes: 60 };
+            const [gameweek1] = summariseGameweeks(fixtures, buildGameweekAssignment(fixtures).assignment, { deadlineSettings });
+
+            expect(gameweek1.deadline).toEqual(new Date('2025-08-16T18:00:00Z'));
+        });
+
+        it('should warn when a moved fixture puts a team in a gameweek twice', () => {
+            const { assignment } = buildGameweekAssignment(fixtures);
+            const [gameweek1] = summariseGameweeks(fixtures, { ...assignment, f3: 1 });
+
+            expect(gameweek1.fixtureIds).toEqual(['f1', 'f2', 'f3']);
+            expect(gameweek1.duplicateTeams).toEqual(['Barnet', 'York City']);
+            expect(gameweek1.warnings).toEqual(['Barnet plays more than once', 'York City plays more than once']);
+        });
+
+        it('should flag deadlines that assume a kick-off time or have already passed', () => {
+            const untimed = [fixture('f6', 'Barnet', 'Woking', '2025-09-13', 'TBD')];
+            const [gameweek] = summariseGameweeks(untimed, { f6: 3 }, { now: new Date('2025-09-14T12:00') });
+
+            expect(gameweek.warnings).toEqual([
+                'Deadline assumes a 15:00 kick-off - 1 fixture has no time',
+                'Deadline has passed - picks may already be locked'
+            ]);
+        });
+    });
+
+    describe('planGameweekChanges', () => {
+        it('should only update fixtures that move, and store kick-off times deadlines read', () => {
+            const stored = [
+                fixture('f1', 'Altrincham', 'Barnet', '2025-08-16', '15:00', { gameWeek: 1, kickOffTime: '15:00' }),
+                fixture('f2', 'York City', 'Woking', '2025-08-17', '12:30', { gameWeek: 1 }),
+                fixture('f3', 'Barnet', 'York City', '2025-08-19', 'TBD', { gameWeek: 1 })
+            ];
+
+            expect(planGameweekChanges(stored, { f1: 1, f2: 1, f3: 2 })).toEqual([
+                { id: 'f2', changes: { kickOffTime: '12:30' } },
+                { id: 'f3', changes: { gameWeek: 2 } }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { projectGameweek, projectPickResult, isFixtureInPlay } from '../services/LiveProjection.js';
+import { resolveResultRules } from '../services/ResultRules.js';
+import { resolveEditionFormat } from '../services/EditionFormats.js';
+
+describe('LiveProjection', () => {
+    const fixtures = [
+        { id: 'f1', gameWeek: 1, homeTeam: 'Altrincham', awayTeam: 'Barnet', homeScore: 0, awayScore: 1, status: 'completed' },
+        { id: 'f2', gameWeek: 2, homeTeam: 'Altrincham', awayTeam: 'Aldershot Town', homeScore: 1, awayScore: 0, status: 'live' },
+        { id: 'f3', gameWeek: 2, homeTeam: 'Barnet', awayTeam: 'York City', homeScore: 2, awayScore: 2, status: 'half-time' },
+        { id: 'f4', gameWeek: 2, homeTeam: 'Woking', awayTeam: 'Yeovil Town', homeScore: null, awayScore: null, status: 'scheduled' },
+        { id: 'f5', gameWeek: 2, homeTeam: 'Solihull Moors', awayTeam: 'Wealdstone', homeScore: null, awayScore: null, status: 'postponed' }
+    ];
+
+    const players = ['alice', 'bob', 'carol', 'dave', 'erin', 'fran'].map(uid => ({ uid, displayName: uid[0].toUpperCase() + uid.slice(1) }));
+
+    const picksByUser = {
+        alice: { 1: { teamPicked: 'Barnet', result: 'win' }, 2: { teamPicked: 'Altrincham', result: null } },
+        bob: { 1: { teamPicked: 'Altrincham', result: 'loss' }, 2: { teamPicked: 'Aldershot Town', result: null } },
+        carol: { 1: { teamPicked: 'Barnet', result: 'win' }, 2: { teamPicked: 'York City', result: null } },
+        dave: { 1: { teamPicked: 'Barnet', result: 'win' }, 2: { teamPicked: 'Woking', result: null } },
+        erin: { 1: { teamPicked: 'Barnet', result: 'win' }, 2: { teamPicked: 'Wealdstone', result: null } },
+        fran: { 1: { teamPicked: 'Barnet', result: 'win' } }
+    };
+
+    const project = (settings = {}, overrides = {}) => projectGameweek({
+        players,
+        picksByUser,
+        fixtures,
+        gameweek: 2,
+        rules: resolveResultRules(settings),
+        format: resolveEditionFormat(settings),
+        ...overrides
+    });
+
+    const byPlayer = (projection) => Object.fromEntries(projection.rows.map(row => [row.uid, row]));
+
+    describe('projectPickResult', () => {
+        it('should read the result from the picked side of the current score', () => {
+            expect(projectPickResult({ teamPicked: 'Altrincham' }, fixtures[1])).toBe('win');
+            expect(projectPickResult({ teamPicked: 'Aldershot Town' }, fixtures[1])).toBe('loss');
+            expect(projectPickResult({ teamPicked: 'York City' }, fixtures[2])).toBe('draw');
+        });
+
+        it('should have no result before kick-off or for another fixture', () => {
+            expect(projectPickResult({ teamPicked: 'Woking' }, fixtures[3])).toBeNull();
+            expect(projectPickResult({ teamPicked: 'Woking' }, fixtures[1])).toBeNull();
+            expect(isFixtureInPlay(fixtures[4])).toBe(false);
+        });
+    });
+
+    describe('projectGameweek', () => {
+        it('should show who would lose a life or be eliminated if the games ended now', () => {
+            const rows = byPlayer(project());
+
+            expect(rows.alice).toMatchObject({ projectedResult: 'win', livesBefore: 2, livesAfter: 2, outcome: 'safe' });
+            expect(rows.bob).toMatchObject({ projectedResult: 'loss', livesBefore: 1, livesAfter: 0, outcome: 'eliminated' });
+            expect(rows.carol).toMatchObject({ projectedResult: 'draw', livesAfter: 2, outcome: 'safe' });
+            expect(rows.dave).toMatchObject({ projectedResult: null, outcome: 'pending' });
+            expect(rows.erin).toMatchObject({ projectedResult: null, outcome: 'void' });
+            expect(rows.fran).toMatchObject({ teamPicked: null, outcome: 'noPick' });
+        });
+
+        it('should apply the edition draw policy', () => {
+            const rows = byPlayer(project({ resultRules: { drawPolicy: 'loseLife' } }));
+            expect(rows.carol).toMatchObject({ livesBefore: 2, livesAfter: 1, outcome: 'loseLife' });
+        });
+
+        it('should rank projected standings by lives, sharing positions on a tie', () => {
+            const projection = project({ resultRules: { drawPolicy: 'loseLife' } });
+
+            expect(projection.rows.map(row => [row.displayName, row.projectedPosition])).toEqual([
+                ['Alice', 1], ['Dave', 1], ['Erin', 1], ['Fran', 1], ['Carol', 5], ['Bob', 6]
+            ]);
+            expect(projection.summary).toMatchObject({ safe: 1, loseLife: 1, eliminated: 1, pending: 1, void: 1, noPick: 1 });
+        });
+
+        it('should follow the in-play score rather than a result already committed', () => {
+            const settled = { ...picksByUser, alice: { ...picksByUser.alice, 2: { teamPicked: 'Altrincham', result: 'loss' } } };
+            expect(byPlayer(project({}, { picksByUser: settled })).alice.outcome).toBe('safe');
+        });
+
+        it('should mark players already eliminated as out', () => {
+            const eliminated = { ...picksByUser, bob: { 1: { teamPicked: 'Altrincham', result: 'loss' }, 2: { teamPicked: 'Aldershot Town', result: null } } };
+            const rows = byPlayer(project({ maxLives: 1 }, { picksByUser: eliminated }));
+
+            expect(rows.bob).toMatchObject({ livesBefore: 0, outcome: 'out' });
+        });
+
+        it('should not change the picks it is given', () => {
+            project();
+            expect(picksByUser.alice[2].result).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+    buildPickHistory,
+    filterToLeague,
+    generateInviteCode,
+    normaliseInviteCode,
+    rankWithinLeague,
+    validateLeagueName
+} from '../services/MiniLeagues.js';
+
+describe('MiniLeagues', () => {
+    describe('invite codes', () => {
+        it('should generate six characters without look-alikes', () => {
+            const code = generateInviteCode();
+            expect(code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+            expect(generateInviteCode(() => 0)).toBe('AAAAAA');
+        });
+
+        it('should accept codes as players type them', () => {
+            expect(normaliseInviteCode(' k7p-q2m ')).toBe('K7PQ2M');
+            expect(normaliseInviteCode('K7PQ2')).toBeNull();
+            expect(normaliseInviteCode('K7PQ0M')).toBeNull();
+            expect(normaliseInviteCode(null)).toBeNull();
+        });
+    });
+
+    describe('validateLeagueName', () => {
+        it('should need a name of up to 40 characters', () => {
+            expect(validateLeagueName('U10s Parents')).toBeNull();
+            expect(validateLeagueName('   ')).toBe('Give the league a name');
+            expect(validateLeagueName('x'.repeat(41))).toMatch(/up to 40/);
+        });
+    });
+
+    describe('filterToLeague', () => {
+        const rows = [{ uid: 'a' }, { uid: 'b' }, { uid: 'c' }];
+
+        it('should keep only members, in the order given', () => {
+            expect(filterToLeague(rows, { memberIds: ['c', 'a'] })).toEqual([{ uid: 'a' }, { uid: 'c' }]);
+        });
+
+        it('should keep everyone when no league is chosen', () => {
+            expect(filterToLeague(rows, null)).toBe(rows);
+        });
+    });
+
+    describe('rankWithinLeague', () => {
+        it('should place members among themselves, keeping ties', () => {
+            const members = [{ position: 2 }, { position: 5 }, { position: 5 }, { position: 9 }];
+            expect(rankWithinLeague(members, member => member.position)).toEqual([1, 2, 2, 4]);
+        });
+    });
+
+    describe('buildPickHistory', () => {
+        it('should lay out each member\'s picks by gameweek up to the one given', () => {
+            const players = [
+                { uid: 'a', displayName: 'Alice', picks: { 1: { teamPicked: 'Arsenal', result: 'win' }, 3: { teamPicked: 'Everton', result: null } } },
+                { uid: 'b', displayName: 'Bob', picks: { gw2: { teamPicked: 'Chelsea', result: 'L', isAutopick: true } } }
+            ];
+
+            const history = buildPickHistory(players, 2);
+
+            expect(history.gameweeks).toEqual([1, 2]);
+            expect(history.rows[0].picks).toEqual({ 1: { teamPicked: 'Arsenal', result: 'win', isAutopick: false } });
+            expect(history.rows[1].picks[2]).toEqual({ teamPicked: 'Chelsea', result: 'L', isAutopick: true });
+        });
+    });
+});
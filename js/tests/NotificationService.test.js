@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getNotificationId,
+    planDeliveryChannels,
+    planDeadlineReminders,
+    planSettlementNotices,
+    deliverNotification,
+    createMemoryTransport
+} from '../services/NotificationService.js';
+import { renderNotification, resolveNotificationPreferences } from '../services/NotificationTemplates.js';
+
+describe('NotificationService', () => {
+    const now = new Date('2025-08-15T15:00:00Z');
+    const deadline = new Date('2025-08-16T14:00:00Z'); // 15:00 BST Saturday
+
+    describe('renderNotification', () => {
+        it('should give the deadline in the club time zone', () => {
+            const content = renderNotification('deadlineReminder', {
+                gameweek: 3, editionName: 'Autumn 2025', deadline, timeZone: 'Europe/London'
+            });
+
+            expect(content.subject).toBe('Game Week 3 deadline - you haven\'t picked yet');
+            expect(content.text).toContain('Picks close Sat 16 Aug, 15:00 (Europe/London).');
+            expect(content.push.link).toBe('https://losapp.netlify.app');
+        });
+
+        it('should escape player-controlled names in the HTML', () => {
+            const { html } = renderNotification('autoPicked', { gameweek: 1, editionName: '<b>Cup</b>', team: 'Chelsea' });
+
+            expect(html).toContain('&lt;b&gt;Cup&lt;/b&gt;');
+            expect(html).not.toContain('<b>Cup</b>');
+        });
+
+        it('should pass a score correction\'s summary through as the message', () => {
+            const summary = 'Score corrected: Altrincham 0-2 Aldershot Town (was 2-0). You now have 1 life.';
+            const content = renderNotification('scoreCorrection', { gameweek: 2, summary });
+
+            expect(content.subject).toBe('A score was corrected in Game Week 2');
+            expect(content.message).toBe(summary);
+        });
+
+        it('should reject unknown types', () => {
+            expect(() => renderNotification('newsletter')).toThrow(expect.objectContaining({ code: 'unknown-notification-type' }));
+        });
+    });
+
+    describe('preferences', () => {
+        it('should email everything and not push unless the player asks', () => {
+            expect(resolveNotificationPreferences({})).toMatchObject({ email: true, push: false, lifeLost: true, reminderHours: 24 });
+            expect(planDeliveryChannels({ email: 'a@example.com' })).toEqual({ email: 'pending', push: 'off' });
+        });
+
+        it('should only push to players with a token', () => {
+            const notificationPreferences = { email: false, push: true };
+
+            expect(planDeliveryChannels({ email: 'a@example.com', notificationPreferences })).toEqual({ email: 'off', push: 'off' });
+            expect(planDeliveryChannels({ notificationPreferences, pushTokens: ['token-1'] })).toEqual({ email: 'off', push: 'pending' });
+        });
+
+        it('should use one ID per player and event', () => {
+            expect(getNotificationId('autoPicked', 'gw3', 'user1')).toBe('autoPicked_gw3_user1');
+        });
+    });
+
+    describe('planDeadlineReminders', () => {
+        const users = [
+            { id: 'picked', lives: 2 },
+            { id: 'forgot', lives: 2 },
+            { id: 'out', lives: 0 },
+            { id: 'late', lives: 1, notificationPreferences: { reminderHours: 2 } },
+            { id: 'quiet', lives: 1, notificationPreferences: { deadlineReminder: false } }
+        ];
+        const picks = [{ userId: 'picked', gameweek: 3 }, { userId: 'forgot', gameweek: 2 }];
+
+        it('should remind active players without a pick inside their reminder window', () => {
+            const reminders = planDeadlineReminders({ users, picks, gameweek: 3, deadline, now });
+
+            expect(reminders).toEqual([
+                { userId: 'forgot', type: 'deadlineReminder', key: 'gw3', data: { gameweek: 3, deadline } }
+            ]);
+        });
+
+        it('should remind players who want it late once they are inside the window', () => {
+            const reminders = planDeadlineReminders({ users, picks, gameweek: 3, deadline, now: new Date('2025-08-16T12:30:00Z') });
+
+            expect(reminders.map(reminder => reminder.userId)).toEqual(['forgot', 'late']);
+        });
+
+        it('should not remind once the deadline has passed', () => {
+            expect(planDeadlineReminders({ users, picks, gameweek: 3, deadline, now: deadline })).toEqual([]);
+        });
+    });
+
+    describe('planSettlementNotices', () => {
+        it('should tell players who lost a life or went out', () => {
+            const notices = planSettlementNotices({
+                gameweek: 3,
+                startingLives: 2,
+                users: [{ id: 'a', lives: 2 }, { id: 'b', lives: 1 }, { id: 'c' }, { id: 'd', lives: 0 }],
+                picks: [{ userId: 'a', gameweek: 3, teamPicked: 'Barnet' }, { userId: 'a', gameweek: 2, teamPicked: 'Woking' }],
+                userUpdates: [
+                    { id: 'a', changes: { lives: 1 } },
+                    { id: 'b', changes: { lives: 0, isEliminated: true, eliminationGameweek: 3 } },
+                    { id: 'c', changes: { lives: 2 } },
+                    // Restored by a score correction
+                    { id: 'd', changes: { lives: 1, isEliminated: false, eliminationGameweek: null } }
+                ]
+            });
+
+            expect(notices).toEqual([
+                { userId: 'a', type: 'lifeLost', key: 'gw3_lives1', data: { gameweek: 3, team: 'Barnet', lives: 1 } },
+                { userId: 'b', type: 'eliminated', key: 'gw3', data: { gameweek: 3, team: null } }
+            ]);
+        });
+    });
+
+    describe('deliverNotification', () => {
+        const content = renderNotification('lifeLost', { gameweek: 3, team: 'Barnet', lives: 1 });
+        const recipient = { email: 'a@example.com', pushTokens: ['token-1', 'token-2'] };
+
+        it('should send each pending channel through its transport', async () => {
+            const email = createMemoryTransport();
+            const push = createMemoryTransport();
+
+            const result = await deliverNotification({ channels: { email: 'pending', push: 'pending' }, attempts: 1 }, recipient, content, { email, push });
+
+            expect(result).toMatchObject({ channels: { email: 'sent', push: 'sent' }, deliveryStatus: 'sent', errors: [] });
+            expect(email.sent).toEqual([{ to: 'a@example.com', subject: 'You lost a life in Game Week 3', text: content.text, html: content.html }]);
+            expect(push.sent[0]).toMatchObject({ tokens: ['token-1', 'token-2'], title: 'You lost a life in Game Week 3' });
+        });
+
+        it('should not send a channel again when retrying another', async () => {
+            const email = createMemoryTransport();
+            const push = createMemoryTransport();
+
+            const result = await deliverNotification({ channels: { email: 'sent', push: 'failed' }, attempts: 2 }, recipient, content, { email, push });
+
+            expect(email.sent).toHaveLength(0);
+            expect(push.sent).toHaveLength(1);
+            expect(result.deliveryStatus).toBe('sent');
+        });
+
+        it('should retry failures until the last attempt', async () => {
+            const email = createMemoryTransport({ failWith: () => new Error('SendGrid unavailable') });
+            const notification = { channels: { email: 'pending', push: 'off' }, attempts: 1 };
+
+            const first = await deliverNotification(notification, recipient, content, { email });
+            const last = await deliverNotification({ ...notification, attempts: 3 }, recipient, content, { email });
+
+            expect(first).toMatchObject({ channels: { email: 'failed', push: 'off' }, deliveryStatus: 'failed', errors: ['email: SendGrid unavailable'] });
+            expect(last.deliveryStatus).toBe('abandoned');
+        });
+
+        it('should skip channels without a transport and pass on dead push tokens', async () => {
+            const push = { send: async () => ({ invalidTokens: ['token-2'] }) };
+
+            const result = await deliverNotification({ channels: { email: 'pending', push: 'pending' }, attempts: 1 }, recipient, content, { push });
+
+            expect(result.channels).toEqual({ email: 'skipped', push: 'sent' });
+            expect(result.invalidTokens).toEqual(['token-2']);
+        });
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import {
+    resolvePaymentSettings,
+    summarisePlayerPayments,
+    isPaymentBlocked,
+    calculatePrizePot,
+    formatMoney,
+    parseMoney
+} from '../services/PaymentLedger.js';
+
+describe('PaymentLedger', () => {
+    const settings = resolvePaymentSettings({ entryFeePence: 1000, prizeClubPercent: 25, paymentRequiredFromGameweek: 2 });
+
+    describe('resolvePaymentSettings', () => {
+        it('should default to a free edition that never blocks', () => {
+            expect(resolvePaymentSettings()).toEqual({
+                entryFeePence: 0, currency: 'GBP', prizeClubPercent: 50, paymentRequiredFromGameweek: null
+            });
+        });
+
+        it('should ignore unusable values', () => {
+            expect(resolvePaymentSettings({ entryFeePence: -5, prizeClubPercent: 150, paymentRequiredFromGameweek: 0 }))
+                .toMatchObject({ entryFeePence: 0, prizeClubPercent: 100, paymentRequiredFromGameweek: null });
+        });
+    });
+
+    describe('summarisePlayerPayments', () => {
+        it('should be paid once the entry fee is covered', () => {
+            const payments = [
+                { amountPence: 500, status: 'paid' },
+                { amountPence: 500, status: 'paid' },
+                { amountPence: 1000, status: 'failed' }
+            ];
+
+            expect(summarisePlayerPayments(payments, 1000)).toEqual({ status: 'paid', paidPence: 1000, pendingPence: 0, refundedPence: 0 });
+            expect(summarisePlayerPayments(payments.slice(1), 1000).status).toBe('unpaid');
+        });
+
+        it('should only count the entry fee towards being paid', () => {
+            const payments = [{ amountPence: 1000, status: 'paid', purpose: 'buyBack' }];
+
+            expect(summarisePlayerPayments(payments, 1000)).toEqual({ status: 'unpaid', paidPence: 1000, pendingPence: 0, refundedPence: 0 });
+        });
+
+        it('should show a payment still going through or given back', () => {
+            expect(summarisePlayerPayments([{ amountPence: 1000, status: 'pending' }], 1000).status).toBe('pending');
+            expect(summarisePlayerPayments([{ amountPence: 1000, status: 'refunded' }], 1000).status).toBe('refunded');
+            expect(summarisePlayerPayments([], 1000).status).toBe('unpaid');
+        });
+    });
+
+    describe('isPaymentBlocked', () => {
+        it('should block unpaid players from the configured gameweek on', () => {
+            expect(isPaymentBlocked({ paymentStatus: 'unpaid' }, 1, settings)).toBe(false);
+            expect(isPaymentBlocked({ paymentStatus: 'pending' }, 2, settings)).toBe(true);
+            expect(isPaymentBlocked({}, 5, settings)).toBe(true);
+            expect(isPaymentBlocked({ paymentStatus: 'paid' }, 5, settings)).toBe(false);
+        });
+
+        it('should never block in a free edition or without a cut-off', () => {
+            expect(isPaymentBlocked({}, 5, { ...settings, entryFeePence: 0 })).toBe(false);
+            expect(isPaymentBlocked({}, 5, { ...settings, paymentRequiredFromGameweek: null })).toBe(false);
+        });
+    });
+
+    describe('calculatePrizePot', () => {
+        const payments = [
+            { userId: 'a', amountPence: 1000, status: 'paid' },
+            { userId: 'b', amountPence: 1000, status: 'paid' },
+            { userId: 'b', amountPence: 1000, status: 'refunded' },
+            { userId: 'c', amountPence: 1000, status: 'pending' },
+            { userId: 'd', amountPence: 1001, status: 'paid' }
+        ];
+
+        it('should split what has been paid between the club and the winner', () => {
+            expect(calculatePrizePot(payments, settings)).toEqual({
+                collectedPence: 3001,
+                pendingPence: 1000,
+                refundedPence: 1000,
+                clubSharePence: 750,
+                winnerSharePence: 2251,
+                perWinnerPence: 2251,
+                paidPlayers: 3
+            });
+        });
+
+        it('should leave the odd penny with the club when winners share', () => {
+            expect(calculatePrizePot(payments, settings, { winners: 2 }).perWinnerPence).toBe(1125);
+        });
+    });
+
+    describe('money', () => {
+        it('should format pence in the edition currency', () => {
+            expect(formatMoney(1050)).toBe('£10.50');
+            expect(formatMoney(500, 'EUR')).toBe('€5.00');
+        });
+
+        it('should read amounts typed by an admin', () => {
+            expect(parseMoney('10')).toBe(1000);
+            expect(parseMoney('£10.5')).toBe(1050);
+            expect(parseMoney(' 7.25 ')).toBe(725);
+            expect(parseMoney('ten')).toBeNull();
+            expect(parseMoney('10.999')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { buildPickReveal, buildPlayerRoster, findRevealedThrough } from '../services/PickReveal.js';
+
+describe('PickReveal', () => {
+    describe('buildPickReveal', () => {
+        const users = [{ id: 'a', displayName: 'Alice' }, { id: 'b', displayName: 'Bob' }, { id: 'c', displayName: 'Carol' }, { id: 'd', displayName: 'Dan' }];
+
+        it('should count each team and name its players, most picked first', () => {
+            const reveal = buildPickReveal(3, [
+                { userId: 'b', teamPicked: 'Arsenal' },
+                { userId: 'a', teamPicked: 'Arsenal', isAutopick: true },
+                { userId: 'c', teamPicked: 'Chelsea' }
+            ], users);
+
+            expect(reveal).toEqual({
+                gameweek: 3,
+                totalPicks: 3,
+                autoPicks: 1,
+                teams: [
+                    { team: 'Arsenal', count: 2, players: ['Alice', 'Bob'] },
+                    { team: 'Chelsea', count: 1, players: ['Carol'] }
+                ],
+                missed: []
+            });
+        });
+
+        it('should list players who missed the deadline without a team', () => {
+            const reveal = buildPickReveal(3, [{ userId: 'd', teamPicked: null, missedDeadline: true }], users);
+            expect(reveal.totalPicks).toBe(0);
+            expect(reveal.missed).toEqual(['Dan']);
+        });
+    });
+
+    describe('buildPlayerRoster', () => {
+        it('should keep only names and the gameweek and lives of each grant', () => {
+            expect(buildPlayerRoster([
+                { id: 'a', displayName: 'Alice', email: 'alice@example.com', paymentStatus: 'paid' },
+                { id: 'b', lifeGrants: [{ gameweek: '6', lives: 1, type: 'buyBack', paymentId: 'p1', grantedBy: 'admin' }] }
+            ])).toEqual({
+                players: [
+                    { uid: 'a', displayName: 'Alice', lifeGrants: [] },
+                    { uid: 'b', displayName: 'Unknown player', lifeGrants: [{ gameweek: 6, lives: 1 }] }
+                ]
+            });
+        });
+    });
+
+    describe('findRevealedThrough', () => {
+        it('should reveal up to the last deadline with every earlier one completed', () => {
+            const locks = [
+                { gameweek: 1, status: 'completed' },
+                { gameweek: 2, status: 'processing' },
+                { gameweek: 3, status: 'scheduled' }
+            ];
+            expect(findRevealedThrough(locks, 2)).toBe(2);
+            expect(findRevealedThrough(locks)).toBe(1);
+        });
+
+        it('should not reveal a gameweek early when a later deadline completes first', () => {
+            const locks = [
+                { gameweek: 1, status: 'scheduled' },
+                { gameweek: 2, status: 'completed' }
+            ];
+            expect(findRevealedThrough(locks)).toBe(0);
+        });
+    });
+});
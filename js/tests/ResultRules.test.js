@@ -0,0 +1,194 @@
+import { describe, it, expect } from 'vitest';
+import {
+    calculateEditionLives,
+    calculateLives,
+    describePickResult,
+    describeResultRules,
+    evaluatePick,
+    isUpsetWin,
+    resolveResultRules
+} from '../services/ResultRules.js';
+import { resolveEditionFormat } from '../services/EditionFormats.js';
+
+describe('ResultRules', () => {
+    const fixtures = [
+        { id: 'f1', gameWeek: 1, homeTeam: 'Arsenal', awayTeam: 'Burnley', homeScore: 0, awayScore: 1 },
+        { id: 'f2', gameWeek: 2, homeTeam: 'Chelsea', awayTeam: 'Everton', homeScore: 1, awayScore: 1 },
+        { id: 'f3', gameWeek: 3, homeTeam: 'Fulham', awayTeam: 'Arsenal', homeScore: 2, awayScore: 0 }
+    ];
+    const teamRankings = ['Arsenal', 'Chelsea', 'Everton', 'Fulham', 'Burnley'];
+
+    describe('resolveResultRules', () => {
+        it('should default to draws as survivals with two lives and no bonuses', () => {
+            expect(resolveResultRules()).toEqual({
+                drawPolicy: 'survive',
+                livesPerPlayer: 2,
+                awayWinBonusLives: 0,
+                upsetBonusLives: 0,
+                upsetRankGap: 10,
+                livesCap: null,
+                teamRankings: []
+            });
+        });
+
+        it('should take lives per player from settings, then the edition', () => {
+            expect(resolveResultRules({ maxLives: 3 }, { lives_per_player: 5 }).livesPerPlayer).toBe(3);
+            expect(resolveResultRules({}, { lives_per_player: 5 }).livesPerPlayer).toBe(5);
+        });
+
+        it('should ignore unknown draw policies and bad numbers', () => {
+            const rules = resolveResultRules({ resultRules: { drawPolicy: 'coinToss', awayWinBonusLives: 'lots', livesCap: '' } });
+            expect(rules.drawPolicy).toBe('survive');
+            expect(rules.awayWinBonusLives).toBe(0);
+            expect(rules.livesCap).toBeNull();
+        });
+    });
+
+    describe('evaluatePick', () => {
+        it('should take a life for a draw only when the edition says so', () => {
+            const pick = { teamPicked: 'Chelsea', result: 'D' };
+            expect(evaluatePick(pick, fixtures[1], resolveResultRules()).livesLost).toBe(0);
+            expect(evaluatePick(pick, fixtures[1], resolveResultRules({ resultRules: { drawPolicy: 'loseLife' } })).livesLost).toBe(1);
+        });
+
+        it('should award away-win and upset bonuses together', () => {
+            const rules = resolveResultRules({
+                teamRankings,
+                resultRules: { awayWinBonusLives: 1, upsetBonusLives: 2, upsetRankGap: 3 }
+            });
+            const evaluation = evaluatePick({ teamPicked: 'Burnley', result: 'win' }, fixtures[0], rules);
+            expect(evaluation.bonusLives).toBe(3);
+            expect(evaluation.bonuses).toEqual(['awayWin', 'upset']);
+        });
+
+        it('should not award bonuses without the fixture', () => {
+            const rules = resolveResultRules({ resultRules: { awayWinBonusLives: 1 } });
+            expect(evaluatePick({ teamPicked: 'Burnley', result: 'win' }, null, rules).bonusLives).toBe(0);
+        });
+    });
+
+    describe('isUpsetWin', () => {
+        const rules = resolveResultRules({ teamRankings, resultRules: { upsetRankGap: 3 } });
+
+        it('should need the picked team to be far enough below the opponent', () => {
+            expect(isUpsetWin({ teamPicked: 'Burnley' }, fixtures[0], rules)).toBe(true);
+            expect(isUpsetWin({ teamPicked: 'Everton' }, fixtures[1], rules)).toBe(false);
+        });
+
+        it('should never count teams missing from the table', () => {
+            expect(isUpsetWin({ teamPicked: 'Wrexham' }, { homeTeam: 'Arsenal', awayTeam: 'Wrexham' }, rules)).toBe(false);
+        });
+    });
+
+    describe('calculateLives', () => {
+        it('should cap bonus lives without taking away lives already above the cap', () => {
+            const rules = resolveResultRules({ maxLives: 2, resultRules: { awayWinBonusLives: 2, livesCap: 3 } });
+            const picks = { 1: { teamPicked: 'Burnley', result: 'win' } };
+            expect(calculateLives(picks, rules, fixtures).lives).toBe(3);
+
+            const generous = { ...rules, livesPerPlayer: 5 };
+            expect(calculateLives(picks, generous, fixtures).lives).toBe(5);
+        });
+
+        it('should record the elimination gameweek and ignore anything after it', () => {
+            const rules = resolveResultRules({ maxLives: 1, resultRules: { drawPolicy: 'loseLife', awayWinBonusLives: 1 } });
+            const picks = {
+                2: { teamPicked: 'Chelsea', result: 'draw' },
+                3: { teamPicked: 'Burnley', result: 'win' }
+            };
+            expect(calculateLives(picks, rules, fixtures)).toEqual({ lives: 0, eliminationGameweek: 2 });
+        });
+
+        it('should accept gw-prefixed gameweek keys', () => {
+            const rules = resolveResultRules({ resultRules: { awayWinBonusLives: 1 } });
+            const picks = { gw1: { teamPicked: 'Burnley', result: 'win' } };
+            expect(calculateLives(picks, rules, fixtures).lives).toBe(3);
+        });
+
+        it('should bring a player back in from a life grant and count picks after it', () => {
+            const rules = resolveResultRules({ maxLives: 1 });
+            const picks = {
+                1: { teamPicked: 'Arsenal', result: 'loss' },
+                2: { teamPicked: 'Chelsea', result: 'draw' },
+                3: { teamPicked: 'Arsenal', result: 'loss' }
+            };
+
+            expect(calculateLives(picks, rules, fixtures, [{ gameweek: 3, lives: 1 }])).toEqual({ lives: 0, eliminationGameweek: 3 });
+            expect(calculateLives(picks, rules, fixtures, [{ gameweek: 3, lives: 2 }])).toEqual({ lives: 1, eliminationGameweek: null });
+            // Bought back in before the next gameweek has any picks
+            expect(calculateLives(picks, rules, fixtures, [{ gameweek: 4, lives: 1 }])).toEqual({ lives: 1, eliminationGameweek: null });
+        });
+    });
+
+    describe('calculateEditionLives', () => {
+        const settings = { format: 'knockout' };
+        const rules = resolveResultRules(settings);
+        const format = resolveEditionFormat(settings);
+
+        it('should knock players out on their first loss', () => {
+            const { players, rolloverGameweeks } = calculateEditionLives({
+                alice: { 1: { result: 'win' }, 2: { result: 'loss' } },
+                bob: { 1: { result: 'win' }, 2: { result: 'win' } }
+            }, rules, [], format);
+
+            expect(players.alice).toEqual({ lives: 0, eliminationGameweek: 2 });
+            expect(players.bob.lives).toBe(1);
+            expect(rolloverGameweeks).toEqual([]);
+        });
+
+        it('should roll everyone over when all remaining players go out together', () => {
+            const { players, rolloverGameweeks } = calculateEditionLives({
+                alice: { 1: { result: 'loss' } },
+                bob: { 1: { result: 'win' }, 2: { result: 'loss' }, 3: { result: 'win' } },
+                carol: { 1: { result: 'win' }, 2: { result: 'loss' }, 3: { result: 'loss' } }
+            }, rules, [], format);
+
+            expect(rolloverGameweeks).toEqual([2]);
+            expect(players.alice.eliminationGameweek).toBe(1);
+            expect(players.bob).toEqual({ lives: 1, eliminationGameweek: null });
+            expect(players.carol.eliminationGameweek).toBe(3);
+        });
+
+        it('should not roll over in classic editions', () => {
+            const { players, rolloverGameweeks } = calculateEditionLives({
+                alice: { 1: { result: 'loss' } },
+                bob: { 1: { result: 'loss' } }
+            }, resolveResultRules({ maxLives: 1 }), [], resolveEditionFormat());
+
+            expect(rolloverGameweeks).toEqual([]);
+            expect(players.alice.lives).toBe(0);
+            expect(players.bob.lives).toBe(0);
+        });
+    });
+
+    describe('describePickResult', () => {
+        it('should explain how a draw was treated', () => {
+            const pick = { teamPicked: 'Chelsea', result: 'draw' };
+            expect(describePickResult(pick, null, resolveResultRules()).score).toBe('⚖️ Draw (survived)');
+            expect(describePickResult(pick, null, resolveResultRules({ resultRules: { drawPolicy: 'loseLife' } })).score).toBe('⚖️ Draw (life lost)');
+        });
+
+        it('should show bonus lives on a win', () => {
+            const rules = resolveResultRules({ resultRules: { awayWinBonusLives: 1 } });
+            expect(describePickResult({ teamPicked: 'Burnley', result: 'W' }, fixtures[0], rules)).toEqual({
+                status: 'win',
+                score: '✅ Win (+1 life)'
+            });
+        });
+
+        it('should show a missed deadline as a loss', () => {
+            expect(describePickResult({ teamPicked: null, missedDeadline: true, result: 'loss' }, null, resolveResultRules())).toEqual({
+                status: 'loss',
+                score: '⏰ Missed the deadline'
+            });
+        });
+    });
+
+    describe('describeResultRules', () => {
+        it('should only mention the rules that are switched on', () => {
+            expect(describeResultRules(resolveResultRules())).toEqual(['2 lives each', 'Draw is a survival (no life lost)']);
+            expect(describeResultRules(resolveResultRules({ resultRules: { upsetBonusLives: 1, livesCap: 4 } })))
+                .toContain('+1 life for beating a team 10+ places higher');
+        });
+    });
+});
@@ -0,0 +1,290 @@
+import { describe, it, expect } from 'vitest';
+import {
+    planSettlement,
+    planScoreCorrection,
+    summariseScoreCorrection,
+    describeScoreCorrection,
+    getPickResult,
+    getVoidPickOutcome,
+    isFixtureFinal
+} from '../services/ResultSettlementService.js';
+
+describe('ResultSettlementService', () => {
+    const now = new Date('2025-08-16T17:00:00Z');
+
+    const createEdition = () => ({
+        fixtures: [
+            { id: 'f1', gameWeek: 1, homeTeam: 'Altrincham', awayTeam: 'Barnet', homeScore: 0, awayScore: 1, status: 'completed' },
+            { id: 'f2', gameWeek: 2, homeTeam: 'Altrincham', awayTeam: 'Aldershot Town', homeScore: 2, awayScore: 0, status: 'completed' },
+            { id: 'f3', gameWeek: 2, homeTeam: 'York City', awayTeam: 'Woking', homeScore: 1, awayScore: 1, status: 'live' }
+        ],
+        picks: [
+            { id: 'alice_gw1', userId: 'alice', gameweek: 1, teamPicked: 'Barnet', result: 'win', livesAfterPick: 2 },
+            { id: 'bob_gw1', userId: 'bob', gameweek: 1, teamPicked: 'Altrincham', result: 'loss', livesAfterPick: 1 },
+            { id: 'alice_gw2', userId: 'alice', gameweek: 2, teamPicked: 'Altrincham', result: null, livesAfterPick: null },
+            { id: 'bob_gw2', userId: 'bob', gameweek: 2, teamPicked: 'Aldershot Town', result: null, livesAfterPick: null },
+            { id: 'carol_gw2', userId: 'carol', gameweek: 2, teamPicked: 'York City', result: null, livesAfterPick: null }
+        ],
+        users: [
+            { id: 'alice', lives: 2, isEliminated: false, eliminationGameweek: null },
+            { id: 'bob', lives: 1, isEliminated: false, eliminationGameweek: null },
+            { id: 'carol', lives: 2, isEliminated: false, eliminationGameweek: null }
+        ]
+    });
+
+    // Write a plan back onto the edition, as the service does
+    const apply = (edition, plan) => {
+        const updates = (records, changes) => records.map(record => {
+            const update = changes.find(change => change.id === record.id);
+            return update ? { ...record, ...update.changes } : record;
+        });
+        return { ...edition, picks: updates(edition.picks, plan.pickUpdates), users: updates(edition.users, plan.userUpdates) };
+    };
+
+    const byId = (updates) => Object.fromEntries(updates.map(update => [update.id, update.changes]));
+
+    describe('getPickResult', () => {
+        it('should read the result from the picked side of a completed fixture', () => {
+            const fixture = { homeTeam: 'Altrincham', awayTeam: 'Barnet', homeScore: '3', awayScore: '1', status: { short: 'FT' } };
+            expect(getPickResult(fixture, 'Altrincham')).toBe('win');
+            expect(getPickResult(fixture, 'Barnet')).toBe('loss');
+            expect(getPickResult(fixture, 'Woking')).toBeNull();
+        });
+
+        it('should not settle from a fixture that is still being played', () => {
+            expect(getPickResult({ homeTeam: 'A', awayTeam: 'B', homeScore: 1, awayScore: 0, status: 'half-time' }, 'A')).toBeNull();
+            expect(getPickResult({ homeTeam: 'A', awayTeam: 'B', homeScore: null, awayScore: null, status: 'completed' }, 'A')).toBeNull();
+        });
+
+        it('should count void fixtures as final', () => {
+            expect(isFixtureFinal({ status: 'postponed' })).toBe(true);
+            expect(isFixtureFinal({ status: 'live', homeScore: 1, awayScore: 0 })).toBe(false);
+        });
+    });
+
+    describe('planSettlement', () => {
+        it('should keep a re-entered player in and leave their earlier lives as they were', () => {
+            const edition = createEdition();
+            edition.users[1] = { id: 'bob', lives: 0, isEliminated: true, eliminationGameweek: 1, lifeGrants: [{ type: 'buyBack', gameweek: 2, lives: 1 }] };
+            edition.picks[1] = { ...edition.picks[1], livesAfterPick: 0 };
+            edition.picks[3] = { ...edition.picks[3], teamPicked: 'Altrincham' };
+
+            const plan = planSettlement({ ...edition, settings: { maxLives: 1 }, gameweek: 2, now });
+
+            expect(byId(plan.pickUpdates).bob_gw2).toMatchObject({ result: 'win', livesAfterPick: 1 });
+            expect(byId(plan.pickUpdates).bob_gw1).toBeUndefined();
+            expect(byId(plan.userUpdates).bob).toEqual({ lives: 1, isEliminated: false, eliminationGameweek: null });
+        });
+
+        it('should settle picks on completed fixtures with results and lives after the pick', () => {
+            const edition = createEdition();
+            const plan = planSettlement({ ...edition, gameweek: 2, now });
+
+            expect(byId(plan.pickUpdates)).toEqual({
+                alice_gw2: { result: 'win', processedAt: now, fixtureId: 'f2', livesAfterPick: 2 },
+                bob_gw2: { result: 'loss', processedAt: now, fixtureId: 'f2', livesAfterPick: 0 }
+            });
+            expect(byId(plan.userUpdates)).toEqual({
+                bob: { lives: 0, isEliminated: true, eliminationGameweek: 2 }
+            });
+        });
+
+        it('should keep the gameweek pending until every fixture is final', () => {
+            const edition = createEdition();
+            expect(planSettlement({ ...edition, gameweek: 2, now }).gameweek).toEqual({
+                gameweek: 2, status: 'pending', fixturesTotal: 2, fixturesFinal: 1, picksSettled: 2, picksPending: 1
+            });
+
+            edition.fixtures[2] = { ...edition.fixtures[2], status: 'completed' };
+            const plan = planSettlement({ ...edition, gameweek: 2, now });
+            expect(plan.gameweek).toMatchObject({ status: 'settled', fixturesFinal: 2, picksSettled: 3, picksPending: 0 });
+            expect(byId(plan.pickUpdates).carol_gw2).toMatchObject({ result: 'draw', livesAfterPick: 2 });
+        });
+
+        it('should change nothing when run again', () => {
+            const edition = createEdition();
+            const settled = apply(edition, planSettlement({ ...edition, gameweek: 2, now }));
+
+            const rerun = planSettlement({ ...settled, gameweek: 2, now });
+            expect(rerun.pickUpdates).toEqual([]);
+            expect(rerun.userUpdates).toEqual([]);
+        });
+
+        it('should put results and lives right after a score correction', () => {
+            const edition = createEdition();
+            const settled = apply(edition, planSettlement({ ...edition, gameweek: 2, now }));
+
+            // Aldershot actually won 0-2
+            settled.fixtures = settled.fixtures.map(fixture => (fixture.id === 'f2' ? { ...fixture, homeScore: 0, awayScore: 2 } : fixture));
+            const corrected = planSettlement({ ...settled, gameweek: 2, now });
+
+            expect(byId(corrected.pickUpdates)).toEqual({
+                alice_gw2: { result: 'loss', processedAt: now, livesAfterPick: 1 },
+                bob_gw2: { result: 'win', processedAt: now, livesAfterPick: 1 }
+            });
+            expect(byId(corrected.userUpdates)).toEqual({
+                alice: { lives: 1 },
+                bob: { lives: 1, isEliminated: false, eliminationGameweek: null }
+            });
+        });
+
+        it('should leave picks waiting on a re-pick and losses for missed deadlines alone', () => {
+            const edition = createEdition();
+            edition.picks.push(
+                { id: 'dave_gw2', userId: 'dave', gameweek: 2, teamPicked: 'Altrincham', result: null, voidOutcome: 'repick' },
+                { id: 'erin_gw2', userId: 'erin', gameweek: 2, teamPicked: null, result: 'loss', missedDeadline: true, livesAfterPick: 1 }
+            );
+            edition.users.push({ id: 'dave', lives: 2 }, { id: 'erin', lives: 1, isEliminated: false, eliminationGameweek: null });
+
+            const updates = byId(planSettlement({ ...edition, gameweek: 2, now }).pickUpdates);
+            expect(updates.dave_gw2).toBeUndefined();
+            expect(updates.erin_gw2).toBeUndefined();
+        });
+
+        it('should settle picks on void matches under the edition policy', () => {
+            const edition = createEdition();
+            edition.fixtures[2] = { ...edition.fixtures[2], status: 'postponed', homeScore: null, awayScore: null };
+
+            const plan = planSettlement({ ...edition, settings: { voidMatchPolicy: 'loss' }, gameweek: 2, now });
+            expect(byId(plan.pickUpdates).carol_gw2).toEqual({
+                result: 'loss', voidOutcome: 'loss', voidPolicy: 'loss', fixtureId: 'f3', voidStatus: 'postponed', processedAt: now, livesAfterPick: 1
+            });
+            expect(plan.voidOutcomes).toEqual([expect.objectContaining({ pickId: 'carol_gw2', fixtureId: 'f3', policy: 'loss', outcome: 'loss' })]);
+            expect(plan.gameweek.status).toBe('settled');
+
+            const rerun = planSettlement({ ...apply(edition, plan), settings: { voidMatchPolicy: 'loss' }, gameweek: 2, now });
+            expect(rerun.pickUpdates).toEqual([]);
+            expect(rerun.voidOutcomes).toEqual([]);
+        });
+
+        it('should keep a void match pick pending while it waits to carry over', () => {
+            const edition = createEdition();
+            edition.fixtures[2] = { ...edition.fixtures[2], status: 'postponed' };
+            edition.fixtures.push({ id: 'f4', gameWeek: 2, homeTeam: 'Barnet', awayTeam: 'Boston United', status: 'scheduled' });
+
+            const plan = planSettlement({ ...edition, settings: { voidMatchPolicy: 'carryOver' }, gameweek: 2, now });
+            expect(byId(plan.pickUpdates).carol_gw2).toMatchObject({ result: null, voidOutcome: 'carryOver' });
+            expect(plan.gameweek.status).toBe('pending');
+        });
+
+        it('should apply the edition result rules', () => {
+            const edition = createEdition();
+            edition.fixtures[2] = { ...edition.fixtures[2], status: 'completed' };
+
+            const plan = planSettlement({ ...edition, settings: { resultRules: { drawPolicy: 'loseLife' } }, gameweek: 2, now });
+            expect(byId(plan.pickUpdates).carol_gw2).toMatchObject({ result: 'draw', livesAfterPick: 1 });
+            expect(byId(plan.userUpdates).carol).toEqual({ lives: 1 });
+        });
+    });
+
+    describe('planScoreCorrection', () => {
+        const settledEdition = () => {
+            const edition = createEdition();
+            edition.users = edition.users.map(user => ({ ...user, displayName: user.id[0].toUpperCase() + user.id.slice(1) }));
+            return apply(edition, planSettlement({ ...edition, gameweek: 2, now }));
+        };
+
+        it('should list the players whose result, lives or elimination the new score changes', () => {
+            const correction = planScoreCorrection({ ...settledEdition(), fixtureId: 'f2', correction: { homeScore: 0, awayScore: 2 }, now });
+
+            expect(correction).toMatchObject({
+                fixtureId: 'f2',
+                gameweek: 2,
+                version: 1,
+                before: { homeScore: 2, awayScore: 0, status: 'completed' },
+                after: { homeScore: 0, awayScore: 2, status: 'completed' },
+                wasSettled: true
+            });
+            expect(correction.players).toEqual([
+                {
+                    userId: 'alice', displayName: 'Alice', pickId: 'alice_gw2', teamPicked: 'Altrincham',
+                    resultBefore: 'win', resultAfter: 'loss', livesBefore: 2, livesAfter: 1, eliminatedBefore: false, eliminatedAfter: false
+                },
+                {
+                    userId: 'bob', displayName: 'Bob', pickId: 'bob_gw2', teamPicked: 'Aldershot Town',
+                    resultBefore: 'loss', resultAfter: 'win', livesBefore: 0, livesAfter: 1, eliminatedBefore: true, eliminatedAfter: false
+                }
+            ]);
+        });
+
+        it('should affect nobody when the result stays the same', () => {
+            const correction = planScoreCorrection({ ...settledEdition(), fixtureId: 'f2', correction: { homeScore: 3, awayScore: 1 }, now });
+            expect(correction.players).toEqual([]);
+            expect(summariseScoreCorrection(correction)).toBe('GW2: Altrincham 2-0 Aldershot Town → 3-1\nNo player\'s result or lives change.');
+        });
+
+        it('should know a fixture nobody has a result from yet is not settled', () => {
+            const correction = planScoreCorrection({ ...createEdition(), fixtureId: 'f3', correction: { status: 'completed' }, now });
+            expect(correction.wasSettled).toBe(false);
+            expect(correction.players.map(player => player.userId)).toEqual(['carol']);
+        });
+
+        it('should refuse a fixture that does not exist', () => {
+            expect(() => planScoreCorrection({ ...createEdition(), fixtureId: 'missing', correction: {}, now })).toThrow('not found');
+        });
+
+        it('should describe the correction for the admin and each affected player', () => {
+            const correction = planScoreCorrection({ ...settledEdition(), fixtureId: 'f2', correction: { homeScore: 0, awayScore: 2 }, now });
+            const [alice, bob] = correction.players;
+
+            expect(summariseScoreCorrection(correction)).toBe([
+                'GW2: Altrincham 2-0 Aldershot Town → 0-2',
+                '2 players affected:',
+                '• Alice (Altrincham): win → loss, lives 2 → 1',
+                '• Bob (Aldershot Town): loss → win, lives 0 → 1, back in'
+            ].join('\n'));
+            expect(describeScoreCorrection(alice, correction))
+                .toBe('Score corrected: Altrincham 0-2 Aldershot Town (was 2-0). Your GW2 pick Altrincham is now a loss. You now have 1 life.');
+            expect(describeScoreCorrection(bob, correction))
+                .toBe('Score corrected: Altrincham 0-2 Aldershot Town (was 2-0). Your GW2 pick Aldershot Town is now a win. You are back in with 1 life.');
+        });
+    });
+    describe('getVoidPickOutcome', () => {
+        const postponed = { id: 'f1', gameWeek: 3, homeTeam: 'Altrincham', awayTeam: 'Woking', status: 'postponed', date: '2025-09-06', kickOffTime: '15:00' };
+        const later = { id: 'f2', gameWeek: 3, homeTeam: 'Yeovil Town', awayTeam: 'Boston United', status: 'scheduled', date: '2025-09-07', kickOffTime: '16:30' };
+        const pick = { teamPicked: 'Altrincham', gameweek: 3, result: null };
+
+        it('should count as a win by default', () => {
+            const outcome = getVoidPickOutcome(pick, postponed, [postponed, later]);
+            expect(outcome).toEqual({ result: 'win', voidOutcome: 'win', voidPolicy: 'win' });
+        });
+
+        it('should count as a loss when configured', () => {
+            const outcome = getVoidPickOutcome(pick, postponed, [postponed, later], { voidMatchPolicy: 'loss' });
+            expect(outcome.result).toBe('loss');
+        });
+
+        it('should open a re-pick window until the last remaining kick-off', () => {
+            const now = new Date('2025-09-06T18:00');
+            const outcome = getVoidPickOutcome(pick, postponed, [postponed, later], { voidMatchPolicy: 'repick' }, now);
+
+            expect(outcome.result).toBeNull();
+            expect(outcome.voidOutcome).toBe('repick');
+            expect(outcome.repickDeadline).toEqual(new Date('2025-09-07T15:30:00Z')); // 16:30 BST
+        });
+
+        it('should apply the fallback once the re-pick window has closed', () => {
+            const now = new Date('2025-09-08T12:00');
+            const outcome = getVoidPickOutcome(
+                { ...pick, voidOutcome: 'repick', repickDeadline: new Date('2025-09-07T16:30') },
+                postponed,
+                [postponed, later],
+                { voidMatchPolicy: 'repick', voidMatchFallback: 'loss' },
+                now
+            );
+
+            expect(outcome).toMatchObject({ result: 'loss', voidOutcome: 'loss', voidFallbackApplied: true });
+        });
+
+        it('should carry over while the rest of the gameweek is still being played', () => {
+            const outcome = getVoidPickOutcome(pick, postponed, [postponed, later], { voidMatchPolicy: 'carryOver' });
+            expect(outcome).toEqual({ result: null, voidOutcome: 'carryOver', voidPolicy: 'carryOver' });
+        });
+
+        it('should apply the fallback when the match is not rearranged inside the gameweek', () => {
+            const finished = { ...later, status: 'finished', homeScore: 1, awayScore: 0 };
+            const outcome = getVoidPickOutcome(pick, postponed, [postponed, finished], { voidMatchPolicy: 'carryOver' });
+            expect(outcome).toMatchObject({ result: 'win', voidFallbackApplied: true });
+        });
+    });
+});
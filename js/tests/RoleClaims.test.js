@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import {
+    applyRoleChange,
+    canManageRole,
+    isClubAdmin,
+    isBootstrapGrant,
+    isEditionModerator,
+    normalizeRoleClaims,
+    validateRoleChange
+} from '../services/RoleClaims.js';
+
+describe('RoleClaims', () => {
+    describe('normalizeRoleClaims', () => {
+        it('should ignore unrelated claims and default to no roles', () => {
+            expect(normalizeRoleClaims({ email: 'a@b.com', admin: true })).toEqual({
+                superAdmin: false,
+                clubAdmin: [],
+                editionModerator: []
+            });
+        });
+
+        it('should treat a legacy single club admin claim as a list', () => {
+            expect(normalizeRoleClaims({ clubAdmin: 'timperley-fc' }).clubAdmin).toEqual(['timperley-fc']);
+        });
+    });
+
+    describe('role checks', () => {
+        it('should give super admins every club and edition', () => {
+            const claims = { superAdmin: true };
+            expect(isClubAdmin(claims, 'any-club')).toBe(true);
+            expect(isEditionModerator(claims, 'any-club', 'any-edition')).toBe(true);
+        });
+
+        it('should let club admins moderate every edition in their club only', () => {
+            const claims = { clubAdmin: ['timperley-fc'] };
+            expect(isEditionModerator(claims, 'timperley-fc', '2025-26')).toBe(true);
+            expect(isEditionModerator(claims, 'altrincham-fc', '2025-26')).toBe(false);
+        });
+
+        it('should scope edition moderators to their edition', () => {
+            const claims = { editionModerator: ['timperley-fc/2025-26'] };
+            expect(isEditionModerator(claims, 'timperley-fc', '2025-26')).toBe(true);
+            expect(isEditionModerator(claims, 'timperley-fc', '2024-25')).toBe(false);
+            expect(isClubAdmin(claims, 'timperley-fc')).toBe(false);
+        });
+    });
+
+    describe('validateRoleChange', () => {
+        it('should require a club for club roles and an edition for moderators', () => {
+            expect(validateRoleChange({ role: 'superAdmin', action: 'grant' })).toBeNull();
+            expect(validateRoleChange({ role: 'clubAdmin', action: 'grant' })).toMatch(/needs a club/);
+            expect(validateRoleChange({ role: 'editionModerator', clubId: 'c', action: 'grant' })).toMatch(/needs an edition/);
+        });
+
+        it('should reject unknown roles and actions', () => {
+            expect(validateRoleChange({ role: 'owner', action: 'grant' })).toMatch(/Unknown role/);
+            expect(validateRoleChange({ role: 'superAdmin', action: 'promote' })).toMatch(/Unknown action/);
+        });
+    });
+
+    describe('canManageRole', () => {
+        it('should let super admins manage any role', () => {
+            expect(canManageRole({ superAdmin: true }, { role: 'superAdmin' })).toBe(true);
+            expect(canManageRole({ superAdmin: true }, { role: 'clubAdmin', clubId: 'c' })).toBe(true);
+        });
+
+        it('should only let club admins appoint moderators in their own club', () => {
+            const claims = { clubAdmin: ['c'] };
+            expect(canManageRole(claims, { role: 'editionModerator', clubId: 'c' })).toBe(true);
+            expect(canManageRole(claims, { role: 'editionModerator', clubId: 'other' })).toBe(false);
+            expect(canManageRole(claims, { role: 'clubAdmin', clubId: 'c' })).toBe(false);
+        });
+
+        it('should not let players manage roles', () => {
+            expect(canManageRole({}, { role: 'editionModerator', clubId: 'c' })).toBe(false);
+        });
+    });
+
+    describe('isBootstrapGrant', () => {
+        const caller = { uid: 'u1', email: 'Owner@Club.com', email_verified: true };
+        const change = { role: 'superAdmin', action: 'grant' };
+        const options = { targetUid: 'u1', bootstrapEmails: ['owner@club.com'], superAdminExists: false };
+
+        it('should let a listed, verified email make itself the first super admin', () => {
+            expect(isBootstrapGrant(caller, change, options)).toBe(true);
+        });
+
+        it('should not bootstrap once anyone is a super admin', () => {
+            expect(isBootstrapGrant(caller, change, { ...options, superAdminExists: true })).toBe(false);
+        });
+
+        it('should not let the bootstrap grant the role to anyone else', () => {
+            expect(isBootstrapGrant(caller, change, { ...options, targetUid: 'u2' })).toBe(false);
+        });
+
+        it('should need a listed, verified email and a super admin grant', () => {
+            expect(isBootstrapGrant({ ...caller, email_verified: false }, change, options)).toBe(false);
+            expect(isBootstrapGrant({ ...caller, email: 'someone@else.com' }, change, options)).toBe(false);
+            expect(isBootstrapGrant(caller, { role: 'clubAdmin', action: 'grant' }, options)).toBe(false);
+        });
+    });
+
+    describe('applyRoleChange', () => {
+        it('should add a club without duplicating or dropping other claims', () => {
+            const claims = applyRoleChange({ clubAdmin: ['a'], custom: 1 }, { role: 'clubAdmin', clubId: 'a', action: 'grant' });
+            expect(claims).toEqual({ clubAdmin: ['a'], custom: 1 });
+
+            expect(applyRoleChange(claims, { role: 'clubAdmin', clubId: 'b', action: 'grant' }).clubAdmin).toEqual(['a', 'b']);
+        });
+
+        it('should remove empty roles on revoke', () => {
+            const claims = applyRoleChange(
+                { superAdmin: true, editionModerator: ['c/e'] },
+                { role: 'editionModerator', clubId: 'c', editionId: 'e', action: 'revoke' }
+            );
+            expect(claims).toEqual({ superAdmin: true });
+
+            expect(applyRoleChange(claims, { role: 'superAdmin', action: 'revoke' })).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import ScoreFeed, { feedError, fetchJson, normaliseStatus, createNormalisedFixture } from '../services/ScoreFeed.js';
+
+describe('ScoreFeed', () => {
+    const query = { from: '2025-08-09', to: '2025-08-09', competition: 5, season: '2025-26' };
+    const fixture = (provider) => createNormalisedFixture(provider, { homeTeam: 'Altrincham', awayTeam: 'Aldershot Town', homeScore: 1, awayScore: 0 });
+
+    const adapter = (id, fetch) => ({ id, label: id, fetch, parse: (raw) => raw });
+    const answers = (provider) => adapter(provider, vi.fn().mockResolvedValue([fixture(provider)]));
+    const fails = (provider, code) => adapter(provider, vi.fn().mockRejectedValue(feedError(code, `${provider} is down`)));
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    describe('failover', () => {
+        it('should use the first provider that answers', async () => {
+            const second = answers('second');
+            const feed = new ScoreFeed([answers('first'), second]);
+
+            const result = await feed.fetchFixtures(query);
+
+            expect(result).toMatchObject({ provider: 'first', errors: [] });
+            expect(second.fetch).not.toHaveBeenCalled();
+        });
+
+        it('should move past providers that error, recording why', async () => {
+            const feed = new ScoreFeed([fails('first', 'unavailable'), fails('second', 'bad-response'), answers('third')]);
+
+            const result = await feed.fetchFixtures(query);
+
+            expect(result.provider).toBe('third');
+            expect(result.errors.map(error => [error.provider, error.code])).toEqual([['first', 'unavailable'], ['second', 'bad-response']]);
+        });
+
+        it('should prefer a later provider with fixtures over an empty answer', async () => {
+            const feed = new ScoreFeed([adapter('empty', vi.fn().mockResolvedValue([])), answers('second')]);
+            expect((await feed.fetchFixtures(query)).provider).toBe('second');
+        });
+
+        it('should return the empty answer when nobody has fixtures', async () => {
+            const feed = new ScoreFeed([fails('first', 'unavailable'), adapter('empty', vi.fn().mockResolvedValue([]))]);
+            expect(await feed.fetchFixtures(query)).toMatchObject({ provider: 'empty', fixtures: [] });
+        });
+
+        it('should throw all-failed with every error when no provider answers', async () => {
+            const feed = new ScoreFeed([fails('first', 'unavailable'), fails('second', 'rate-limited')]);
+
+            await expect(feed.fetchFixtures(query)).rejects.toMatchObject({
+                code: 'all-failed',
+                errors: [
+                    { provider: 'first', code: 'unavailable', message: 'first is down' },
+                    { provider: 'second', code: 'rate-limited', message: 'second is down' }
+                ]
+            });
+        });
+    });
+
+    describe('rate limits', () => {
+        it('should skip a rate-limited provider until its cooldown ends', async () => {
+            let now = new Date('2025-08-09T17:00:00Z');
+            const limited = fails('limited', 'rate-limited');
+            const feed = new ScoreFeed([limited, answers('backup')], { now: () => now, rateLimitCooldownMs: 60000 });
+
+            await feed.fetchFixtures(query);
+            const whileBenched = await feed.fetchFixtures(query);
+
+            expect(limited.fetch).toHaveBeenCalledTimes(1);
+            expect(whileBenched.errors).toEqual([{ provider: 'limited', code: 'rate-limited', message: 'Skipped while rate limited' }]);
+
+            now = new Date('2025-08-09T17:01:00Z');
+            await feed.fetchFixtures(query);
+            expect(limited.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        it('should honour the retry time a provider asks for', async () => {
+            let now = new Date('2025-08-09T17:00:00Z');
+            const limited = adapter('limited', vi.fn().mockRejectedValue(feedError('rate-limited', 'Slow down', { retryAfterMs: 5000 })));
+            const feed = new ScoreFeed([limited, answers('backup')], { now: () => now, rateLimitCooldownMs: 60000 });
+
+            await feed.fetchFixtures(query);
+            now = new Date('2025-08-09T17:00:05Z');
+            await feed.fetchFixtures(query);
+
+            expect(limited.fetch).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('fetchJson', () => {
+        it('should turn a 429 into a rate-limited error with the retry time', async () => {
+            vi.stubGlobal('fetch', vi.fn().mockResolvedValue({
+                ok: false,
+                status: 429,
+                statusText: 'Too Many Requests',
+                headers: { get: (name) => (name === 'Retry-After' ? '30' : null) }
+            }));
+
+            await expect(fetchJson('https://serpapi.com/search.json')).rejects.toMatchObject({ code: 'rate-limited', retryAfterMs: 30000 });
+        });
+
+        it('should turn other failures into unavailable', async () => {
+            vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 500, statusText: 'Server Error', headers: { get: () => null } }));
+            await expect(fetchJson('/.netlify/functions/fetch-scores')).rejects.toMatchObject({ code: 'unavailable' });
+        });
+    });
+
+    describe('normalisation', () => {
+        it('should map provider statuses onto the normalised set', () => {
+            expect(normaliseStatus({ short: 'FT', full: 'Full Time' })).toBe('completed');
+            expect(normaliseStatus('HT')).toBe('half-time');
+            expect(normaliseStatus("67'")).toBe('live');
+            expect(normaliseStatus('P')).toBe('postponed');
+            expect(normaliseStatus('Abandoned')).toBe('abandoned');
+            expect(normaliseStatus('something new')).toBe('scheduled');
+        });
+
+        it('should treat a fixture with scores but no status as finished', () => {
+            expect(createNormalisedFixture('test', { homeTeam: 'A', awayTeam: 'B', homeScore: '2', awayScore: '0' }))
+                .toMatchObject({ homeScore: 2, awayScore: 0, status: 'completed' });
+            expect(createNormalisedFixture('test', { homeTeam: 'A', awayTeam: 'B' }))
+                .toMatchObject({ homeScore: null, awayScore: null, status: 'scheduled' });
+        });
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SCORE_FEED_ADAPTERS, DEFAULT_SCORE_FEED_PRIORITY, resolveScoreFeedPriority, createScoreFeed } from '../services/ScoreFeedAdapters.js';
+import footballWebPagesResponse from './fixtures/score-feeds/football-web-pages.json';
+import vidiprinterResponse from './fixtures/score-feeds/vidiprinter.json';
+import serpApiResponse from './fixtures/score-feeds/serpapi.json';
+import googleSearchResponse from './fixtures/score-feeds/google-search.json';
+
+describe('ScoreFeedAdapters', () => {
+    const query = { from: '2025-08-09', to: '2025-08-09', competition: 5, season: '2025-26', search: 'National League results' };
+    const byHomeTeam = (fixtures) => Object.fromEntries(fixtures.map(fixture => [fixture.homeTeam, fixture]));
+
+    it('should register every adapter with a label, fetch and parse', () => {
+        expect(Object.keys(SCORE_FEED_ADAPTERS)).toEqual(DEFAULT_SCORE_FEED_PRIORITY);
+        Object.entries(SCORE_FEED_ADAPTERS).forEach(([id, adapter]) => {
+            expect(adapter.id).toBe(id);
+            expect(adapter.label).toBeTruthy();
+            expect(typeof adapter.fetch).toBe('function');
+            expect(typeof adapter.parse).toBe('function');
+        });
+    });
+
+    describe('footballWebPages', () => {
+        const adapter = SCORE_FEED_ADAPTERS.footballWebPages;
+
+        it('should parse a recorded fixtures-results response', () => {
+            const fixtures = adapter.parse(footballWebPagesResponse, query);
+
+            expect(fixtures[0]).toEqual({
+                provider: 'footballWebPages',
+                providerMatchId: '4519',
+                homeTeam: 'Altrincham',
+                awayTeam: 'Aldershot Town',
+                homeScore: 3,
+                awayScore: 2,
+                status: 'completed',
+                date: '2025-08-09',
+                kickOffTime: '15:00',
+                venue: 'Moss Lane',
+                minute: null
+            });
+            expect(fixtures[1]).toMatchObject({ homeScore: 0, awayScore: 0, status: 'completed' });
+            expect(fixtures[2]).toMatchObject({ homeScore: null, awayScore: null, status: 'postponed' });
+        });
+
+        it('should parse the raw response carried by the fetch-scores function', () => {
+            const functionResponse = { fixtures: [{ homeTeam: 'Altrincham', awayTeam: 'Aldershot Town', homeScore: null }], rawResponse: footballWebPagesResponse };
+            expect(adapter.parse(functionResponse, query)).toHaveLength(3);
+        });
+
+        it('should use the Netlify function in production and RapidAPI directly in development', async () => {
+            const fetchJson = vi.fn().mockResolvedValue(footballWebPagesResponse);
+
+            await adapter.fetch(query, { fetchJson, useNetlifyFunctions: true });
+            expect(fetchJson.mock.calls[0][0]).toBe('/.netlify/functions/fetch-scores?from=2025-08-09&to=2025-08-09&comp=5&season=2025-26');
+
+            await adapter.fetch(query, { fetchJson, useNetlifyFunctions: false, keys: { rapidApi: 'key' } });
+            expect(fetchJson.mock.calls[1][0]).toContain('football-web-pages1.p.rapidapi.com/fixtures-results.json');
+            expect(fetchJson.mock.calls[1][1].headers['X-RapidAPI-Key']).toBe('key');
+        });
+
+        it('should refuse a direct call without a key', async () => {
+            await expect(adapter.fetch(query, { fetchJson: vi.fn(), useNetlifyFunctions: false, keys: {} }))
+                .rejects.toMatchObject({ code: 'unsupported' });
+        });
+
+        it('should reject a response without fixtures-results', () => {
+            expect(() => adapter.parse({ message: 'Invalid API key' }, query)).toThrow(expect.objectContaining({ code: 'bad-response' }));
+        });
+    });
+
+    describe('vidiprinter', () => {
+        const adapter = SCORE_FEED_ADAPTERS.vidiprinter;
+
+        it('should replay recorded events into the latest state of each match', () => {
+            const fixtures = byHomeTeam(adapter.parse(vidiprinterResponse, query));
+
+            expect(Object.keys(fixtures)).toEqual(['Altrincham', 'Barnet']);
+            expect(fixtures.Altrincham).toMatchObject({
+                provider: 'vidiprinter',
+                providerMatchId: '4519',
+                awayTeam: 'Aldershot Town',
+                homeScore: 3,
+                awayScore: 2,
+                status: 'completed',
+                date: '2025-08-09',
+                kickOffTime: '15:00'
+            });
+            expect(fixtures.Barnet).toMatchObject({ homeScore: 0, awayScore: 0, status: 'half-time' });
+        });
+
+        it('should never take a finished match back to live', () => {
+            const events = vidiprinterResponse.vidiprinter.events;
+            const lateGoalReport = { ...events[1], 'date/time': '2025-08-09 16:58:00' };
+
+            const [fixture] = adapter.parse({ events: [events[0], lateGoalReport] }, query);
+            expect(fixture.status).toBe('completed');
+        });
+
+        it('should reject a response without events', () => {
+            expect(() => adapter.parse({ error: 'Unknown competition' }, query)).toThrow(expect.objectContaining({ code: 'bad-response' }));
+        });
+    });
+
+    describe('serpApi', () => {
+        const adapter = SCORE_FEED_ADAPTERS.serpApi;
+
+        it('should parse recorded sports results', () => {
+            const fixtures = byHomeTeam(adapter.parse(serpApiResponse, query));
+
+            expect(fixtures.Altrincham).toMatchObject({
+                provider: 'serpApi',
+                providerMatchId: null,
+                awayTeam: 'Aldershot Town',
+                homeScore: 3,
+                awayScore: 2,
+                status: 'completed',
+                date: null,
+                kickOffTime: '15:00',
+                venue: 'Moss Lane'
+            });
+            expect(fixtures.Barnet).toMatchObject({ homeScore: 1, awayScore: 0, status: 'live', kickOffTime: '17:30' });
+        });
+
+        it('should treat a SerpApi error body as unavailable', async () => {
+            const fetchJson = vi.fn().mockResolvedValue({ error: 'Your account has run out of searches.' });
+            await expect(adapter.fetch(query, { fetchJson, keys: { serpApi: 'key' } }))
+                .rejects.toMatchObject({ code: 'unavailable' });
+        });
+    });
+
+    describe('googleSearch', () => {
+        const adapter = SCORE_FEED_ADAPTERS.googleSearch;
+
+        it('should parse recorded extracted fixtures', () => {
+            const fixtures = byHomeTeam(adapter.parse(googleSearchResponse, query));
+
+            expect(fixtures.Altrincham).toMatchObject({ provider: 'googleSearch', homeScore: 3, awayScore: 2, status: 'completed' });
+            expect(fixtures.Barnet).toMatchObject({ status: 'half-time' });
+            expect(fixtures['York City']).toMatchObject({ homeScore: null, status: 'postponed' });
+        });
+
+        it('should need the Google search service', async () => {
+            await expect(adapter.fetch(query, {})).rejects.toMatchObject({ code: 'unsupported' });
+        });
+
+        it('should pass a failed search on as unavailable', async () => {
+            const googleSearchService = { searchFixtures: vi.fn().mockResolvedValue({ success: false, error: 'Blocked' }) };
+            await expect(adapter.fetch(query, { googleSearchService })).rejects.toMatchObject({ code: 'unavailable' });
+        });
+    });
+
+    describe('priority', () => {
+        it('should drop unknown providers and fall back to the default order', () => {
+            expect(resolveScoreFeedPriority(['serpApi', 'nope', 'serpApi', 'vidiprinter'])).toEqual(['serpApi', 'vidiprinter']);
+            expect(resolveScoreFeedPriority([])).toEqual(DEFAULT_SCORE_FEED_PRIORITY);
+            expect(resolveScoreFeedPriority(null)).toEqual(DEFAULT_SCORE_FEED_PRIORITY);
+        });
+
+        it('should fail over from a rate-limited provider to the next in priority', async () => {
+            const fetchJson = vi.fn(async (url) => {
+                if (url.includes('fetch-vidiprinter')) {
+                    throw Object.assign(new Error('Rate limited'), { code: 'rate-limited' });
+                }
+                return footballWebPagesResponse;
+            });
+            const feed = createScoreFeed(['vidiprinter', 'footballWebPages'], { context: { fetchJson } });
+
+            const result = await feed.fetchFixtures(query);
+
+            expect(result.provider).toBe('footballWebPages');
+            expect(result.fixtures).toHaveLength(3);
+            expect(result.errors).toEqual([{ provider: 'vidiprinter', code: 'rate-limited', message: 'Rate limited' }]);
+        });
+    });
+});
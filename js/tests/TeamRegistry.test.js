@@ -0,0 +1,183 @@
+import { describe, it, expect } from 'vitest';
+import TeamRegistry, {
+    normaliseTeamName,
+    createTeamId,
+    planTeamMerge,
+    findMatchingFixture,
+    planTeamIdBackfill
+} from '../services/TeamRegistry.js';
+
+describe('TeamRegistry', () => {
+    const team = (teamId, name, aliases = {}, extra = {}) => ({ teamId, name, aliases, competitions: [], badgeUrl: null, mergedInto: null, ...extra });
+
+    const createRegistry = () => new TeamRegistry([
+        team('boston-united', 'Boston United', { footballWebPages: ['Boston United'], serpApi: ['Boston Utd'], theSportsDB: ['Boston United FC'] }),
+        team('boston-town', 'Boston Town', { footballWebPages: ['Boston Town'] }),
+        team('altrincham', 'Altrincham', { footballWebPages: ['Altrincham'] }, { badgeUrl: 'https://example.com/altrincham.png', competitions: ['5'] }),
+        team('aldershot-town', 'Aldershot Town', { footballWebPages: ['Aldershot Town'] }, { competitions: ['5'] })
+    ]);
+
+    describe('names', () => {
+        it('should normalise case, punctuation, accents and FC', () => {
+            expect(normaliseTeamName('AFC Fylde')).toBe('fylde');
+            expect(normaliseTeamName('Brighton & Hove Albion FC')).toBe('brighton and hove albion');
+            expect(normaliseTeamName('  Atlético  ')).toBe('atletico');
+        });
+
+        it('should make unique IDs from names', () => {
+            expect(createTeamId('Boston United')).toBe('boston-united');
+            expect(createTeamId('Boston United', ['boston-united', 'boston-united-2'])).toBe('boston-united-3');
+        });
+    });
+
+    describe('resolve', () => {
+        it('should resolve every provider spelling to the same team', () => {
+            const registry = createRegistry();
+
+            expect(registry.resolve('Boston United', 'footballWebPages')).toBe('boston-united');
+            expect(registry.resolve('Boston Utd', 'serpApi')).toBe('boston-united');
+            expect(registry.resolve('Boston United FC', 'theSportsDB')).toBe('boston-united');
+            expect(registry.resolve('boston utd')).toBe('boston-united');
+        });
+
+        it('should use the aliases of the provider a score feed shares names with', () => {
+            expect(createRegistry().resolve('Boston Utd', 'googleSearch')).toBe('boston-united');
+        });
+
+        it('should keep teams whose names overlap apart', () => {
+            const registry = createRegistry();
+
+            expect(registry.resolve('Boston Town')).toBe('boston-town');
+            expect(registry.resolve('Boston')).toBeNull();
+            expect(registry.resolve('United')).toBeNull();
+        });
+
+        it('should only resolve a name two teams use through a provider alias', () => {
+            const registry = new TeamRegistry([
+                team('newport-county', 'Newport County', { serpApi: ['Newport'] }),
+                team('newport-iow', 'Newport (IOW)', { manual: ['Newport'] })
+            ]);
+
+            expect(registry.isAmbiguous('Newport')).toBe(true);
+            expect(registry.resolve('Newport')).toBeNull();
+            expect(registry.resolve('Newport', 'serpApi')).toBe('newport-county');
+        });
+
+        it('should resolve a merged team to the team it was merged into', () => {
+            const registry = new TeamRegistry([
+                team('boston-united', 'Boston United'),
+                team('boston-utd', 'Boston Utd', {}, { mergedInto: 'boston-united', badgeUrl: 'https://example.com/old.png' })
+            ]);
+
+            expect(registry.resolve('Boston Utd')).toBe('boston-united');
+            expect(registry.getCanonicalId('boston-utd')).toBe('boston-united');
+            expect(registry.getActiveTeams().map(active => active.teamId)).toEqual(['boston-united']);
+        });
+
+        it('should give the provider name and badge for a team', () => {
+            const registry = createRegistry();
+
+            expect(registry.getProviderName('boston-united', 'theSportsDB')).toBe('Boston United FC');
+            expect(registry.getProviderName('altrincham', 'theSportsDB')).toBe('Altrincham');
+            expect(registry.getBadgeUrl('altrincham')).toBe('https://example.com/altrincham.png');
+            expect(registry.getTeamsInCompetition(5).map(member => member.teamId)).toEqual(['aldershot-town', 'altrincham']);
+        });
+    });
+
+    describe('duplicates', () => {
+        it('should suggest abbreviated and identical names, but not different clubs', () => {
+            const registry = new TeamRegistry([
+                team('boston-united', 'Boston United'),
+                team('boston-utd', 'Boston Utd'),
+                team('boston-town', 'Boston Town'),
+                team('fylde', 'Fylde'),
+                team('afc-fylde', 'AFC Fylde')
+            ]);
+
+            expect(registry.findDuplicateCandidates()).toEqual([
+                { teamIds: ['afc-fylde', 'fylde'], reason: 'sameName' },
+                { teamIds: ['boston-united', 'boston-utd'], reason: 'abbreviation' }
+            ]);
+        });
+    });
+
+    describe('planTeamMerge', () => {
+        it('should move every name, competition and the badge onto the target', () => {
+            const registry = new TeamRegistry([
+                team('boston-united', 'Boston United', { footballWebPages: ['Boston United'] }, { competitions: ['5'] }),
+                team('boston-utd', 'Boston Utd', { serpApi: ['Boston Utd'] }, { competitions: ['6'], badgeUrl: 'https://example.com/boston.png' })
+            ]);
+
+            expect(planTeamMerge(registry, 'boston-utd', 'boston-united')).toEqual({
+                target: {
+                    aliases: { footballWebPages: ['Boston United'], serpApi: ['Boston Utd'], manual: ['Boston Utd'] },
+                    competitions: ['5', '6'],
+                    badgeUrl: 'https://example.com/boston.png'
+                },
+                source: { mergedInto: 'boston-united' }
+            });
+        });
+
+        it('should refuse to merge a team into itself or a missing team', () => {
+            const registry = createRegistry();
+
+            expect(() => planTeamMerge(registry, 'boston-town', 'boston-town')).toThrow('already merged');
+            expect(() => planTeamMerge(registry, 'nobody', 'boston-town')).toThrow('must exist');
+        });
+    });
+
+    describe('findMatchingFixture', () => {
+        const fixtures = [
+            { homeTeam: 'Boston Town', awayTeam: 'Altrincham', homeTeamId: 'boston-town', awayTeamId: 'altrincham' },
+            { homeTeam: 'Boston United', awayTeam: 'Aldershot Town', homeTeamId: 'boston-united', awayTeamId: 'aldershot-town' }
+        ];
+
+        it('should match a provider fixture to the stored fixture by team ID', () => {
+            expect(findMatchingFixture(createRegistry(), fixtures, 'Boston Utd', 'Aldershot Town', 'serpApi')).toBe(1);
+        });
+
+        it('should not match a team whose name contains another', () => {
+            expect(findMatchingFixture(createRegistry(), fixtures, 'Boston', 'Altrincham')).toBe(-1);
+        });
+
+        it('should match unregistered teams only on the whole name', () => {
+            const unregistered = [{ homeTeam: 'Stockport Town', awayTeam: 'Hyde' }, { homeTeam: 'Stockport County', awayTeam: 'Hyde United' }];
+
+            expect(findMatchingFixture(createRegistry(), unregistered, 'Stockport County', 'Hyde United')).toBe(1);
+            expect(findMatchingFixture(createRegistry(), unregistered, 'Stockport', 'Hyde')).toBe(-1);
+        });
+    });
+
+    describe('planTeamIdBackfill', () => {
+        it('should add missing team IDs to fixtures and picks and list names it cannot resolve', () => {
+            const fixtures = [
+                { id: 'f1', homeTeam: 'Boston United', awayTeam: 'Altrincham' },
+                { id: 'f2', homeTeam: 'Boston Town', awayTeam: 'Aldershot Town', homeTeamId: 'boston-town', awayTeamId: 'aldershot-town' },
+                { id: 'f3', homeTeam: 'Mystery Rovers', awayTeam: 'Altrincham', awayTeamId: 'altrincham' }
+            ];
+            const picks = [
+                { id: 'u1_gw1', teamPicked: 'Boston Utd' },
+                { id: 'u2_gw1', teamPicked: 'Boston Town', teamId: 'boston-town' },
+                { id: 'u3_gw1', teamPicked: null }
+            ];
+
+            expect(planTeamIdBackfill(createRegistry(), fixtures, picks)).toEqual({
+                updates: [
+                    { collection: 'fixtures', id: 'f1', changes: { homeTeamId: 'boston-united', awayTeamId: 'altrincham' } },
+                    { collection: 'picks', id: 'u1_gw1', changes: { teamId: 'boston-united' } }
+                ],
+                unresolvedNames: ['Mystery Rovers']
+            });
+        });
+
+        it('should repoint IDs of merged teams', () => {
+            const registry = new TeamRegistry([
+                team('boston-united', 'Boston United'),
+                team('boston-utd', 'Boston Utd', {}, { mergedInto: 'boston-united' })
+            ]);
+
+            const { updates } = planTeamIdBackfill(registry, [], [{ id: 'u1_gw1', teamPicked: 'Boston Utd', teamId: 'boston-utd' }]);
+            expect(updates).toEqual([{ collection: 'picks', id: 'u1_gw1', changes: { teamId: 'boston-united' } }]);
+        });
+    });
+});
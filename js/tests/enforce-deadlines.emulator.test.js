@@ -0,0 +1,223 @@
+// @vitest-environment node
+// Runs against the Firestore emulator: npm run test:emulator
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import DeadlineEnforcementService from '../services/DeadlineEnforcementService.js';
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+
+describe.skipIf(!emulatorHost)('enforce-deadlines (Firestore emulator)', () => {
+    const clubId = 'test-club';
+    const editionId = 'test-edition';
+    let db;
+    let handler;
+
+    const editionRef = () => db.collection('clubs').doc(clubId)
+        .collection('editions').doc(editionId);
+
+    const clearEmulator = async () => {
+        const projectId = process.env.FIREBASE_PROJECT_ID;
+        await fetch(`http://${emulatorHost}/emulator/v1/projects/${projectId}/databases/(default)/documents`, {
+            method: 'DELETE'
+        });
+    };
+
+    const getPicks = async (gameweek) => {
+        const snapshot = await editionRef().collection('picks').where('gameweek', '==', gameweek).get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    };
+
+    beforeAll(async () => {
+        process.env.FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'demo-los-app';
+        const functionModule = await import('../../netlify/functions/enforce-deadlines.mjs');
+        handler = functionModule.handler;
+        db = functionModule.getFirestore();
+    });
+
+    beforeEach(async () => {
+        await clearEmulator();
+
+        await db.collection('global-settings').doc('system').set({ activeClubs: [clubId] });
+        await db.collection('clubs').doc(clubId).set({ name: 'Test Club', isActive: true });
+        await editionRef().set({ name: 'Test Edition', isActive: true });
+        await editionRef().collection('settings').doc('current').set({ autoPickEnabled: true, maxLives: 2 });
+
+        // Gameweek 1 deadline has passed, gameweek 2 is still open
+        await editionRef().collection('fixtures').doc('gw1-1').set({
+            gameWeek: 1, homeTeam: 'Arsenal', awayTeam: 'Chelsea', date: '2020-08-15', kickOffTime: '15:00'
+        });
+        await editionRef().collection('fixtures').doc('gw2-1').set({
+            gameWeek: 2, homeTeam: 'Everton', awayTeam: 'Burnley', date: '2099-08-22', kickOffTime: '15:00'
+        });
+
+        // Published before gameweek 1's deadline passed, as the sweep does for every upcoming deadline
+        await editionRef().collection('deadline-locks').doc('gw1').set({
+            gameweek: 1, status: 'scheduled', deadline: new Date('2020-08-15T14:00:00Z')
+        });
+
+        await editionRef().collection('users').doc('picked').set({ displayName: 'Picked', lives: 2 });
+        await editionRef().collection('users').doc('forgot').set({ displayName: 'Forgot', lives: 2 });
+        await editionRef().collection('users').doc('out').set({ displayName: 'Out', lives: 0 });
+        await editionRef().collection('picks').doc('picked_gw1').set({
+            userId: 'picked', teamPicked: 'Arsenal', gameweek: 1, isAutopick: false
+        });
+    });
+
+    it('should assign auto-picks only to active players without a pick', async () => {
+        const response = await handler({}, {});
+        expect(response.statusCode).toBe(200);
+
+        const picks = await getPicks(1);
+        expect(picks).toHaveLength(2);
+
+        const autoPick = picks.find(pick => pick.userId === 'forgot');
+        expect(autoPick.id).toBe('forgot_gw1');
+        expect(autoPick.isAutopick).toBe(true);
+        expect(['Arsenal', 'Chelsea']).toContain(autoPick.teamPicked);
+
+        const usedTeam = await editionRef().collection('used-teams').doc(`forgot_${autoPick.teamPicked}`).get();
+        expect(usedTeam.data().pickId).toBe('forgot_gw1');
+        expect(await getPicks(2)).toHaveLength(0);
+    });
+
+    it('should leave gameweeks played before enforcement started alone', async () => {
+        await editionRef().collection('deadline-locks').doc('gw1').delete();
+
+        const response = await handler({}, {});
+        expect(JSON.parse(response.body).summary).toEqual([]);
+        expect(await getPicks(1)).toHaveLength(1);
+
+        const settingsDoc = await editionRef().collection('settings').doc('current').get();
+        expect(settingsDoc.data().deadlineEnforcementFrom).toBe(2);
+        const lockDoc = await editionRef().collection('deadline-locks').doc('gw1').get();
+        expect(lockDoc.exists).toBe(false);
+    });
+
+    it('should enforce a gameweek from the cut-over on even without a published lock', async () => {
+        await editionRef().collection('deadline-locks').doc('gw1').delete();
+        await editionRef().collection('settings').doc('current').update({ deadlineEnforcementFrom: 1 });
+
+        await handler({}, {});
+        expect(await getPicks(1)).toHaveLength(2);
+    });
+
+    it("should use the player's backup pick queue first", async () => {
+        await editionRef().collection('users').doc('forgot').update({ backupPicks: ['Liverpool', 'Chelsea'] });
+
+        await handler({}, {});
+
+        const autoPick = (await getPicks(1)).find(pick => pick.userId === 'forgot');
+        expect(autoPick.teamPicked).toBe('Chelsea');
+        expect(autoPick.autoPickStrategy).toBe('backupQueue');
+    });
+
+    it("should not overwrite a team claim from the player's earlier pick", async () => {
+        await editionRef().collection('users').doc('forgot').update({ backupPicks: ['Chelsea'] });
+        await editionRef().collection('used-teams').doc('forgot_Chelsea').set({
+            userId: 'forgot', team: 'Chelsea', gameweek: 0, pickId: 'forgot_gw0'
+        });
+
+        await handler({}, {});
+
+        const usedTeam = await editionRef().collection('used-teams').doc('forgot_Chelsea').get();
+        expect(usedTeam.data().pickId).toBe('forgot_gw0');
+    });
+
+    it('should assign auto-picks to more players than one batch can hold', async () => {
+        const batch = db.batch();
+        for (let i = 0; i < 300; i++) {
+            batch.set(editionRef().collection('users').doc(`player${i}`), { displayName: `Player ${i}`, lives: 2 });
+        }
+        await batch.commit();
+
+        await handler({}, {});
+
+        expect(await getPicks(1)).toHaveLength(302);
+        const usedTeams = await editionRef().collection('used-teams').get();
+        expect(usedTeams.size).toBe(301);
+    });
+
+    it('should mark the gameweek lock as completed', async () => {
+        await handler({}, {});
+
+        const lockDoc = await editionRef().collection('deadline-locks').doc('gw1').get();
+        expect(lockDoc.data().status).toBe('completed');
+        expect(lockDoc.data().autoPicksAssigned).toBe(1);
+        const upcomingLock = await editionRef().collection('deadline-locks').doc('gw2').get();
+        expect(upcomingLock.data().status).toBe('scheduled');
+        expect(upcomingLock.data().deadline.toDate()).toEqual(new Date('2099-08-22T15:00'));
+    });
+
+    it('should reveal what everyone picked once the deadline is enforced', async () => {
+        await handler({}, {});
+
+        const revealDoc = await editionRef().collection('pick-reveals').doc('gw1').get();
+        expect(revealDoc.data().totalPicks).toBe(2);
+        expect(revealDoc.data().teams.flatMap(row => row.players).sort()).toEqual(['Forgot', 'Picked']);
+        const latestDoc = await editionRef().collection('pick-reveals').doc('latest').get();
+        expect(latestDoc.data().gameweek).toBe(1);
+        const playersDoc = await editionRef().collection('pick-reveals').doc('players').get();
+        expect(playersDoc.data().players.map(player => player.displayName).sort()).toEqual(['Forgot', 'Out', 'Picked']);
+    });
+
+    it('should settle an enforced gameweek once its fixtures reach full time', async () => {
+        await editionRef().collection('fixtures').doc('gw1-1').update({ homeScore: 2, awayScore: 0, status: 'FT' });
+
+        const response = await handler({}, {});
+        expect(JSON.parse(response.body).settlements).toEqual([
+            expect.objectContaining({ clubId, editionId, gameweek: 1, status: 'settled', newlySettled: true })
+        ]);
+
+        const settlementDoc = await editionRef().collection('settlements').doc('gw1').get();
+        expect(settlementDoc.data().settledBy).toBe('scheduled-function');
+        const picked = (await getPicks(1)).find(pick => pick.userId === 'picked');
+        expect(picked.result).toBe('win');
+
+        // Already settled - the next run leaves it alone
+        expect(JSON.parse((await handler({}, {})).body).settlements).toEqual([]);
+    });
+
+    it('should settle picks on a postponed fixture under the void match policy', async () => {
+        await editionRef().collection('fixtures').doc('gw1-1').update({ status: 'postponed' });
+        await editionRef().collection('settings').doc('current').update({ voidMatchPolicy: 'loss' });
+
+        await handler({}, {});
+
+        const picked = (await getPicks(1)).find(pick => pick.userId === 'picked');
+        expect(picked).toMatchObject({ result: 'loss', voidOutcome: 'loss', voidStatus: 'postponed' });
+        const settlementDoc = await editionRef().collection('settlements').doc('gw1').get();
+        expect(settlementDoc.data().status).toBe('settled');
+    });
+
+    it('should not settle a gameweek whose deadline has not been enforced', async () => {
+        await editionRef().collection('fixtures').doc('gw2-1').update({ homeScore: 1, awayScore: 0, status: 'FT' });
+        await handler({}, {});
+
+        const settlementDoc = await editionRef().collection('settlements').doc('gw2').get();
+        expect(settlementDoc.exists).toBe(false);
+    });
+
+    it('should process each deadline exactly once across repeated and concurrent runs', async () => {
+        const runners = ['tab-1', 'tab-2', 'scheduled-function'].map(runnerId =>
+            new DeadlineEnforcementService(db, { runnerId }));
+
+        const results = await Promise.all(runners.map(runner => runner.enforceAllDeadlines()));
+        await handler({}, {});
+
+        const processed = results.flat().filter(result => result.status === 'processed');
+        expect(processed).toHaveLength(1);
+        expect(await getPicks(1)).toHaveLength(2);
+    });
+
+    it('should retry a deadline whose lock went stale', async () => {
+        await editionRef().collection('deadline-locks').doc('gw1').set({
+            gameweek: 1, status: 'processing', lockedAt: new Date(Date.now() - 60 * 60 * 1000), attempts: 1
+        });
+
+        await handler({}, {});
+
+        const lockDoc = await editionRef().collection('deadline-locks').doc('gw1').get();
+        expect(lockDoc.data().status).toBe('completed');
+        expect(lockDoc.data().attempts).toBe(2);
+        expect(await getPicks(1)).toHaveLength(2);
+    });
+});
@@ -0,0 +1,490 @@
+// @vitest-environment node
+// Runs against the Firestore emulator: npm run test:emulator
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { readFileSync } from 'fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { buildPlayerRoster, loadPlayerRoster, loadVisiblePicks } from '../services/PickReveal.js';
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+
+describe.skipIf(!emulatorHost)('firestore.rules (Firestore emulator)', () => {
+    const clubId = 'test-club';
+    const editionId = 'test-edition';
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    let testEnv;
+
+    const editionRef = (db) => db.collection('clubs').doc(clubId)
+        .collection('editions').doc(editionId);
+
+    const seed = (callback) => testEnv.withSecurityRulesDisabled(context => callback(editionRef(context.firestore())));
+
+    const playerDb = (uid = 'alice') => editionRef(testEnv.authenticatedContext(uid).firestore());
+
+    // The batch FixturesManager.confirmPick writes; claims are keyed on the team ID when there is one
+    const pickBatch = (edition, uid, gameweek, team, previousTeam = null, teamRound = 1, { teamId = null, previousTeamId = null } = {}) => {
+        const pickId = `${uid}_gw${gameweek}`;
+        const teamKey = teamId || team;
+        const usedTeamId = teamRound > 1 ? `${uid}_r${teamRound}_${teamKey}` : `${uid}_${teamKey}`;
+        const batch = edition.firestore.batch();
+        batch.set(edition.collection('picks').doc(pickId), {
+            userId: uid, teamPicked: team, teamId, gameweek, isAutopick: false, teamRound, result: null
+        });
+        batch.set(edition.collection('used-teams').doc(usedTeamId), {
+            userId: uid, team, teamId, gameweek, teamRound, pickId
+        });
+        if (previousTeam) {
+            batch.delete(edition.collection('used-teams').doc(`${uid}_${previousTeamId || previousTeam}`));
+        }
+        return batch.commit();
+    };
+
+    beforeAll(async () => {
+        const [host, port] = emulatorHost.split(':');
+        testEnv = await initializeTestEnvironment({
+            projectId: process.env.FIREBASE_PROJECT_ID || 'demo-los-app',
+            firestore: { host, port: Number(port), rules: readFileSync('firestore.rules', 'utf8') }
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await seed(async edition => {
+            await edition.collection('users').doc('alice').set({ displayName: 'Alice', lives: 2, isEliminated: false });
+            await edition.collection('users').doc('bob').set({ displayName: 'Bob', lives: 0, isEliminated: true });
+            await edition.collection('deadline-locks').doc('gw1').set({ gameweek: 1, status: 'completed', deadline: past });
+            await edition.collection('deadline-locks').doc('gw2').set({ gameweek: 2, status: 'scheduled', deadline: future });
+            await edition.collection('picks').doc('alice_gw1').set({
+                userId: 'alice', teamPicked: 'Arsenal', gameweek: 1, isAutopick: false, result: 'win'
+            });
+            await edition.collection('used-teams').doc('alice_Arsenal').set({
+                userId: 'alice', team: 'Arsenal', gameweek: 1, pickId: 'alice_gw1'
+            });
+        });
+    });
+
+    it('should let a player pick an unused team before the deadline', async () => {
+        await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Chelsea'));
+    });
+
+    it('should let a player pick when no deadline has been published yet', async () => {
+        await assertSucceeds(pickBatch(playerDb(), 'alice', 3, 'Chelsea'));
+    });
+
+    it('should reject a pick without claiming the team', async () => {
+        await assertFails(playerDb().collection('picks').doc('alice_gw2').set({
+            userId: 'alice', teamPicked: 'Chelsea', gameweek: 2, isAutopick: false, result: null
+        }));
+    });
+
+    it('should reject a pick stored under another id', async () => {
+        await assertFails(playerDb().collection('picks').doc('random-id').set({
+            userId: 'alice', teamPicked: 'Chelsea', gameweek: 2, isAutopick: false, result: null
+        }));
+    });
+
+    it('should reject a pick once the deadline has passed', async () => {
+        await seed(edition => edition.collection('deadline-locks').doc('gw2').update({ deadline: past }));
+        await assertFails(pickBatch(playerDb(), 'alice', 2, 'Chelsea'));
+    });
+
+    it('should reject a pick once the deadline lock has been taken', async () => {
+        await seed(edition => edition.collection('deadline-locks').doc('gw2').update({ status: 'processing' }));
+        await assertFails(pickBatch(playerDb(), 'alice', 2, 'Chelsea'));
+    });
+
+    it('should reject a team already used in another gameweek', async () => {
+        await assertFails(pickBatch(playerDb(), 'alice', 2, 'Arsenal'));
+    });
+
+    describe('team IDs', () => {
+        beforeEach(async () => {
+            await seed(async edition => {
+                const teams = edition.firestore.collection('teams');
+                await teams.doc('arsenal').set({ teamId: 'arsenal', name: 'Arsenal' });
+                await teams.doc('chelsea').set({ teamId: 'chelsea', name: 'Chelsea' });
+                await edition.collection('picks').doc('alice_gw1').update({ teamId: 'arsenal' });
+                await edition.collection('used-teams').doc('alice_arsenal').set({
+                    userId: 'alice', team: 'Arsenal', teamId: 'arsenal', gameweek: 1, pickId: 'alice_gw1'
+                });
+            });
+        });
+
+        it('should claim a team by its ID', async () => {
+            await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Chelsea', null, 1, { teamId: 'chelsea' }));
+        });
+
+        it('should reject a team already used under another spelling', async () => {
+            await assertFails(pickBatch(playerDb(), 'alice', 2, 'Arsenal FC', null, 1, { teamId: 'arsenal' }));
+        });
+
+        it('should reject a claim keyed by name for a pick with a team ID', async () => {
+            const edition = playerDb();
+            const batch = edition.firestore.batch();
+            batch.set(edition.collection('picks').doc('alice_gw2'), {
+                userId: 'alice', teamPicked: 'Chelsea', teamId: 'chelsea', gameweek: 2, isAutopick: false, teamRound: 1, result: null
+            });
+            batch.set(edition.collection('used-teams').doc('alice_Chelsea'), {
+                userId: 'alice', team: 'Chelsea', teamId: 'chelsea', gameweek: 2, teamRound: 1, pickId: 'alice_gw2'
+            });
+            await assertFails(batch.commit());
+        });
+
+        it('should reject a team ID that is not in the registry', async () => {
+            await assertFails(pickBatch(playerDb(), 'alice', 2, 'Arsenal', null, 1, { teamId: 'arsenal-2' }));
+        });
+
+        it('should release the claim keyed by name when a pick moves to the team ID', async () => {
+            await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Chelsea'));
+            await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Chelsea', 'Chelsea', 1, { teamId: 'chelsea' }));
+        });
+    });
+
+    it('should let a player switch teams before the deadline', async () => {
+        await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Chelsea'));
+        await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Everton', 'Chelsea'));
+    });
+
+    it('should not release a team from a closed gameweek', async () => {
+        await assertFails(playerDb().collection('used-teams').doc('alice_Arsenal').delete());
+    });
+
+    it('should reject changing a pick after the deadline', async () => {
+        await assertFails(pickBatch(playerDb(), 'alice', 1, 'Everton', 'Arsenal'));
+    });
+
+    it('should reject picks from an eliminated player', async () => {
+        await assertFails(pickBatch(playerDb('bob'), 'bob', 2, 'Chelsea'));
+    });
+
+    it('should reject a player writing their own result', async () => {
+        const batch = playerDb().firestore.batch();
+        batch.set(playerDb().collection('picks').doc('alice_gw2'), {
+            userId: 'alice', teamPicked: 'Chelsea', gameweek: 2, isAutopick: false, result: 'win'
+        });
+        batch.set(playerDb().collection('used-teams').doc('alice_Chelsea'), {
+            userId: 'alice', team: 'Chelsea', gameweek: 2, pickId: 'alice_gw2'
+        });
+        await assertFails(batch.commit());
+    });
+
+    it('should reject a player changing their own lives', async () => {
+        await assertFails(playerDb().collection('users').doc('bob').update({ lives: 2 }));
+        await assertFails(playerDb('bob').collection('users').doc('bob').update({ lives: 2, isEliminated: false }));
+    });
+
+    it('should not let an eliminated player leave and re-join with fresh lives', async () => {
+        await seed(edition => edition.collection('settings').doc('current').set({ maxLives: 2 }));
+        await assertFails(playerDb('bob').collection('users').doc('bob').delete());
+
+        await seed(edition => edition.collection('users').doc('bob').delete());
+        await assertFails(playerDb('bob').collection('users').doc('bob').set({ displayName: 'Bob', lives: 5, isEliminated: false }));
+        await assertFails(playerDb('bob').collection('users').doc('bob').set({ displayName: 'Bob', lives: 2, isEliminated: true }));
+        await assertFails(playerDb('bob').collection('users').doc('bob').set({ displayName: 'Bob', lives: 2, eliminatedGameweek: 3 }));
+        await assertSucceeds(playerDb('bob').collection('users').doc('bob').set({
+            displayName: 'Bob', lives: 2, isEliminated: false, eliminationGameweek: null, paymentStatus: 'unpaid', amountPaidPence: 0
+        }));
+    });
+
+    it('should still let a player update their own backup picks', async () => {
+        await assertSucceeds(playerDb().collection('users').doc('alice').update({ backupPicks: ['Fulham'] }));
+    });
+
+    it('should allow a re-pick on a void match until the re-pick deadline', async () => {
+        await seed(edition => edition.collection('picks').doc('alice_gw1').update({
+            result: null, voidOutcome: 'repick', repickDeadline: future
+        }));
+
+        const edition = playerDb();
+        const batch = edition.firestore.batch();
+        batch.update(edition.collection('picks').doc('alice_gw1'), {
+            teamPicked: 'Fulham', repickedFrom: 'Arsenal', voidOutcome: 'repicked'
+        });
+        batch.set(edition.collection('used-teams').doc('alice_Fulham'), {
+            userId: 'alice', team: 'Fulham', gameweek: 1, pickId: 'alice_gw1'
+        });
+        await assertSucceeds(batch.commit());
+    });
+
+    it('should let club admins write picks after the deadline', async () => {
+        const adminDb = editionRef(testEnv.authenticatedContext('admin', { clubAdmin: [clubId] }).firestore());
+        await assertSucceeds(adminDb.collection('picks').doc('bob_gw1').set({
+            userId: 'bob', teamPicked: null, gameweek: 1, isAutopick: true, result: 'loss', missedDeadline: true
+        }));
+    });
+
+    it('should accept the legacy single-club admin claim', async () => {
+        const legacyAdminDb = (club) => editionRef(testEnv.authenticatedContext('admin', { clubAdmin: club }).firestore());
+        const missedPick = { userId: 'bob', teamPicked: null, gameweek: 1, isAutopick: true, result: 'loss', missedDeadline: true };
+
+        await assertSucceeds(legacyAdminDb(clubId).collection('picks').doc('bob_gw1').set(missedPick));
+        await assertFails(legacyAdminDb('another-club').collection('picks').doc('bob_gw1').set(missedPick));
+    });
+
+    describe('rolling deadlines', () => {
+        beforeEach(async () => {
+            await seed(edition => edition.collection('deadline-locks').doc('gw2').update({
+                mode: 'fixture', teamLocks: { Chelsea: past, Fulham: past, Everton: future, Burnley: future }
+            }));
+        });
+
+        it('should keep teams open until their own fixture locks', async () => {
+            await assertFails(pickBatch(playerDb(), 'alice', 2, 'Chelsea'));
+            await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Everton'));
+        });
+
+        it('should reject teams that are not playing in the gameweek', async () => {
+            await assertFails(pickBatch(playerDb(), 'alice', 2, 'Wolves'));
+        });
+
+        it('should not let a pick be moved off a team that has locked', async () => {
+            await seed(async edition => {
+                await edition.collection('picks').doc('alice_gw2').set({ userId: 'alice', teamPicked: 'Chelsea', gameweek: 2, isAutopick: false, teamRound: 1, result: null });
+                await edition.collection('used-teams').doc('alice_Chelsea').set({ userId: 'alice', team: 'Chelsea', gameweek: 2, teamRound: 1, pickId: 'alice_gw2' });
+            });
+            await assertFails(pickBatch(playerDb(), 'alice', 2, 'Everton', 'Chelsea'));
+        });
+    });
+
+    describe('team reuse reset', () => {
+        it('should let a team be used again once the reset gameweek comes round', async () => {
+            await seed(edition => edition.collection('settings').doc('current').set({
+                format: 'teamReuseReset', formatOptions: { resetEvery: 1 }
+            }));
+            await assertFails(pickBatch(playerDb(), 'alice', 2, 'Arsenal'));
+            await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Arsenal', null, 2));
+        });
+
+        it('should only trust the recorded round when teams reset after every team is used', async () => {
+            await seed(edition => edition.collection('settings').doc('current').set({
+                format: 'teamReuseReset', formatOptions: { resetEvery: 0 }
+            }));
+            await assertFails(pickBatch(playerDb(), 'alice', 2, 'Arsenal', null, 2));
+            await assertFails(playerDb().collection('users').doc('alice').update({ teamRound: 2 }));
+
+            await seed(edition => edition.collection('users').doc('alice').update({ teamRound: 2 }));
+            await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Arsenal', null, 2));
+        });
+    });
+
+    describe('roles', () => {
+        const moderatorDb = () => editionRef(testEnv.authenticatedContext('moderator', {
+            editionModerator: [`${clubId}/${editionId}`]
+        }).firestore());
+
+        const otherEditionRef = (db) => db.collection('clubs').doc(clubId)
+            .collection('editions').doc('other-edition');
+
+        it('should let edition moderators manage fixtures and picks in their edition only', async () => {
+            await assertSucceeds(moderatorDb().collection('fixtures').doc('gw3-1').set({ gameWeek: 3, homeTeam: 'Fulham', awayTeam: 'Everton' }));
+            await assertSucceeds(moderatorDb().collection('picks').doc('alice_gw1').update({ result: 'loss' }));
+
+            const otherEdition = otherEditionRef(testEnv.authenticatedContext('moderator', {
+                editionModerator: [`${clubId}/${editionId}`]
+            }).firestore());
+            await assertFails(otherEdition.collection('fixtures').doc('gw3-1').set({ gameWeek: 3 }));
+        });
+
+        it('should keep edition settings to club admins', async () => {
+            await assertFails(moderatorDb().collection('settings').doc('current').set({ maxLives: 5 }));
+
+            const adminDb = editionRef(testEnv.authenticatedContext('admin', { clubAdmin: [clubId] }).firestore());
+            await assertSucceeds(adminDb.collection('settings').doc('current').set({ maxLives: 5 }));
+        });
+
+        it('should not trust the old hard-coded super admin email', async () => {
+            const db = testEnv.authenticatedContext('owner', { email: 'adfirth@gmail.com' }).firestore();
+            await assertFails(db.collection('global-settings').doc('system').set({ activeClubs: [] }));
+            await assertFails(db.collection('audit-logs').get());
+        });
+
+        it('should let super admins read audit logs but nobody rewrite them', async () => {
+            await seed(edition => edition.firestore.collection('audit-logs').doc('log1').set({ action: 'ROLE_GRANTED' }));
+
+            const db = testEnv.authenticatedContext('root', { superAdmin: true }).firestore();
+            await assertSucceeds(db.collection('audit-logs').doc('log1').get());
+            await assertFails(db.collection('audit-logs').doc('log1').update({ action: 'CLUB_CREATED' }));
+            await assertFails(db.collection('audit-logs').doc('log1').delete());
+        });
+
+        it('should not let anyone write role documents from the client', async () => {
+            const db = testEnv.authenticatedContext('root', { superAdmin: true }).firestore();
+            await assertFails(db.collection('user-roles').doc('alice').set({ superAdmin: true }));
+        });
+    });
+
+    describe('team registry', () => {
+        const teamsRef = (token) => testEnv.authenticatedContext('staff', token).firestore().collection('teams');
+        const team = { teamId: 'boston-united', name: 'Boston United', aliases: { footballWebPages: ['Boston United'] }, competitions: ['5'], mergedInto: null };
+
+        it('should let staff register teams and add names but not merge them', async () => {
+            const moderatorTeams = teamsRef({ editionModerator: [`${clubId}/${editionId}`] });
+
+            await assertSucceeds(moderatorTeams.doc('boston-united').set(team));
+            await assertSucceeds(moderatorTeams.doc('boston-united').update({ 'aliases.serpApi': ['Boston Utd'] }));
+            await assertFails(moderatorTeams.doc('boston-united').update({ mergedInto: 'boston-town' }));
+            await assertFails(moderatorTeams.doc('boston-town').set({ ...team, teamId: 'boston-united' }));
+        });
+
+        it('should keep players to reading teams', async () => {
+            await assertSucceeds(teamsRef({}).doc('boston-united').get());
+            await assertFails(teamsRef({}).doc('boston-united').set(team));
+        });
+
+        it('should let super admins merge teams', async () => {
+            await testEnv.withSecurityRulesDisabled(context => context.firestore().collection('teams').doc('boston-united').set(team));
+            await assertSucceeds(teamsRef({ superAdmin: true }).doc('boston-united').update({ mergedInto: 'boston-town' }));
+        });
+    });
+
+    describe('entry fees', () => {
+        beforeEach(async () => {
+            await seed(edition => edition.collection('settings').doc('current').set({
+                entryFeePence: 1000, paymentRequiredFromGameweek: 3
+            }));
+        });
+
+        it('should stop unpaid players picking from the payment gameweek', async () => {
+            await assertSucceeds(pickBatch(playerDb(), 'alice', 2, 'Chelsea'));
+            await assertFails(pickBatch(playerDb(), 'alice', 3, 'Everton'));
+
+            await seed(edition => edition.collection('users').doc('alice').update({ paymentStatus: 'paid' }));
+            await assertSucceeds(pickBatch(playerDb(), 'alice', 3, 'Everton'));
+        });
+
+        it('should not let players mark themselves paid', async () => {
+            await assertFails(playerDb('alice').collection('users').doc('alice').update({ paymentStatus: 'paid' }));
+            await assertFails(playerDb('carol').collection('users').doc('carol').set({ displayName: 'Carol', paymentStatus: 'paid' }));
+            await assertSucceeds(playerDb('carol').collection('users').doc('carol').set({ displayName: 'Carol', paymentStatus: 'unpaid', amountPaidPence: 0 }));
+        });
+
+        it('should leave the payments ledger to moderators', async () => {
+            const payment = { userId: 'alice', amountPence: 1000, method: 'cash', status: 'paid' };
+            const moderatorDb = editionRef(testEnv.authenticatedContext('moderator', {
+                editionModerator: [`${clubId}/${editionId}`]
+            }).firestore());
+
+            await assertFails(playerDb('alice').collection('payments').doc('p1').set(payment));
+            await assertSucceeds(moderatorDb.collection('payments').doc('p1').set(payment));
+            await assertSucceeds(playerDb('alice').collection('payments').doc('p1').get());
+            await assertFails(playerDb('bob').collection('payments').doc('p1').get());
+            await assertFails(moderatorDb.collection('payments').doc('p1').delete());
+        });
+
+        it('should not let players buy themselves back in', async () => {
+            const lifeGrants = [{ type: 'buyBack', gameweek: 4, lives: 1 }];
+
+            await assertFails(playerDb('alice').collection('users').doc('alice').update({ lifeGrants }));
+            await assertFails(playerDb('carol').collection('users').doc('carol').set({ displayName: 'Carol', lifeGrants }));
+        });
+    });
+
+    describe('notifications', () => {
+        const notification = { userId: 'alice', type: 'scoreCorrection', message: 'Score corrected', readAt: null };
+
+        beforeEach(async () => {
+            await seed(edition => edition.collection('notifications').doc('n1').set(notification));
+        });
+
+        it('should let a player read and mark their own notifications only', async () => {
+            await assertSucceeds(playerDb('alice').collection('notifications').doc('n1').get());
+            await assertSucceeds(playerDb('alice').collection('notifications').doc('n1').update({ readAt: new Date() }));
+            await assertFails(playerDb('alice').collection('notifications').doc('n1').update({ message: 'Nothing changed' }));
+            await assertFails(playerDb('bob').collection('notifications').doc('n1').get());
+        });
+
+        it('should leave sending notifications to moderators', async () => {
+            const moderatorDb = editionRef(testEnv.authenticatedContext('moderator', {
+                editionModerator: [`${clubId}/${editionId}`]
+            }).firestore());
+
+            await assertFails(playerDb('alice').collection('notifications').doc('n2').set(notification));
+            await assertSucceeds(moderatorDb.collection('notifications').doc('n2').set(notification));
+        });
+    });
+
+    describe('pick reveal', () => {
+        beforeEach(async () => {
+            await seed(edition => edition.collection('picks').doc('bob_gw2').set({
+                userId: 'bob', teamPicked: 'Everton', gameweek: 2, isAutopick: false, result: null
+            }));
+        });
+
+        it('should keep other players\' picks hidden until their gameweek is revealed', async () => {
+            await assertFails(playerDb('alice').collection('picks').doc('bob_gw2').get());
+            await assertFails(playerDb('alice').collection('picks').get());
+            await assertSucceeds(playerDb('alice').collection('picks').where('userId', '==', 'alice').get());
+            await assertSucceeds(playerDb('bob').collection('picks').doc('bob_gw2').get());
+        });
+
+        it('should let everyone read picks up to the last revealed gameweek', async () => {
+            await seed(edition => edition.collection('pick-reveals').doc('latest').set({ gameweek: 1 }));
+
+            await assertSucceeds(playerDb('bob').collection('picks').doc('alice_gw1').get());
+            await assertSucceeds(playerDb('bob').collection('picks').where('gameweek', '<=', 1).get());
+            await assertFails(playerDb('alice').collection('picks').where('gameweek', '<=', 2).get());
+            await assertFails(playerDb('alice').collection('picks').doc('bob_gw2').get());
+        });
+
+        it('should leave writing reveals to deadline enforcement', async () => {
+            await assertSucceeds(playerDb('alice').collection('pick-reveals').doc('latest').get());
+            await assertFails(playerDb('alice').collection('pick-reveals').doc('latest').set({ gameweek: 2 }));
+            await assertFails(playerDb('alice').collection('pick-reveals').doc('players').set({ players: [] }));
+        });
+
+        it('should let a player load the projection and Stats tab players without listing users', async () => {
+            await seed(async edition => {
+                await edition.collection('pick-reveals').doc('latest').set({ gameweek: 1 });
+                await edition.collection('pick-reveals').doc('players').set(buildPlayerRoster([
+                    { id: 'alice', displayName: 'Alice' },
+                    { id: 'bob', displayName: 'Bob', lifeGrants: [{ gameweek: 2, lives: 1, type: 'buyBack', paymentId: 'p1' }] }
+                ]));
+            });
+
+            await assertFails(playerDb('alice').collection('users').get());
+            const players = await assertSucceeds(loadPlayerRoster(playerDb('alice')));
+            expect(players).toEqual([
+                { uid: 'alice', displayName: 'Alice', lifeGrants: [] },
+                { uid: 'bob', displayName: 'Bob', lifeGrants: [{ gameweek: 2, lives: 1 }] }
+            ]);
+            await assertSucceeds(loadVisiblePicks(playerDb('alice'), { userId: 'alice' }));
+        });
+    });
+
+    describe('mini-leagues', () => {
+        const league = (uid, memberIds = [uid]) => ({
+            name: 'Parents', inviteCode: 'K7PQ2M', createdBy: uid, memberIds, created_at: new Date(), updated_at: new Date()
+        });
+        const leagues = (uid) => playerDb(uid).collection('mini-leagues');
+
+        it('should let edition players start a league with themselves as the only member', async () => {
+            await assertFails(leagues('alice').doc('K7PQ2M').set(league('alice', ['alice', 'bob'])));
+            await assertFails(leagues('alice').doc('K7PQ2M').set(league('bob')));
+            await assertFails(leagues('carol').doc('K7PQ2M').set(league('carol')));
+            await assertSucceeds(leagues('alice').doc('K7PQ2M').set(league('alice')));
+        });
+
+        it('should let players join and leave themselves only', async () => {
+            await seed(edition => edition.collection('mini-leagues').doc('K7PQ2M').set(league('alice')));
+
+            await assertFails(leagues('bob').doc('K7PQ2M').update({ memberIds: ['alice', 'bob', 'carol'], updated_at: new Date() }));
+            await assertSucceeds(leagues('bob').doc('K7PQ2M').update({ memberIds: ['alice', 'bob'], updated_at: new Date() }));
+            await assertFails(leagues('bob').doc('K7PQ2M').update({ name: 'Bob\'s league', updated_at: new Date() }));
+            await assertFails(leagues('bob').doc('K7PQ2M').update({ memberIds: ['bob'], updated_at: new Date() }));
+            await assertSucceeds(leagues('bob').doc('K7PQ2M').update({ memberIds: ['alice'], updated_at: new Date() }));
+        });
+
+        it('should only list leagues to their members, and let the creator close them', async () => {
+            await seed(edition => edition.collection('mini-leagues').doc('K7PQ2M').set(league('alice')));
+
+            await assertSucceeds(leagues('alice').where('memberIds', 'array-contains', 'alice').get());
+            await assertFails(leagues('bob').get());
+            await assertFails(leagues('bob').doc('K7PQ2M').delete());
+            await assertSucceeds(leagues('alice').doc('K7PQ2M').delete());
+        });
+    });
+});
@@ -0,0 +1,76 @@
+// @vitest-environment node
+// Runs against the Firestore emulator: npm run test:emulator
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { SIGNATURE_HEADER, signPayload } from '../../netlify/functions/utils/payment-signature.mjs';
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+
+describe.skipIf(!emulatorHost)('payment-webhook (Firestore emulator)', () => {
+    const clubId = 'test-club';
+    const editionId = 'test-edition';
+    const secret = 'test-secret';
+    let db;
+    let handler;
+
+    const editionRef = () => db.collection('clubs').doc(clubId)
+        .collection('editions').doc(editionId);
+
+    const clearEmulator = async () => {
+        const projectId = process.env.FIREBASE_PROJECT_ID;
+        await fetch(`http://${emulatorHost}/emulator/v1/projects/${projectId}/databases/(default)/documents`, {
+            method: 'DELETE'
+        });
+    };
+
+    const send = (id, type, { signWith = secret } = {}) => {
+        const body = JSON.stringify({ id, type, data: { clubId, editionId, userId: 'player', paymentId: 'pay_1', amountPence: 1000 } });
+        return handler({ httpMethod: 'POST', body, headers: { [SIGNATURE_HEADER]: signPayload(body, signWith) } });
+    };
+
+    const getPlayer = async () => (await editionRef().collection('users').doc('player').get()).data();
+
+    beforeAll(async () => {
+        process.env.FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'demo-los-app';
+        process.env.PAYMENT_WEBHOOK_SECRET = secret;
+        const { getFirestore } = await import('../../netlify/functions/utils/firebase-admin.mjs');
+        db = getFirestore();
+        ({ handler } = await import('../../netlify/functions/payment-webhook.mjs'));
+    });
+
+    beforeEach(async () => {
+        await clearEmulator();
+
+        await editionRef().set({ name: 'Test Edition', isActive: true });
+        await editionRef().collection('settings').doc('current').set({ entryFeePence: 1000, paymentRequiredFromGameweek: 2 });
+        await editionRef().collection('users').doc('player').set({ displayName: 'Player', lives: 2, paymentStatus: 'unpaid', amountPaidPence: 0 });
+    });
+
+    it('should mark the player paid once however often the event is delivered', async () => {
+        await send('evt_1', 'payment.pending');
+        expect((await getPlayer()).paymentStatus).toBe('pending');
+
+        const responses = await Promise.all([send('evt_2', 'payment.succeeded'), send('evt_2', 'payment.succeeded')]);
+        expect(responses.map(response => response.statusCode)).toEqual([200, 200]);
+        expect(responses.map(response => JSON.parse(response.body).applied).sort()).toEqual([false, true]);
+
+        const payments = await editionRef().collection('payments').get();
+        expect(payments.docs.map(doc => doc.id)).toEqual(['card_pay_1']);
+        expect(payments.docs[0].data()).toMatchObject({ method: 'card', status: 'paid', amountPence: 1000, eventIds: ['evt_1', 'evt_2'] });
+        expect(await getPlayer()).toMatchObject({ paymentStatus: 'paid', amountPaidPence: 1000 });
+    });
+
+    it('should keep a refund when a late success arrives', async () => {
+        await send('evt_1', 'payment.succeeded');
+        await send('evt_2', 'payment.refunded');
+        await send('evt_3', 'payment.succeeded');
+
+        expect(await getPlayer()).toMatchObject({ paymentStatus: 'refunded', amountPaidPence: 0 });
+    });
+
+    it('should reject events that are not signed with the secret', async () => {
+        const response = await send('evt_1', 'payment.succeeded', { signWith: 'wrong-secret' });
+
+        expect(response.statusCode).toBe(401);
+        expect((await editionRef().collection('payments').get()).empty).toBe(true);
+    });
+});
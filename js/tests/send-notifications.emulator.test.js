@@ -0,0 +1,119 @@
+// @vitest-environment node
+// Runs against the Firestore emulator: npm run test:emulator
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import DeadlineEnforcementService from '../services/DeadlineEnforcementService.js';
+import NotificationService, { createMemoryTransport } from '../services/NotificationService.js';
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+
+describe.skipIf(!emulatorHost)('send-notifications (Firestore emulator)', () => {
+    const clubId = 'test-club';
+    const editionId = 'test-edition';
+    let db;
+
+    const editionRef = () => db.collection('clubs').doc(clubId)
+        .collection('editions').doc(editionId);
+
+    const clearEmulator = async () => {
+        const projectId = process.env.FIREBASE_PROJECT_ID;
+        await fetch(`http://${emulatorHost}/emulator/v1/projects/${projectId}/databases/(default)/documents`, {
+            method: 'DELETE'
+        });
+    };
+
+    const getNotifications = async () => {
+        const snapshot = await editionRef().collection('notifications').get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    };
+
+    const createNotifier = (transports = {}) => new NotificationService(db, { runnerId: 'test', transports });
+
+    beforeAll(async () => {
+        process.env.FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'demo-los-app';
+        const { getFirestore } = await import('../../netlify/functions/utils/firebase-admin.mjs');
+        db = getFirestore();
+    });
+
+    beforeEach(async () => {
+        await clearEmulator();
+
+        await db.collection('global-settings').doc('system').set({ activeClubs: [clubId] });
+        await db.collection('clubs').doc(clubId).set({ name: 'Test Club', isActive: true, timeZone: 'UTC' });
+        await editionRef().set({ name: 'Test Edition', isActive: true });
+        await editionRef().collection('settings').doc('current').set({ autoPickEnabled: true, maxLives: 2 });
+
+        // Gameweek 1 deadline has passed, gameweek 2 locks in 3 hours
+        await editionRef().collection('fixtures').doc('gw1-1').set({
+            gameWeek: 1, homeTeam: 'Arsenal', awayTeam: 'Chelsea', date: '2020-08-15', kickOffTime: '15:00'
+        });
+        const gameweek2 = new Date(Date.now() + 3 * 60 * 60 * 1000);
+        await editionRef().collection('fixtures').doc('gw2-1').set({
+            gameWeek: 2, homeTeam: 'Everton', awayTeam: 'Burnley', date: gameweek2.toISOString().split('T')[0], kickOffTime: gameweek2.toISOString().slice(11, 16)
+        });
+
+        await editionRef().collection('users').doc('picked').set({ displayName: 'Picked', email: 'picked@example.com', lives: 2 });
+        await editionRef().collection('users').doc('forgot').set({
+            displayName: 'Forgot', email: 'forgot@example.com', lives: 2,
+            notificationPreferences: { push: true }, pushTokens: ['token-1', 'token-2']
+        });
+        await editionRef().collection('picks').doc('picked_gw1').set({
+            userId: 'picked', teamPicked: 'Arsenal', gameweek: 1, isAutopick: false
+        });
+    });
+
+    it('should queue an auto-pick notice once however many runners enforce the deadline', async () => {
+        const runners = ['tab-1', 'scheduled-function'].map(runnerId =>
+            new DeadlineEnforcementService(db, { runnerId, notifier: createNotifier() }));
+
+        await Promise.all(runners.map(runner => runner.enforceAllDeadlines()));
+        await createNotifier().queueAutoPickNotices(clubId, editionId, 1);
+
+        const notifications = await getNotifications();
+        expect(notifications.map(notification => notification.id)).toEqual(['autoPicked_gw1_forgot']);
+        expect(notifications[0]).toMatchObject({
+            userId: 'forgot', type: 'autoPicked', gameweek: 1, readAt: null,
+            channels: { email: 'pending', push: 'pending' }, deliveryStatus: 'pending'
+        });
+    });
+
+    it('should remind players without a pick inside their reminder window', async () => {
+        await editionRef().collection('picks').doc('picked_gw2').set({ userId: 'picked', teamPicked: 'Everton', gameweek: 2 });
+
+        expect(await createNotifier().queueDeadlineReminders(clubId, editionId)).toBe(1);
+        expect(await createNotifier().queueDeadlineReminders(clubId, editionId)).toBe(0);
+
+        const notifications = await getNotifications();
+        expect(notifications.map(notification => notification.id)).toEqual(['deadlineReminder_gw2_forgot']);
+    });
+
+    it('should deliver each channel once and forget dead push tokens', async () => {
+        await createNotifier().queueDeadlineReminders(clubId, editionId);
+        const email = createMemoryTransport();
+        const push = { sent: [], send: async (message) => { push.sent.push(message); return { invalidTokens: ['token-2'] }; } };
+
+        await Promise.all([createNotifier({ email, push }).deliverPending(clubId, editionId), createNotifier({ email, push }).deliverPending(clubId, editionId)]);
+        await createNotifier({ email, push }).deliverPending(clubId, editionId);
+
+        expect(email.sent.map(message => message.to).sort()).toEqual(['forgot@example.com', 'picked@example.com']);
+        expect(push.sent).toHaveLength(1);
+
+        const [reminder] = (await getNotifications()).filter(notification => notification.userId === 'forgot');
+        expect(reminder).toMatchObject({ channels: { email: 'sent', push: 'sent' }, deliveryStatus: 'sent', attempts: 1 });
+        const user = await editionRef().collection('users').doc('forgot').get();
+        expect(user.data().pushTokens).toEqual(['token-1']);
+    });
+
+    it('should retry a failed email without sending the push again', async () => {
+        await createNotifier().queueDeadlineReminders(clubId, editionId);
+        const push = createMemoryTransport();
+
+        await createNotifier({ email: createMemoryTransport({ failWith: () => new Error('SendGrid unavailable') }), push }).deliverPending(clubId, editionId);
+        const email = createMemoryTransport();
+        await createNotifier({ email, push }).deliverPending(clubId, editionId);
+
+        expect(push.sent).toHaveLength(1);
+        expect(email.sent).toHaveLength(2);
+        const notifications = await getNotifications();
+        expect(notifications.every(notification => notification.deliveryStatus === 'sent')).toBe(true);
+    });
+});
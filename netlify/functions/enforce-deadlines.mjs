@@ -0,0 +1,52 @@
+// Netlify Scheduled Function for deadline enforcement and result settlement
+// Assigns auto-picks for every active club and edition once each gameweek deadline passes, then
+// settles enforced gameweeks from final scores, so neither depends on an admin having the app open.
+// Schedule is set in netlify.toml.
+
+import DeadlineEnforcementService from '../../js/services/DeadlineEnforcementService.js';
+import NotificationService from '../../js/services/NotificationService.js';
+import ResultSettlementService from '../../js/services/ResultSettlementService.js';
+import { getFirestore } from './utils/firebase-admin.mjs';
+
+export { getFirestore };
+
+export const handler = async function(event, context) {
+    try {
+        const db = getFirestore();
+        // Auto-pick and lost life notices are only queued here; send-notifications sends them
+        const notifier = new NotificationService(db, { runnerId: 'scheduled-function' });
+        const enforcementService = new DeadlineEnforcementService(db, { runnerId: 'scheduled-function', notifier });
+        const settlementService = new ResultSettlementService(db, { runnerId: 'scheduled-function', notifier });
+
+        const summary = await enforcementService.enforceAllDeadlines();
+        const processed = summary.filter(result => result.status === 'processed');
+
+        const settlements = [];
+        for (const clubId of await enforcementService.getActiveClubIds()) {
+            for (const editionId of await enforcementService.getActiveEditionIds(clubId)) {
+                try {
+                    settlements.push(...await settlementService.settleEnforcedGameweeks(clubId, editionId));
+                } catch (error) {
+                    console.error(`❌ enforce-deadlines: Error settling ${clubId}/${editionId}:`, error);
+                    settlements.push({ clubId, editionId, status: 'error', error: error.message });
+                }
+            }
+        }
+        const newlySettled = settlements.filter(result => result.newlySettled);
+
+        console.log(`✅ enforce-deadlines: ${processed.length} deadline(s) processed, ${summary.length} checked; ${newlySettled.length} gameweek(s) settled, ${settlements.length} checked`);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ success: true, summary, settlements })
+        };
+
+    } catch (error) {
+        console.error('❌ enforce-deadlines: Error enforcing deadlines:', error);
+
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ success: false, error: error.message })
+        };
+    }
+};
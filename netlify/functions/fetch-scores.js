@@ -73,6 +73,15 @@ exports.handler = async function(event, context) {
         });
 
         if (!response.ok) {
+            // Pass rate limits through so the score feed can fail over to another provider
+            if (response.status === 429) {
+                return {
+                    statusCode: 429,
+                    headers: { ...headers, 'Retry-After': response.headers.get('Retry-After') || '60' },
+                    body: JSON.stringify({ error: 'Rate limited by score provider' })
+                };
+            }
+
             throw new Error(`API request failed: ${response.status} ${response.statusText}`);
         }
 
@@ -62,6 +62,15 @@ exports.handler = async (event, context) => {
         });
 
         if (!response.ok) {
+            // Pass rate limits through so the score feed can fail over to another provider
+            if (response.status === 429) {
+                return {
+                    statusCode: 429,
+                    headers: { ...headers, 'Retry-After': response.headers.get('Retry-After') || '60' },
+                    body: JSON.stringify({ error: 'Rate limited by score provider' })
+                };
+            }
+
             console.error(`❌ Netlify function: API request failed: ${response.status} ${response.statusText}`);
             throw new Error(`API request failed: ${response.status} ${response.statusText}`);
         }
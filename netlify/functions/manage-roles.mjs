@@ -0,0 +1,146 @@
+// Netlify Function for granting and revoking admin roles
+// Sets the caller-verified role as a Firebase Auth custom claim, mirrors it into user-roles/{uid}
+// so the Super Admin screen can list role holders, and records every change in audit-logs.
+
+import { getAuth, getFirestore } from './utils/firebase-admin.mjs';
+import {
+    ROLES,
+    applyRoleChange,
+    canManageRole,
+    isBootstrapGrant,
+    normalizeRoleClaims,
+    validateRoleChange
+} from '../../js/services/RoleClaims.js';
+
+// Comma-separated emails that may make themselves (and only themselves) super admin before anyone holds the role
+const getBootstrapEmails = () => (process.env.SUPER_ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+// Checks Auth itself rather than the user-roles mirror, which misses claims set elsewhere
+async function superAdminExists() {
+    let pageToken;
+    do {
+        const page = await getAuth().listUsers(1000, pageToken);
+        if (page.users.some(user => user.customClaims?.superAdmin === true)) return true;
+        pageToken = page.pageToken;
+    } while (pageToken);
+    return false;
+}
+
+async function verifyCaller(event) {
+    const authorization = event.headers?.authorization || event.headers?.Authorization || '';
+    const idToken = authorization.replace(/^Bearer\s+/i, '');
+    if (!idToken) return null;
+
+    try {
+        return await getAuth().verifyIdToken(idToken);
+    } catch (error) {
+        console.warn('⚠️ manage-roles: Invalid ID token:', error.message);
+        return null;
+    }
+}
+
+async function findTargetUser({ uid, email }) {
+    try {
+        return uid ? await getAuth().getUser(uid) : await getAuth().getUserByEmail(email);
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') return null;
+        throw error;
+    }
+}
+
+export const handler = async function(event, context) {
+    // Enable CORS
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    };
+
+    const respond = (statusCode, body) => ({ statusCode, headers, body: JSON.stringify(body) });
+
+    // Handle preflight requests
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 200, headers, body: '' };
+    }
+
+    // Only allow POST requests
+    if (event.httpMethod !== 'POST') {
+        return respond(405, { error: 'Method not allowed' });
+    }
+
+    try {
+        const caller = await verifyCaller(event);
+        if (!caller) {
+            return respond(401, { error: 'Sign in required' });
+        }
+
+        const { uid, email, role, clubId = null, editionId = null, action } = JSON.parse(event.body || '{}');
+        const change = { role, clubId, editionId, action };
+
+        const validationError = validateRoleChange(change) || (!uid && !email ? 'A user id or email is required' : null);
+        if (validationError) {
+            return respond(400, { error: validationError });
+        }
+
+        const target = await findTargetUser({ uid, email });
+        const allowed = canManageRole(caller, change);
+        const bootstrapOptions = { targetUid: target?.uid, bootstrapEmails: getBootstrapEmails(), superAdminExists: true };
+        // Only look through Auth for an existing super admin when the request could be the bootstrap
+        if (!allowed && isBootstrapGrant(caller, change, { ...bootstrapOptions, superAdminExists: false })) {
+            bootstrapOptions.superAdminExists = await superAdminExists();
+        }
+        const bootstrap = !allowed && isBootstrapGrant(caller, change, bootstrapOptions);
+        if (!allowed && !bootstrap) {
+            return respond(403, { error: `You can't change the ${ROLES[role].label} role here` });
+        }
+
+        if (!target) {
+            return respond(404, { error: `No user found for ${uid || email}` });
+        }
+
+        if (target.uid === caller.uid && role === 'superAdmin' && action === 'revoke') {
+            return respond(400, { error: "You can't revoke your own super admin role" });
+        }
+
+        const claims = applyRoleChange(target.customClaims || {}, change);
+        await getAuth().setCustomUserClaims(target.uid, claims);
+
+        const roles = normalizeRoleClaims(claims);
+        const db = getFirestore();
+
+        await db.collection('user-roles').doc(target.uid).set({
+            uid: target.uid,
+            email: target.email || null,
+            displayName: target.displayName || null,
+            ...roles,
+            updatedBy: caller.uid,
+            updated_at: new Date()
+        });
+
+        await db.collection('audit-logs').add({
+            userType: normalizeRoleClaims(caller).superAdmin || bootstrap ? 'SUPER_ADMIN' : 'CLUB_ADMIN',
+            action: action === 'grant' ? 'ROLE_GRANTED' : 'ROLE_REVOKED',
+            details: {
+                targetUid: target.uid,
+                targetEmail: target.email || null,
+                role: role,
+                clubId: clubId,
+                editionId: editionId,
+                bootstrap: bootstrap
+            },
+            timestamp: new Date(),
+            userId: caller.uid,
+            userEmail: caller.email || 'unknown'
+        });
+
+        console.log(`✅ manage-roles: ${action} ${role} for ${target.email || target.uid} by ${caller.email || caller.uid}`);
+        return respond(200, { success: true, uid: target.uid, roles });
+
+    } catch (error) {
+        console.error('❌ manage-roles: Error changing role:', error);
+        return respond(500, { error: 'Failed to change role', details: error.message });
+    }
+};
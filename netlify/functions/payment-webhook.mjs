@@ -0,0 +1,51 @@
+// Netlify Function for card payment webhooks
+// Records entry fee card payments in the edition's payments ledger (see js/services/PaymentService.js).
+// Events are signed with PAYMENT_WEBHOOK_SECRET; scripts/simulate-card-payment.mjs sends the same
+// events locally, so card payments can be tested without a provider.
+//
+// POST { id: 'evt_1', type: 'payment.succeeded', data: { clubId, editionId, userId, paymentId, amountPence } }
+
+import PaymentService from '../../js/services/PaymentService.js';
+import { getFirestore } from './utils/firebase-admin.mjs';
+import { SIGNATURE_HEADER, isValidSignature } from './utils/payment-signature.mjs';
+
+export { getFirestore };
+
+export const handler = async function(event, context) {
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, body: JSON.stringify({ success: false, error: 'Method not allowed' }) };
+    }
+
+    // Netlify lower-cases header names
+    if (!isValidSignature(event.body || '', event.headers?.[SIGNATURE_HEADER], process.env.PAYMENT_WEBHOOK_SECRET)) {
+        console.error('❌ payment-webhook: Rejected an event with a missing or invalid signature');
+        return { statusCode: 401, body: JSON.stringify({ success: false, error: 'Invalid signature' }) };
+    }
+
+    try {
+        const paymentEvent = JSON.parse(event.body);
+        const { clubId, editionId } = paymentEvent.data || {};
+        if (!clubId || !editionId) {
+            return { statusCode: 400, body: JSON.stringify({ success: false, error: 'clubId and editionId are required' }) };
+        }
+
+        const paymentService = new PaymentService(getFirestore(), { runnerId: 'payment-webhook' });
+        const result = await paymentService.applyCardEvent(clubId, editionId, paymentEvent);
+
+        console.log(`✅ payment-webhook: ${paymentEvent.type} for ${result.paymentId} ${result.applied ? 'applied' : 'already applied'}`);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ success: true, ...result })
+        };
+
+    } catch (error) {
+        console.error('❌ payment-webhook: Error applying payment event:', error);
+
+        return {
+            // Unusable events won't get better on a retry
+            statusCode: error.code === 'invalid-payment' || error instanceof SyntaxError ? 400 : 500,
+            body: JSON.stringify({ success: false, error: error.message })
+        };
+    }
+};
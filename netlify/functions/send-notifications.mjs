@@ -0,0 +1,55 @@
+// Netlify Scheduled Function for player notifications
+// Queues deadline reminders for players who haven't picked, then sends every queued notification -
+// including the auto-pick and lost-life notices queued by deadline enforcement and settlement -
+// by email and web push. Schedule is set in netlify.toml.
+
+import DeadlineEnforcementService from '../../js/services/DeadlineEnforcementService.js';
+import NotificationService from '../../js/services/NotificationService.js';
+import { getFirestore } from './utils/firebase-admin.mjs';
+import { createPushTransport, createSendGridTransport } from './utils/notification-transports.mjs';
+
+export { getFirestore };
+
+export const handler = async function(event, context) {
+    try {
+        const db = getFirestore();
+        const notificationService = new NotificationService(db, {
+            runnerId: 'send-notifications',
+            baseUrl: process.env.BASE_URL || 'https://losapp.netlify.app',
+            transports: { email: createSendGridTransport(), push: createPushTransport() }
+        });
+
+        // Same active clubs and editions deadlines are enforced for
+        const enforcementService = new DeadlineEnforcementService(db);
+        const summary = [];
+
+        for (const clubId of await enforcementService.getActiveClubIds()) {
+            for (const editionId of await enforcementService.getActiveEditionIds(clubId)) {
+                try {
+                    const remindersQueued = await notificationService.queueDeadlineReminders(clubId, editionId);
+                    const delivered = await notificationService.deliverPending(clubId, editionId);
+                    summary.push({ clubId, editionId, remindersQueued, ...delivered });
+                } catch (error) {
+                    console.error(`❌ send-notifications: Error notifying ${clubId}/${editionId}:`, error);
+                    summary.push({ clubId, editionId, status: 'error', error: error.message });
+                }
+            }
+        }
+
+        const sent = summary.reduce((total, result) => total + (result.sent || 0), 0);
+        console.log(`✅ send-notifications: ${sent} notification(s) sent across ${summary.length} edition(s)`);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({ success: true, summary })
+        };
+
+    } catch (error) {
+        console.error('❌ send-notifications: Error sending notifications:', error);
+
+        return {
+            statusCode: 500,
+            body: JSON.stringify({ success: false, error: error.message })
+        };
+    }
+};
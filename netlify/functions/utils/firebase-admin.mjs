@@ -0,0 +1,28 @@
+// Shared firebase-admin setup for the Netlify functions that talk to Firestore and Auth
+
+import admin from 'firebase-admin';
+
+export function getAdminApp() {
+    if (!admin.apps.length) {
+        // FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST are picked up by firebase-admin automatically when set
+        const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+
+        admin.initializeApp(serviceAccount
+            ? { credential: admin.credential.cert(JSON.parse(serviceAccount)) }
+            : { projectId: process.env.FIREBASE_PROJECT_ID });
+    }
+
+    return admin.app();
+}
+
+export function getFirestore() {
+    return getAdminApp().firestore();
+}
+
+export function getAuth() {
+    return getAdminApp().auth();
+}
+
+export function getMessaging() {
+    return getAdminApp().messaging();
+}
@@ -0,0 +1,52 @@
+// Email and web push transports for NotificationService (see js/services/NotificationService.js)
+
+import sgMail from '@sendgrid/mail';
+import { getMessaging } from './firebase-admin.mjs';
+
+// Tokens FCM says will never work again, which are removed from the player
+const INVALID_TOKEN_CODES = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+// null without SENDGRID_API_KEY, so email is skipped rather than failed
+export function createSendGridTransport() {
+    const apiKey = process.env.SENDGRID_API_KEY;
+    if (!apiKey) return null;
+
+    sgMail.setApiKey(apiKey);
+    return {
+        async send({ to, subject, text, html }) {
+            await sgMail.send({
+                to,
+                from: process.env.FROM_EMAIL || 'noreply@losapp.com',
+                subject,
+                text,
+                html
+            });
+        }
+    };
+}
+
+export function createPushTransport(messaging = getMessaging()) {
+    return {
+        async send({ tokens, title, body, link }) {
+            const response = await messaging.sendEachForMulticast({
+                tokens,
+                notification: { title, body },
+                webpush: { fcmOptions: { link } }
+            });
+
+            const invalidTokens = [];
+            response.responses.forEach((result, index) => {
+                if (!result.success && INVALID_TOKEN_CODES.includes(result.error?.code)) invalidTokens.push(tokens[index]);
+            });
+
+            // A player with several devices has had it if any one of them got it
+            if (response.successCount === 0 && invalidTokens.length < tokens.length) {
+                throw new Error(response.responses.find(result => !result.success)?.error?.message || 'Push failed');
+            }
+            return { invalidTokens };
+        }
+    };
+}
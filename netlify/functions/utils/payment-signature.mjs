@@ -0,0 +1,17 @@
+// Signs and checks payment-webhook requests, so only the card provider (or the local
+// simulate-card-payment script) can record a payment
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-los-signature';
+
+export function signPayload(body, secret) {
+    return createHmac('sha256', secret).update(body).digest('hex');
+}
+
+export function isValidSignature(body, signature, secret) {
+    if (!secret || !signature) return false;
+    const expected = Buffer.from(signPayload(body, secret), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+    return expected.length === received.length && timingSafeEqual(expected, received);
+}
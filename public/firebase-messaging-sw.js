@@ -0,0 +1,13 @@
+// Firebase Cloud Messaging service worker - shows push notifications sent by the
+// send-notifications Netlify function while the app isn't open. Registered by
+// AuthManager.enablePushNotifications, which passes the Firebase config in the query string.
+
+importScripts('https://www.gstatic.com/firebasejs/9.0.0/firebase-app-compat.js');
+importScripts('https://www.gstatic.com/firebasejs/9.0.0/firebase-messaging-compat.js');
+
+const config = Object.fromEntries(new URL(self.location.href).searchParams);
+
+firebase.initializeApp(config);
+
+// Notifications with a title and body are shown by the SDK, which opens their link when clicked
+firebase.messaging();
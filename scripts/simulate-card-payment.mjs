@@ -0,0 +1,39 @@
+// Stand-in for a card provider: sends a signed payment event to the payment-webhook function,
+// so card payments can be tested offline against `netlify dev` and the Firestore emulator.
+//
+// node scripts/simulate-card-payment.mjs <clubId> <editionId> <userId> [amountPence] [type] [paymentId]
+//   type: payment.succeeded (default), payment.pending, payment.failed or payment.refunded
+//   Reuse a paymentId to move the same payment on, e.g. to refund it.
+//
+// Uses PAYMENT_WEBHOOK_SECRET, and WEBHOOK_URL (default http://localhost:8888/.netlify/functions/payment-webhook).
+
+import { randomUUID } from 'crypto';
+import { SIGNATURE_HEADER, signPayload } from '../netlify/functions/utils/payment-signature.mjs';
+
+const [clubId, editionId, userId, amountPence = '1000', type = 'payment.succeeded', paymentId = `pay_${randomUUID()}`] = process.argv.slice(2);
+
+if (!clubId || !editionId || !userId) {
+    console.error('Usage: node scripts/simulate-card-payment.mjs <clubId> <editionId> <userId> [amountPence] [type] [paymentId]');
+    process.exit(1);
+}
+
+const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+if (!secret) {
+    console.error('❌ Set PAYMENT_WEBHOOK_SECRET to the same value the function uses');
+    process.exit(1);
+}
+
+const body = JSON.stringify({
+    id: `evt_${randomUUID()}`,
+    type,
+    data: { clubId, editionId, userId, paymentId, amountPence: Number(amountPence) }
+});
+
+const response = await fetch(process.env.WEBHOOK_URL || 'http://localhost:8888/.netlify/functions/payment-webhook', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(body, secret) },
+    body
+});
+
+console.log(`${response.ok ? '✅' : '❌'} ${response.status}: ${await response.text()}`);
+console.log(`Payment ID: ${paymentId}`);